@@ -0,0 +1,275 @@
+// SPDX-License-Identifier: MIT
+pragma solidity ^0.8.20;
+
+import {AccessControl} from "@openzeppelin/contracts/access/AccessControl.sol";
+import {ECDSA} from "@openzeppelin/contracts/utils/cryptography/ECDSA.sol";
+import {AttestedRelayerRegistry} from "./AttestedRelayerRegistry.sol";
+
+/**
+ * @title AttestationVerifier
+ * @dev Registers relayers in an AttestedRelayerRegistry from signed TEE
+ * attestation reports, without an operator in the loop. Must hold the
+ * registry's REGISTRAR_ROLE.
+ *
+ * REPORT CHECKS (same report and digest as lib/attestation.js):
+ * - The report is signed by a trusted attestation key for this verifier: the
+ *   digest includes block.chainid and address(this), so a report cannot be
+ *   replayed on another verifier, chain or deployment trusting the same key
+ * - mrSigner is an approved enclave build signer
+ * - debug is false and securityVersion is at least minSecurityVersion
+ * - The report is at most maxReportAge seconds old and not from the future
+ * - reportData is the relayer address (left-padded to 32 bytes), so a report
+ *   can only register the key it was produced for
+ * - The registry itself checks that mrEnclave is approved
+ * - The report has not been submitted before
+ *
+ * A successful submission registers the relayer until block.timestamp + attestationValidity.
+ * Each report registers at most once, so a relayer that was deregistered cannot
+ * be put back with its old, still-fresh report; renewing takes a new report.
+ *
+ * PRIVACY NOTES:
+ * - Reports contain enclave identities only; nothing about transfers
+ */
+contract AttestationVerifier is AccessControl {
+    /**
+     * @dev Signed attestation report, field for field as in lib/attestation.js
+     */
+    struct Report {
+        string teeType;
+        bytes16 enclaveId;
+        bytes32 mrEnclave;
+        bytes32 mrSigner;
+        uint16 securityVersion;
+        bool debug;
+        uint64 timestamp;
+        bytes32 reportData;
+    }
+
+    /**
+     * @dev Domain separation tag of the report digest
+     * Must match ATTESTATION_DOMAIN in lib/attestation.js
+     */
+    bytes32 public constant ATTESTATION_DOMAIN = keccak256("PrivateTransferVault.Attestation.v1");
+
+    /// @dev Tolerated clock difference for reports dated slightly in the future
+    uint64 public constant MAX_CLOCK_SKEW = 60;
+
+    /// @dev Registry the verified relayers are registered in
+    AttestedRelayerRegistry public immutable registry;
+
+    /// @dev Lowest accepted securityVersion
+    uint16 public minSecurityVersion;
+
+    /// @dev Oldest accepted report age, in seconds
+    uint64 public maxReportAge;
+
+    /// @dev How long a verified attestation keeps a relayer registered, in seconds
+    uint64 public attestationValidity;
+
+    /// @dev Attestation keys whose signatures are accepted
+    mapping(address => bool) public trustedSigners;
+
+    /// @dev Enclave build signers (mrSigner) whose enclaves are accepted
+    mapping(bytes32 => bool) public approvedMrSigners;
+
+    /// @dev Digests of the reports that already registered a relayer
+    mapping(bytes32 => bool) public usedReports;
+
+    /**
+     * @dev Thrown when a report is not signed by a trusted attestation key
+     * @param signer The recovered signer
+     */
+    error UntrustedSigner(address signer);
+
+    /**
+     * @dev Thrown when a report's enclave was built by a signer that is not approved
+     * @param mrSigner The report's signer measurement
+     */
+    error MrSignerNotApproved(bytes32 mrSigner);
+
+    /**
+     * @dev Thrown when a report that already registered a relayer is submitted again
+     * @param digest The report digest
+     */
+    error ReportAlreadyUsed(bytes32 digest);
+
+    /// @dev Thrown when a report comes from a debug-mode enclave
+    error DebugEnclave();
+
+    /**
+     * @dev Thrown when a report's security version is below the minimum
+     * @param securityVersion The report's security version
+     */
+    error SecurityVersionTooLow(uint16 securityVersion);
+
+    /**
+     * @dev Thrown when a report is too old or dated in the future
+     * @param timestamp The report's timestamp
+     */
+    error StaleReport(uint64 timestamp);
+
+    /// @dev Thrown when reportData is not a left-padded, non-zero address
+    error InvalidReportData();
+
+    /// @dev Thrown when a configuration value is zero
+    error InvalidConfiguration();
+
+    /**
+     * @dev Emitted when the admin trusts or distrusts an attestation key
+     * @param signer The attestation key address
+     * @param trusted Whether it is now trusted
+     */
+    event TrustedSignerUpdated(address indexed signer, bool trusted);
+
+    /**
+     * @dev Emitted when the admin approves or revokes an enclave build signer
+     * @param mrSigner The signer measurement
+     * @param approved Whether enclaves it built are now accepted
+     */
+    event MrSignerUpdated(bytes32 indexed mrSigner, bool approved);
+
+    /**
+     * @dev Emitted when the admin changes the report requirements
+     */
+    event PolicyUpdated(uint16 minSecurityVersion, uint64 maxReportAge, uint64 attestationValidity);
+
+    /**
+     * @dev Emitted when a report is verified and its relayer registered
+     * @param relayer The registered relayer
+     * @param mrEnclave Measurement of the relayer's enclave
+     * @param enclaveId Id of the attested enclave instance
+     */
+    event AttestationVerified(address indexed relayer, bytes32 indexed mrEnclave, bytes16 enclaveId);
+
+    /**
+     * @dev Set up the verifier
+     * @param registry_ Registry to register relayers in (grant this contract REGISTRAR_ROLE)
+     * @param admin Account managing trusted keys and the policy
+     * @param minSecurityVersion_ Lowest accepted securityVersion
+     * @param maxReportAge_ Oldest accepted report age, in seconds
+     * @param attestationValidity_ Registration lifetime per verified report, in seconds
+     */
+    constructor(
+        AttestedRelayerRegistry registry_,
+        address admin,
+        uint16 minSecurityVersion_,
+        uint64 maxReportAge_,
+        uint64 attestationValidity_
+    ) {
+        registry = registry_;
+        _grantRole(DEFAULT_ADMIN_ROLE, admin);
+        _setPolicy(minSecurityVersion_, maxReportAge_, attestationValidity_);
+    }
+
+    /**
+     * @dev Trust or distrust an attestation key
+     * @param signer The attestation key address
+     * @param trusted Whether reports signed by it are accepted
+     */
+    function setTrustedSigner(address signer, bool trusted) external onlyRole(DEFAULT_ADMIN_ROLE) {
+        trustedSigners[signer] = trusted;
+        emit TrustedSignerUpdated(signer, trusted);
+    }
+
+    /**
+     * @dev Approve or revoke an enclave build signer
+     * @param mrSigner The signer measurement
+     * @param approved Whether reports from enclaves it built are accepted
+     */
+    function setApprovedMrSigner(bytes32 mrSigner, bool approved) external onlyRole(DEFAULT_ADMIN_ROLE) {
+        approvedMrSigners[mrSigner] = approved;
+        emit MrSignerUpdated(mrSigner, approved);
+    }
+
+    /**
+     * @dev Change the report requirements
+     * @param minSecurityVersion_ Lowest accepted securityVersion
+     * @param maxReportAge_ Oldest accepted report age, in seconds
+     * @param attestationValidity_ Registration lifetime per verified report, in seconds
+     */
+    function setPolicy(uint16 minSecurityVersion_, uint64 maxReportAge_, uint64 attestationValidity_)
+        external
+        onlyRole(DEFAULT_ADMIN_ROLE)
+    {
+        _setPolicy(minSecurityVersion_, maxReportAge_, attestationValidity_);
+    }
+
+    /**
+     * @dev Verify a signed report and register the relayer it vouches for
+     * @param report The attestation report
+     * @param signature Signature of the report digest by the attestation key
+     *
+     * Anyone may submit a report: it only registers the relayer named in its reportData.
+     */
+    function submitAttestation(Report calldata report, bytes calldata signature) external {
+        bytes32 digest = reportDigest(report);
+        address signer = ECDSA.recover(digest, signature);
+        if (!trustedSigners[signer]) {
+            revert UntrustedSigner(signer);
+        }
+        if (usedReports[digest]) {
+            revert ReportAlreadyUsed(digest);
+        }
+        if (!approvedMrSigners[report.mrSigner]) {
+            revert MrSignerNotApproved(report.mrSigner);
+        }
+        if (report.debug) {
+            revert DebugEnclave();
+        }
+        if (report.securityVersion < minSecurityVersion) {
+            revert SecurityVersionTooLow(report.securityVersion);
+        }
+        if (report.timestamp > block.timestamp + MAX_CLOCK_SKEW ||
+            block.timestamp > uint256(report.timestamp) + maxReportAge) {
+            revert StaleReport(report.timestamp);
+        }
+        if (uint256(report.reportData) >> 160 != 0 || report.reportData == bytes32(0)) {
+            revert InvalidReportData();
+        }
+
+        usedReports[digest] = true;
+        address relayer = address(uint160(uint256(report.reportData)));
+        registry.registerRelayer(relayer, report.mrEnclave, uint64(block.timestamp) + attestationValidity);
+        emit AttestationVerified(relayer, report.mrEnclave, report.enclaveId);
+    }
+
+    /**
+     * @dev Compute the digest an attestation key signs for this verifier
+     * @param report The attestation report
+     * @return The digest, identical to attestationDigest() in lib/attestation.js with
+     * the audience { chainId: block.chainid, verifier: address(this) }
+     */
+    function reportDigest(Report calldata report) public view returns (bytes32) {
+        return keccak256(
+            abi.encode(
+                ATTESTATION_DOMAIN,
+                block.chainid,
+                address(this),
+                report.teeType,
+                report.enclaveId,
+                report.mrEnclave,
+                report.mrSigner,
+                report.securityVersion,
+                report.debug,
+                report.timestamp,
+                report.reportData
+            )
+        );
+    }
+
+    /**
+     * @dev Validate and store the report requirements
+     * @param minSecurityVersion_ Lowest accepted securityVersion
+     * @param maxReportAge_ Oldest accepted report age, in seconds (non-zero)
+     * @param attestationValidity_ Registration lifetime per verified report, in seconds (non-zero)
+     */
+    function _setPolicy(uint16 minSecurityVersion_, uint64 maxReportAge_, uint64 attestationValidity_) private {
+        if (maxReportAge_ == 0 || attestationValidity_ == 0) {
+            revert InvalidConfiguration();
+        }
+        minSecurityVersion = minSecurityVersion_;
+        maxReportAge = maxReportAge_;
+        attestationValidity = attestationValidity_;
+        emit PolicyUpdated(minSecurityVersion_, maxReportAge_, attestationValidity_);
+    }
+}
@@ -0,0 +1,170 @@
+// SPDX-License-Identifier: MIT
+pragma solidity ^0.8.20;
+
+import {AccessControl} from "@openzeppelin/contracts/access/AccessControl.sol";
+import {IAttestedRelayerRegistry} from "./interfaces/IAttestedRelayerRegistry.sol";
+
+/**
+ * @title AttestedRelayerRegistry
+ * @dev Registry of relayer keys that proved, through TEE attestation, that they
+ * run an approved enclave build. A PrivateTransferVault deployed with this
+ * registry only accepts commitments from currently attested relayers.
+ *
+ * REGISTRATION MODEL:
+ * - The admin approves enclave measurements (mrEnclave) and can withdraw an
+ *   approval, which immediately disables every relayer running that build
+ * - Registrars bind a relayer address to an approved measurement until an expiry.
+ *   A registrar is either an operator checking attestations off-chain
+ *   (lib/attestation.js) or the AttestationVerifier contract checking them on-chain
+ * - Re-registering a relayer replaces its measurement and expiry, which is how
+ *   attestations are renewed
+ *
+ * ROLES:
+ * - DEFAULT_ADMIN_ROLE: approves and revokes measurements, grants REGISTRAR_ROLE
+ * - REGISTRAR_ROLE: registers and deregisters relayers
+ *
+ * PRIVACY NOTES:
+ * - Only relayer addresses and enclave measurements are stored; nothing about transfers
+ */
+contract AttestedRelayerRegistry is AccessControl, IAttestedRelayerRegistry {
+    /**
+     * @dev Registration of a relayer
+     * @param mrEnclave Measurement of the enclave the relayer key lives in
+     * @param expiresAt Timestamp after which the relayer must attest again (0 = not registered)
+     */
+    struct Relayer {
+        bytes32 mrEnclave;
+        uint64 expiresAt;
+    }
+
+    /// @dev Role allowed to register and deregister relayers
+    bytes32 public constant REGISTRAR_ROLE = keccak256("REGISTRAR_ROLE");
+
+    /// @dev Thrown when registering the zero address
+    error InvalidRelayer();
+
+    /**
+     * @dev Thrown when registering a relayer for a measurement that is not approved
+     * @param mrEnclave The rejected measurement
+     */
+    error MeasurementNotApproved(bytes32 mrEnclave);
+
+    /**
+     * @dev Thrown when a registration would already be expired
+     * @param expiresAt The rejected expiry
+     */
+    error InvalidExpiry(uint64 expiresAt);
+
+    /**
+     * @dev Emitted when the admin approves an enclave measurement
+     * @param mrEnclave The approved measurement
+     */
+    event MeasurementApproved(bytes32 indexed mrEnclave);
+
+    /**
+     * @dev Emitted when the admin withdraws the approval of a measurement
+     * @param mrEnclave The revoked measurement
+     */
+    event MeasurementRevoked(bytes32 indexed mrEnclave);
+
+    /**
+     * @dev Emitted when a relayer is registered or its registration renewed
+     * @param relayer The relayer address
+     * @param mrEnclave Measurement of the relayer's enclave
+     * @param expiresAt Expiry of the registration
+     * @param registrar The account that registered the relayer
+     */
+    event RelayerRegistered(address indexed relayer, bytes32 indexed mrEnclave, uint64 expiresAt, address registrar);
+
+    /**
+     * @dev Emitted when a relayer is removed before its registration expired
+     * @param relayer The relayer address
+     * @param registrar The account that removed the relayer
+     */
+    event RelayerDeregistered(address indexed relayer, address registrar);
+
+    /// @dev Whether each enclave measurement is approved
+    mapping(bytes32 => bool) public approvedMeasurements;
+
+    /// @dev Registration of each relayer
+    mapping(address => Relayer) private _relayers;
+
+    /**
+     * @dev Set up the registry
+     * @param admin Account receiving DEFAULT_ADMIN_ROLE and REGISTRAR_ROLE
+     */
+    constructor(address admin) {
+        _grantRole(DEFAULT_ADMIN_ROLE, admin);
+        _grantRole(REGISTRAR_ROLE, admin);
+    }
+
+    /**
+     * @dev Approve an enclave measurement
+     * @param mrEnclave Measurement of an audited enclave build
+     */
+    function approveMeasurement(bytes32 mrEnclave) external onlyRole(DEFAULT_ADMIN_ROLE) {
+        approvedMeasurements[mrEnclave] = true;
+        emit MeasurementApproved(mrEnclave);
+    }
+
+    /**
+     * @dev Withdraw the approval of an enclave measurement
+     * @param mrEnclave The measurement to revoke
+     *
+     * Relayers registered with this measurement stop being attested at once,
+     * without having to deregister them one by one.
+     */
+    function revokeMeasurement(bytes32 mrEnclave) external onlyRole(DEFAULT_ADMIN_ROLE) {
+        approvedMeasurements[mrEnclave] = false;
+        emit MeasurementRevoked(mrEnclave);
+    }
+
+    /**
+     * @dev Register a relayer key, or renew its registration
+     * @param relayer The relayer address
+     * @param mrEnclave Approved measurement of the relayer's enclave
+     * @param expiresAt Timestamp until which the relayer is attested
+     */
+    function registerRelayer(address relayer, bytes32 mrEnclave, uint64 expiresAt)
+        external
+        onlyRole(REGISTRAR_ROLE)
+    {
+        if (relayer == address(0)) {
+            revert InvalidRelayer();
+        }
+        if (!approvedMeasurements[mrEnclave]) {
+            revert MeasurementNotApproved(mrEnclave);
+        }
+        if (expiresAt <= block.timestamp) {
+            revert InvalidExpiry(expiresAt);
+        }
+        _relayers[relayer] = Relayer(mrEnclave, expiresAt);
+        emit RelayerRegistered(relayer, mrEnclave, expiresAt, msg.sender);
+    }
+
+    /**
+     * @dev Remove a relayer before its registration expires
+     * @param relayer The relayer address
+     */
+    function deregisterRelayer(address relayer) external onlyRole(REGISTRAR_ROLE) {
+        delete _relayers[relayer];
+        emit RelayerDeregistered(relayer, msg.sender);
+    }
+
+    /**
+     * @dev Look up a relayer's registration, whatever its state
+     * @param relayer The relayer address
+     * @return mrEnclave Measurement the relayer was registered with
+     * @return expiresAt Expiry of the registration (0 if not registered)
+     */
+    function getRelayer(address relayer) external view returns (bytes32 mrEnclave, uint64 expiresAt) {
+        Relayer storage registration = _relayers[relayer];
+        return (registration.mrEnclave, registration.expiresAt);
+    }
+
+    /// @inheritdoc IAttestedRelayerRegistry
+    function isAttested(address relayer) external view returns (bool) {
+        Relayer storage registration = _relayers[relayer];
+        return block.timestamp < registration.expiresAt && approvedMeasurements[registration.mrEnclave];
+    }
+}
@@ -0,0 +1,95 @@
+// SPDX-License-Identifier: MIT
+pragma solidity ^0.8.20;
+
+/**
+ * @title AuditAnchor
+ * @dev Public timestamping of hash-chained audit log heads (see lib/audit-log.js).
+ * Anchoring the head of a log fixes every entry up to it: an operator who later
+ * edits, removes or truncates those entries can no longer produce a chain that
+ * matches the anchored head.
+ *
+ * TECHNICAL DETAILS:
+ * - Logs are identified by (anchorer, logId); only the anchorer can extend its own log's anchors
+ * - Each anchor records the sequence number of the head entry and its hash
+ * - Sequence numbers must strictly increase, so an anchored head cannot be replaced
+ * - Every anchor is emitted as an event, so verifiers can check all of them, not just the latest
+ *
+ * PRIVACY NOTES:
+ * - Only 32-byte hashes and entry counts go on-chain; entries themselves stay off-chain
+ * - The anchoring address and frequency are public and reveal how often the log grows
+ */
+contract AuditAnchor {
+    /**
+     * @dev Latest anchor of a log
+     * @param seq Sequence number of the anchored head entry
+     * @param head Hash of the anchored head entry
+     * @param anchoredAt Block timestamp of the anchor (0 if never anchored)
+     */
+    struct Anchor {
+        uint64 seq;
+        bytes32 head;
+        uint64 anchoredAt;
+    }
+
+    /// @dev Thrown when anchoring a zero head hash
+    error InvalidHead();
+
+    /**
+     * @dev Thrown when an anchor does not move past the latest one
+     * @param seq The rejected sequence number
+     * @param latestSeq Sequence number of the latest anchor
+     */
+    error StaleAnchor(uint64 seq, uint64 latestSeq);
+
+    /**
+     * @dev Emitted for every anchored log head
+     * @param anchorer The address that anchored the head
+     * @param logId Identifier of the log (e.g. keccak256 of its name)
+     * @param seq Sequence number of the head entry
+     * @param head Hash of the head entry
+     */
+    event LogAnchored(address indexed anchorer, bytes32 indexed logId, uint64 seq, bytes32 head);
+
+    /// @dev Latest anchor per anchorer and log
+    mapping(address => mapping(bytes32 => Anchor)) private _anchors;
+
+    /**
+     * @dev Anchor the current head of one of the caller's logs
+     * @param logId Identifier of the log
+     * @param seq Sequence number of the head entry
+     * @param head Hash of the head entry
+     *
+     * The first anchor of a log may have any sequence number (including 0);
+     * later anchors must have a higher one.
+     */
+    function anchor(bytes32 logId, uint64 seq, bytes32 head) external {
+        if (head == bytes32(0)) {
+            revert InvalidHead();
+        }
+        Anchor storage latest = _anchors[msg.sender][logId];
+        if (latest.anchoredAt != 0 && seq <= latest.seq) {
+            revert StaleAnchor(seq, latest.seq);
+        }
+        latest.seq = seq;
+        latest.head = head;
+        latest.anchoredAt = uint64(block.timestamp);
+        emit LogAnchored(msg.sender, logId, seq, head);
+    }
+
+    /**
+     * @dev Look up the latest anchor of a log
+     * @param anchorer The address that anchors the log
+     * @param logId Identifier of the log
+     * @return seq Sequence number of the anchored head entry
+     * @return head Hash of the anchored head entry (zero if never anchored)
+     * @return anchoredAt Block timestamp of the anchor (0 if never anchored)
+     */
+    function latestAnchor(address anchorer, bytes32 logId)
+        external
+        view
+        returns (uint64 seq, bytes32 head, uint64 anchoredAt)
+    {
+        Anchor storage latest = _anchors[anchorer][logId];
+        return (latest.seq, latest.head, latest.anchoredAt);
+    }
+}
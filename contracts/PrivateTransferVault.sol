@@ -1,5 +1,9 @@
 // SPDX-License-Identifier: MIT
-pragma solidity ^0.8.0;
+pragma solidity ^0.8.20;
+
+import {AccessControlDefaultAdminRules} from "@openzeppelin/contracts/access/extensions/AccessControlDefaultAdminRules.sol";
+import {Pausable} from "@openzeppelin/contracts/utils/Pausable.sol";
+import {IAttestedRelayerRegistry} from "./interfaces/IAttestedRelayerRegistry.sol";
 
 /**
  * @title PrivateTransferVault
@@ -9,7 +13,7 @@ pragma solidity ^0.8.0;
  * PRIVACY ARCHITECTURE:
  * 1. All sensitive transfer details (sender, recipient, amount) remain off-chain
  * 2. Only cryptographic commitments are stored on the blockchain
- * 3. The commitment is a keccak256 hash of (sender, recipient, amount, timestamp)
+ * 3. The commitment is a salted, domain-separated keccak256 hash of the transfer details
  * 4. No transfer details can be extracted from the commitment due to the one-way nature of hashing
  * 5. This approach ensures complete privacy while maintaining auditability with proper view keys
  *
@@ -17,8 +21,125 @@ pragma solidity ^0.8.0;
  * - Transaction data is never exposed on-chain
  * - Etherscan shows only "PrivateTransfer" events with commitment hashes
  * - View keys (implemented off-chain) provide selective visibility to authorized parties
+ *
+ * COMMITMENT REGISTRY:
+ * - Every submitted commitment is recorded with its submission index and block number
+ * - A commitment can only be submitted once, preventing replays of the same commitment
+ * - Other contracts and off-chain indexers can query the registry through view functions
+ * - submitTransfers() records many commitments in one transaction, sharing the base cost
+ *
+ * MERKLE TREE OF COMMITMENTS:
+ * - Every commitment is also inserted as a leaf of an incremental Merkle tree (keccak256)
+ * - The leaf index equals the commitment's submission index and is emitted in LeafInserted
+ * - A ring buffer keeps the most recent roots so membership proofs against a slightly
+ *   stale root remain valid while new commitments arrive
+ * - lib/merkle-tree.js rebuilds the tree from LeafInserted logs and produces proofs
+ *
+ * ENCRYPTED NOTE DELIVERY:
+ * - submitTransferWithNote() also emits the encrypted payload (a sealed envelope from
+ *   lib/envelope.js) in EncryptedNote, so recipients can fetch it from the chain
+ * - The vault never reads the note; only holders of a matching view key can open it
+ * - lib/note-scanner.js walks EncryptedNote logs and trial-decrypts each note
+ *
+ * OPTIONAL DISCLOSURE:
+ * - Counterparties who choose public disclosure can call reveal() with the commitment opening
+ * - The vault recomputes the commitment and emits TransferRevealed with the disclosed details
+ * - Revealing is never required; undisclosed commitments stay private
+ *
+ * ATTESTED RELAYER MODE:
+ * - A vault with a relayer registry only accepts submissions from relayers the
+ *   registry currently reports as attested (AttestedRelayerRegistry), so the
+ *   enclave attestation checked off-chain is also enforced on-chain
+ * - With address(0) as registry, the vault is open and anyone can submit
+ *
+ * ADMINISTRATION:
+ * - DEFAULT_ADMIN_ROLE: grants and revokes the other roles. Held by exactly one
+ *   account (owner()); handing it over is two-step (beginDefaultAdminTransfer, then
+ *   acceptDefaultAdminTransfer by the new admin after defaultAdminDelay())
+ * - PAUSER_ROLE: pause() blocks every submission; views, reveal() and event history stay available
+ * - RELAYER_MANAGER_ROLE: setRelayerRegistry() switches between open and attested relayer mode
+ * - Every admin action emits an event (RoleGranted/RoleRevoked, Paused/Unpaused,
+ *   RelayerRegistryUpdated, DefaultAdminTransferScheduled, ...)
  */
-contract PrivateTransferVault {
+contract PrivateTransferVault is AccessControlDefaultAdminRules, Pausable {
+    /**
+     * @dev Registry entry for a submitted commitment
+     * @param index Zero-based position of the commitment in submission order
+     * @param blockNumber Block in which the commitment was submitted (0 = not submitted)
+     * @param revealed Whether the opening has been publicly disclosed via reveal()
+     *
+     * All fields are packed into a single storage slot. The entry holds no
+     * transfer details, only where the commitment sits in the submission history.
+     */
+    struct CommitmentRecord {
+        uint64 index;
+        uint64 blockNumber;
+        bool revealed;
+    }
+
+    /**
+     * @dev Domain separation tag of the commitment scheme
+     * Must match COMMITMENT_DOMAIN in lib/commitment.js
+     */
+    bytes32 public constant COMMITMENT_DOMAIN = keccak256("PrivateTransferVault.Commitment.v2");
+
+    /// @dev Depth of the commitment Merkle tree (capacity of 2^20 leaves)
+    uint32 public constant TREE_DEPTH = 20;
+
+    /// @dev Number of recent roots kept in the root history ring buffer
+    uint32 public constant ROOT_HISTORY_SIZE = 30;
+
+    /// @dev Largest encrypted note accepted by submitTransferWithNote(), in bytes
+    uint256 public constant MAX_NOTE_SIZE = 2048;
+
+    /// @dev Role allowed to pause and unpause submissions
+    bytes32 public constant PAUSER_ROLE = keccak256("PAUSER_ROLE");
+
+    /// @dev Role allowed to change the relayer registry
+    bytes32 public constant RELAYER_MANAGER_ROLE = keccak256("RELAYER_MANAGER_ROLE");
+
+    /**
+     * @dev Thrown when a commitment that was already submitted is submitted again
+     * @param commitment The duplicate commitment
+     */
+    error CommitmentAlreadySubmitted(bytes32 commitment);
+
+    /**
+     * @dev Thrown when looking up a commitment that was never submitted
+     * @param commitment The unknown commitment
+     */
+    error UnknownCommitment(bytes32 commitment);
+
+    /**
+     * @dev Thrown when revealing a commitment that was already revealed
+     * @param commitment The commitment
+     */
+    error CommitmentAlreadyRevealed(bytes32 commitment);
+
+    /// @dev Thrown when the Merkle tree has no free leaves left
+    error MerkleTreeFull();
+
+    /**
+     * @dev Thrown when asking for an empty subtree root above the tree's root
+     * @param level The requested level
+     */
+    error InvalidTreeLevel(uint256 level);
+
+    /// @dev Thrown when submitTransfers() is called without commitments
+    error EmptyBatch();
+
+    /**
+     * @dev Thrown when an encrypted note is empty or larger than MAX_NOTE_SIZE
+     * @param size The rejected note size in bytes
+     */
+    error InvalidNoteSize(uint256 size);
+
+    /**
+     * @dev Thrown when a relayer that is not currently attested submits to a gated vault
+     * @param relayer The rejected submitter
+     */
+    error RelayerNotAttested(address relayer);
+
     /**
      * @dev Emitted when a private transfer commitment is submitted
      * @param commitment The keccak256 hash of the transfer details
@@ -30,28 +151,453 @@ contract PrivateTransferVault {
      */
     event PrivateTransfer(bytes32 indexed commitment);
 
+    /**
+     * @dev Emitted when a commitment is inserted into the Merkle tree
+     * @param commitment The inserted leaf
+     * @param leafIndex Position of the leaf in the tree (equals the submission index)
+     * @param root The tree root after the insertion
+     */
+    event LeafInserted(bytes32 indexed commitment, uint32 leafIndex, bytes32 root);
+
+    /**
+     * @dev Emitted when a commitment is submitted together with its encrypted note
+     * @param commitment The commitment the note belongs to
+     * @param encryptedNote Sealed envelope readable only by the parties it was encrypted to
+     *
+     * PRIVACY NOTES:
+     * - The note is ciphertext; its length is the only thing it reveals
+     * - Recipients are not indexed or named, so finding one's notes requires trial decryption
+     */
+    event EncryptedNote(bytes32 indexed commitment, bytes encryptedNote);
+
+    /**
+     * @dev Emitted when a counterparty publicly discloses a commitment opening
+     * @param commitment The revealed commitment
+     * @param sender Disclosed sender address
+     * @param recipient Disclosed recipient address
+     * @param token Disclosed token address (address(0) for ETH)
+     * @param amount Disclosed amount in the token's base units
+     * @param timestamp Disclosed transfer timestamp
+     *
+     * PRIVACY NOTES:
+     * - This event is only emitted on explicit request and makes the transfer public
+     * - The salt is not emitted; it is only needed to recompute the commitment
+     */
+    event TransferRevealed(
+        bytes32 indexed commitment,
+        address indexed sender,
+        address indexed recipient,
+        address token,
+        uint256 amount,
+        uint256 timestamp
+    );
+
+    /**
+     * @dev Emitted when the relayer manager changes the relayer registry
+     * @param previousRegistry The registry used until now (address(0) = open vault)
+     * @param newRegistry The registry used from now on (address(0) = open vault)
+     * @param manager The account that made the change
+     */
+    event RelayerRegistryUpdated(
+        IAttestedRelayerRegistry indexed previousRegistry,
+        IAttestedRelayerRegistry indexed newRegistry,
+        address manager
+    );
+
+    /// @dev Registry of attested relayers allowed to submit (address(0) = anyone may submit)
+    IAttestedRelayerRegistry public relayerRegistry;
+
+    /// @dev Number of commitments submitted so far (also the next submission index)
+    uint256 public commitmentCount;
+
+    /// @dev Registry of submitted commitments, keyed by commitment hash
+    mapping(bytes32 => CommitmentRecord) private _commitments;
+
+    /// @dev Index of the latest root in the root history ring buffer
+    uint32 public currentRootIndex;
+
+    /// @dev Rightmost filled node at each level, used for incremental insertion
+    bytes32[TREE_DEPTH] private _filledSubtrees;
+
+    /// @dev Ring buffer of recent roots
+    bytes32[ROOT_HISTORY_SIZE] private _roots;
+
+    /**
+     * @dev Restrict submissions to attested relayers when a registry is configured
+     */
+    modifier onlyAttestedRelayer() {
+        if (address(relayerRegistry) != address(0) && !relayerRegistry.isAttested(msg.sender)) {
+            revert RelayerNotAttested(msg.sender);
+        }
+        _;
+    }
+
+    /**
+     * @dev Initialise the empty Merkle tree, the submission mode and the admin
+     * @param registry_ Attested relayer registry, or address(0) for an open vault
+     * @param admin Account receiving DEFAULT_ADMIN_ROLE; it grants PAUSER_ROLE and
+     *   RELAYER_MANAGER_ROLE (scripts/deploy-sepolia.js does this after deployment)
+     * @param adminTransferDelay Seconds a scheduled admin transfer waits before it can be accepted
+     *
+     * The empty leaf is bytes32(0) and every empty subtree root is the hash of
+     * two empty children one level below, matching lib/merkle-tree.js.
+     */
+    constructor(IAttestedRelayerRegistry registry_, address admin, uint48 adminTransferDelay)
+        AccessControlDefaultAdminRules(adminTransferDelay, admin)
+    {
+        relayerRegistry = registry_;
+        emit RelayerRegistryUpdated(IAttestedRelayerRegistry(address(0)), registry_, msg.sender);
+        _roots[0] = zeros(TREE_DEPTH);
+    }
+
+    /**
+     * @dev Stop all submissions until unpause() is called
+     *
+     * Views, reveal() and already emitted events are unaffected.
+     */
+    function pause() external onlyRole(PAUSER_ROLE) {
+        _pause();
+    }
+
+    /**
+     * @dev Resume submissions after pause()
+     */
+    function unpause() external onlyRole(PAUSER_ROLE) {
+        _unpause();
+    }
+
+    /**
+     * @dev Switch the registry that decides which relayers may submit
+     * @param newRegistry Attested relayer registry, or address(0) to open the vault to anyone
+     */
+    function setRelayerRegistry(IAttestedRelayerRegistry newRegistry) external onlyRole(RELAYER_MANAGER_ROLE) {
+        emit RelayerRegistryUpdated(relayerRegistry, newRegistry, msg.sender);
+        relayerRegistry = newRegistry;
+    }
+
     /**
      * @dev Submit a transfer commitment to the vault
      * @param commitment The keccak256 hash of the transfer details
      * 
      * TECHNICAL DETAILS:
-     * - The commitment should be generated off-chain using: keccak256(abi.encode(sender, recipient, amount, timestamp))
+     * - The commitment should be generated off-chain with lib/commitment.js:
+     *   keccak256(abi.encode(domain, chainId, vault, sender, recipient, token, amount, timestamp, salt))
+     * - The 32-byte random salt prevents brute-forcing guessable transfer details
      * - Only the hash is submitted, making it mathematically impossible to extract the original values
-     * - This function is intentionally minimal to prevent any data leakage
-     * - No storage variables are used, further enhancing privacy by leaving no on-chain traces
+     * - The commitment is recorded in the registry; submitting it again reverts
+     *   with CommitmentAlreadySubmitted
      * - The commitment serves as a cryptographic proof that a specific transfer occurred without revealing details
      * 
      * PRIVACY GUARANTEES:
      * - No sender information is stored or emitted
      * - No recipient information is stored or emitted
      * - No amount information is stored or emitted
-     * - No long-term storage is used, only events (reduces attack surface)
+     * - Storage holds only the commitment hash, its index, block number and Merkle tree nodes
+     *
+     * ACCESS:
+     * - Reverts with EnforcedPause while the vault is paused
+     * - In attested relayer mode, reverts with RelayerNotAttested unless msg.sender is attested
      */
-    function submitTransfer(bytes32 commitment) external {
-        // Emit the PrivateTransfer event with only the commitment hash
-        // This is the only on-chain trace of the transaction
-        emit PrivateTransfer(commitment);
+    function submitTransfer(bytes32 commitment) external virtual whenNotPaused onlyAttestedRelayer {
+        _recordCommitment(commitment);
         
         // Intentionally no return value to prevent potential data leakage
     }
+
+    /**
+     * @dev Submit a transfer commitment and deliver its encrypted note on-chain
+     * @param commitment The keccak256 hash of the transfer details
+     * @param encryptedNote Sealed envelope of the opening (1 to MAX_NOTE_SIZE bytes)
+     *
+     * TECHNICAL DETAILS:
+     * - Records the commitment exactly like submitTransfer(), under the same access rule
+     * - The note is only emitted, never stored, so it costs log gas rather than storage
+     * - The envelope binds the commitment as associated data, so a note copied onto
+     *   another commitment fails to decrypt
+     */
+    function submitTransferWithNote(bytes32 commitment, bytes calldata encryptedNote)
+        external
+        virtual
+        whenNotPaused
+        onlyAttestedRelayer
+    {
+        if (encryptedNote.length == 0 || encryptedNote.length > MAX_NOTE_SIZE) {
+            revert InvalidNoteSize(encryptedNote.length);
+        }
+        _recordCommitment(commitment);
+        emit EncryptedNote(commitment, encryptedNote);
+    }
+
+    /**
+     * @dev Submit several transfer commitments in one transaction
+     * @param commitments The commitments, recorded in array order
+     *
+     * TECHNICAL DETAILS:
+     * - Each commitment goes through the same registry and Merkle insertion as
+     *   submitTransfer(), emitting its own PrivateTransfer and LeafInserted events
+     * - The batch is atomic: a duplicate (within the batch or already submitted)
+     *   reverts the whole call with CommitmentAlreadySubmitted
+     * - There is no size cap; callers keep batches within the block gas limit
+     *   (scripts/batch-submit.js sizes chunks from gas estimates)
+     * - Same access rule as submitTransfer()
+     *
+     * PRIVACY NOTES:
+     * - Batching links the commitments to a single submitter transaction, which is
+     *   no more than submitting them one by one from the same relayer reveals
+     */
+    function submitTransfers(bytes32[] calldata commitments)
+        external
+        virtual
+        whenNotPaused
+        onlyAttestedRelayer
+    {
+        if (commitments.length == 0) {
+            revert EmptyBatch();
+        }
+        for (uint256 i = 0; i < commitments.length; i++) {
+            _recordCommitment(commitments[i]);
+        }
+    }
+
+    /**
+     * @dev Publicly disclose the opening of a submitted commitment
+     * @param sender Sender address from the opening
+     * @param recipient Recipient address from the opening
+     * @param token Token address from the opening (address(0) for ETH)
+     * @param amount Amount from the opening
+     * @param timestamp Timestamp from the opening
+     * @param salt Secret salt from the opening
+     *
+     * TECHNICAL DETAILS:
+     * - The commitment is recomputed on-chain from the opening, bound to this
+     *   chain and this vault, so a forged opening cannot match
+     * - Reverts with UnknownCommitment if the recomputed commitment was never submitted
+     * - Reverts with CommitmentAlreadyRevealed on a second reveal
+     *
+     * PRIVACY NOTES:
+     * - Anyone holding the opening can reveal it, so share openings carefully
+     * - Calling this function permanently publishes the transfer details
+     */
+    function reveal(
+        address sender,
+        address recipient,
+        address token,
+        uint256 amount,
+        uint256 timestamp,
+        bytes32 salt
+    ) external {
+        bytes32 commitment = computeCommitment(sender, recipient, token, amount, timestamp, salt);
+        CommitmentRecord storage record = _commitments[commitment];
+        if (record.blockNumber == 0) {
+            revert UnknownCommitment(commitment);
+        }
+        if (record.revealed) {
+            revert CommitmentAlreadyRevealed(commitment);
+        }
+
+        record.revealed = true;
+        emit TransferRevealed(commitment, sender, recipient, token, amount, timestamp);
+    }
+
+    /**
+     * @dev Compute the commitment for an opening on this chain and vault
+     * @return The commitment, identical to lib/commitment.js hashOpening()
+     */
+    function computeCommitment(
+        address sender,
+        address recipient,
+        address token,
+        uint256 amount,
+        uint256 timestamp,
+        bytes32 salt
+    ) public view returns (bytes32) {
+        return keccak256(
+            abi.encode(
+                COMMITMENT_DOMAIN,
+                block.chainid,
+                address(this),
+                sender,
+                recipient,
+                token,
+                amount,
+                timestamp,
+                salt
+            )
+        );
+    }
+
+    /**
+     * @dev Check whether a commitment has been submitted
+     * @param commitment The commitment to look up
+     * @return True if the commitment is in the registry
+     */
+    function isCommitted(bytes32 commitment) external view returns (bool) {
+        return _isCommitted(commitment);
+    }
+
+    /**
+     * @dev Check whether a commitment has been publicly revealed
+     * @param commitment The commitment to look up
+     * @return True if reveal() succeeded for this commitment
+     */
+    function isRevealed(bytes32 commitment) external view returns (bool) {
+        return _commitments[commitment].revealed;
+    }
+
+    /**
+     * @dev Look up where a commitment sits in the submission history
+     * @param commitment The commitment to look up
+     * @return index Zero-based submission index
+     * @return blockNumber Block in which the commitment was submitted
+     *
+     * Reverts with UnknownCommitment if the commitment was never submitted.
+     */
+    function getCommitment(bytes32 commitment)
+        external
+        view
+        returns (uint256 index, uint256 blockNumber)
+    {
+        CommitmentRecord memory record = _commitments[commitment];
+        if (record.blockNumber == 0) {
+            revert UnknownCommitment(commitment);
+        }
+        return (record.index, record.blockNumber);
+    }
+
+    /**
+     * @dev Latest root of the commitment Merkle tree
+     * @return The current root
+     */
+    function getLastRoot() external view returns (bytes32) {
+        return _roots[currentRootIndex];
+    }
+
+    /**
+     * @dev Check whether a root is in the recent root history
+     * @param root The root to look up
+     * @return True if the root is one of the last ROOT_HISTORY_SIZE roots
+     */
+    function isKnownRoot(bytes32 root) public view returns (bool) {
+        if (root == bytes32(0)) {
+            return false;
+        }
+        uint32 index = currentRootIndex;
+        for (uint32 checked = 0; checked < ROOT_HISTORY_SIZE; checked++) {
+            if (_roots[index] == root) {
+                return true;
+            }
+            index = index == 0 ? ROOT_HISTORY_SIZE - 1 : index - 1;
+        }
+        return false;
+    }
+
+    /**
+     * @dev Root of an empty subtree at a given level
+     * @param level Tree level (0 = leaves)
+     * @return The empty subtree root
+     *
+     * Precomputed constants (zero = hashLeftRight(zero, zero) from bytes32(0)),
+     * so inserts and lookups cost no hashing and no storage reads. They must
+     * match computeZeros() in lib/merkle-tree.js; test/MerkleTree.test.js checks it.
+     */
+    function zeros(uint256 level) public pure returns (bytes32) {
+        if (level == 0) return bytes32(0);
+        if (level == 1) return 0xad3228b676f7d3cd4284a5443f17f1962b36e491b30a40b2405849e597ba5fb5;
+        if (level == 2) return 0xb4c11951957c6f8f642c4af61cd6b24640fec6dc7fc607ee8206a99e92410d30;
+        if (level == 3) return 0x21ddb9a356815c3fac1026b6dec5df3124afbadb485c9ba5a3e3398a04b7ba85;
+        if (level == 4) return 0xe58769b32a1beaf1ea27375a44095a0d1fb664ce2dd358e7fcbfb78c26a19344;
+        if (level == 5) return 0x0eb01ebfc9ed27500cd4dfc979272d1f0913cc9f66540d7e8005811109e1cf2d;
+        if (level == 6) return 0x887c22bd8750d34016ac3c66b5ff102dacdd73f6b014e710b51e8022af9a1968;
+        if (level == 7) return 0xffd70157e48063fc33c97a050f7f640233bf646cc98d9524c6b92bcf3ab56f83;
+        if (level == 8) return 0x9867cc5f7f196b93bae1e27e6320742445d290f2263827498b54fec539f756af;
+        if (level == 9) return 0xcefad4e508c098b9a7e1d8feb19955fb02ba9675585078710969d3440f5054e0;
+        if (level == 10) return 0xf9dc3e7fe016e050eff260334f18a5d4fe391d82092319f5964f2e2eb7c1c3a5;
+        if (level == 11) return 0xf8b13a49e282f609c317a833fb8d976d11517c571d1221a265d25af778ecf892;
+        if (level == 12) return 0x3490c6ceeb450aecdc82e28293031d10c7d73bf85e57bf041a97360aa2c5d99c;
+        if (level == 13) return 0xc1df82d9c4b87413eae2ef048f94b4d3554cea73d92b0f7af96e0271c691e2bb;
+        if (level == 14) return 0x5c67add7c6caf302256adedf7ab114da0acfe870d449a3a489f781d659e8becc;
+        if (level == 15) return 0xda7bce9f4e8618b6bd2f4132ce798cdc7a60e7e1460a7299e3c6342a579626d2;
+        if (level == 16) return 0x2733e50f526ec2fa19a22b31e8ed50f23cd1fdf94c9154ed3a7609a2f1ff981f;
+        if (level == 17) return 0xe1d3b5c807b281e4683cc6d6315cf95b9ade8641defcb32372f1c126e398ef7a;
+        if (level == 18) return 0x5a2dce0a8a7f68bb74560f8f71837c2c2ebbcbf7fffb42ae1896f13f7c7479a0;
+        if (level == 19) return 0xb46a28b6f55540f89444f63de0378e3d121be09e06cc9ded1c20e65876d36aa0;
+        if (level == 20) return 0xc65e9645644786b620e2dd2ad648ddfcbf4a7e5b1a3a4ecfe7f64667a3f0b7e2;
+        revert InvalidTreeLevel(level);
+    }
+
+    /**
+     * @dev Hash two child nodes into their parent
+     * @return keccak256(left || right)
+     */
+    function hashLeftRight(bytes32 left, bytes32 right) public pure returns (bytes32) {
+        return keccak256(abi.encodePacked(left, right));
+    }
+
+    /**
+     * @dev Internal registry lookup for derived contracts
+     * @param commitment The commitment to look up
+     * @return True if the commitment is in the registry
+     */
+    function _isCommitted(bytes32 commitment) internal view returns (bool) {
+        return _commitments[commitment].blockNumber != 0;
+    }
+
+    /**
+     * @dev Record a commitment in the registry and emit it
+     * @param commitment The commitment to record
+     *
+     * Shared by every entry point that accepts commitments so replay
+     * protection is enforced in one place.
+     */
+    function _recordCommitment(bytes32 commitment) internal {
+        if (_commitments[commitment].blockNumber != 0) {
+            revert CommitmentAlreadySubmitted(commitment);
+        }
+
+        uint32 leafIndex = _insertLeaf(commitment);
+        _commitments[commitment] = CommitmentRecord({
+            index: leafIndex,
+            blockNumber: uint64(block.number),
+            revealed: false
+        });
+        commitmentCount += 1;
+
+        // Emit the PrivateTransfer event with only the commitment hash
+        // This is the only on-chain trace of the transfer details
+        emit PrivateTransfer(commitment);
+    }
+
+    /**
+     * @dev Insert a leaf into the incremental Merkle tree
+     * @param leaf The leaf to insert
+     * @return leafIndex Position of the inserted leaf
+     *
+     * Walks from the leaf to the root, pairing the new node either with the
+     * empty subtree on its right or with the filled subtree on its left, then
+     * stores the new root in the ring buffer.
+     */
+    function _insertLeaf(bytes32 leaf) private returns (uint32 leafIndex) {
+        if (commitmentCount >= uint256(1) << TREE_DEPTH) {
+            revert MerkleTreeFull();
+        }
+        leafIndex = uint32(commitmentCount);
+
+        uint32 index = leafIndex;
+        bytes32 node = leaf;
+        for (uint32 level = 0; level < TREE_DEPTH; level++) {
+            if (index % 2 == 0) {
+                _filledSubtrees[level] = node;
+                node = hashLeftRight(node, zeros(level));
+            } else {
+                node = hashLeftRight(_filledSubtrees[level], node);
+            }
+            index /= 2;
+        }
+
+        uint32 newRootIndex = (currentRootIndex + 1) % ROOT_HISTORY_SIZE;
+        currentRootIndex = newRootIndex;
+        _roots[newRootIndex] = node;
+
+        emit LeafInserted(leaf, leafIndex, node);
+    }
 }
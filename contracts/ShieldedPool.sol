@@ -0,0 +1,338 @@
+// SPDX-License-Identifier: MIT
+pragma solidity ^0.8.20;
+
+import {IERC20} from "@openzeppelin/contracts/token/ERC20/IERC20.sol";
+import {SafeERC20} from "@openzeppelin/contracts/token/ERC20/utils/SafeERC20.sol";
+import {ECDSA} from "@openzeppelin/contracts/utils/cryptography/ECDSA.sol";
+import {MessageHashUtils} from "@openzeppelin/contracts/utils/cryptography/MessageHashUtils.sol";
+import {ReentrancyGuard} from "@openzeppelin/contracts/utils/ReentrancyGuard.sol";
+import {PrivateTransferVault} from "./PrivateTransferVault.sol";
+import {IAttestedRelayerRegistry} from "./interfaces/IAttestedRelayerRegistry.sol";
+
+/**
+ * @title ShieldedPool
+ * @dev A value-carrying pool built on PrivateTransferVault. ETH or ERC-20 tokens
+ * are deposited together with a note commitment and later withdrawn to any
+ * address by the holder of the note secret. A nullifier prevents a note from being spent twice.
+ *
+ * NOTE MODEL:
+ * - A note is (token, amount, owner, nullifier), where token is address(0) for ETH
+ *   and owner is the address of a one-time spend key generated off-chain (lib/notes.js)
+ * - The note commitment is keccak256(abi.encode(NOTE_DOMAIN, chainId, pool, token, amount, owner, nullifier))
+ * - Deposits record the note commitment in the vault registry, so it is emitted as a
+ *   regular PrivateTransfer event and covered by the vault's replay protection
+ * - The inherited submitTransfer, submitTransferWithNote and submitTransfers revert
+ *   with DirectSubmissionDisabled: a funded deposit is the only way into the pool's
+ *   registry and tree, so nobody can front-run a deposit by submitting its
+ *   commitment first (the deposit would then revert with CommitmentAlreadySubmitted)
+ *
+ * WITHDRAWAL:
+ * - The withdrawer presents the note opening and a signature by the spend key over
+ *   (chainId, pool, nullifier, recipient)
+ * - The commitment is chosen by the depositor and cannot be opened on-chain at
+ *   deposit time, so the pool records the token and amount it actually received
+ *   for each commitment; a withdrawal is paid only if the note names exactly those
+ * - Signing instead of publishing the spend key means a copied withdrawal cannot be
+ *   redirected to another recipient by a front-runner
+ * - The nullifier is marked spent before funds are sent
+ *
+ * PAUSING:
+ * - pause() (PAUSER_ROLE, inherited from the vault) blocks deposits like any other
+ *   submission; withdrawals stay available so funds are never locked in the pool
+ *
+ * TOKEN SUPPORT:
+ * - ERC-20 deposits are pulled with transferFrom (the depositor approves the pool first)
+ * - Withdrawals release the note's token with transfer
+ * - Tokens that deliver less than the requested amount (fee-on-transfer) are rejected
+ *
+ * LIMITATION - NO UNLINKABILITY:
+ * Despite its name, the pool does not hide which deposit a withdrawal spends.
+ * withdraw() takes the note's token, amount, owner and nullifier as calldata, and
+ * computeNoteCommitment() is public, so anyone can recompute the commitment of
+ * every withdrawal and match it to its deposit (and its depositor). What the pool
+ * does provide is a bearer note: funds go to any recipient chosen by the holder of
+ * the spend key, paid from the pool rather than by the depositor.
+ * - Deposit amounts are public (msg.value or the token transfer)
+ * - Unlinkability requires replacing the opening check with a zero-knowledge
+ *   membership proof; the nullifier registry is already shaped for that upgrade
+ */
+contract ShieldedPool is PrivateTransferVault, ReentrancyGuard {
+    using SafeERC20 for IERC20;
+
+    /**
+     * @dev Domain separation tag for note commitments
+     * Must match NOTE_DOMAIN in lib/notes.js
+     */
+    bytes32 public constant NOTE_DOMAIN = keccak256("ShieldedPool.Note.v2");
+
+    /**
+     * @dev Domain separation tag for withdrawal authorisations
+     * Must match WITHDRAWAL_DOMAIN in lib/notes.js
+     */
+    bytes32 public constant WITHDRAWAL_DOMAIN = keccak256("ShieldedPool.Withdrawal.v1");
+
+    /// @dev Thrown when a deposit carries no value
+    error ZeroDeposit();
+
+    /**
+     * @dev Thrown when the pool received a different token amount than requested
+     * @param expected The amount named in the deposit
+     * @param received The balance increase actually observed
+     */
+    error DepositAmountMismatch(uint256 expected, uint256 received);
+
+    /**
+     * @dev Thrown when a withdrawal references a note that was never deposited
+     * @param commitment The recomputed note commitment
+     */
+    error UnknownNote(bytes32 commitment);
+
+    /**
+     * @dev Thrown when a note names another token or amount than was deposited under its commitment
+     * @param commitment The recomputed note commitment
+     */
+    error DepositMismatch(bytes32 commitment);
+
+    /**
+     * @dev Thrown when a note's nullifier has already been used
+     * @param nullifier The spent nullifier
+     */
+    error NullifierAlreadySpent(bytes32 nullifier);
+
+    /// @dev Thrown when the withdrawal signature was not produced by the note's spend key
+    error InvalidWithdrawalSignature();
+
+    /// @dev Thrown when withdrawing to the zero address
+    error InvalidRecipient();
+
+    /// @dev Thrown when the ETH transfer to the recipient fails
+    error WithdrawalFailed();
+
+    /// @dev Thrown by the inherited submit functions: commitments enter the pool only through deposits
+    error DirectSubmissionDisabled();
+
+    /**
+     * @dev Emitted when a note is deposited
+     * @param commitment The note commitment
+     * @param token The deposited token (address(0) for ETH)
+     * @param amount The deposited amount (already public in the value transfer)
+     */
+    event NoteDeposited(bytes32 indexed commitment, address indexed token, uint256 amount);
+
+    /**
+     * @dev Emitted when a note is spent
+     * @param nullifier The nullifier marking the note as spent
+     * @param recipient The address receiving the funds
+     * @param token The withdrawn token (address(0) for ETH)
+     * @param amount The withdrawn amount
+     */
+    event NoteWithdrawn(
+        bytes32 indexed nullifier,
+        address indexed recipient,
+        address indexed token,
+        uint256 amount
+    );
+
+    /**
+     * @dev What the pool received for a note commitment
+     * @param token The deposited token (address(0) for ETH)
+     * @param amount The deposited amount (never zero for a recorded deposit)
+     */
+    struct Deposit {
+        address token;
+        uint256 amount;
+    }
+
+    /// @dev Deposits by note commitment, created through deposit() and depositToken()
+    mapping(bytes32 => Deposit) private _deposits;
+
+    /// @dev Nullifiers of spent notes
+    mapping(bytes32 => bool) public spentNullifiers;
+
+    /**
+     * @dev Deploy the pool as an open vault
+     * @param admin Account receiving DEFAULT_ADMIN_ROLE
+     * @param adminTransferDelay Seconds a scheduled admin transfer waits before it can be accepted
+     *
+     * Deposits and withdrawals are made by note holders themselves, so the pool
+     * does not restrict submissions to attested relayers.
+     */
+    constructor(address admin, uint48 adminTransferDelay)
+        PrivateTransferVault(IAttestedRelayerRegistry(address(0)), admin, adminTransferDelay)
+    {}
+
+    /**
+     * @dev Deposit ETH under a note commitment
+     * @param commitment The note commitment built off-chain with lib/notes.js
+     *
+     * The pool records address(0) and msg.value for the commitment, and withdraw()
+     * pays only a note that names exactly that token and amount. A commitment built
+     * for anything else can never be withdrawn, so its deposit stays in the pool.
+     * Reverts with CommitmentAlreadySubmitted if the commitment is already in the
+     * vault registry.
+     */
+    function deposit(bytes32 commitment) external payable nonReentrant whenNotPaused {
+        if (msg.value == 0) {
+            revert ZeroDeposit();
+        }
+
+        _recordDeposit(commitment, address(0), msg.value);
+    }
+
+    /**
+     * @dev Deposit ERC-20 tokens under a note commitment
+     * @param token The token to deposit
+     * @param amount The amount to pull from the caller (requires prior approval)
+     * @param commitment The note commitment binding token and amount
+     *
+     * The pool records the token and the amount it actually received for the
+     * commitment; withdraw() pays only a note naming exactly those, so a deposit of
+     * another token (or of ETH) cannot be withdrawn as this one.
+     */
+    function depositToken(IERC20 token, uint256 amount, bytes32 commitment)
+        external
+        nonReentrant
+        whenNotPaused
+    {
+        if (amount == 0) {
+            revert ZeroDeposit();
+        }
+
+        uint256 balanceBefore = token.balanceOf(address(this));
+        token.safeTransferFrom(msg.sender, address(this), amount);
+        uint256 received = token.balanceOf(address(this)) - balanceBefore;
+        if (received != amount) {
+            revert DepositAmountMismatch(amount, received);
+        }
+
+        _recordDeposit(commitment, address(token), amount);
+    }
+
+    /**
+     * @dev Disabled: use deposit() or depositToken()
+     */
+    function submitTransfer(bytes32) external pure override {
+        revert DirectSubmissionDisabled();
+    }
+
+    /**
+     * @dev Disabled: use deposit() or depositToken()
+     */
+    function submitTransferWithNote(bytes32, bytes calldata) external pure override {
+        revert DirectSubmissionDisabled();
+    }
+
+    /**
+     * @dev Disabled: use deposit() or depositToken()
+     */
+    function submitTransfers(bytes32[] calldata) external pure override {
+        revert DirectSubmissionDisabled();
+    }
+
+    /**
+     * @dev Spend a note and send its amount to any address
+     * @param token Note token (address(0) for ETH)
+     * @param amount Note amount
+     * @param owner Address of the note's spend key
+     * @param nullifier Note nullifier
+     * @param recipient Address receiving the funds
+     * @param signature Spend key signature over the withdrawal digest
+     *
+     * The arguments disclose the note, so the withdrawal is linkable to its deposit
+     * (see LIMITATION above).
+     *
+     * SECURITY CHECKS:
+     * 1. The recomputed note commitment must come from a deposit
+     * 2. The note's token and amount must be what that deposit brought in
+     * 3. The nullifier must be unspent
+     * 4. The signature must recover to the note owner
+     */
+    function withdraw(
+        address token,
+        uint256 amount,
+        address owner,
+        bytes32 nullifier,
+        address payable recipient,
+        bytes calldata signature
+    ) external nonReentrant {
+        if (recipient == address(0)) {
+            revert InvalidRecipient();
+        }
+
+        bytes32 commitment = computeNoteCommitment(token, amount, owner, nullifier);
+        Deposit storage deposited = _deposits[commitment];
+        if (deposited.amount == 0) {
+            revert UnknownNote(commitment);
+        }
+        if (deposited.token != token || deposited.amount != amount) {
+            revert DepositMismatch(commitment);
+        }
+        if (spentNullifiers[nullifier]) {
+            revert NullifierAlreadySpent(nullifier);
+        }
+
+        bytes32 digest = MessageHashUtils.toEthSignedMessageHash(
+            withdrawalDigest(nullifier, recipient)
+        );
+        if (ECDSA.recover(digest, signature) != owner) {
+            revert InvalidWithdrawalSignature();
+        }
+
+        // Effects before interaction
+        spentNullifiers[nullifier] = true;
+        emit NoteWithdrawn(nullifier, recipient, token, amount);
+
+        if (token == address(0)) {
+            (bool success, ) = recipient.call{value: amount}("");
+            if (!success) {
+                revert WithdrawalFailed();
+            }
+        } else {
+            IERC20(token).safeTransfer(recipient, amount);
+        }
+    }
+
+    /**
+     * @dev Check whether a note commitment was created through deposit()
+     * @param commitment The note commitment
+     * @return True if the note was deposited into this pool
+     */
+    function isDeposited(bytes32 commitment) external view returns (bool) {
+        return _deposits[commitment].amount != 0;
+    }
+
+    /**
+     * @dev Compute a note commitment for this chain and pool
+     * @return The commitment, identical to lib/notes.js hashNote()
+     */
+    function computeNoteCommitment(
+        address token,
+        uint256 amount,
+        address owner,
+        bytes32 nullifier
+    ) public view returns (bytes32) {
+        return keccak256(
+            abi.encode(NOTE_DOMAIN, block.chainid, address(this), token, amount, owner, nullifier)
+        );
+    }
+
+    /**
+     * @dev Compute the digest the spend key signs to authorise a withdrawal
+     * @return The digest, prefixed with the EIP-191 header before recovery
+     */
+    function withdrawalDigest(bytes32 nullifier, address recipient) public view returns (bytes32) {
+        return keccak256(
+            abi.encode(WITHDRAWAL_DOMAIN, block.chainid, address(this), nullifier, recipient)
+        );
+    }
+
+    /**
+     * @dev Record a deposited note in the vault registry, with what the pool received for it
+     */
+    function _recordDeposit(bytes32 commitment, address token, uint256 amount) private {
+        _recordCommitment(commitment);
+        _deposits[commitment] = Deposit({token: token, amount: amount});
+
+        emit NoteDeposited(commitment, token, amount);
+    }
+}
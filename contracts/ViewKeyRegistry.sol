@@ -0,0 +1,173 @@
+// SPDX-License-Identifier: MIT
+pragma solidity ^0.8.20;
+
+/**
+ * @title ViewKeyRegistry
+ * @dev Public directory of view keys. Each address publishes the compressed
+ * secp256k1 public view key that others should encrypt transfer payloads to
+ * (see lib/view-keys.js and lib/envelope.js), and can rotate or revoke it.
+ *
+ * KEY LIFECYCLE:
+ * - publishViewKey() registers a key when the address has none, or after a revocation
+ * - rotateViewKey() replaces the current key (expired or not) without a gap
+ * - revokeViewKey() withdraws the current key; senders must stop encrypting to it
+ * - Every publication or rotation bumps the key version, so payloads can record
+ *   which version they were encrypted to
+ * - expiresAt is a unix timestamp; 0 means the key does not expire
+ *
+ * PRIVACY NOTES:
+ * - Only public keys are stored; they reveal nothing about transfers
+ * - Publishing a key links it to the publishing address, which is the point:
+ *   senders must be able to find the recipient's key from the recipient's address
+ */
+contract ViewKeyRegistry {
+    /**
+     * @dev A published view key
+     * @param publicKey Compressed secp256k1 public key (33 bytes)
+     * @param expiresAt Expiry timestamp, 0 for no expiry
+     * @param version Number of publications and rotations so far (0 = never published)
+     * @param revoked Whether the owner revoked the key
+     */
+    struct ViewKey {
+        bytes publicKey;
+        uint64 expiresAt;
+        uint64 version;
+        bool revoked;
+    }
+
+    /// @dev Thrown when a public key is not a 33-byte compressed secp256k1 key
+    error InvalidViewKey();
+
+    /**
+     * @dev Thrown when an expiry is set in the past
+     * @param expiresAt The rejected expiry
+     */
+    error InvalidExpiry(uint64 expiresAt);
+
+    /// @dev Thrown when publishing while a key is already published and not revoked
+    error ViewKeyAlreadyPublished();
+
+    /// @dev Thrown when rotating or revoking without a published, unrevoked key
+    error NoViewKey();
+
+    /**
+     * @dev Emitted when an address publishes a view key
+     * @param owner The address the key belongs to
+     * @param publicKey The compressed public view key
+     * @param expiresAt Expiry timestamp, 0 for no expiry
+     * @param version Version of the new key
+     */
+    event ViewKeyPublished(address indexed owner, bytes publicKey, uint64 expiresAt, uint64 version);
+
+    /**
+     * @dev Emitted when an address replaces its view key
+     * @param owner The address the key belongs to
+     * @param publicKey The new compressed public view key
+     * @param expiresAt Expiry timestamp of the new key, 0 for no expiry
+     * @param version Version of the new key
+     */
+    event ViewKeyRotated(address indexed owner, bytes publicKey, uint64 expiresAt, uint64 version);
+
+    /**
+     * @dev Emitted when an address revokes its view key
+     * @param owner The address the key belonged to
+     * @param version Version of the revoked key
+     */
+    event ViewKeyRevoked(address indexed owner, uint64 version);
+
+    /// @dev Current view key of each address
+    mapping(address => ViewKey) private _viewKeys;
+
+    /**
+     * @dev Publish a view key for the caller
+     * @param publicKey Compressed secp256k1 public view key
+     * @param expiresAt Expiry timestamp, 0 for no expiry
+     *
+     * Reverts with ViewKeyAlreadyPublished if the caller has an unrevoked key;
+     * use rotateViewKey() to replace it.
+     */
+    function publishViewKey(bytes calldata publicKey, uint64 expiresAt) external {
+        ViewKey storage viewKey = _viewKeys[msg.sender];
+        if (viewKey.version != 0 && !viewKey.revoked) {
+            revert ViewKeyAlreadyPublished();
+        }
+        _setKey(viewKey, publicKey, expiresAt);
+        emit ViewKeyPublished(msg.sender, publicKey, expiresAt, viewKey.version);
+    }
+
+    /**
+     * @dev Replace the caller's view key
+     * @param publicKey New compressed secp256k1 public view key
+     * @param expiresAt Expiry timestamp of the new key, 0 for no expiry
+     *
+     * Works on expired keys too, so an owner can renew without revoking first.
+     */
+    function rotateViewKey(bytes calldata publicKey, uint64 expiresAt) external {
+        ViewKey storage viewKey = _viewKeys[msg.sender];
+        if (viewKey.version == 0 || viewKey.revoked) {
+            revert NoViewKey();
+        }
+        _setKey(viewKey, publicKey, expiresAt);
+        emit ViewKeyRotated(msg.sender, publicKey, expiresAt, viewKey.version);
+    }
+
+    /**
+     * @dev Revoke the caller's view key
+     *
+     * Payloads already encrypted to the key stay readable by its holder;
+     * revocation only stops new payloads from being encrypted to it.
+     */
+    function revokeViewKey() external {
+        ViewKey storage viewKey = _viewKeys[msg.sender];
+        if (viewKey.version == 0 || viewKey.revoked) {
+            revert NoViewKey();
+        }
+        viewKey.revoked = true;
+        emit ViewKeyRevoked(msg.sender, viewKey.version);
+    }
+
+    /**
+     * @dev Look up an address's view key, whatever its state
+     * @param owner The address to look up
+     * @return publicKey The compressed public key (empty if never published)
+     * @return expiresAt Expiry timestamp, 0 for no expiry
+     * @return version Key version (0 if never published)
+     * @return revoked Whether the key was revoked
+     */
+    function getViewKey(address owner)
+        external
+        view
+        returns (bytes memory publicKey, uint64 expiresAt, uint64 version, bool revoked)
+    {
+        ViewKey storage viewKey = _viewKeys[owner];
+        return (viewKey.publicKey, viewKey.expiresAt, viewKey.version, viewKey.revoked);
+    }
+
+    /**
+     * @dev Check whether an address has a usable view key
+     * @param owner The address to check
+     * @return True if a key is published, not revoked and not expired
+     */
+    function isViewKeyActive(address owner) external view returns (bool) {
+        ViewKey storage viewKey = _viewKeys[owner];
+        return viewKey.version != 0
+            && !viewKey.revoked
+            && (viewKey.expiresAt == 0 || block.timestamp < viewKey.expiresAt);
+    }
+
+    /**
+     * @dev Validate and store a new key, bumping the version
+     */
+    function _setKey(ViewKey storage viewKey, bytes calldata publicKey, uint64 expiresAt) private {
+        if (publicKey.length != 33 || (publicKey[0] != 0x02 && publicKey[0] != 0x03)) {
+            revert InvalidViewKey();
+        }
+        if (expiresAt != 0 && expiresAt <= block.timestamp) {
+            revert InvalidExpiry(expiresAt);
+        }
+        viewKey.publicKey = publicKey;
+        viewKey.expiresAt = expiresAt;
+        viewKey.version += 1;
+        viewKey.revoked = false;
+    }
+}
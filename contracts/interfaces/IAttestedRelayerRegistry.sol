@@ -0,0 +1,16 @@
+// SPDX-License-Identifier: MIT
+pragma solidity ^0.8.0;
+
+/**
+ * @title IAttestedRelayerRegistry
+ * @dev Read interface the vault uses to check whether a relayer is currently attested
+ */
+interface IAttestedRelayerRegistry {
+    /**
+     * @dev Check whether a relayer may submit commitments right now
+     * @param relayer The relayer address
+     * @return True if the relayer is registered, its registration has not expired
+     * and its enclave measurement is still approved
+     */
+    function isAttested(address relayer) external view returns (bool);
+}
@@ -0,0 +1,34 @@
+// SPDX-License-Identifier: MIT
+pragma solidity ^0.8.20;
+
+import {ERC20} from "@openzeppelin/contracts/token/ERC20/ERC20.sol";
+
+/**
+ * @title FeeOnTransferERC20
+ * @dev Mintable ERC-20 that burns a percentage of every transfer, so the
+ * receiver gets less than the sender sent. Used to check that ShieldedPool
+ * rejects such tokens. NEVER deploy to mainnet.
+ */
+contract FeeOnTransferERC20 is ERC20 {
+    uint256 public immutable feePercent;
+
+    constructor(uint256 feePercent_) ERC20("Fee Token", "FEE") {
+        feePercent = feePercent_;
+    }
+
+    /// @dev Mint tokens to any address (no access control by design)
+    function mint(address to, uint256 amount) external {
+        _mint(to, amount);
+    }
+
+    /// @dev Burn the fee out of every transfer between two accounts
+    function _update(address from, address to, uint256 value) internal override {
+        if (from == address(0) || to == address(0)) {
+            super._update(from, to, value);
+            return;
+        }
+        uint256 fee = (value * feePercent) / 100;
+        super._update(from, address(0), fee);
+        super._update(from, to, value - fee);
+    }
+}
@@ -16,6 +16,7 @@
 require("@nomiclabs/hardhat-ethers");    // For ethers.js integration
 require("@nomiclabs/hardhat-etherscan");  // For automatic contract verification
 require("dotenv").config();               // Load environment variables from .env file
+require("./tasks/vault");                 // vault:commit, vault:reveal, vault:status, vault:scan
 
 /** @type import('hardhat/config').HardhatUserConfig */
 module.exports = {
@@ -24,6 +25,29 @@ module.exports = {
   
   // Network configurations
   networks: {
+    /**
+     * In-process Hardhat network (the default, and --network hardhat)
+     *
+     * Starts empty for every command, so scripts run on it deploy what
+     * they need first (see scripts/demo-complete-flow.js). Nothing is
+     * recorded in deployments/ for it.
+     */
+    hardhat: {
+      chainId: 31337
+    },
+
+    /**
+     * Local Hardhat node (npm run start:node)
+     *
+     * Runs the whole flow offline with the node's funded test accounts.
+     * Deployments are recorded in deployments/31337.json, which git ignores
+     * because they do not outlive the node.
+     */
+    localhost: {
+      url: "http://127.0.0.1:8545",
+      chainId: 31337
+    },
+
     /**
      * Sepolia testnet configuration
      * 
@@ -0,0 +1,450 @@
+// File: lib/audit-log.js
+/**
+ * PrivateTransferVault - Decryption Audit Log
+ * ===========================================
+ *
+ * PURPOSE:
+ * Records every attempt to open a transfer payload with a view key, successful
+ * or not, in an append-only log that reveals any later edit or removal.
+ *
+ * ENTRY FORMAT (one JSON object per line):
+ *   seq            0, 1, 2, ... in append order
+ *   timestamp      ISO-8601 time of the attempt
+ *   commitment     Commitment whose payload was opened
+ *   keyFingerprint keccak256 of the compressed public view key used (null if the key was unusable);
+ *                  for an auditor bundle the day key that opened it, or the last one tried
+ *   requester      Who asked for the decryption (address or label)
+ *   outcome        "success" or "failure"
+ *   reason         Failure code or message, null on success
+ *   prevHash       hash of the previous entry (zero hash for the first entry)
+ *   hash           keccak256 over all fields above, in this order
+ *
+ * TAMPER EVIDENCE:
+ * - Editing an entry breaks its hash; removing one breaks the next entry's
+ *   prevHash and the sequence numbers
+ * - Dropping entries from the end leaves a valid but shorter chain; anchoring
+ *   the head on-chain (contracts/AuditAnchor.sol) closes that gap, because the
+ *   anchored entries must still be present with the anchored hashes
+ * - verifyAuditLog() reports every problem it finds instead of stopping at the first
+ *
+ * COVERAGE:
+ * Auditing is on by default. scanNotes(), PrivateTransferClient,
+ * openWithAuditorKeys() and the decryptPayload() / openEnvelope() exported by
+ * lib/index.js record every decryption request, including the notes a scan
+ * skips because they were not for the key. Without an `auditLog` option they
+ * write to the default log: AUDIT_LOG, or .audit/decryptions.log in the
+ * repository (setDefaultAuditLog() replaces it). Each request is one entry
+ * with its final result, however many keys it tried.
+ *
+ * PRIVACY NOTES:
+ * - Entries never contain private keys or payload contents; the fingerprint
+ *   is derived from the public half of the key that was tried
+ * - The log links requesters to commitments; store it with the same care as
+ *   the payloads themselves
+ * - AuditLog assumes a single writer process per log file
+ */
+const fs = require("fs");
+const path = require("path");
+const { ethers } = require("ethers");
+const { decryptPayload, openEnvelope } = require("./envelope");
+const { AuditLogError, EnvelopeError } = require("./errors");
+
+/**
+ * prevHash of the first entry
+ */
+const GENESIS_HASH = ethers.constants.HashZero;
+
+/**
+ * Log identifier used when anchoring, unless the caller picks another
+ */
+const DEFAULT_LOG_NAME = "PrivateTransferVault.Decryptions.v1";
+
+/**
+ * Log file used when a decryption is not given one, anchored to the repository
+ * so it does not depend on the working directory
+ */
+const DEFAULT_AUDIT_LOG_FILE = path.join(__dirname, "..", ".audit", "decryptions.log");
+
+const AUDIT_ANCHOR_ABI = [
+  // Errors
+  "error InvalidHead()",
+  "error StaleAnchor(uint64 seq, uint64 latestSeq)",
+
+  // Events
+  "event LogAnchored(address indexed anchorer, bytes32 indexed logId, uint64 seq, bytes32 head)",
+
+  // Anchoring
+  "function anchor(bytes32 logId, uint64 seq, bytes32 head)",
+
+  // Views
+  "function latestAnchor(address anchorer, bytes32 logId) view returns (uint64 seq, bytes32 head, uint64 anchoredAt)"
+];
+
+/**
+ * Fingerprint a view key for the log
+ *
+ * @param {string} key Private view key (32 bytes) or public view key (compressed or not)
+ * @returns {string|null} keccak256 of the compressed public key, or null if the key is unusable
+ */
+function viewKeyFingerprint(key) {
+  try {
+    return ethers.utils.keccak256(ethers.utils.computePublicKey(key, true));
+  } catch (error) {
+    return null;
+  }
+}
+
+/**
+ * Compute the hash of an entry from its fields
+ *
+ * @param {Object} entry Entry with every field except hash
+ * @returns {string} keccak256 entry hash
+ */
+function hashEntry(entry) {
+  const fields = [
+    entry.seq,
+    entry.timestamp,
+    entry.commitment,
+    entry.keyFingerprint,
+    entry.requester,
+    entry.outcome,
+    entry.reason,
+    entry.prevHash
+  ];
+  return ethers.utils.keccak256(ethers.utils.toUtf8Bytes(JSON.stringify(fields)));
+}
+
+/**
+ * Identifier of a log in the AuditAnchor contract
+ *
+ * @param {string} [name] Log name (default DEFAULT_LOG_NAME)
+ * @returns {string} bytes32 log id
+ */
+function auditLogId(name = DEFAULT_LOG_NAME) {
+  return ethers.utils.keccak256(ethers.utils.toUtf8Bytes(name));
+}
+
+/**
+ * Append-only, hash-chained log file
+ */
+class AuditLog {
+  /**
+   * @param {string} file Path of the log file (created on first append)
+   */
+  constructor(file) {
+    this.file = file;
+    this._head = undefined;
+  }
+
+  /**
+   * Read every line of the log
+   *
+   * @returns {string[]} Non-empty lines, oldest first
+   */
+  lines() {
+    if (!fs.existsSync(this.file)) {
+      return [];
+    }
+    return fs.readFileSync(this.file, "utf8").split("\n").filter((line) => line.trim() !== "");
+  }
+
+  /**
+   * The latest entry's position in the chain
+   *
+   * @returns {{seq: number, hash: string}|null} The head, or null for an empty log
+   * @throws {AuditLogError} CORRUPTED_LOG if the last entry is unreadable or does not hash correctly
+   */
+  head() {
+    if (this._head === undefined) {
+      const lines = this.lines();
+      if (lines.length === 0) {
+        this._head = null;
+      } else {
+        let last;
+        try {
+          last = JSON.parse(lines[lines.length - 1]);
+        } catch (error) {
+          throw new AuditLogError("CORRUPTED_LOG", `Last entry of ${this.file} is not valid JSON`);
+        }
+        if (hashEntry(last) !== last.hash) {
+          throw new AuditLogError("CORRUPTED_LOG", `Last entry of ${this.file} does not match its hash`);
+        }
+        this._head = { seq: last.seq, hash: last.hash };
+      }
+    }
+    return this._head;
+  }
+
+  /**
+   * Record one decryption attempt
+   *
+   * @param {Object} attempt
+   * @param {string} attempt.commitment Commitment whose payload was opened
+   * @param {string|null} attempt.keyFingerprint Fingerprint of the key used (viewKeyFingerprint)
+   * @param {string} attempt.requester Who asked for the decryption
+   * @param {boolean} attempt.success Whether the payload opened
+   * @param {string} [attempt.reason] Failure code or message
+   * @returns {Object} The appended entry
+   * @throws {AuditLogError} CORRUPTED_LOG if the existing log cannot be extended
+   */
+  append({ commitment, keyFingerprint, requester, success, reason }) {
+    const head = this.head();
+    const entry = {
+      seq: head ? head.seq + 1 : 0,
+      timestamp: new Date().toISOString(),
+      commitment,
+      keyFingerprint,
+      requester: String(requester),
+      outcome: success ? "success" : "failure",
+      reason: success ? null : String(reason || "unknown"),
+      prevHash: head ? head.hash : GENESIS_HASH
+    };
+    entry.hash = hashEntry(entry);
+
+    fs.mkdirSync(path.dirname(this.file), { recursive: true, mode: 0o700 });
+    fs.appendFileSync(this.file, JSON.stringify(entry) + "\n", { mode: 0o600 });
+    this._head = { seq: entry.seq, hash: entry.hash };
+    return entry;
+  }
+}
+
+let defaultAuditLog = null;
+
+/**
+ * The log decryptions are recorded in when the caller does not pass one
+ *
+ * @returns {AuditLog} AUDIT_LOG if set, DEFAULT_AUDIT_LOG_FILE otherwise, unless replaced
+ */
+function getDefaultAuditLog() {
+  if (!defaultAuditLog) {
+    defaultAuditLog = new AuditLog(process.env.AUDIT_LOG || DEFAULT_AUDIT_LOG_FILE);
+  }
+  return defaultAuditLog;
+}
+
+/**
+ * Replace the default log for the rest of the process
+ *
+ * @param {AuditLog} log Log to record unrouted decryptions in
+ */
+function setDefaultAuditLog(log) {
+  if (!log || typeof log.append !== "function") {
+    throw new Error("The default audit log must have an append() method");
+  }
+  defaultAuditLog = log;
+}
+
+/**
+ * Run one decryption request and record its final outcome
+ *
+ * @param {AuditLog|null} log Log to record the request in (null: the default log)
+ * @param {Object} attempt commitment, keyFingerprint and requester to record;
+ *   decrypt() may update keyFingerprint while it tries keys
+ * @param {function(Object): *} decrypt Performs the decryption, given the attempt
+ * @returns {*} What decrypt() returned
+ * @throws {Error} After logging the failure, whatever decrypt() threw
+ */
+function recordDecryption(log, attempt, decrypt) {
+  const auditLog = log || getDefaultAuditLog();
+  let result;
+  try {
+    result = decrypt(attempt);
+  } catch (error) {
+    auditLog.append({ ...attempt, success: false, reason: error instanceof EnvelopeError ? error.code : error.message });
+    throw error;
+  }
+  auditLog.append({ ...attempt, success: true });
+  return result;
+}
+
+/**
+ * Open an envelope and record the attempt, whatever its outcome
+ *
+ * @param {AuditLog} log Log to record the attempt in
+ * @param {Object} request
+ * @param {string} request.envelope Base64 envelope
+ * @param {string} request.privateViewKey Private view key to open it with
+ * @param {string} request.commitment Commitment the envelope belongs to
+ * @param {string} request.requester Who asked for the decryption
+ * @returns {*} The decrypted payload
+ * @throws {EnvelopeError} After logging the failure, if the envelope does not open
+ */
+function auditedOpenEnvelope(log, { envelope, privateViewKey, commitment, requester }) {
+  return recordDecryption(
+    log,
+    { commitment, keyFingerprint: viewKeyFingerprint(privateViewKey), requester },
+    () => openEnvelope(envelope, privateViewKey, commitment)
+  );
+}
+
+/**
+ * Open an envelope and record the attempt
+ *
+ * The library's decryption paths (note scanning, PrivateTransferClient and
+ * the openEnvelope() exported by lib/index.js) all open envelopes through this.
+ *
+ * @param {string} envelope Base64 envelope
+ * @param {string} privateViewKey Private view key to open it with
+ * @param {string} commitment Commitment the envelope belongs to
+ * @param {Object} [options]
+ * @param {AuditLog} [options.auditLog] Log to record the attempt in (default getDefaultAuditLog())
+ * @param {string} [options.requester] Who asked for the decryption (default "unspecified")
+ * @returns {*} The decrypted payload
+ * @throws {EnvelopeError} If the envelope does not open
+ */
+function openEnvelopeAudited(envelope, privateViewKey, commitment, { auditLog = null, requester = "unspecified" } = {}) {
+  return auditedOpenEnvelope(auditLog, { envelope, privateViewKey, commitment, requester });
+}
+
+/**
+ * Decrypt a symmetric (version 1) envelope and record the attempt
+ *
+ * The key is fingerprinted like a private view key, so the entry identifies
+ * it without revealing it.
+ *
+ * @param {string} envelope Base64 envelope from encryptPayload()
+ * @param {string} viewKey 32-byte hex view key
+ * @param {string} commitment Commitment the payload is expected to belong to
+ * @param {Object} [options]
+ * @param {AuditLog} [options.auditLog] Log to record the attempt in (default getDefaultAuditLog())
+ * @param {string} [options.requester] Who asked for the decryption (default "unspecified")
+ * @returns {Object|string} The payload
+ * @throws {EnvelopeError} If the envelope does not decrypt
+ */
+function decryptPayloadAudited(envelope, viewKey, commitment, { auditLog = null, requester = "unspecified" } = {}) {
+  return recordDecryption(
+    auditLog,
+    { commitment, keyFingerprint: viewKeyFingerprint(viewKey), requester },
+    () => decryptPayload(envelope, viewKey, commitment)
+  );
+}
+
+/**
+ * Check a log's hash chain, and optionally its on-chain anchors
+ *
+ * @param {AuditLog|string} logOrFile Log, or path of a log file
+ * @param {Object} [options]
+ * @param {{seq: number, head: string}[]} [options.anchors] Anchored heads to check (fetchAnchors)
+ * @returns {{valid: boolean, entries: number, head: Object|null, problems: Object[]}}
+ *   problems lists { seq, reason } for every inconsistency found
+ */
+function verifyAuditLog(logOrFile, { anchors = [] } = {}) {
+  const log = typeof logOrFile === "string" ? new AuditLog(logOrFile) : logOrFile;
+  const lines = log.lines();
+  const problems = [];
+  const hashes = [];
+  let prevHash = GENESIS_HASH;
+
+  lines.forEach((line, index) => {
+    let entry;
+    try {
+      entry = JSON.parse(line);
+    } catch (error) {
+      problems.push({ seq: index, reason: "Entry is not valid JSON" });
+      hashes.push(null);
+      prevHash = null;
+      return;
+    }
+
+    if (entry.seq !== index) {
+      problems.push({ seq: index, reason: `Sequence number is ${entry.seq}, expected ${index} (entries removed or reordered)` });
+    }
+    if (prevHash !== null && entry.prevHash !== prevHash) {
+      problems.push({ seq: index, reason: "prevHash does not match the previous entry (entries removed or edited)" });
+    }
+    if (hashEntry(entry) !== entry.hash) {
+      problems.push({ seq: index, reason: "Entry does not match its hash (entry edited)" });
+    }
+    hashes.push(entry.hash);
+    prevHash = entry.hash;
+  });
+
+  for (const { seq, head } of anchors) {
+    if (seq >= lines.length) {
+      problems.push({ seq, reason: `Anchored entry is missing; the log ends at ${lines.length} entries (log truncated)` });
+    } else if (hashes[seq] !== head) {
+      problems.push({ seq, reason: "Entry hash differs from the anchored head (history rewritten)" });
+    }
+  }
+
+  const last = hashes.length > 0 ? { seq: hashes.length - 1, hash: hashes[hashes.length - 1] } : null;
+  return { valid: problems.length === 0, entries: lines.length, head: last, problems };
+}
+
+/**
+ * Connect to an AuditAnchor contract
+ *
+ * @param {string} address Contract address
+ * @param {ethers.providers.Provider|ethers.Signer} providerOrSigner Signer to anchor, provider to read
+ * @returns {ethers.Contract} The anchor contract
+ */
+function connectAuditAnchor(address, providerOrSigner) {
+  return new ethers.Contract(address, AUDIT_ANCHOR_ABI, providerOrSigner);
+}
+
+/**
+ * Anchor the current head of a log, unless it is already anchored
+ *
+ * @param {AuditLog} log Log to anchor
+ * @param {ethers.Contract} anchorContract AuditAnchor connected to the anchoring signer
+ * @param {string} [logId] bytes32 log id (default auditLogId())
+ * @returns {Promise<{seq: number, head: string, tx: ethers.ContractTransaction}|null>}
+ *   The anchored head and its transaction, or null if there was nothing new to anchor
+ */
+async function anchorAuditLog(log, anchorContract, logId = auditLogId()) {
+  const head = log.head();
+  if (!head) {
+    return null;
+  }
+  const anchorer = await anchorContract.signer.getAddress();
+  const latest = await anchorContract.latestAnchor(anchorer, logId);
+  if (!latest.anchoredAt.isZero() && latest.seq.toNumber() >= head.seq) {
+    return null;
+  }
+  const tx = await anchorContract.anchor(logId, head.seq, head.hash);
+  return { seq: head.seq, head: head.hash, tx };
+}
+
+/**
+ * List every anchor of a log, oldest first
+ *
+ * @param {ethers.Contract} anchorContract AuditAnchor contract
+ * @param {string} anchorer Address that anchors the log
+ * @param {Object} [options]
+ * @param {string} [options.logId] bytes32 log id (default auditLogId())
+ * @param {number} [options.fromBlock] First block to search (anchor contract deployment)
+ * @returns {Promise<{seq: number, head: string, blockNumber: number, txHash: string}[]>}
+ */
+async function fetchAnchors(anchorContract, anchorer, { logId = auditLogId(), fromBlock = 0 } = {}) {
+  const events = await anchorContract.queryFilter(
+    anchorContract.filters.LogAnchored(anchorer, logId),
+    fromBlock
+  );
+  return events.map((event) => ({
+    seq: event.args.seq.toNumber(),
+    head: event.args.head,
+    blockNumber: event.blockNumber,
+    txHash: event.transactionHash
+  }));
+}
+
+module.exports = {
+  GENESIS_HASH,
+  DEFAULT_LOG_NAME,
+  DEFAULT_AUDIT_LOG_FILE,
+  AUDIT_ANCHOR_ABI,
+  AuditLog,
+  viewKeyFingerprint,
+  hashEntry,
+  auditLogId,
+  getDefaultAuditLog,
+  setDefaultAuditLog,
+  recordDecryption,
+  auditedOpenEnvelope,
+  openEnvelopeAudited,
+  decryptPayloadAudited,
+  verifyAuditLog,
+  connectAuditAnchor,
+  anchorAuditLog,
+  fetchAnchors
+};
@@ -0,0 +1,155 @@
+// File: lib/batch.js
+/**
+ * PrivateTransferVault - Batch Submission Helpers
+ * ===============================================
+ *
+ * PURPOSE:
+ * Support payroll-style runs where many transfers are committed at once:
+ * load transfer rows from CSV or JSON, and split their commitments into
+ * chunks that each fit a gas budget for PrivateTransferVault.submitTransfers().
+ *
+ * ROW FORMAT (CSV header or JSON object keys):
+ * - recipient  Recipient address (required)
+ * - amount     Positive amount in whole-token units, e.g. "1250.50" (required)
+ * - token      ERC-20 token address (optional, default ETH)
+ * - sender     Sender address (optional, the caller decides the default)
+ *
+ * CSV files are plain comma-separated values with a header line; quoting is
+ * not supported since none of the fields can contain commas. JSON files hold
+ * an array of row objects.
+ */
+const { ethers } = require("ethers");
+
+/**
+ * Columns every transfer row must provide
+ */
+const REQUIRED_COLUMNS = ["recipient", "amount"];
+
+/**
+ * Columns a transfer row may provide
+ */
+const OPTIONAL_COLUMNS = ["sender", "token"];
+
+/**
+ * Positive decimal amount in whole-token units (no sign, exponent or separators)
+ */
+const AMOUNT_PATTERN = /^(\d+(\.\d*)?|\.\d+)$/;
+
+/**
+ * Parse CSV text into row objects keyed by the header line
+ *
+ * @param {string} text CSV file contents
+ * @returns {Object[]} One object per non-empty data line
+ */
+function parseCsv(text) {
+  const lines = text.split(/\r?\n/).filter((line) => line.trim() !== "");
+  if (lines.length === 0) {
+    return [];
+  }
+
+  const header = lines[0].split(",").map((column) => column.trim());
+  return lines.slice(1).map((line, i) => {
+    const cells = line.split(",").map((cell) => cell.trim());
+    if (cells.length !== header.length) {
+      throw new Error(`CSV line ${i + 2} has ${cells.length} fields, expected ${header.length}`);
+    }
+    return Object.fromEntries(header.map((column, j) => [column, cells[j]]));
+  });
+}
+
+/**
+ * Load and validate transfer rows from CSV or JSON text
+ *
+ * @param {string} text File contents
+ * @param {string} format "csv" or "json"
+ * @returns {Object[]} Rows with checksummed addresses and a 1-based `row` number;
+ *   empty optional fields are dropped
+ * @throws {Error} Naming the offending row for missing columns, bad addresses or
+ *   amounts that are not positive decimals
+ */
+function parseTransferRows(text, format) {
+  let rows;
+  if (format === "csv") {
+    rows = parseCsv(text);
+  } else if (format === "json") {
+    rows = JSON.parse(text);
+    if (!Array.isArray(rows)) {
+      throw new Error("JSON transfer file must contain an array of rows");
+    }
+  } else {
+    throw new Error(`Unsupported transfer file format '${format}' (use csv or json)`);
+  }
+
+  return rows.map((raw, i) => {
+    const row = { row: i + 1 };
+    for (const column of REQUIRED_COLUMNS) {
+      if (raw[column] === undefined || raw[column] === "") {
+        throw new Error(`Row ${row.row} is missing '${column}'`);
+      }
+    }
+    for (const column of [...REQUIRED_COLUMNS, ...OPTIONAL_COLUMNS]) {
+      const value = raw[column];
+      if (value === undefined || value === "") {
+        continue;
+      }
+      if (column === "amount") {
+        const amount = String(value);
+        if (!AMOUNT_PATTERN.test(amount) || !/[1-9]/.test(amount)) {
+          throw new Error(`Row ${row.row} has an invalid 'amount' (expected a positive decimal, e.g. 1250.50)`);
+        }
+        row.amount = amount;
+      } else if (ethers.utils.isAddress(value)) {
+        row[column] = ethers.utils.getAddress(value);
+      } else {
+        throw new Error(`Row ${row.row} has an invalid '${column}' address`);
+      }
+    }
+    return row;
+  });
+}
+
+/**
+ * Split commitments into chunks that each fit a gas budget
+ *
+ * Starts from `maxChunkSize` and, whenever the estimate for a chunk exceeds
+ * the budget, shrinks it in proportion to the overshoot. Merkle insertion
+ * costs about the same for every leaf, so this converges in one or two
+ * estimates per chunk.
+ *
+ * @param {string[]} commitments All commitments, in submission order
+ * @param {function(string[]): Promise<ethers.BigNumber>} estimateGas Gas estimate for one chunk
+ * @param {Object} options
+ * @param {number} options.gasLimit Gas budget per transaction
+ * @param {number} options.maxChunkSize Upper bound on commitments per transaction
+ * @returns {Promise<Array<{commitments: string[], gasEstimate: ethers.BigNumber}>>} The chunks, in order
+ * @throws {Error} If a single commitment does not fit the budget
+ */
+async function chunkByGas(commitments, estimateGas, { gasLimit, maxChunkSize }) {
+  const chunks = [];
+  let start = 0;
+  while (start < commitments.length) {
+    let size = Math.min(maxChunkSize, commitments.length - start);
+    for (;;) {
+      const chunk = commitments.slice(start, start + size);
+      const gasEstimate = await estimateGas(chunk);
+      if (gasEstimate.lte(gasLimit)) {
+        chunks.push({ commitments: chunk, gasEstimate });
+        start += size;
+        break;
+      }
+      if (size === 1) {
+        throw new Error(`A single commitment needs ${gasEstimate} gas, above the ${gasLimit} budget`);
+      }
+      size = Math.max(1, Math.min(size - 1, Math.floor((size * gasLimit) / gasEstimate.toNumber())));
+    }
+  }
+  return chunks;
+}
+
+module.exports = {
+  REQUIRED_COLUMNS,
+  OPTIONAL_COLUMNS,
+  parseCsv,
+  parseTransferRows,
+  chunkByGas
+};
@@ -0,0 +1,442 @@
+// File: lib/client.js
+/**
+ * PrivateTransferVault - Client SDK
+ * =================================
+ *
+ * PURPOSE:
+ * One object for services that move transfers through a vault: build and sign
+ * commitments, submit them with or without an encrypted note, follow the
+ * transaction to its events, encrypt and decrypt payloads with view keys,
+ * scan for incoming notes and verify or reveal openings. It composes the
+ * single-purpose modules of this library; nothing here needs Hardhat.
+ *
+ * USAGE:
+ *   const { PrivateTransferClient } = require("private-transfer-vault");
+ *   const client = await PrivateTransferClient.connect(wallet);   // vault from deployments/
+ *   const transfer = await client.transfer({ recipient, amount, viewKeys: [recipientViewKey] });
+ *
+ * TECHNICAL NOTES:
+ * - Amounts are in the token's base units (see lib/tokens.js parseAmount)
+ * - Submissions are checked first like the relayer does (already committed,
+ *   paused, attested relayers only), and reverts that slip through are decoded
+ *   from the vault's custom errors; both surface as ClientError codes
+ * - A client created with a provider only can read, scan and verify; signing
+ *   and sending throw ClientError NO_SIGNER
+ * - Every decryption attempt of decryptPayload() and scan() is recorded in
+ *   the `auditLog` (lib/audit-log.js; default log if none), failed ones included
+ */
+const { ethers } = require("ethers");
+const { buildCommitment, createOpening, hashOpening } = require("./commitment");
+const { signTransferIntent, verifyTransferIntent } = require("./intent");
+const { sealEnvelope } = require("./envelope");
+const { openEnvelopeAudited } = require("./audit-log");
+const { encodeNote, decodeNote, scanNotes } = require("./note-scanner");
+const { verifyOpening, revealArgs } = require("./opening-verifier");
+const { relayerStatus } = require("./relayer-registry");
+const { resolveDeployment } = require("./deployments");
+const { VAULT_ABI, vaultInterface } = require("./vault-abi");
+const { ClientError } = require("./errors");
+
+/**
+ * ClientError codes of the vault's custom errors
+ */
+const VAULT_ERROR_CODES = {
+  CommitmentAlreadySubmitted: "COMMITMENT_EXISTS",
+  UnknownCommitment: "UNKNOWN_COMMITMENT",
+  CommitmentAlreadyRevealed: "ALREADY_REVEALED",
+  EnforcedPause: "VAULT_PAUSED",
+  RelayerNotAttested: "RELAYER_NOT_ATTESTED"
+};
+
+/**
+ * Find the revert data in an ethers or JSON-RPC error
+ * Nodes nest it differently (error.data, error.error.data, error.error.data.data)
+ *
+ * @param {Error} error Error thrown by a contract call
+ * @returns {string|null} Hex revert data, or null if there is none
+ */
+function findRevertData(error) {
+  let current = error;
+  for (let depth = 0; current && depth < 5; depth++) {
+    if (ethers.utils.isHexString(current.data) && current.data.length >= 10) {
+      return current.data;
+    }
+    if (current.data && ethers.utils.isHexString(current.data.data) && current.data.data.length >= 10) {
+      return current.data.data;
+    }
+    current = current.error;
+  }
+  return null;
+}
+
+/**
+ * Turn a failed vault call into a ClientError
+ *
+ * @param {Error} error Error thrown by a contract call
+ * @returns {Error} A ClientError for vault reverts; any other error unchanged
+ */
+function toClientError(error) {
+  const data = findRevertData(error);
+  if (!data) {
+    return error;
+  }
+  let decoded;
+  try {
+    decoded = vaultInterface.parseError(data);
+  } catch (parseError) {
+    return new ClientError("TRANSACTION_FAILED", `Vault call reverted (${data.slice(0, 10)})`);
+  }
+  const reason = `${decoded.name}(${decoded.args.map(String).join(", ")})`;
+  return new ClientError(VAULT_ERROR_CODES[decoded.name] || "TRANSACTION_FAILED", `Vault call reverted: ${reason}`);
+}
+
+/**
+ * Client for one PrivateTransferVault
+ */
+class PrivateTransferClient {
+  /**
+   * @param {Object} options
+   * @param {string} options.vaultAddress Vault contract address
+   * @param {ethers.Signer|ethers.providers.Provider} options.signerOrProvider Signer connected
+   *   to a provider (to send and sign), or a provider (read-only)
+   * @param {number} options.chainId Chain the vault is on
+   * @param {number|null} [options.deploymentBlock] Vault deployment block, where scans start
+   * @param {AuditLog|null} [options.auditLog] Log to record every decryption attempt in (default log if null)
+   * @param {string} [options.requester] Requester recorded with those attempts (default "unspecified")
+   */
+  constructor({ vaultAddress, signerOrProvider, chainId, deploymentBlock = null, auditLog = null, requester = "unspecified" }) {
+    this.signer = ethers.Signer.isSigner(signerOrProvider) ? signerOrProvider : null;
+    this.provider = this.signer ? this.signer.provider : signerOrProvider;
+    this.chainId = chainId;
+    this.deploymentBlock = deploymentBlock;
+    this.auditLog = auditLog;
+    this.requester = requester;
+    this.vault = new ethers.Contract(ethers.utils.getAddress(vaultAddress), VAULT_ABI, signerOrProvider);
+  }
+
+  /**
+   * Create a client for the vault on the signer's or provider's chain
+   *
+   * @param {ethers.Signer|ethers.providers.Provider} signerOrProvider See the constructor
+   * @param {Object} [options]
+   * @param {string} [options.vaultAddress] Vault address (default: the chain's deployments registry entry)
+   * @param {string} [options.directory] Deployments registry directory
+   * @param {AuditLog} [options.auditLog] See the constructor
+   * @param {string} [options.requester] See the constructor
+   * @returns {Promise<PrivateTransferClient>}
+   * @throws {DeploymentError} If no vault is given and none is recorded, it has no code,
+   *   or its recorded ABI differs from this library's (ABI_MISMATCH)
+   */
+  static async connect(signerOrProvider, { vaultAddress, directory, auditLog, requester } = {}) {
+    const provider = ethers.Signer.isSigner(signerOrProvider) ? signerOrProvider.provider : signerOrProvider;
+    const deployment = await resolveDeployment(provider, "PrivateTransferVault", {
+      address: vaultAddress,
+      abi: VAULT_ABI,
+      directory
+    });
+    return new PrivateTransferClient({
+      vaultAddress: deployment.address,
+      signerOrProvider,
+      chainId: deployment.chainId,
+      deploymentBlock: deployment.blockNumber,
+      auditLog,
+      requester
+    });
+  }
+
+  /**
+   * Vault contract address
+   */
+  get address() {
+    return this.vault.address;
+  }
+
+  /**
+   * Build the commitment of a transfer on this vault
+   *
+   * @param {Object} transfer
+   * @param {string} transfer.recipient Recipient address
+   * @param {ethers.BigNumberish} transfer.amount Amount in base units
+   * @param {string} [transfer.token] ERC-20 token (default: native ETH)
+   * @param {string} [transfer.sender] Sender (default: the client's signer)
+   * @param {ethers.BigNumberish} [transfer.timestamp] Transfer time (default: now)
+   * @param {string} [transfer.salt] 32-byte salt (default: random)
+   * @returns {Promise<{commitment: string, opening: Object}>}
+   */
+  async createTransfer({ recipient, amount, token, sender, timestamp, salt }) {
+    return buildCommitment({
+      chainId: this.chainId,
+      vault: this.address,
+      sender: sender || (await this._requireSigner().getAddress()),
+      recipient,
+      token,
+      amount,
+      timestamp: timestamp === undefined ? Math.floor(Date.now() / 1000) : timestamp,
+      salt
+    });
+  }
+
+  /**
+   * Sign the EIP-712 transfer intent of an opening as its sender
+   *
+   * @param {Object} opening Opening of a transfer on this vault
+   * @returns {Promise<string>} Intent signature
+   * @throws {ClientError} NO_SIGNER, or WRONG_DOMAIN for another chain or vault
+   */
+  async signIntent(opening) {
+    this._checkDomain(opening);
+    return signTransferIntent(this._requireSigner(), opening);
+  }
+
+  /**
+   * Encrypt a payload to view keys, bound to its commitment
+   *
+   * @param {Object|string} payload Usually `{ opening, signature }`
+   * @param {string[]} publicViewKeys Public view keys of every party allowed to read it
+   * @param {string} commitment Commitment the payload belongs to
+   * @returns {string} Base64 sealed envelope
+   */
+  encryptPayload(payload, publicViewKeys, commitment) {
+    return sealEnvelope(payload, publicViewKeys, commitment);
+  }
+
+  /**
+   * Decrypt a payload with a private view key
+   *
+   * @param {string} envelope Sealed envelope
+   * @param {string} privateViewKey Private view key of one of its parties
+   * @param {string} commitment Commitment the payload belongs to
+   * @param {Object} [options]
+   * @param {string} [options.requester] Requester to record in the audit log (default: the client's)
+   * @returns {Object|string} The payload
+   * @throws {EnvelopeError} If the key is not a party's, or the envelope was tampered with
+   */
+  decryptPayload(envelope, privateViewKey, commitment, { requester = this.requester } = {}) {
+    return openEnvelopeAudited(envelope, privateViewKey, commitment, { auditLog: this.auditLog, requester });
+  }
+
+  /**
+   * Submit a commitment, optionally with its encrypted note
+   *
+   * @param {string} commitment Commitment to submit
+   * @param {Object} [options]
+   * @param {string} [options.envelope] Sealed envelope to post as an EncryptedNote
+   * @returns {Promise<ethers.providers.TransactionResponse>} The sent transaction
+   * @throws {ClientError} NO_SIGNER, COMMITMENT_EXISTS, VAULT_PAUSED, RELAYER_NOT_ATTESTED
+   *   or TRANSACTION_FAILED
+   */
+  async submit(commitment, { envelope } = {}) {
+    const signer = this._requireSigner();
+    if (await this.vault.isCommitted(commitment)) {
+      throw new ClientError("COMMITMENT_EXISTS", `Commitment ${commitment} was already submitted`);
+    }
+    if (await this.vault.paused()) {
+      throw new ClientError("VAULT_PAUSED", `Vault ${this.address} is paused`);
+    }
+    const submitter = await signer.getAddress();
+    if (!(await relayerStatus(this.vault, submitter)).attested) {
+      throw new ClientError("RELAYER_NOT_ATTESTED", `Vault ${this.address} only accepts attested relayers and ${submitter} is not one`);
+    }
+
+    try {
+      return envelope === undefined
+        ? await this.vault.submitTransfer(commitment)
+        : await this.vault.submitTransferWithNote(commitment, encodeNote(envelope));
+    } catch (error) {
+      throw toClientError(error);
+    }
+  }
+
+  /**
+   * Wait for a vault transaction and parse its events
+   *
+   * @param {ethers.providers.TransactionResponse|string} txOrHash Transaction or its hash
+   * @param {Object} [options]
+   * @param {number} [options.confirmations] Blocks to wait for (default 1)
+   * @returns {Promise<{txHash: string, blockNumber: number, receipt: Object, events: Object[]}>}
+   * @throws {ClientError} TRANSACTION_FAILED if the transaction reverted
+   */
+  async waitForTransaction(txOrHash, { confirmations = 1 } = {}) {
+    const txHash = typeof txOrHash === "string" ? txOrHash : txOrHash.hash;
+    const receipt = await this.provider.waitForTransaction(txHash, confirmations);
+    if (receipt.status === 0) {
+      throw new ClientError("TRANSACTION_FAILED", `Transaction ${txHash} reverted`);
+    }
+    return { txHash, blockNumber: receipt.blockNumber, receipt, events: this.parseEvents(receipt) };
+  }
+
+  /**
+   * Extract this vault's events from a transaction receipt
+   *
+   * @param {Object} receipt Transaction receipt
+   * @returns {Object[]} One entry per vault log: `name`, `commitment`, `logIndex`, plus
+   *   `leafIndex` and `root` (LeafInserted), `envelope` (EncryptedNote) or the revealed
+   *   details (TransferRevealed); other vault events carry their arguments in `args`.
+   *   Logs the ABI cannot decode (e.g. from a newer vault version) are skipped.
+   */
+  parseEvents(receipt) {
+    return receipt.logs
+      .filter((log) => ethers.utils.getAddress(log.address) === this.address)
+      .map((log) => {
+        let parsed;
+        try {
+          parsed = vaultInterface.parseLog(log);
+        } catch (error) {
+          return null;
+        }
+        const event = { name: parsed.name, logIndex: log.logIndex };
+        switch (parsed.name) {
+          case "PrivateTransfer":
+            return { ...event, commitment: parsed.args.commitment };
+          case "LeafInserted":
+            return { ...event, commitment: parsed.args.commitment, leafIndex: parsed.args.leafIndex, root: parsed.args.root };
+          case "EncryptedNote":
+            return { ...event, commitment: parsed.args.commitment, envelope: decodeNote(parsed.args.encryptedNote) };
+          case "TransferRevealed":
+            return {
+              ...event,
+              commitment: parsed.args.commitment,
+              sender: parsed.args.sender,
+              recipient: parsed.args.recipient,
+              token: parsed.args.token,
+              amount: parsed.args.amount.toString(),
+              timestamp: parsed.args.timestamp.toString()
+            };
+          default:
+            return { ...event, args: parsed.args };
+        }
+      })
+      .filter((event) => event !== null);
+  }
+
+  /**
+   * Commit to a transfer from the signer, end to end
+   *
+   * Builds the commitment, signs the intent, seals `{ opening, signature }` to
+   * the given view keys (posted as an encrypted note), submits and waits.
+   *
+   * @param {Object} transfer See createTransfer(), plus:
+   * @param {string[]} [transfer.viewKeys] Public view keys to encrypt the payload to
+   *   (none: no encrypted note)
+   * @param {number} [transfer.confirmations] Blocks to wait for (default 1)
+   * @returns {Promise<Object>} commitment, opening, signature, envelope (or null),
+   *   txHash, blockNumber and events
+   */
+  async transfer({ viewKeys = [], confirmations, ...details }) {
+    const { commitment, opening } = await this.createTransfer(details);
+    const signature = await this.signIntent(opening);
+    const envelope = viewKeys.length > 0
+      ? this.encryptPayload({ opening, signature }, viewKeys, commitment)
+      : null;
+    const tx = await this.submit(commitment, envelope === null ? {} : { envelope });
+    const { txHash, blockNumber, events } = await this.waitForTransaction(tx, { confirmations });
+    return { commitment, opening, signature, envelope, txHash, blockNumber, events };
+  }
+
+  /**
+   * Look up a commitment in the vault
+   *
+   * @param {string} commitment Commitment to look up
+   * @returns {Promise<{commitment: string, committed: boolean, revealed: boolean,
+   *   index: number|null, blockNumber: number|null}>}
+   */
+  async getStatus(commitment) {
+    if (!(await this.vault.isCommitted(commitment))) {
+      return { commitment, committed: false, revealed: false, index: null, blockNumber: null };
+    }
+    const [[index, blockNumber], revealed] = await Promise.all([
+      this.vault.getCommitment(commitment),
+      this.vault.isRevealed(commitment)
+    ]);
+    return { commitment, committed: true, revealed, index: index.toNumber(), blockNumber: blockNumber.toNumber() };
+  }
+
+  /**
+   * Find the transfers a view key can read
+   *
+   * @param {string} privateViewKey Private view key
+   * @param {Object} [options]
+   * @param {number} [options.fromBlock] First block (default: the vault's deployment block, else 0)
+   * @param {number|string} [options.toBlock] Last block (default "latest")
+   * @param {string} [options.requester] Requester to record in the audit log (default: the client's)
+   * @returns {Promise<Object[]>} Notes as returned by lib/note-scanner.js scanNotes()
+   */
+  async scan(privateViewKey, { fromBlock = this.deploymentBlock || 0, toBlock = "latest", requester = this.requester } = {}) {
+    return scanNotes(this.provider, this.address, privateViewKey, { fromBlock, toBlock, auditLog: this.auditLog, requester });
+  }
+
+  /**
+   * Verify an opening against its submission transaction
+   *
+   * @param {Object} opening Commitment opening
+   * @param {string} txHash Transaction that submitted the commitment
+   * @param {Object} [options]
+   * @param {string} [options.signature] Sender's intent signature, checked when given
+   * @returns {Promise<Object>} lib/opening-verifier.js result, plus `senderConsent`
+   *   (null without a signature); `valid` is false if the signature does not verify
+   */
+  async verifyOpening(opening, txHash, { signature } = {}) {
+    const result = await verifyOpening(this.provider, opening, txHash);
+    if (signature === undefined) {
+      return { ...result, senderConsent: null };
+    }
+    const senderConsent = verifyTransferIntent(opening, signature);
+    return senderConsent
+      ? { ...result, senderConsent }
+      : { ...result, senderConsent, valid: false, reason: result.reason || "Intent signature was not made by the sender" };
+  }
+
+  /**
+   * Disclose a transfer publicly through the vault's reveal()
+   *
+   * @param {Object} opening Opening of a transfer on this vault
+   * @returns {Promise<ethers.providers.TransactionResponse>} The sent transaction
+   * @throws {ClientError} NO_SIGNER, WRONG_DOMAIN, UNKNOWN_COMMITMENT, ALREADY_REVEALED
+   *   or TRANSACTION_FAILED
+   */
+  async reveal(opening) {
+    this._requireSigner();
+    this._checkDomain(opening);
+    const { committed, revealed, commitment } = await this.getStatus(hashOpening(opening));
+    if (!committed) {
+      throw new ClientError("UNKNOWN_COMMITMENT", `Commitment ${commitment} was never submitted`);
+    }
+    if (revealed) {
+      throw new ClientError("ALREADY_REVEALED", `Commitment ${commitment} is already revealed`);
+    }
+    try {
+      return await this.vault.reveal(...revealArgs(opening));
+    } catch (error) {
+      throw toClientError(error);
+    }
+  }
+
+  /**
+   * Whether the vault accepts submissions from an account
+   *
+   * @param {string} [relayer] Account to check (default: the signer)
+   * @returns {Promise<{gated: boolean, attested: boolean, registry: string|null}>}
+   */
+  async relayerStatus(relayer) {
+    return relayerStatus(this.vault, relayer || (await this._requireSigner().getAddress()));
+  }
+
+  _requireSigner() {
+    if (!this.signer) {
+      throw new ClientError("NO_SIGNER", "This client is read-only; create it with a signer to sign and send");
+    }
+    return this.signer;
+  }
+
+  _checkDomain(opening) {
+    const { chainId, vault } = createOpening(opening);
+    if (chainId !== this.chainId || vault !== this.address) {
+      throw new ClientError("WRONG_DOMAIN", `Opening is for vault ${vault} on chain ${chainId}, not ${this.address} on chain ${this.chainId}`);
+    }
+  }
+}
+
+module.exports = {
+  PrivateTransferClient,
+  toClientError
+};
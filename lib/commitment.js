@@ -0,0 +1,172 @@
+// File: lib/commitment.js
+/**
+ * PrivateTransferVault - Commitment Construction
+ * ==============================================
+ *
+ * PURPOSE:
+ * Single source of truth for how transfer commitments are built. Every script
+ * (and any future service) that submits to the vault should go through this
+ * module so that commitments can later be opened and verified consistently.
+ *
+ * COMMITMENT FORMAT:
+ *   keccak256(abi.encode(
+ *     COMMITMENT_DOMAIN,  // bytes32 - fixed tag for this commitment scheme
+ *     chainId,            // uint256 - network the commitment is meant for
+ *     vault,              // address - vault the commitment is submitted to
+ *     sender,             // address
+ *     recipient,          // address
+ *     token,              // address - ERC-20 token, address(0) for ETH
+ *     amount,             // uint256 - in the token's base units
+ *     timestamp,          // uint256
+ *     salt                // bytes32 - 32 random bytes, kept secret
+ *   ))
+ *
+ * PRIVACY NOTES:
+ * - Without the salt, the hash of (sender, recipient, amount, timestamp) can be
+ *   brute-forced: addresses are often known, amounts are round and the
+ *   timestamp sits close to the block time. The 256-bit salt makes that
+ *   search infeasible.
+ * - The token address is committed too, so an opening cannot be replayed as a
+ *   transfer of a different asset with the same amount.
+ * - The domain tag, chainId and vault address bind a commitment to one scheme
+ *   on one deployment, so it cannot be replayed on another chain or vault.
+ * - The "opening" returned alongside the commitment holds everything needed
+ *   to recompute it, INCLUDING THE SALT. Store it as securely as the transfer
+ *   details themselves.
+ */
+const { ethers } = require("ethers");
+
+/**
+ * Domain separation tag for the commitment scheme
+ * Bump the version suffix whenever the encoded layout changes
+ */
+const COMMITMENT_DOMAIN = ethers.utils.keccak256(
+  ethers.utils.toUtf8Bytes("PrivateTransferVault.Commitment.v2")
+);
+
+/**
+ * Version of the opening object layout produced by this module
+ */
+const OPENING_VERSION = 2;
+
+/**
+ * ABI types of the encoded commitment preimage, in order
+ */
+const COMMITMENT_TYPES = [
+  "bytes32", // domain
+  "uint256", // chainId
+  "address", // vault
+  "address", // sender
+  "address", // recipient
+  "address", // token
+  "uint256", // amount
+  "uint256", // timestamp
+  "bytes32"  // salt
+];
+
+/**
+ * Generate a fresh 32-byte secret salt
+ *
+ * @returns {string} 0x-prefixed 32-byte hex string
+ */
+function generateSalt() {
+  return ethers.utils.hexlify(ethers.utils.randomBytes(32));
+}
+
+/**
+ * Normalise transfer details into an opening object
+ *
+ * TECHNICAL DETAILS:
+ * - Addresses are checksummed, numeric values are stored as decimal strings
+ *   so the opening survives a JSON round trip without precision loss
+ * - The salt is required: an opening without one can never match its
+ *   commitment, so it is rejected rather than given a fresh random salt.
+ *   Only buildCommitment generates salts
+ * - The token defaults to address(0), which stands for native ETH
+ *
+ * @param {Object} params Transfer details
+ * @param {number|string} params.chainId Chain the commitment is bound to
+ * @param {string} params.vault Vault contract address
+ * @param {string} params.sender Sender address
+ * @param {string} params.recipient Recipient address
+ * @param {string} [params.token] ERC-20 token address (address(0)/omitted for ETH)
+ * @param {ethers.BigNumberish} params.amount Amount in the token's base units
+ * @param {ethers.BigNumberish} params.timestamp Transfer timestamp
+ * @param {string} params.salt 32-byte salt
+ * @returns {Object} Opening object
+ * @throws {Error} If a field, including the salt, is missing or malformed
+ */
+function createOpening(params) {
+  const { chainId, vault, sender, recipient, amount, timestamp, salt } = params;
+  const token = params.token || ethers.constants.AddressZero;
+
+  if (chainId === undefined || chainId === null) {
+    throw new Error("Commitment opening requires a chainId");
+  }
+  if (salt === undefined || salt === null) {
+    throw new Error("Commitment opening requires a salt");
+  }
+  if (!ethers.utils.isHexString(salt, 32)) {
+    throw new Error("Commitment salt must be a 32-byte hex string");
+  }
+
+  return {
+    version: OPENING_VERSION,
+    chainId: ethers.BigNumber.from(chainId).toNumber(),
+    vault: ethers.utils.getAddress(vault),
+    sender: ethers.utils.getAddress(sender),
+    recipient: ethers.utils.getAddress(recipient),
+    token: ethers.utils.getAddress(token),
+    amount: ethers.BigNumber.from(amount).toString(),
+    timestamp: ethers.BigNumber.from(timestamp).toString(),
+    salt: ethers.utils.hexlify(salt)
+  };
+}
+
+/**
+ * Recompute the commitment for an opening
+ *
+ * @param {Object} opening Opening object (see createOpening)
+ * @returns {string} The bytes32 commitment
+ */
+function hashOpening(opening) {
+  const normalised = createOpening(opening);
+  const encoded = ethers.utils.defaultAbiCoder.encode(COMMITMENT_TYPES, [
+    COMMITMENT_DOMAIN,
+    normalised.chainId,
+    normalised.vault,
+    normalised.sender,
+    normalised.recipient,
+    normalised.token,
+    normalised.amount,
+    normalised.timestamp,
+    normalised.salt
+  ]);
+  return ethers.utils.keccak256(encoded);
+}
+
+/**
+ * Build a blinded commitment for a transfer
+ *
+ * @param {Object} params Transfer details (see createOpening); a new salt is
+ *   generated when params.salt is omitted
+ * @returns {{commitment: string, opening: Object}} The commitment to submit
+ *   on-chain and the opening to keep private
+ */
+function buildCommitment(params) {
+  const opening = createOpening({ ...params, salt: params.salt === undefined ? generateSalt() : params.salt });
+  return {
+    commitment: hashOpening(opening),
+    opening
+  };
+}
+
+module.exports = {
+  COMMITMENT_DOMAIN,
+  COMMITMENT_TYPES,
+  OPENING_VERSION,
+  generateSalt,
+  createOpening,
+  hashOpening,
+  buildCommitment
+};
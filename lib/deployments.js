@@ -0,0 +1,222 @@
+// File: lib/deployments.js
+/**
+ * PrivateTransferVault - Deployments Registry
+ * ===========================================
+ *
+ * PURPOSE:
+ * Records where each contract is deployed on each chain, so scripts and
+ * services find their contracts from the network they are connected to
+ * instead of from per-network address files.
+ *
+ * LAYOUT:
+ * One JSON file per chain, deployments/<chainId>.json:
+ *   {
+ *     "chainId": 11155111,
+ *     "network": "sepolia",
+ *     "contracts": {
+ *       "PrivateTransferVault": {
+ *         "address": "0x...",
+ *         "transactionHash": "0x...",   deployment transaction
+ *         "blockNumber": 123,           first block worth scanning for logs
+ *         "abiHash": "0x...",           see abiHash()
+ *         "constructorArgs": [...],
+ *         "deployedAt": "2026-10-19T..."
+ *       }
+ *     }
+ *   }
+ * scripts/deploy-sepolia.js writes the entries. Files of public chains are
+ * committed; local chains (31337) are ignored by git because they do not
+ * outlive the node.
+ *
+ * TECHNICAL NOTES:
+ * - The ABI hash is keccak256 of the sorted, normalised signatures, so it
+ *   changes only when the external interface changes. Resolving with an ABI
+ *   refuses a deployment whose interface differs from the caller's.
+ * - Resolution checks that the address holds code, which catches records left
+ *   behind by a restarted local node.
+ */
+const fs = require("fs");
+const path = require("path");
+const { ethers } = require("ethers");
+const { DeploymentError } = require("./errors");
+
+/**
+ * Default directory of the registry files
+ */
+const DEPLOYMENTS_DIR = path.join(__dirname, "..", "deployments");
+
+/**
+ * Chains of local development nodes, which have no block explorer
+ */
+const LOCAL_CHAIN_IDS = [31337, 1337];
+
+/**
+ * Block explorers by chainId
+ */
+const EXPLORERS = {
+  1: { name: "Etherscan", url: "https://etherscan.io" },
+  11155111: { name: "Sepolia Etherscan", url: "https://sepolia.etherscan.io" },
+  17000: { name: "Holesky Etherscan", url: "https://holesky.etherscan.io" }
+};
+
+/**
+ * Hash a contract ABI independently of its formatting and ordering
+ *
+ * @param {Array|string} abi JSON ABI or human-readable fragments
+ * @returns {string} bytes32 hash
+ */
+function abiHash(abi) {
+  const signatures = new ethers.utils.Interface(abi).fragments
+    .map((fragment) => fragment.format(ethers.utils.FormatTypes.full))
+    .sort();
+  return ethers.utils.keccak256(ethers.utils.toUtf8Bytes(signatures.join("\n")));
+}
+
+/**
+ * Path of the registry file of a chain
+ *
+ * @param {number} chainId Chain id
+ * @param {Object} [options]
+ * @param {string} [options.directory] Registry directory (default deployments/)
+ * @returns {string} File path
+ */
+function deploymentsFile(chainId, { directory = DEPLOYMENTS_DIR } = {}) {
+  return path.join(directory, `${chainId}.json`);
+}
+
+/**
+ * Read the registry of a chain
+ *
+ * @param {number} chainId Chain id
+ * @param {Object} [options] See deploymentsFile()
+ * @returns {{chainId: number, network: string|null, contracts: Object}} Empty when nothing is recorded
+ */
+function loadDeployments(chainId, options = {}) {
+  const file = deploymentsFile(chainId, options);
+  if (!fs.existsSync(file)) {
+    return { chainId, network: null, contracts: {} };
+  }
+  return JSON.parse(fs.readFileSync(file, "utf8"));
+}
+
+/**
+ * Record a deployment, replacing any earlier entry of the same contract
+ *
+ * @param {number} chainId Chain id
+ * @param {string} name Contract name
+ * @param {Object} deployment
+ * @param {string} deployment.network Network name, for readers of the file
+ * @param {string} deployment.address Contract address
+ * @param {string} deployment.transactionHash Deployment transaction hash
+ * @param {number} deployment.blockNumber Deployment block
+ * @param {Array} deployment.abi Contract ABI (only its hash is stored)
+ * @param {Array} [deployment.constructorArgs] Constructor arguments
+ * @param {Object} [options] See deploymentsFile()
+ * @returns {Object} The stored entry
+ */
+function recordDeployment(chainId, name, { network, address, transactionHash, blockNumber, abi, constructorArgs = [] }, options = {}) {
+  const registry = loadDeployments(chainId, options);
+  const entry = {
+    address: ethers.utils.getAddress(address),
+    transactionHash,
+    blockNumber,
+    abiHash: abiHash(abi),
+    constructorArgs: constructorArgs.map((arg) => (ethers.BigNumber.isBigNumber(arg) ? arg.toString() : arg)),
+    deployedAt: new Date().toISOString()
+  };
+  registry.chainId = chainId;
+  registry.network = network;
+  registry.contracts = { ...registry.contracts, [name]: entry };
+
+  const file = deploymentsFile(chainId, options);
+  fs.mkdirSync(path.dirname(file), { recursive: true });
+  fs.writeFileSync(file, `${JSON.stringify(registry, null, 2)}\n`);
+  return entry;
+}
+
+/**
+ * Find a contract on the chain a provider is connected to
+ *
+ * @param {ethers.providers.Provider} provider Provider of the target chain
+ * @param {string} name Contract name
+ * @param {Object} [options]
+ * @param {string} [options.address] Explicit address (e.g. from the environment), used
+ *   instead of the registry entry; the entry's details are kept when it is the same contract
+ * @param {Array} [options.abi] ABI the caller will use; refused if the recorded hash differs
+ * @param {string} [options.directory] Registry directory (default deployments/)
+ * @returns {Promise<{name: string, chainId: number, address: string, blockNumber: number|null,
+ *   transactionHash: string|null, abiHash: string|null}>}
+ * @throws {DeploymentError} NOT_DEPLOYED, NO_CODE or ABI_MISMATCH
+ */
+async function resolveDeployment(provider, name, { address, abi, directory } = {}) {
+  const { chainId } = await provider.getNetwork();
+  const recorded = loadDeployments(chainId, { directory }).contracts[name];
+
+  let deployment;
+  if (address) {
+    const override = ethers.utils.getAddress(address);
+    deployment = recorded && recorded.address === override
+      ? recorded
+      : { address: override, blockNumber: null, transactionHash: null, abiHash: null };
+  } else if (recorded) {
+    deployment = recorded;
+  } else {
+    throw new DeploymentError(
+      "NOT_DEPLOYED",
+      `No ${name} deployment is recorded for chain ${chainId} (${deploymentsFile(chainId, { directory })}). ` +
+      `Deploy it with 'DEPLOY_CONTRACT=${name} npx hardhat run scripts/deploy-sepolia.js --network <network>'`
+    );
+  }
+
+  if ((await provider.getCode(deployment.address)) === "0x") {
+    throw new DeploymentError(
+      "NO_CODE",
+      `No contract code at ${deployment.address} (${name} on chain ${chainId}); ` +
+      "if this is a restarted local node, deploy again"
+    );
+  }
+  if (abi && deployment.abiHash && deployment.abiHash !== abiHash(abi)) {
+    throw new DeploymentError(
+      "ABI_MISMATCH",
+      `${name} at ${deployment.address} was deployed with a different interface than this code expects; ` +
+      "redeploy it or check out the matching version"
+    );
+  }
+  return { name, chainId, ...deployment };
+}
+
+/**
+ * Link to an address or transaction in the chain's block explorer
+ *
+ * @param {number} chainId Chain id
+ * @param {"address"|"tx"} kind What to link to
+ * @param {string} value Address or transaction hash
+ * @returns {string|null} The URL, or null for chains without a known explorer
+ */
+function explorerUrl(chainId, kind, value) {
+  const explorer = EXPLORERS[chainId];
+  return explorer ? `${explorer.url}/${kind}/${value}` : null;
+}
+
+/**
+ * Name of the chain's block explorer
+ *
+ * @param {number} chainId Chain id
+ * @returns {string|null} e.g. "Sepolia Etherscan", or null if unknown
+ */
+function explorerName(chainId) {
+  return EXPLORERS[chainId] ? EXPLORERS[chainId].name : null;
+}
+
+module.exports = {
+  DEPLOYMENTS_DIR,
+  LOCAL_CHAIN_IDS,
+  EXPLORERS,
+  abiHash,
+  deploymentsFile,
+  loadDeployments,
+  recordDeployment,
+  resolveDeployment,
+  explorerUrl,
+  explorerName
+};
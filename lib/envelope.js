@@ -0,0 +1,392 @@
+// File: lib/envelope.js
+/**
+ * PrivateTransferVault - Authenticated Payload Envelopes
+ * ======================================================
+ *
+ * PURPOSE:
+ * Encrypts transfer payloads (opening plus intent signature) under view keys
+ * so that only view key holders can read them, and so that any modification
+ * of the ciphertext is detected instead of silently producing garbage.
+ *
+ * SYMMETRIC ENVELOPE (version 1, base64 of the concatenation):
+ *   version   1 byte   0x01
+ *   hkdfSalt 32 bytes  random, input to the per-payload key derivation
+ *   nonce    12 bytes  random AES-GCM nonce
+ *   ciphertext         AES-256-GCM encryption of the JSON payload
+ *   tag      16 bytes  GCM authentication tag
+ *
+ * SEALED MULTI-RECIPIENT ENVELOPE (version 2, base64 of the concatenation):
+ *   version       1 byte    0x02
+ *   ephemeralKey 33 bytes   compressed secp256k1 public key, fresh per envelope
+ *   count         1 byte    number of wrapped keys
+ *   wrappedKeys   count x 60 bytes: nonce (12) | encrypted content key (32) | tag (16)
+ *   payload                 version 1 envelope of the payload under the content key
+ *
+ * TECHNICAL DETAILS:
+ * - Version 1: the view key is never used directly; each payload gets its own
+ *   key, HKDF-SHA256(viewKey, hkdfSalt, "PrivateTransferVault.Envelope.v1")
+ * - Version 2: a random content key encrypts the payload once. For every
+ *   recipient, ECDH(ephemeral, recipient view key) feeds
+ *   HKDF-SHA256(secret, ephemeralKey, "PrivateTransferVault.KeyWrap.v1" | recipientKey)
+ *   and the resulting key wraps the content key with AES-256-GCM
+ * - Associated data always ends with the commitment, so an envelope only
+ *   opens for the commitment it was made for and cannot be moved to another
+ *   on-chain record
+ * - Every failure raises EnvelopeError with a distinct code (see lib/errors.js)
+ *
+ * PRIVACY NOTES:
+ * - Wrapped keys carry no recipient identifier and are shuffled; a recipient
+ *   finds their slot by trial decryption, so the envelope does not reveal
+ *   who can read it, only how many parties can
+ * - The envelope reveals only the approximate payload length
+ * - Keep private view keys out of logs; anyone holding one can read every
+ *   payload encrypted to it
+ */
+const crypto = require("crypto");
+const { ethers } = require("ethers");
+const { EnvelopeError } = require("./errors");
+const { compressViewKey } = require("./view-keys");
+
+/**
+ * Version of the symmetric (single view key) envelope
+ */
+const ENVELOPE_VERSION = 1;
+
+/**
+ * Version of the sealed multi-recipient envelope
+ */
+const SEALED_ENVELOPE_VERSION = 2;
+
+/**
+ * HKDF info strings binding derived keys to their envelope format
+ */
+const ENVELOPE_KEY_INFO = "PrivateTransferVault.Envelope.v1";
+const KEY_WRAP_INFO = "PrivateTransferVault.KeyWrap.v1";
+
+const HKDF_SALT_LENGTH = 32;
+const NONCE_LENGTH = 12;
+const TAG_LENGTH = 16;
+const KEY_LENGTH = 32;
+const HEADER_LENGTH = 1 + HKDF_SALT_LENGTH + NONCE_LENGTH;
+const EPHEMERAL_KEY_LENGTH = 33;
+const WRAPPED_KEY_LENGTH = NONCE_LENGTH + KEY_LENGTH + TAG_LENGTH;
+const MAX_RECIPIENTS = 255;
+
+/**
+ * Generate a random 32-byte symmetric view key
+ *
+ * @returns {string} Hex-encoded view key
+ */
+function generateViewKey() {
+  return ethers.utils.hexlify(crypto.randomBytes(32));
+}
+
+/**
+ * Convert a hex key to bytes, checking its length
+ *
+ * @param {string} key 32-byte hex key
+ * @returns {Buffer} Key bytes
+ * @throws {EnvelopeError} INVALID_KEY if the key is not 32 bytes of hex
+ */
+function keyBytes(key) {
+  if (!ethers.utils.isHexString(key, KEY_LENGTH)) {
+    throw new EnvelopeError("INVALID_KEY", "View key must be a 32-byte hex string");
+  }
+  return Buffer.from(ethers.utils.arrayify(key));
+}
+
+/**
+ * Convert a commitment to the 32 bytes used as associated data
+ *
+ * @param {string} commitment bytes32 commitment
+ * @returns {Buffer} Commitment bytes
+ * @throws {EnvelopeError} INVALID_KEY if the commitment is not 32 bytes of hex
+ */
+function commitmentBytes(commitment) {
+  if (!ethers.utils.isHexString(commitment, 32)) {
+    throw new EnvelopeError("INVALID_KEY", "Commitment must be a 32-byte hex string");
+  }
+  return Buffer.from(ethers.utils.arrayify(commitment));
+}
+
+/**
+ * Decode a base64 envelope and check its version byte
+ *
+ * @param {string} envelope Base64 envelope
+ * @param {number} version Expected version
+ * @param {number} minLength Smallest valid length for that version
+ * @returns {Buffer} Raw envelope bytes
+ * @throws {EnvelopeError} MALFORMED_ENVELOPE or UNSUPPORTED_VERSION
+ */
+function decodeEnvelope(envelope, version, minLength) {
+  const raw = typeof envelope === "string" ? Buffer.from(envelope, "base64") : Buffer.alloc(0);
+  if (raw.length < minLength) {
+    throw new EnvelopeError("MALFORMED_ENVELOPE", "Envelope is too short");
+  }
+  if (raw[0] !== version) {
+    throw new EnvelopeError("UNSUPPORTED_VERSION", `Unsupported envelope version ${raw[0]}, expected ${version}`);
+  }
+  return raw;
+}
+
+/**
+ * AES-256-GCM encryption
+ *
+ * @returns {Buffer} ciphertext | tag
+ */
+function gcmEncrypt(key, nonce, aad, plaintext) {
+  const cipher = crypto.createCipheriv("aes-256-gcm", key, nonce, { authTagLength: TAG_LENGTH });
+  cipher.setAAD(aad);
+  return Buffer.concat([cipher.update(plaintext), cipher.final(), cipher.getAuthTag()]);
+}
+
+/**
+ * AES-256-GCM decryption
+ *
+ * @param {Buffer} sealed ciphertext | tag
+ * @returns {Buffer|null} The plaintext, or null if authentication fails
+ */
+function gcmDecrypt(key, nonce, aad, sealed) {
+  const decipher = crypto.createDecipheriv("aes-256-gcm", key, nonce, { authTagLength: TAG_LENGTH });
+  decipher.setAAD(aad);
+  decipher.setAuthTag(sealed.subarray(sealed.length - TAG_LENGTH));
+  try {
+    return Buffer.concat([decipher.update(sealed.subarray(0, sealed.length - TAG_LENGTH)), decipher.final()]);
+  } catch (error) {
+    return null;
+  }
+}
+
+/**
+ * Derive the per-payload AES key from a symmetric view key
+ *
+ * @param {Buffer} viewKey View key bytes
+ * @param {Buffer} hkdfSalt Random salt from the envelope header
+ * @returns {Buffer} 32-byte AES-256 key
+ */
+function derivePayloadKey(viewKey, hkdfSalt) {
+  return Buffer.from(crypto.hkdfSync("sha256", viewKey, hkdfSalt, ENVELOPE_KEY_INFO, KEY_LENGTH));
+}
+
+/**
+ * Derive the key that wraps the content key for one recipient
+ *
+ * @param {string} sharedSecret ECDH shared secret (hex)
+ * @param {Buffer} ephemeralKey Compressed ephemeral public key
+ * @param {string} recipientKey Compressed recipient public view key
+ * @returns {Buffer} 32-byte AES-256 key
+ */
+function deriveWrapKey(sharedSecret, ephemeralKey, recipientKey) {
+  const info = Buffer.concat([Buffer.from(KEY_WRAP_INFO, "utf8"), Buffer.from(ethers.utils.arrayify(recipientKey))]);
+  return Buffer.from(
+    crypto.hkdfSync("sha256", ethers.utils.arrayify(sharedSecret), ephemeralKey, info, KEY_LENGTH)
+  );
+}
+
+/**
+ * Encrypt a payload for holders of a symmetric view key
+ *
+ * @param {Object|string} payload Data to encrypt (objects are JSON-encoded)
+ * @param {string} viewKey 32-byte hex view key
+ * @param {string} commitment Commitment the payload belongs to (bound as associated data)
+ * @returns {string} Base64 envelope
+ */
+function encryptPayload(payload, viewKey, commitment) {
+  const plaintext = Buffer.from(typeof payload === "string" ? payload : JSON.stringify(payload), "utf8");
+  const hkdfSalt = crypto.randomBytes(HKDF_SALT_LENGTH);
+  const nonce = crypto.randomBytes(NONCE_LENGTH);
+  const header = Buffer.concat([Buffer.from([ENVELOPE_VERSION]), hkdfSalt, nonce]);
+
+  const aad = Buffer.concat([header, commitmentBytes(commitment)]);
+  const sealed = gcmEncrypt(derivePayloadKey(keyBytes(viewKey), hkdfSalt), nonce, aad, plaintext);
+  return Buffer.concat([header, sealed]).toString("base64");
+}
+
+/**
+ * Decrypt and authenticate a symmetric envelope
+ *
+ * @param {string} envelope Base64 envelope from encryptPayload()
+ * @param {string} viewKey 32-byte hex view key
+ * @param {string} commitment Commitment the payload is expected to belong to
+ * @returns {Object|string} The payload (parsed as JSON when possible)
+ * @throws {EnvelopeError} MALFORMED_ENVELOPE, UNSUPPORTED_VERSION, INVALID_KEY or
+ *   AUTHENTICATION_FAILED (wrong key, wrong commitment or tampered data)
+ */
+function decryptPayload(envelope, viewKey, commitment) {
+  const raw = decodeEnvelope(envelope, ENVELOPE_VERSION, HEADER_LENGTH + TAG_LENGTH);
+  const header = raw.subarray(0, HEADER_LENGTH);
+  const hkdfSalt = header.subarray(1, 1 + HKDF_SALT_LENGTH);
+  const nonce = header.subarray(1 + HKDF_SALT_LENGTH);
+
+  const aad = Buffer.concat([header, commitmentBytes(commitment)]);
+  const plaintext = gcmDecrypt(derivePayloadKey(keyBytes(viewKey), hkdfSalt), nonce, aad, raw.subarray(HEADER_LENGTH));
+  if (plaintext === null) {
+    throw new EnvelopeError(
+      "AUTHENTICATION_FAILED",
+      "Envelope authentication failed: wrong view key, wrong commitment or tampered ciphertext"
+    );
+  }
+
+  const text = plaintext.toString("utf8");
+  try {
+    return JSON.parse(text);
+  } catch (error) {
+    return text;
+  }
+}
+
+/**
+ * Encrypt a payload to several parties' public view keys
+ *
+ * @param {Object|string} payload Data to encrypt (objects are JSON-encoded)
+ * @param {string[]} recipientKeys Public view keys (e.g. sender, recipient, auditor)
+ * @param {string} commitment Commitment the payload belongs to (bound as associated data)
+ * @returns {string} Base64 sealed envelope
+ * @throws {Error} If there are no recipients or more than 255
+ */
+function sealEnvelope(payload, recipientKeys, commitment) {
+  if (recipientKeys.length === 0 || recipientKeys.length > MAX_RECIPIENTS) {
+    throw new Error(`A sealed envelope needs between 1 and ${MAX_RECIPIENTS} recipients`);
+  }
+
+  const contentKey = crypto.randomBytes(KEY_LENGTH);
+  const ephemeral = new ethers.utils.SigningKey(crypto.randomBytes(32));
+  const ephemeralKey = Buffer.from(ethers.utils.arrayify(ephemeral.compressedPublicKey));
+  const header = Buffer.concat([
+    Buffer.from([SEALED_ENVELOPE_VERSION]),
+    ephemeralKey,
+    Buffer.from([recipientKeys.length])
+  ]);
+  const aad = Buffer.concat([header, commitmentBytes(commitment)]);
+
+  const wrappedKeys = recipientKeys.map((recipientKey) => {
+    const compressed = compressViewKey(recipientKey);
+    const wrapKey = deriveWrapKey(ephemeral.computeSharedSecret(compressed), ephemeralKey, compressed);
+    const nonce = crypto.randomBytes(NONCE_LENGTH);
+    return Buffer.concat([nonce, gcmEncrypt(wrapKey, nonce, aad, contentKey)]);
+  });
+  // Shuffle so slot order does not reveal which party is which
+  for (let i = wrappedKeys.length - 1; i > 0; i--) {
+    const j = crypto.randomInt(i + 1);
+    [wrappedKeys[i], wrappedKeys[j]] = [wrappedKeys[j], wrappedKeys[i]];
+  }
+
+  const inner = Buffer.from(encryptPayload(payload, ethers.utils.hexlify(contentKey), commitment), "base64");
+  return Buffer.concat([header, ...wrappedKeys, inner]).toString("base64");
+}
+
+/**
+ * Open a sealed envelope with a private view key
+ *
+ * @param {string} envelope Base64 envelope from sealEnvelope()
+ * @param {string} privateViewKey 32-byte hex private view key
+ * @param {string} commitment Commitment the payload is expected to belong to
+ * @returns {Object|string} The payload (parsed as JSON when possible)
+ * @throws {EnvelopeError} MALFORMED_ENVELOPE, UNSUPPORTED_VERSION, INVALID_KEY,
+ *   NOT_A_RECIPIENT (no wrapped key opens with this view key for this commitment)
+ *   or AUTHENTICATION_FAILED (tampered payload)
+ */
+function openEnvelope(envelope, privateViewKey, commitment) {
+  const headerLength = 1 + EPHEMERAL_KEY_LENGTH + 1;
+  const raw = decodeEnvelope(envelope, SEALED_ENVELOPE_VERSION, headerLength);
+  const header = raw.subarray(0, headerLength);
+  const ephemeralKey = header.subarray(1, 1 + EPHEMERAL_KEY_LENGTH);
+  const count = header[headerLength - 1];
+  const payloadOffset = headerLength + count * WRAPPED_KEY_LENGTH;
+  if (count === 0 || raw.length < payloadOffset + HEADER_LENGTH + TAG_LENGTH) {
+    throw new EnvelopeError("MALFORMED_ENVELOPE", "Envelope is truncated");
+  }
+
+  let sharedSecret;
+  let ownKey;
+  try {
+    const viewKey = new ethers.utils.SigningKey(keyBytes(privateViewKey));
+    ownKey = viewKey.compressedPublicKey;
+    sharedSecret = viewKey.computeSharedSecret(ethers.utils.hexlify(ephemeralKey));
+  } catch (error) {
+    if (error instanceof EnvelopeError) {
+      throw error;
+    }
+    throw new EnvelopeError("MALFORMED_ENVELOPE", "Envelope carries an invalid ephemeral key");
+  }
+
+  const wrapKey = deriveWrapKey(sharedSecret, ephemeralKey, ownKey);
+  const aad = Buffer.concat([header, commitmentBytes(commitment)]);
+  for (let slot = 0; slot < count; slot++) {
+    const offset = headerLength + slot * WRAPPED_KEY_LENGTH;
+    const nonce = raw.subarray(offset, offset + NONCE_LENGTH);
+    const contentKey = gcmDecrypt(wrapKey, nonce, aad, raw.subarray(offset + NONCE_LENGTH, offset + WRAPPED_KEY_LENGTH));
+    if (contentKey !== null) {
+      return decryptPayload(raw.subarray(payloadOffset).toString("base64"), ethers.utils.hexlify(contentKey), commitment);
+    }
+  }
+
+  throw new EnvelopeError(
+    "NOT_A_RECIPIENT",
+    "No wrapped key opens with this view key: not a recipient, wrong commitment or tampered envelope"
+  );
+}
+
+/**
+ * Check that a sealed envelope is well formed, without a view key
+ *
+ * For parties that pass envelopes on (relayers, payload stores): whether the
+ * wrapped keys open, and so whether the envelope really was sealed for the
+ * commitment, only a recipient can tell. Everything else is checked here.
+ *
+ * @param {string} envelope Base64 envelope from sealEnvelope()
+ * @param {string} commitment Commitment the envelope is said to belong to
+ * @throws {EnvelopeError} MALFORMED_ENVELOPE (bad encoding, truncated, invalid
+ *   ephemeral key or inner envelope), UNSUPPORTED_VERSION or INVALID_KEY (commitment)
+ */
+function checkSealedEnvelope(envelope, commitment) {
+  commitmentBytes(commitment);
+  const headerLength = 1 + EPHEMERAL_KEY_LENGTH + 1;
+  const raw = decodeEnvelope(envelope, SEALED_ENVELOPE_VERSION, headerLength);
+  if (raw.toString("base64") !== envelope) {
+    throw new EnvelopeError("MALFORMED_ENVELOPE", "Envelope is not canonical base64");
+  }
+  const count = raw[headerLength - 1];
+  const payloadOffset = headerLength + count * WRAPPED_KEY_LENGTH;
+  if (count === 0 || raw.length < payloadOffset + HEADER_LENGTH + TAG_LENGTH) {
+    throw new EnvelopeError("MALFORMED_ENVELOPE", "Envelope is truncated");
+  }
+  try {
+    // Decompressing checks the point is on the curve, compressing an already compressed key does not
+    ethers.utils.computePublicKey(raw.subarray(1, 1 + EPHEMERAL_KEY_LENGTH), false);
+  } catch (error) {
+    throw new EnvelopeError("MALFORMED_ENVELOPE", "Envelope carries an invalid ephemeral key");
+  }
+  if (raw[payloadOffset] !== ENVELOPE_VERSION) {
+    throw new EnvelopeError("MALFORMED_ENVELOPE", `Inner payload has version ${raw[payloadOffset]}, expected ${ENVELOPE_VERSION}`);
+  }
+}
+
+/**
+ * Read the version byte of an envelope without decrypting it
+ *
+ * @param {string} envelope Base64 envelope
+ * @returns {number} The version (1 symmetric, 2 sealed)
+ * @throws {EnvelopeError} MALFORMED_ENVELOPE if the envelope is empty
+ */
+function envelopeVersion(envelope) {
+  const raw = typeof envelope === "string" ? Buffer.from(envelope, "base64") : Buffer.alloc(0);
+  if (raw.length === 0) {
+    throw new EnvelopeError("MALFORMED_ENVELOPE", "Envelope is empty");
+  }
+  return raw[0];
+}
+
+module.exports = {
+  ENVELOPE_VERSION,
+  SEALED_ENVELOPE_VERSION,
+  ENVELOPE_KEY_INFO,
+  KEY_WRAP_INFO,
+  generateViewKey,
+  encryptPayload,
+  decryptPayload,
+  sealEnvelope,
+  openEnvelope,
+  checkSealedEnvelope,
+  envelopeVersion
+};
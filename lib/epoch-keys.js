@@ -0,0 +1,371 @@
+// File: lib/epoch-keys.js
+/**
+ * PrivateTransferVault - Time-Scoped Hierarchical View Keys
+ * =========================================================
+ *
+ * PURPOSE:
+ * Lets an organisation give an auditor read access to the transfers of a
+ * bounded period (e.g. one quarter) instead of everything ever encrypted to
+ * its view key. Payloads are encrypted to a per-day key; day keys are derived
+ * from a master key through a calendar tree, and any node of that tree
+ * unlocks exactly the days below it.
+ *
+ * KEY TREE (UTC calendar, labels in brackets):
+ *   master
+ *   └─ year     [2026]
+ *      └─ quarter  [2026-Q3]
+ *         └─ month    [2026-08]
+ *            └─ day      [2026-08-14]  -> secp256k1 view key pair payloads are sealed to
+ *
+ *   childKey = HKDF-SHA256(parentKey, "", "PrivateTransferVault.EpochKey.v1|" + childLabel)
+ *
+ * TECHNICAL DETAILS:
+ * - Derivation is one-way: a quarter key yields its months and days, but
+ *   neither its siblings nor its parent, so it cannot open other quarters
+ * - The epoch of a payload is the UTC day of the transfer timestamp in the
+ *   opening; senders seal to that day's public key (epochPublicKeys() exports
+ *   a schedule of them, so senders never need the master key)
+ * - issueAuditorKeys() covers a day range with the fewest tree nodes, e.g.
+ *   2026-07-01..2026-09-30 is the single key [2026-Q3]
+ *
+ * SECURITY NOTES:
+ * - The master key opens every epoch; keep it offline like any root secret
+ * - An auditor bundle holds private keys; hand it over through a secure channel
+ * - Expiry of access is enforced by the keys themselves: a bundle for Q3
+ *   never opens Q4 payloads, whatever clock the auditor uses
+ */
+const crypto = require("crypto");
+const { ethers } = require("ethers");
+const { recordDecryption, viewKeyFingerprint } = require("./audit-log");
+const { openEnvelope } = require("./envelope");
+const { EnvelopeError, EpochKeyError } = require("./errors");
+const { viewKeyPairFromPrivateKey } = require("./view-keys");
+
+/**
+ * HKDF info prefix for every derivation step
+ */
+const EPOCH_KEY_INFO = "PrivateTransferVault.EpochKey.v1";
+
+/**
+ * Version of the auditor key bundle layout produced by issueAuditorKeys()
+ */
+const AUDITOR_BUNDLE_VERSION = 1;
+
+/**
+ * Label of the root of the tree
+ */
+const MASTER_EPOCH = "master";
+
+const DAY_SECONDS = 24 * 60 * 60;
+
+/**
+ * Generate a random master view key
+ *
+ * @returns {string} 32-byte hex master key
+ */
+function generateMasterViewKey() {
+  return ethers.utils.hexlify(crypto.randomBytes(32));
+}
+
+/**
+ * Normalise a date given as "YYYY-MM-DD", a Date or unix seconds to its UTC day
+ *
+ * @param {string|number|Date} value The date
+ * @returns {Date} Midnight UTC of that day
+ * @throws {EpochKeyError} INVALID_EPOCH
+ */
+function toUtcDay(value) {
+  let date;
+  if (value instanceof Date) {
+    date = value;
+  } else if (typeof value === "number" || (typeof value === "string" && /^\d+$/.test(value))) {
+    date = new Date(Number(value) * 1000);
+  } else if (typeof value === "string" && /^\d{4}-\d{2}-\d{2}$/.test(value)) {
+    date = new Date(`${value}T00:00:00Z`);
+    if (!isNaN(date) && date.toISOString().slice(0, 10) !== value) {
+      date = new Date(NaN);
+    }
+  } else {
+    date = new Date(NaN);
+  }
+  if (isNaN(date)) {
+    throw new EpochKeyError("INVALID_EPOCH", `'${value}' is not a date (YYYY-MM-DD or unix seconds)`);
+  }
+  return new Date(Date.UTC(date.getUTCFullYear(), date.getUTCMonth(), date.getUTCDate()));
+}
+
+function pad(number) {
+  return String(number).padStart(2, "0");
+}
+
+/**
+ * Labels of the tree nodes above (and including) the day of a date
+ *
+ * @param {string|number|Date} value The date
+ * @returns {string[]} [year, quarter, month, day], e.g. ["2026", "2026-Q3", "2026-08", "2026-08-14"]
+ */
+function epochPath(value) {
+  const day = toUtcDay(value);
+  const year = day.getUTCFullYear();
+  const month = day.getUTCMonth() + 1;
+  return [
+    String(year),
+    `${year}-Q${Math.ceil(month / 3)}`,
+    `${year}-${pad(month)}`,
+    `${year}-${pad(month)}-${pad(day.getUTCDate())}`
+  ];
+}
+
+/**
+ * Describe an epoch label
+ *
+ * @param {string} label Epoch label ("2026", "2026-Q3", "2026-08" or "2026-08-14")
+ * @returns {{label: string, level: string, start: Date, end: Date, path: string[]}}
+ *   Level name, first day, first day after the epoch, and the labels from the year down to it
+ * @throws {EpochKeyError} INVALID_EPOCH
+ */
+function parseEpoch(label) {
+  let match;
+  if ((match = /^(\d{4})$/.exec(label))) {
+    const year = Number(match[1]);
+    return describe(label, "year", Date.UTC(year, 0, 1), Date.UTC(year + 1, 0, 1), 1);
+  }
+  if ((match = /^(\d{4})-Q([1-4])$/.exec(label))) {
+    const [year, quarter] = [Number(match[1]), Number(match[2])];
+    return describe(label, "quarter", Date.UTC(year, (quarter - 1) * 3, 1), Date.UTC(year, quarter * 3, 1), 2);
+  }
+  if ((match = /^(\d{4})-(\d{2})$/.exec(label)) && Number(match[2]) >= 1 && Number(match[2]) <= 12) {
+    const [year, month] = [Number(match[1]), Number(match[2])];
+    return describe(label, "month", Date.UTC(year, month - 1, 1), Date.UTC(year, month, 1), 3);
+  }
+  if (typeof label === "string" && /^\d{4}-\d{2}-\d{2}$/.test(label)) {
+    const start = toUtcDay(label).getTime();
+    return describe(label, "day", start, start + DAY_SECONDS * 1000, 4);
+  }
+  throw new EpochKeyError("INVALID_EPOCH", `'${label}' is not an epoch label`);
+}
+
+function describe(label, level, start, end, depth) {
+  return {
+    label,
+    level,
+    start: new Date(start),
+    end: new Date(end),
+    path: epochPath(new Date(start)).slice(0, depth)
+  };
+}
+
+/**
+ * Derive the key of a child node
+ *
+ * @param {string} parentKey 32-byte hex key of the parent node
+ * @param {string} childLabel Label of the child
+ * @returns {string} 32-byte hex key of the child
+ */
+function deriveChildKey(parentKey, childLabel) {
+  const info = `${EPOCH_KEY_INFO}|${childLabel}`;
+  return ethers.utils.hexlify(
+    Buffer.from(crypto.hkdfSync("sha256", ethers.utils.arrayify(parentKey), Buffer.alloc(0), info, 32))
+  );
+}
+
+/**
+ * Derive the key of an epoch from the key of one of its ancestors
+ *
+ * @param {string} ancestorKey 32-byte hex key of the ancestor node
+ * @param {string} ancestorEpoch Label of the ancestor ("master" for the master key)
+ * @param {string} epoch Label of the epoch to derive
+ * @returns {string} 32-byte hex key of the epoch
+ * @throws {EpochKeyError} OUT_OF_RANGE if the epoch is not below the ancestor
+ */
+function deriveEpochKey(ancestorKey, ancestorEpoch, epoch) {
+  const { path } = parseEpoch(epoch);
+  const from = ancestorEpoch === MASTER_EPOCH ? 0 : path.indexOf(ancestorEpoch) + 1;
+  if (from === 0 && ancestorEpoch !== MASTER_EPOCH) {
+    throw new EpochKeyError("OUT_OF_RANGE", `Epoch ${epoch} is not within ${ancestorEpoch}`);
+  }
+  return path.slice(from).reduce(deriveChildKey, ancestorKey);
+}
+
+/**
+ * Derive the view key pair payloads of a day are sealed to
+ *
+ * @param {string} masterKey 32-byte hex master view key
+ * @param {string|number|Date} date Day of the transfer (e.g. the opening's timestamp)
+ * @returns {{epoch: string, privateKey: string, publicKey: string}} The day's key pair
+ */
+function epochViewKeyPair(masterKey, date) {
+  const epoch = epochPath(date)[3];
+  return { epoch, ...viewKeyPairFromPrivateKey(deriveEpochKey(masterKey, MASTER_EPOCH, epoch)) };
+}
+
+/**
+ * Iterate the days of an inclusive range
+ */
+function* eachDay(from, to) {
+  for (let day = toUtcDay(from); day <= toUtcDay(to); day = new Date(day.getTime() + DAY_SECONDS * 1000)) {
+    yield day;
+  }
+}
+
+/**
+ * Export the public keys senders need to seal payloads for a range of days
+ *
+ * @param {string} masterKey 32-byte hex master view key
+ * @param {string|number|Date} from First day (inclusive)
+ * @param {string|number|Date} to Last day (inclusive)
+ * @returns {{epoch: string, publicKey: string}[]} One public key per day
+ */
+function epochPublicKeys(masterKey, from, to) {
+  return Array.from(eachDay(from, to), (day) => {
+    const { epoch, publicKey } = epochViewKeyPair(masterKey, day);
+    return { epoch, publicKey };
+  });
+}
+
+/**
+ * Cover an inclusive day range with the fewest tree nodes
+ *
+ * @param {string|number|Date} from First day
+ * @param {string|number|Date} to Last day
+ * @returns {string[]} Epoch labels, in date order
+ * @throws {EpochKeyError} INVALID_EPOCH if the range is empty
+ */
+function coverEpochRange(from, to) {
+  const start = toUtcDay(from);
+  const end = new Date(toUtcDay(to).getTime() + DAY_SECONDS * 1000);
+  if (start >= end) {
+    throw new EpochKeyError("INVALID_EPOCH", "The range ends before it starts");
+  }
+
+  const labels = [];
+  let cursor = start;
+  while (cursor < end) {
+    // Largest node that starts at the cursor and fits in the range; the day always does
+    const node = epochPath(cursor)
+      .map(parseEpoch)
+      .find((epoch) => epoch.start.getTime() === cursor.getTime() && epoch.end <= end);
+    labels.push(node.label);
+    cursor = node.end;
+  }
+  return labels;
+}
+
+/**
+ * Fingerprint a master key, so bundles can name it without revealing it
+ *
+ * @param {string} masterKey 32-byte hex master view key
+ * @returns {string} keccak256 of the master key's compressed public key
+ */
+function masterKeyFingerprint(masterKey) {
+  return ethers.utils.keccak256(viewKeyPairFromPrivateKey(masterKey).publicKey);
+}
+
+/**
+ * Issue an auditor the keys for an inclusive day range, and nothing more
+ *
+ * @param {string} masterKey 32-byte hex master view key
+ * @param {string|number|Date} from First day the auditor may read
+ * @param {string|number|Date} to Last day the auditor may read
+ * @returns {Object} Bundle: { version, master, from, to, keys: [{ epoch, key }] }
+ */
+function issueAuditorKeys(masterKey, from, to) {
+  return {
+    version: AUDITOR_BUNDLE_VERSION,
+    master: masterKeyFingerprint(masterKey),
+    from: epochPath(from)[3],
+    to: epochPath(to)[3],
+    keys: coverEpochRange(from, to).map((epoch) => ({ epoch, key: deriveEpochKey(masterKey, MASTER_EPOCH, epoch) }))
+  };
+}
+
+/**
+ * Derive a day's view key pair from an auditor bundle
+ *
+ * @param {Object} bundle Output of issueAuditorKeys()
+ * @param {string|number|Date} date The day
+ * @returns {{epoch: string, privateKey: string, publicKey: string}} The day's key pair
+ * @throws {EpochKeyError} OUT_OF_RANGE if the bundle does not cover the day
+ */
+function bundleViewKeyPair(bundle, date) {
+  if (!bundle || bundle.version !== AUDITOR_BUNDLE_VERSION || !Array.isArray(bundle.keys)) {
+    throw new EpochKeyError("INVALID_BUNDLE", "Not a version 1 auditor key bundle");
+  }
+  const path = epochPath(date);
+  const entry = bundle.keys.find(({ epoch }) => path.includes(epoch));
+  if (!entry) {
+    throw new EpochKeyError("OUT_OF_RANGE", `The bundle (${bundle.from} to ${bundle.to}) does not cover ${path[3]}`);
+  }
+  return { epoch: path[3], ...viewKeyPairFromPrivateKey(deriveEpochKey(entry.key, entry.epoch, path[3])) };
+}
+
+/**
+ * Open a payload with an auditor bundle
+ *
+ * The envelope does not say which day it was sealed for, so the bundle's day
+ * keys are tried in turn: only the given date and its neighbours when a date
+ * hint (such as the block timestamp of the note) is available, every covered
+ * day otherwise. The request is recorded as one audit log entry with its
+ * final result, not one per day key tried.
+ *
+ * @param {string} envelope Base64 sealed envelope
+ * @param {Object} bundle Output of issueAuditorKeys()
+ * @param {string} commitment Commitment the envelope belongs to
+ * @param {Object} [options]
+ * @param {string|number|Date} [options.near] Date hint; the transfer day is within a day of it
+ * @param {AuditLog} [options.auditLog] Log to record the request in (default: lib/audit-log.js getDefaultAuditLog())
+ * @param {string} [options.requester] Who asked for the decryption (e.g. the auditor)
+ * @returns {{epoch: string, payload: *}} The day whose key opened the envelope, and the payload
+ * @throws {EnvelopeError} NOT_A_RECIPIENT if no covered day key opens it
+ */
+function openWithAuditorKeys(envelope, bundle, commitment, { near, auditLog, requester } = {}) {
+  let days;
+  if (near !== undefined) {
+    const hint = toUtcDay(near).getTime();
+    days = [0, -1, 1].map((offset) => new Date(hint + offset * DAY_SECONDS * 1000));
+  } else {
+    days = Array.from(eachDay(bundle.from, bundle.to));
+  }
+
+  const attempt = { commitment, keyFingerprint: null, requester: requester || "unspecified" };
+  return recordDecryption(auditLog, attempt, () => {
+    for (const day of days) {
+      let keyPair;
+      try {
+        keyPair = bundleViewKeyPair(bundle, day);
+      } catch (error) {
+        if (error instanceof EpochKeyError && error.code === "OUT_OF_RANGE") {
+          continue;
+        }
+        throw error;
+      }
+      attempt.keyFingerprint = viewKeyFingerprint(keyPair.publicKey);
+      try {
+        return { epoch: keyPair.epoch, payload: openEnvelope(envelope, keyPair.privateKey, commitment) };
+      } catch (error) {
+        if (!(error instanceof EnvelopeError) || error.code !== "NOT_A_RECIPIENT") {
+          throw error;
+        }
+      }
+    }
+    throw new EnvelopeError("NOT_A_RECIPIENT", `No key in the bundle (${bundle.from} to ${bundle.to}) opens this envelope`);
+  });
+}
+
+module.exports = {
+  EPOCH_KEY_INFO,
+  AUDITOR_BUNDLE_VERSION,
+  MASTER_EPOCH,
+  generateMasterViewKey,
+  epochPath,
+  parseEpoch,
+  deriveChildKey,
+  deriveEpochKey,
+  epochViewKeyPair,
+  epochPublicKeys,
+  coverEpochRange,
+  masterKeyFingerprint,
+  issueAuditorKeys,
+  bundleViewKeyPair,
+  openWithAuditorKeys
+};
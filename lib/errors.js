@@ -0,0 +1,223 @@
+// File: lib/errors.js
+/**
+ * PrivateTransferVault - Library Errors
+ * =====================================
+ *
+ * PURPOSE:
+ * Typed errors thrown by the library so callers can tell failure classes
+ * apart with `instanceof` and a stable `code`, instead of matching messages.
+ */
+
+/**
+ * Raised when an audit log cannot be extended (see lib/audit-log.js)
+ *
+ * CODES:
+ * - CORRUPTED_LOG  The last entry is unreadable or does not match its hash,
+ *                  so new entries cannot be chained onto it
+ */
+class AuditLogError extends Error {
+  /**
+   * @param {string} code One of the codes above
+   * @param {string} message Human-readable description
+   */
+  constructor(code, message) {
+    super(message);
+    this.name = "AuditLogError";
+    this.code = code;
+  }
+}
+
+/**
+ * Raised by PrivateTransferClient (see lib/client.js)
+ *
+ * CODES:
+ * - NO_SIGNER             The operation sends a transaction or signs, but the
+ *                         client was created with a provider only
+ * - WRONG_DOMAIN          The opening belongs to another chain or vault
+ * - COMMITMENT_EXISTS     The vault already holds the commitment
+ * - UNKNOWN_COMMITMENT    The vault never received the commitment
+ * - ALREADY_REVEALED      The commitment was already revealed
+ * - VAULT_PAUSED          The vault does not accept submissions right now
+ * - RELAYER_NOT_ATTESTED  The vault only accepts attested relayers and the
+ *                         signer is not one
+ * - TRANSACTION_FAILED    The transaction reverted for another reason
+ */
+class ClientError extends Error {
+  /**
+   * @param {string} code One of the codes above
+   * @param {string} message Human-readable description
+   */
+  constructor(code, message) {
+    super(message);
+    this.name = "ClientError";
+    this.code = code;
+  }
+}
+
+/**
+ * Raised when a contract cannot be resolved from the deployments registry
+ * (see lib/deployments.js)
+ *
+ * CODES:
+ * - NOT_DEPLOYED   No deployment of the contract is recorded for the chain
+ * - NO_CODE        The recorded address holds no code (e.g. a restarted local node)
+ * - ABI_MISMATCH   The recorded ABI hash differs from the caller's ABI, so the
+ *                  deployed contract is an older or newer version
+ */
+class DeploymentError extends Error {
+  /**
+   * @param {string} code One of the codes above
+   * @param {string} message Human-readable description
+   */
+  constructor(code, message) {
+    super(message);
+    this.name = "DeploymentError";
+    this.code = code;
+  }
+}
+
+/**
+ * Raised when an encrypted envelope cannot be opened
+ *
+ * CODES:
+ * - MALFORMED_ENVELOPE   Not a parseable envelope (truncated, bad encoding)
+ * - UNSUPPORTED_VERSION  Envelope version this library cannot read
+ * - INVALID_KEY          Key material (or the commitment bound to it) has the wrong shape
+ * - AUTHENTICATION_FAILED  Wrong key, wrong commitment or tampered ciphertext
+ * - NOT_A_RECIPIENT      Sealed envelope holds no wrapped key for this view key
+ */
+class EnvelopeError extends Error {
+  /**
+   * @param {string} code One of the codes above
+   * @param {string} message Human-readable description
+   */
+  constructor(code, message) {
+    super(message);
+    this.name = "EnvelopeError";
+    this.code = code;
+  }
+}
+
+/**
+ * Raised when an address's view key cannot be used for encryption
+ *
+ * CODES:
+ * - NOT_PUBLISHED  The address never published a view key
+ * - REVOKED        The owner revoked the key
+ * - EXPIRED        The key's expiry has passed
+ */
+class ViewKeyError extends Error {
+  /**
+   * @param {string} code One of the codes above
+   * @param {string} owner Address whose key was looked up
+   * @param {string} message Human-readable description
+   */
+  constructor(code, owner, message) {
+    super(message);
+    this.name = "ViewKeyError";
+    this.code = code;
+    this.owner = owner;
+  }
+}
+
+/**
+ * Raised when a time-scoped view key cannot be derived (see lib/epoch-keys.js)
+ *
+ * CODES:
+ * - INVALID_EPOCH   Not a date or epoch label, or an empty range
+ * - OUT_OF_RANGE    The key held does not cover the requested epoch
+ * - INVALID_BUNDLE  Not an auditor key bundle this library can read
+ */
+class EpochKeyError extends Error {
+  /**
+   * @param {string} code One of the codes above
+   * @param {string} message Human-readable description
+   */
+  constructor(code, message) {
+    super(message);
+    this.name = "EpochKeyError";
+    this.code = code;
+  }
+}
+
+/**
+ * Raised when a commitment index cannot be used (see lib/indexer.js)
+ *
+ * CODES:
+ * - STORE_MISMATCH   The index file belongs to another chain or vault
+ * - CORRUPTED_STORE  The index file is unreadable or has an unknown version
+ * - TIMEOUT          A commitment did not reach the awaited status in time
+ */
+class IndexerError extends Error {
+  /**
+   * @param {string} code One of the codes above
+   * @param {string} message Human-readable description
+   */
+  constructor(code, message) {
+    super(message);
+    this.name = "IndexerError";
+    this.code = code;
+  }
+}
+
+/**
+ * Raised by an off-chain payload store (see lib/payload-store.js)
+ *
+ * CODES:
+ * - INVALID_COMMITMENT  Key is not a 32-byte hex commitment
+ * - INVALID_PAYLOAD     Payload is not a non-empty base64 envelope
+ * - PAYLOAD_TOO_LARGE   Payload exceeds the store's size limit
+ * - CONFLICT            A different payload is already stored for the commitment
+ * - INTEGRITY_FAILED    Stored payload does not match its recorded content hash
+ * - DELETION_DISABLED   The store's policy forbids deleting payloads
+ * - UNAUTHORIZED        Credentials missing or wrong (HTTP backend)
+ * - BACKEND_ERROR       The backend failed for another reason (HTTP backend)
+ */
+class PayloadStoreError extends Error {
+  /**
+   * @param {string} code One of the codes above
+   * @param {string} message Human-readable description
+   */
+  constructor(code, message) {
+    super(message);
+    this.name = "PayloadStoreError";
+    this.code = code;
+  }
+}
+
+/**
+ * Error raised by the transaction manager (lib/tx-manager.js)
+ *
+ * CODES:
+ * - STATE_MISMATCH   The state file belongs to another chain or account
+ * - CORRUPTED_STATE  The state file is unreadable or has an unknown version
+ * - KEY_CONFLICT     The key was already submitted with another transaction
+ * - UNKNOWN_JOB      Nothing was submitted under the key
+ * - REJECTED         Gas estimation failed or the node refused the transaction
+ *                    (e.g. it would revert, or the account lacks funds)
+ * - REVERTED         The transaction was mined but reverted
+ * - NONCE_TAKEN      Another transaction from the account used the nonce
+ */
+class TransactionError extends Error {
+  /**
+   * @param {string} code One of the codes above
+   * @param {string} message Human-readable description
+   */
+  constructor(code, message) {
+    super(message);
+    this.name = "TransactionError";
+    this.code = code;
+  }
+}
+
+module.exports = {
+  AuditLogError,
+  ClientError,
+  DeploymentError,
+  EnvelopeError,
+  EpochKeyError,
+  IndexerError,
+  PayloadStoreError,
+  TransactionError,
+  ViewKeyError
+};
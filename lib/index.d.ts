@@ -0,0 +1,460 @@
+// File: lib/index.d.ts
+/**
+ * PrivateTransferVault - TypeScript Declarations
+ * ==============================================
+ *
+ * Types of what lib/index.js exports. The JSDoc in each module remains the
+ * reference for behaviour; these declarations follow it.
+ */
+import { ethers } from "ethers";
+
+type SignerOrProvider = ethers.Signer | ethers.providers.Provider;
+
+// ========== ERRORS (lib/errors.js) ==========
+
+export type ClientErrorCode =
+  | "NO_SIGNER"
+  | "WRONG_DOMAIN"
+  | "COMMITMENT_EXISTS"
+  | "UNKNOWN_COMMITMENT"
+  | "ALREADY_REVEALED"
+  | "VAULT_PAUSED"
+  | "RELAYER_NOT_ATTESTED"
+  | "TRANSACTION_FAILED";
+
+export class ClientError extends Error {
+  constructor(code: ClientErrorCode, message: string);
+  readonly name: "ClientError";
+  readonly code: ClientErrorCode;
+}
+
+export type DeploymentErrorCode = "NOT_DEPLOYED" | "NO_CODE" | "ABI_MISMATCH";
+
+export class DeploymentError extends Error {
+  constructor(code: DeploymentErrorCode, message: string);
+  readonly name: "DeploymentError";
+  readonly code: DeploymentErrorCode;
+}
+
+export type EnvelopeErrorCode =
+  | "MALFORMED_ENVELOPE"
+  | "UNSUPPORTED_VERSION"
+  | "INVALID_KEY"
+  | "AUTHENTICATION_FAILED"
+  | "NOT_A_RECIPIENT";
+
+export class EnvelopeError extends Error {
+  constructor(code: EnvelopeErrorCode, message: string);
+  readonly name: "EnvelopeError";
+  readonly code: EnvelopeErrorCode;
+}
+
+export type ViewKeyErrorCode = "NOT_PUBLISHED" | "REVOKED" | "EXPIRED";
+
+export class ViewKeyError extends Error {
+  constructor(code: ViewKeyErrorCode, owner: string, message: string);
+  readonly name: "ViewKeyError";
+  readonly code: ViewKeyErrorCode;
+  readonly owner: string;
+}
+
+export type AuditLogErrorCode = "CORRUPTED_LOG";
+
+export class AuditLogError extends Error {
+  constructor(code: AuditLogErrorCode, message: string);
+  readonly name: "AuditLogError";
+  readonly code: AuditLogErrorCode;
+}
+
+export type EpochKeyErrorCode = "INVALID_EPOCH" | "OUT_OF_RANGE" | "INVALID_BUNDLE";
+
+export class EpochKeyError extends Error {
+  constructor(code: EpochKeyErrorCode, message: string);
+  readonly name: "EpochKeyError";
+  readonly code: EpochKeyErrorCode;
+}
+
+export type IndexerErrorCode = "STORE_MISMATCH" | "CORRUPTED_STORE" | "TIMEOUT";
+
+export class IndexerError extends Error {
+  constructor(code: IndexerErrorCode, message: string);
+  readonly name: "IndexerError";
+  readonly code: IndexerErrorCode;
+}
+
+export type PayloadStoreErrorCode =
+  | "INVALID_COMMITMENT"
+  | "INVALID_PAYLOAD"
+  | "PAYLOAD_TOO_LARGE"
+  | "CONFLICT"
+  | "INTEGRITY_FAILED"
+  | "DELETION_DISABLED"
+  | "UNAUTHORIZED"
+  | "BACKEND_ERROR";
+
+export class PayloadStoreError extends Error {
+  constructor(code: PayloadStoreErrorCode, message: string);
+  readonly name: "PayloadStoreError";
+  readonly code: PayloadStoreErrorCode;
+}
+
+export type TransactionErrorCode =
+  | "STATE_MISMATCH"
+  | "CORRUPTED_STATE"
+  | "KEY_CONFLICT"
+  | "UNKNOWN_JOB"
+  | "REJECTED"
+  | "REVERTED"
+  | "NONCE_TAKEN";
+
+export class TransactionError extends Error {
+  constructor(code: TransactionErrorCode, message: string);
+  readonly name: "TransactionError";
+  readonly code: TransactionErrorCode;
+}
+
+// ========== COMMITMENTS (lib/commitment.js) ==========
+
+/** Normalised commitment opening: addresses checksummed, numbers as decimal strings */
+export interface Opening {
+  version: number;
+  chainId: number;
+  vault: string;
+  sender: string;
+  recipient: string;
+  token: string;
+  amount: string;
+  timestamp: string;
+  salt: string;
+}
+
+export interface OpeningParams {
+  chainId: ethers.BigNumberish;
+  vault: string;
+  sender: string;
+  recipient: string;
+  /** ERC-20 token address (omitted or address(0) for ETH) */
+  token?: string;
+  /** Amount in the token's base units */
+  amount: ethers.BigNumberish;
+  timestamp: ethers.BigNumberish;
+  /** 32-byte salt (buildCommitment generates one if omitted) */
+  salt?: string;
+}
+
+export const COMMITMENT_DOMAIN: string;
+export const COMMITMENT_TYPES: string[];
+export const OPENING_VERSION: number;
+export function generateSalt(): string;
+export function createOpening(params: (OpeningParams & { salt: string }) | Opening): Opening;
+export function hashOpening(opening: Opening): string;
+export function buildCommitment(params: OpeningParams): { commitment: string; opening: Opening };
+
+// ========== TRANSFER INTENTS (lib/intent.js) ==========
+
+export const INTENT_DOMAIN_NAME: string;
+export const INTENT_DOMAIN_VERSION: string;
+export const TRANSFER_INTENT_TYPES: Record<string, Array<{ name: string; type: string }>>;
+export function intentDomain(chainId: number, vault: string): ethers.TypedDataDomain;
+export function intentTypedData(opening: Opening): { domain: ethers.TypedDataDomain; message: Record<string, unknown> };
+export function hashTransferIntent(opening: Opening): string;
+export function signTransferIntent(signer: ethers.Signer, opening: Opening): Promise<string>;
+export function recoverTransferIntentSigner(opening: Opening, signature: string): string;
+export function verifyTransferIntent(opening: Opening, signature: string): boolean;
+
+// ========== ENVELOPES AND VIEW KEYS (lib/envelope.js, lib/view-keys.js) ==========
+
+/** Usual envelope payload: the opening and the sender's intent signature */
+export interface TransferPayload {
+  opening: Opening;
+  signature?: string;
+}
+
+export type Payload = TransferPayload | Record<string, unknown> | string;
+
+export interface ViewKeyPair {
+  privateKey: string;
+  /** Compressed secp256k1 public key */
+  publicKey: string;
+}
+
+export const ENVELOPE_VERSION: number;
+export const SEALED_ENVELOPE_VERSION: number;
+export const ENVELOPE_KEY_INFO: string;
+export const KEY_WRAP_INFO: string;
+export function generateViewKey(): string;
+export function encryptPayload(payload: Payload, viewKey: string, commitment: string): string;
+/** Recorded in the audit log (lib/audit-log.js decryptPayloadAudited) */
+export function decryptPayload(envelope: string, viewKey: string, commitment: string, audit?: DecryptionAudit): Payload;
+export function sealEnvelope(payload: Payload, recipientKeys: string[], commitment: string): string;
+/** Recorded in the audit log (lib/audit-log.js openEnvelopeAudited) */
+export function openEnvelope(
+  envelope: string,
+  privateViewKey: string,
+  commitment: string,
+  audit?: DecryptionAudit
+): Payload;
+export function checkSealedEnvelope(envelope: string, commitment: string): void;
+export function envelopeVersion(envelope: string): number;
+
+export const VIEW_KEY_MESSAGE: string;
+export function viewKeyPairFromPrivateKey(privateKey: string): ViewKeyPair;
+export function generateViewKeyPair(): ViewKeyPair;
+export function deriveViewKeyPair(signer: ethers.Signer): Promise<ViewKeyPair>;
+export function compressViewKey(publicKey: string): string;
+
+// ========== NOTES AND VERIFICATION (lib/note-scanner.js, lib/opening-verifier.js) ==========
+
+export interface ScannedNote {
+  commitment: string;
+  payload: Payload;
+  txHash: string;
+  blockNumber: number;
+  logIndex: number;
+  /** Present when the payload carries an opening */
+  openingMatches?: boolean;
+  /** Present when the payload carries an intent signature */
+  senderConsent?: boolean;
+}
+
+export interface ScanOptions {
+  fromBlock?: number;
+  toBlock?: number | string;
+  /** Recorded with each decryption attempt in the audit log */
+  requester?: string;
+}
+
+/** The part of lib/audit-log.js AuditLog that decryption paths write to */
+export interface DecryptionAuditLog {
+  append(attempt: {
+    commitment: string;
+    keyFingerprint: string | null;
+    requester: string;
+    success: boolean;
+    reason?: string | null;
+  }): object;
+}
+
+export interface DecryptionAudit {
+  /** Default: .audit/decryptions.log, or AUDIT_LOG */
+  auditLog?: DecryptionAuditLog | null;
+  requester?: string;
+}
+
+export function encodeNote(envelope: string): string;
+export function decodeNote(note: string): string;
+export function openNote(
+  note: { commitment: string; encryptedNote: string; txHash: string; blockNumber: number; logIndex: number },
+  privateViewKey: string,
+  audit?: DecryptionAudit
+): ScannedNote | null;
+export function tryDecryptNote(
+  log: ethers.providers.Log,
+  privateViewKey: string,
+  audit?: DecryptionAudit
+): ScannedNote | null;
+export function scanNotes(
+  provider: ethers.providers.Provider,
+  vaultAddress: string,
+  privateViewKey: string,
+  options?: ScanOptions & DecryptionAudit
+): Promise<ScannedNote[]>;
+
+export interface OpeningVerification {
+  valid: boolean;
+  commitment: string;
+  txHash: string;
+  blockNumber?: number;
+  logIndex?: number;
+  reason?: string;
+}
+
+export const PRIVATE_TRANSFER_TOPIC: string;
+export function verifyOpening(
+  provider: ethers.providers.Provider,
+  opening: Opening,
+  txHash: string
+): Promise<OpeningVerification>;
+export function revealArgs(opening: Opening): [string, string, string, string, string, string];
+
+// ========== DEPLOYMENTS (lib/deployments.js) ==========
+
+export interface DeploymentEntry {
+  address: string;
+  transactionHash: string | null;
+  blockNumber: number | null;
+  abiHash: string | null;
+  constructorArgs?: unknown[];
+  deployedAt?: string;
+}
+
+export interface Deployment extends DeploymentEntry {
+  name: string;
+  chainId: number;
+}
+
+export interface DeploymentsOptions {
+  directory?: string;
+}
+
+export const DEPLOYMENTS_DIR: string;
+export const LOCAL_CHAIN_IDS: number[];
+export const EXPLORERS: Record<number, { name: string; url: string }>;
+export function abiHash(abi: ReadonlyArray<unknown> | string): string;
+export function deploymentsFile(chainId: number, options?: DeploymentsOptions): string;
+export function loadDeployments(
+  chainId: number,
+  options?: DeploymentsOptions
+): { chainId: number; network: string | null; contracts: Record<string, DeploymentEntry> };
+export function recordDeployment(
+  chainId: number,
+  name: string,
+  deployment: {
+    network: string;
+    address: string;
+    transactionHash: string;
+    blockNumber: number;
+    abi: ReadonlyArray<unknown>;
+    constructorArgs?: unknown[];
+  },
+  options?: DeploymentsOptions
+): DeploymentEntry;
+export function resolveDeployment(
+  provider: ethers.providers.Provider,
+  name: string,
+  options?: { address?: string; abi?: ReadonlyArray<unknown>; directory?: string }
+): Promise<Deployment>;
+export function explorerUrl(chainId: number, kind: "address" | "tx", value: string): string | null;
+export function explorerName(chainId: number): string | null;
+
+// ========== TOKENS AND ABI (lib/tokens.js, lib/vault-abi.js) ==========
+
+export interface TokenInfo {
+  address: string;
+  symbol: string;
+  decimals: number;
+}
+
+export const ERC20_ABI: string[];
+export const NATIVE_TOKEN: Readonly<TokenInfo>;
+export function isNativeToken(token?: string): boolean;
+export function getTokenInfo(providerOrSigner: SignerOrProvider, token?: string): Promise<TokenInfo>;
+export function parseAmount(amount: string, tokenInfo: { decimals: number }): ethers.BigNumber;
+export function formatAmount(amount: ethers.BigNumberish, tokenInfo: { decimals: number; symbol: string }): string;
+
+export const VAULT_ABI: string[];
+export const vaultInterface: ethers.utils.Interface;
+
+// ========== CLIENT (lib/client.js) ==========
+
+export interface TransferDetails {
+  recipient: string;
+  /** Amount in the token's base units */
+  amount: ethers.BigNumberish;
+  /** ERC-20 token (default: native ETH) */
+  token?: string;
+  /** Sender (default: the client's signer) */
+  sender?: string;
+  /** Transfer time (default: now) */
+  timestamp?: ethers.BigNumberish;
+  /** 32-byte salt (default: random) */
+  salt?: string;
+}
+
+export type VaultEvent =
+  | { name: "PrivateTransfer"; logIndex: number; commitment: string }
+  | { name: "LeafInserted"; logIndex: number; commitment: string; leafIndex: number; root: string }
+  | { name: "EncryptedNote"; logIndex: number; commitment: string; envelope: string }
+  | {
+      name: "TransferRevealed";
+      logIndex: number;
+      commitment: string;
+      sender: string;
+      recipient: string;
+      token: string;
+      amount: string;
+      timestamp: string;
+    }
+  | { name: string; logIndex: number; args: ethers.utils.Result };
+
+export interface MinedTransaction {
+  txHash: string;
+  blockNumber: number;
+  receipt: ethers.providers.TransactionReceipt;
+  events: VaultEvent[];
+}
+
+export interface TransferResult {
+  commitment: string;
+  opening: Opening;
+  signature: string;
+  envelope: string | null;
+  txHash: string;
+  blockNumber: number;
+  events: VaultEvent[];
+}
+
+export interface CommitmentStatus {
+  commitment: string;
+  committed: boolean;
+  revealed: boolean;
+  index: number | null;
+  blockNumber: number | null;
+}
+
+export interface RelayerStatus {
+  gated: boolean;
+  attested: boolean;
+  registry: string | null;
+}
+
+export class PrivateTransferClient {
+  constructor(options: {
+    vaultAddress: string;
+    signerOrProvider: SignerOrProvider;
+    chainId: number;
+    deploymentBlock?: number | null;
+  } & DecryptionAudit);
+
+  static connect(
+    signerOrProvider: SignerOrProvider,
+    options?: { vaultAddress?: string; directory?: string } & DecryptionAudit
+  ): Promise<PrivateTransferClient>;
+
+  readonly signer: ethers.Signer | null;
+  readonly provider: ethers.providers.Provider;
+  readonly chainId: number;
+  readonly deploymentBlock: number | null;
+  readonly auditLog: DecryptionAuditLog | null;
+  readonly requester: string;
+  readonly vault: ethers.Contract;
+  readonly address: string;
+
+  createTransfer(details: TransferDetails): Promise<{ commitment: string; opening: Opening }>;
+  signIntent(opening: Opening): Promise<string>;
+  encryptPayload(payload: Payload, publicViewKeys: string[], commitment: string): string;
+  decryptPayload(
+    envelope: string,
+    privateViewKey: string,
+    commitment: string,
+    options?: { requester?: string }
+  ): Payload;
+  submit(commitment: string, options?: { envelope?: string }): Promise<ethers.providers.TransactionResponse>;
+  waitForTransaction(
+    txOrHash: ethers.providers.TransactionResponse | string,
+    options?: { confirmations?: number }
+  ): Promise<MinedTransaction>;
+  parseEvents(receipt: ethers.providers.TransactionReceipt): VaultEvent[];
+  transfer(details: TransferDetails & { viewKeys?: string[]; confirmations?: number }): Promise<TransferResult>;
+  getStatus(commitment: string): Promise<CommitmentStatus>;
+  scan(privateViewKey: string, options?: ScanOptions): Promise<ScannedNote[]>;
+  verifyOpening(
+    opening: Opening,
+    txHash: string,
+    options?: { signature?: string }
+  ): Promise<OpeningVerification & { senderConsent: boolean | null }>;
+  reveal(opening: Opening): Promise<ethers.providers.TransactionResponse>;
+  relayerStatus(relayer?: string): Promise<RelayerStatus>;
+}
+
+export function toClientError(error: unknown): ClientError | unknown;
@@ -0,0 +1,50 @@
+// File: lib/index.js
+/**
+ * PrivateTransferVault - Library Entry Point
+ * ==========================================
+ *
+ * PURPOSE:
+ * What `require("private-transfer-vault")` returns: PrivateTransferClient for
+ * services that move transfers through a vault, the typed errors it and the
+ * modules below throw, and the building blocks it is made of for callers that
+ * need finer control. TypeScript declarations are in lib/index.d.ts.
+ *
+ * TECHNICAL NOTES:
+ * - Only the transfer path is exported here (commitments, intents, envelopes,
+ *   view keys, notes, verification, deployments, tokens). The shielded pool,
+ *   audit log, epoch keys and payload store keep their own modules and are
+ *   required by path (e.g. "private-transfer-vault/lib/audit-log")
+ * - Names are unique across the modules, so spreading them cannot shadow one
+ *   another, except decryptPayload() and openEnvelope(): the exported ones are
+ *   lib/audit-log.js decryptPayloadAudited() and openEnvelopeAudited(), so
+ *   every decryption made through the package is recorded in the audit log
+ */
+const { PrivateTransferClient, toClientError } = require("./client");
+const errors = require("./errors");
+const commitment = require("./commitment");
+const intent = require("./intent");
+const envelope = require("./envelope");
+const viewKeys = require("./view-keys");
+const noteScanner = require("./note-scanner");
+const openingVerifier = require("./opening-verifier");
+const deployments = require("./deployments");
+const tokens = require("./tokens");
+const vaultAbi = require("./vault-abi");
+const { decryptPayloadAudited, openEnvelopeAudited } = require("./audit-log");
+
+module.exports = {
+  PrivateTransferClient,
+  toClientError,
+  ...errors,
+  ...commitment,
+  ...intent,
+  ...envelope,
+  decryptPayload: decryptPayloadAudited,
+  openEnvelope: openEnvelopeAudited,
+  ...viewKeys,
+  ...noteScanner,
+  ...openingVerifier,
+  ...deployments,
+  ...tokens,
+  ...vaultAbi
+};
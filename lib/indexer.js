@@ -0,0 +1,928 @@
+// File: lib/indexer.js
+/**
+ * PrivateTransferVault - Commitment Indexer
+ * =========================================
+ *
+ * PURPOSE:
+ * Follows a vault from its deployment block and keeps every submitted
+ * commitment in a local JSON file, so tools can list and query the vault's
+ * history without asking the RPC node again. A sync only fetches the blocks
+ * added since the last checkpoint, after checking that the chain it indexed
+ * is still the canonical one.
+ *
+ * STORE FORMAT (one file per chain and vault, .index/<chainId>-<vault>.json):
+ *   {
+ *     "version": 1,
+ *     "chainId": 11155111,
+ *     "vault": "0x...",
+ *     "deploymentBlock": 123,
+ *     "checkpoint": { "blockNumber": 456, "blockHash": "0x..." },   last indexed block
+ *     "commitments": {
+ *       "0x<commitment>": {
+ *         "commitment", "status",                                           see COMMITMENT STATUS
+ *         "blockNumber", "blockHash", "txHash", "logIndex",                 the PrivateTransfer log
+ *         "submitter",                                                      sender of the transaction
+ *         "leafIndex", "root",                                              LeafInserted
+ *         "note": { "encryptedNote", "logIndex" } | null,                   EncryptedNote
+ *         "revealed": { sender, recipient, token, amount, timestamp,
+ *                       txHash, blockNumber, blockHash } | null,           TransferRevealed
+ *         "nonce", "replacedTxHashes",                                      pending records: the sender's
+ *                                                                           nonce and earlier hashes of the
+ *                                                                           same submission (fee replacements)
+ *         "dropReason", "droppedAt", "resubmissions", "resubmitError"      dropped and resubmitted records
+ *       }
+ *     }
+ *   }
+ *
+ * COMMITMENT STATUS:
+ *   pending ──> included ──> final
+ *      │            │
+ *      └────────────┴──> dropped ──(resubmit)──> pending
+ * - pending   Submitted through track() (or resubmitted), not seen in a block yet
+ * - included  In an indexed block with fewer than `confirmations` blocks on top
+ * - final     At least `confirmations` blocks deep
+ * - dropped   Its block was reorged out (dropReason "reorged"), or its pending
+ *             transaction disappeared from the node ("evicted") or reverted
+ *             ("reverted"). A dropped commitment that reappears in a later
+ *             block becomes included again
+ *
+ * REPLACED TRANSACTIONS:
+ * A sender such as lib/tx-manager.js replaces a stuck transaction with a
+ * higher-fee one under the same nonce, which changes its hash. Calling track()
+ * again with the new hash keeps the record pending and remembers the old one.
+ * A pending commitment is only dropped as "evicted" when none of its hashes is
+ * known to the node, the vault does not hold it, and no transaction is waiting
+ * under its nonce, so a replacement that was never reported is not mistaken for
+ * an eviction (and resubmitted next to it).
+ *
+ * REORG DETECTION:
+ * Every sync first compares the checkpoint's block hash with the chain's. On a
+ * mismatch the index is rewound by `confirmations` blocks: records in the
+ * rewound range whose block hash changed are dropped, reveals in them are
+ * cleared, and the range is indexed again. Reorgs deeper than `confirmations`
+ * are not detected, which is what "final" assumes.
+ *
+ * TECHNICAL NOTES:
+ * - Logs are fetched in pages of pageSize blocks. When the node refuses a
+ *   range (block range or result limits), the page is halved and retried
+ * - Records and checkpoint are written together after each page, through a
+ *   temporary file and a rename, so an interrupted sync resumes after the last
+ *   completed page and never leaves a half-written file
+ * - The submitter is the account that sent the transaction: the relayer when
+ *   one was used, never necessarily the sender of the transfer
+ * - Resubmission is off unless a resubmit function is given (managedResubmitter()
+ *   or vaultResubmitter());
+ *   reverted commitments are never resubmitted, and each commitment at most
+ *   maxResubmissions times, counting attempts the resubmit function failed
+ *
+ * PRIVACY NOTE:
+ * The index holds only public chain data; encrypted notes stay encrypted
+ * until scanIndexedNotes() trial-decrypts them locally.
+ */
+const fs = require("fs");
+const path = require("path");
+const { ethers } = require("ethers");
+const { resolveDeployment } = require("./deployments");
+const { openNote } = require("./note-scanner");
+const { VAULT_ABI, vaultInterface } = require("./vault-abi");
+const { IndexerError } = require("./errors");
+
+/**
+ * Store format version
+ */
+const INDEX_VERSION = 1;
+
+/**
+ * Default directory of the index files
+ */
+const INDEX_DIR = path.join(__dirname, "..", ".index");
+
+/**
+ * Blocks per eth_getLogs request (public RPC providers allow 2k-10k)
+ */
+const DEFAULT_PAGE_SIZE = 2000;
+
+/**
+ * Blocks on top of a commitment's block before it counts as final
+ * (Ethereum's own finality takes two epochs, 64 blocks)
+ */
+const DEFAULT_CONFIRMATIONS = 12;
+
+/**
+ * Resubmission attempts (failed ones included) of one commitment before the indexer gives up on it
+ */
+const DEFAULT_MAX_RESUBMISSIONS = 3;
+
+/**
+ * Order of the statuses a commitment moves through on its way to finality
+ */
+const STATUS_RANK = { pending: 0, included: 1, final: 2 };
+
+/**
+ * Vault events the indexer reads, as one topic filter
+ */
+const INDEXED_TOPICS = ["PrivateTransfer", "LeafInserted", "EncryptedNote", "TransferRevealed"].map((name) =>
+  vaultInterface.getEventTopic(name)
+);
+
+/**
+ * Messages of nodes refusing a log query for its size
+ */
+const RANGE_ERROR_PATTERN = /block range|range (is )?too (large|wide)|more than \d+ results|too many (results|logs)|limit exceeded|response size/i;
+
+/**
+ * Path of the index file of a vault
+ *
+ * @param {number} chainId Chain id
+ * @param {string} vault Vault address
+ * @param {Object} [options]
+ * @param {string} [options.directory] Index directory (default .index/)
+ * @returns {string} File path
+ */
+function indexFile(chainId, vault, { directory = INDEX_DIR } = {}) {
+  return path.join(directory, `${chainId}-${vault.toLowerCase()}.json`);
+}
+
+/**
+ * Whether a getLogs failure means the requested range was too large
+ *
+ * @param {Error} error Error thrown by provider.getLogs()
+ * @returns {boolean}
+ */
+function isRangeError(error) {
+  const text = [error.message, error.body, error.error && error.error.message].filter(Boolean).join(" ");
+  return RANGE_ERROR_PATTERN.test(text);
+}
+
+/**
+ * JSON file of one vault's indexed commitments
+ */
+class CommitmentStore {
+  /**
+   * @param {string} file Path of the index file (created on first save)
+   */
+  constructor(file) {
+    this.file = file;
+    this.state = null;
+  }
+
+  /**
+   * Load the file, or start an empty index when there is none
+   *
+   * @param {Object} vault
+   * @param {number} vault.chainId Chain the vault is on
+   * @param {string} vault.vault Vault address
+   * @param {number} vault.deploymentBlock First block to index
+   * @returns {CommitmentStore} This store
+   * @throws {IndexerError} CORRUPTED_STORE, or STORE_MISMATCH for another chain or vault's file
+   */
+  open({ chainId, vault, deploymentBlock }) {
+    const address = ethers.utils.getAddress(vault);
+    if (!fs.existsSync(this.file)) {
+      this.state = { version: INDEX_VERSION, chainId, vault: address, deploymentBlock, checkpoint: null, commitments: {} };
+      return this;
+    }
+
+    let state;
+    try {
+      state = JSON.parse(fs.readFileSync(this.file, "utf8"));
+    } catch (error) {
+      throw new IndexerError("CORRUPTED_STORE", `${this.file} is not valid JSON; delete it to re-index`);
+    }
+    if (state.version !== INDEX_VERSION || !state.commitments) {
+      throw new IndexerError("CORRUPTED_STORE", `${this.file} is not a version ${INDEX_VERSION} commitment index`);
+    }
+    if (state.chainId !== chainId || state.vault !== address) {
+      throw new IndexerError(
+        "STORE_MISMATCH",
+        `${this.file} indexes vault ${state.vault} on chain ${state.chainId}, not ${address} on chain ${chainId}`
+      );
+    }
+    this.state = state;
+    return this;
+  }
+
+  /**
+   * Last indexed block
+   *
+   * @returns {{blockNumber: number, blockHash: string}|null} null before the first sync
+   */
+  get checkpoint() {
+    return this.state.checkpoint;
+  }
+
+  /**
+   * Number of indexed commitments
+   */
+  get size() {
+    return Object.keys(this.state.commitments).length;
+  }
+
+  /**
+   * Look up one commitment
+   *
+   * @param {string} commitment The commitment
+   * @returns {Object|null} Its record, or null if it is not indexed
+   */
+  get(commitment) {
+    return this.state.commitments[commitment.toLowerCase()] || null;
+  }
+
+  /**
+   * List indexed commitments in chain order
+   *
+   * @param {Object} [filter]
+   * @param {string} [filter.submitter] Only those submitted by this account
+   * @param {number} [filter.fromBlock] Only those from this block on
+   * @param {number} [filter.toBlock] Only those up to this block
+   * @param {boolean} [filter.withNote] Only those with an encrypted note
+   * @param {string|string[]} [filter.status] Only those with this status (or one of these)
+   * @returns {Object[]} Matching records; pending ones (no block yet) last
+   */
+  list({ submitter, fromBlock, toBlock, withNote, status } = {}) {
+    const wanted = submitter ? ethers.utils.getAddress(submitter) : null;
+    const statuses = status === undefined ? null : [].concat(status);
+    const position = (record) => (record.blockNumber === null ? Infinity : record.blockNumber);
+    return Object.values(this.state.commitments)
+      .filter(
+        (record) =>
+          (!wanted || record.submitter === wanted) &&
+          (fromBlock === undefined || (record.blockNumber !== null && record.blockNumber >= fromBlock)) &&
+          (toBlock === undefined || (record.blockNumber !== null && record.blockNumber <= toBlock)) &&
+          (!withNote || record.note !== null) &&
+          (!statuses || statuses.includes(record.status))
+      )
+      .sort((a, b) => position(a) - position(b) || (a.logIndex || 0) - (b.logIndex || 0));
+  }
+
+  /**
+   * Blocks on top of a record's block, counted to the checkpoint
+   *
+   * @param {Object} record Indexed record
+   * @returns {number} Confirmations (the block itself counts as one); 0 unless included or final
+   */
+  confirmations(record) {
+    if ((record.status !== "included" && record.status !== "final") || !this.state.checkpoint) {
+      return 0;
+    }
+    return Math.max(0, this.state.checkpoint.blockNumber - record.blockNumber + 1);
+  }
+
+  /**
+   * Insert or replace a record
+   *
+   * @param {Object} record Record with a `commitment` field
+   */
+  put(record) {
+    this.state.commitments[record.commitment.toLowerCase()] = record;
+  }
+
+  /**
+   * Move the checkpoint (persisted by the next save())
+   *
+   * @param {{blockNumber: number, blockHash: string}} checkpoint Last indexed block
+   */
+  setCheckpoint(checkpoint) {
+    this.state.checkpoint = checkpoint;
+  }
+
+  /**
+   * Write the index to its file atomically
+   */
+  save() {
+    fs.mkdirSync(path.dirname(this.file), { recursive: true });
+    const temp = `${this.file}.${process.pid}.tmp`;
+    fs.writeFileSync(temp, JSON.stringify(this.state, null, 2));
+    fs.renameSync(temp, this.file);
+  }
+}
+
+/**
+ * Ask the node once for a transaction or its receipt
+ *
+ * ethers' getTransaction() and getTransactionReceipt() keep polling for a
+ * transaction the provider has seen mined, so they never return once a reorg
+ * removed it; perform() sends the single request.
+ *
+ * @param {ethers.providers.Provider} provider Provider of the chain
+ * @param {"getTransaction"|"getTransactionReceipt"} method What to fetch
+ * @param {string} transactionHash Transaction hash
+ * @returns {Promise<Object|null>} The node's answer (unformatted with perform()), or null
+ */
+async function lookupTransaction(provider, method, transactionHash) {
+  if (typeof provider.perform === "function") {
+    return provider.perform(method, { transactionHash });
+  }
+  return provider[method](transactionHash);
+}
+
+/**
+ * Pending record of a commitment whose transaction is not in a block yet
+ *
+ * @param {Object} record Earlier record of the commitment, or `{ commitment, note }`
+ * @param {Object} transaction
+ * @param {string} transaction.txHash Transaction carrying the commitment
+ * @param {string|null} transaction.submitter Account that sent it, if known
+ * @param {number|null} [transaction.nonce] Its nonce, if known
+ * @param {string[]} [transaction.replacedTxHashes] Earlier hashes of the same transaction
+ * @returns {Object} The pending record
+ */
+function pendingRecord(record, { txHash, submitter, nonce = null, replacedTxHashes = [] }) {
+  return {
+    commitment: record.commitment,
+    status: "pending",
+    blockNumber: null,
+    blockHash: null,
+    txHash,
+    logIndex: null,
+    submitter,
+    leafIndex: null,
+    root: null,
+    note: record.note ? { encryptedNote: record.note.encryptedNote, logIndex: null } : null,
+    revealed: null,
+    nonce,
+    replacedTxHashes,
+    dropReason: null,
+    droppedAt: null,
+    resubmissions: record.resubmissions || 0
+  };
+}
+
+/**
+ * Keeps a CommitmentStore in step with the vault's logs
+ */
+class CommitmentIndexer {
+  /**
+   * @param {Object} options
+   * @param {ethers.providers.Provider} options.provider Provider of the vault's chain
+   * @param {CommitmentStore} options.store Opened store of the vault
+   * @param {number} [options.pageSize] Blocks per getLogs request (default 2000)
+   * @param {number} [options.confirmations] Depth at which a commitment is final, and the
+   *   deepest reorg detected (default 12)
+   * @param {Function} [options.resubmit] `async (record) => TransactionResponse|null` that
+   *   submits a dropped commitment again (see managedResubmitter()); none: dropped stays dropped
+   * @param {number} [options.maxResubmissions] Resubmission attempts per commitment, failed
+   *   ones included (default 3)
+   */
+  constructor({
+    provider,
+    store,
+    pageSize = DEFAULT_PAGE_SIZE,
+    confirmations = DEFAULT_CONFIRMATIONS,
+    resubmit = null,
+    maxResubmissions = DEFAULT_MAX_RESUBMISSIONS
+  }) {
+    if (!Number.isInteger(confirmations) || confirmations < 1) {
+      throw new Error("confirmations must be a positive integer");
+    }
+    this.provider = provider;
+    this.store = store;
+    this.pageSize = pageSize;
+    this.confirmations = confirmations;
+    this.resubmit = resubmit;
+    this.maxResubmissions = maxResubmissions;
+    this._dropped = new Set();
+  }
+
+  /**
+   * Open the index of the vault on the provider's chain
+   *
+   * @param {ethers.providers.Provider} provider Provider of the vault's chain
+   * @param {Object} [options] Constructor options except provider and store, plus:
+   * @param {string} [options.vaultAddress] Vault address (default: the chain's deployments registry entry)
+   * @param {string} [options.file] Index file (default: indexFile() in options.directory)
+   * @param {string} [options.directory] Index directory (default .index/)
+   * @returns {Promise<CommitmentIndexer>}
+   * @throws {DeploymentError|IndexerError} If the vault cannot be resolved or the file is unusable
+   */
+  static async open(provider, { vaultAddress, file, directory, ...options } = {}) {
+    const { chainId, address, blockNumber } = await resolveDeployment(provider, "PrivateTransferVault", {
+      address: vaultAddress,
+      abi: VAULT_ABI
+    });
+    const store = new CommitmentStore(file || indexFile(chainId, address, { directory })).open({
+      chainId,
+      vault: address,
+      deploymentBlock: blockNumber || 0
+    });
+    return new CommitmentIndexer({ provider, store, ...options });
+  }
+
+  /**
+   * Vault contract address
+   */
+  get address() {
+    return this.store.state.vault;
+  }
+
+  /**
+   * Start tracking a commitment that was just submitted, as pending
+   *
+   * Call it again with the new hash when the transaction is replaced (e.g. from
+   * the tx-manager's onUpdate): the record stays pending and keeps the old hash.
+   *
+   * @param {string} commitment The submitted commitment
+   * @param {Object} transaction
+   * @param {string} transaction.txHash Transaction carrying it
+   * @param {string} [transaction.submitter] Account that sent it
+   * @param {number} [transaction.nonce] Its nonce (looked up while it is pending otherwise)
+   * @param {string} [transaction.encryptedNote] Hex note bytes it was submitted with, kept
+   *   so a resubmission carries the same note
+   * @returns {Object} The record; an existing record is kept unless it was dropped, or is
+   *   pending and txHash replaces its transaction
+   */
+  track(commitment, { txHash, submitter = null, nonce = null, encryptedNote = null }) {
+    const existing = this.store.get(commitment);
+    if (existing && existing.status === "pending") {
+      const known = [existing.txHash, ...(existing.replacedTxHashes || [])].map((hash) => hash.toLowerCase());
+      if (known.includes(txHash.toLowerCase())) {
+        return existing;
+      }
+      const replaced = {
+        ...existing,
+        txHash,
+        submitter: submitter || existing.submitter,
+        nonce: nonce === null ? existing.nonce : nonce,
+        replacedTxHashes: [...(existing.replacedTxHashes || []), existing.txHash]
+      };
+      this.store.put(replaced);
+      this.store.save();
+      return replaced;
+    }
+    if (existing && existing.status !== "dropped") {
+      return existing;
+    }
+    const base = existing || { commitment, note: null };
+    const record = pendingRecord(encryptedNote ? { ...base, note: { encryptedNote } } : base, {
+      txHash,
+      submitter,
+      nonce
+    });
+    this.store.put(record);
+    this.store.save();
+    return record;
+  }
+
+  /**
+   * Index every block since the checkpoint (from the deployment block on the first run)
+   *
+   * EXECUTION FLOW:
+   * 1. Check the checkpoint is still canonical; on a reorg, drop what was
+   *    reorged out and rewind
+   * 2. Fetch and apply the vault's logs page by page
+   * 3. Drop pending transactions that reverted or left the node (with no
+   *    replacement in sight)
+   * 4. Promote included commitments to final
+   * 5. Resubmit dropped commitments, when configured
+   *
+   * @param {Object} [options]
+   * @param {number} [options.toBlock] Last block to index (default: the latest block)
+   * @param {Function} [options.onPage] Called after each saved page with
+   *   `{ fromBlock, toBlock, logs, added, revealed }`
+   * @param {Function} [options.onReorg] Called when a reorg is detected with
+   *   `{ blockNumber, rewoundTo, reorged }` (commitments whose block changed)
+   * @returns {Promise<Object>} `{ fromBlock, toBlock, added, revealed, reorg, dropped, resubmitted }`:
+   *   the blocks covered (fromBlock > toBlock when already current), the reorg handled
+   *   (or null), commitments dropped and not back, and resubmissions `{ commitment, txHash }`
+   */
+  async sync({ toBlock, onPage, onReorg } = {}) {
+    this._dropped.clear();
+    const reorg = await this._checkReorg();
+    if (reorg && onReorg) {
+      onReorg(reorg);
+    }
+
+    const last = toBlock === undefined ? await this.provider.getBlockNumber() : toBlock;
+    const { checkpoint } = this.store;
+    const start = checkpoint ? checkpoint.blockNumber + 1 : this.store.state.deploymentBlock;
+    const totals = { fromBlock: start, toBlock: last, added: 0, revealed: 0 };
+
+    let from = start;
+    while (from <= last) {
+      const to = Math.min(from + this.pageSize - 1, last);
+      let logs;
+      try {
+        logs = await this.provider.getLogs({ address: this.address, topics: [INDEXED_TOPICS], fromBlock: from, toBlock: to });
+      } catch (error) {
+        if (this.pageSize > 1 && isRangeError(error)) {
+          this.pageSize = Math.ceil(this.pageSize / 2);
+          continue;
+        }
+        throw error;
+      }
+
+      const counts = await this._apply(logs);
+      const block = await this.provider.getBlock(to);
+      this.store.setCheckpoint({ blockNumber: to, blockHash: block.hash });
+      this.store.save();
+
+      totals.added += counts.added;
+      totals.revealed += counts.revealed;
+      if (onPage) {
+        onPage({ fromBlock: from, toBlock: to, logs: logs.length, ...counts });
+      }
+      from = to + 1;
+    }
+
+    await this._checkPending();
+    this._updateStatuses();
+    const dropped = [...this._dropped]
+      .map((key) => this.store.get(key))
+      .filter((record) => record.status === "dropped")
+      .map((record) => record.commitment);
+    const resubmitted = this.resubmit ? await this._resubmitDropped() : [];
+    this.store.save();
+    return { ...totals, reorg, dropped, resubmitted };
+  }
+
+  /**
+   * Sync until a commitment reaches a status or goes beyond it
+   *
+   * @param {string} commitment Indexed or tracked commitment
+   * @param {Object} [options]
+   * @param {"pending"|"included"|"final"} [options.status] Status to wait for (default "final");
+   *   a record already further along (final when waiting for included) also returns
+   * @param {number} [options.pollSeconds] Delay between syncs (default 12, one Ethereum slot)
+   * @param {number|null} [options.timeoutSeconds] Give up after this long (default: never). Set it
+   *   when the commitment may be unknown to the index, which otherwise waits forever
+   * @param {Function} [options.onSync] Called with the record (null while unknown) after each sync
+   * @returns {Promise<Object>} The record, once it has reached the status or is dropped
+   * @throws {IndexerError} TIMEOUT when timeoutSeconds passes first
+   */
+  async waitFor(commitment, { status = "final", pollSeconds = 12, timeoutSeconds = null, onSync } = {}) {
+    if (!(status in STATUS_RANK)) {
+      throw new Error(`Cannot wait for status '${status}': use pending, included or final`);
+    }
+    const deadline = timeoutSeconds === null ? Infinity : Date.now() + timeoutSeconds * 1000;
+    for (;;) {
+      await this.sync();
+      const record = this.store.get(commitment);
+      if (onSync) {
+        onSync(record);
+      }
+      if (record && (record.status === "dropped" || STATUS_RANK[record.status] >= STATUS_RANK[status])) {
+        return record;
+      }
+      if (Date.now() + pollSeconds * 1000 > deadline) {
+        throw new IndexerError(
+          "TIMEOUT",
+          record
+            ? `Commitment ${commitment} is still ${record.status} after ${timeoutSeconds}s`
+            : `Commitment ${commitment} is not in the index after ${timeoutSeconds}s`
+        );
+      }
+      await new Promise((resolve) => setTimeout(resolve, pollSeconds * 1000));
+    }
+  }
+
+  /**
+   * Detect a reorg below the checkpoint and undo what it removed
+   *
+   * @returns {Promise<{blockNumber: number, rewoundTo: number, reorged: string[]}|null>}
+   *   null when the checkpoint is still canonical
+   */
+  async _checkReorg() {
+    const { checkpoint } = this.store;
+    if (!checkpoint) {
+      return null;
+    }
+    const hashes = new Map();
+    const head = await this.provider.getBlockNumber();
+    const canonicalHash = async (blockNumber) => {
+      if (blockNumber > head) {
+        // The chain got shorter (ethers would wait for the block to appear)
+        return null;
+      }
+      if (!hashes.has(blockNumber)) {
+        const block = await this.provider.getBlock(blockNumber);
+        hashes.set(blockNumber, block ? block.hash : null);
+      }
+      return hashes.get(blockNumber);
+    };
+    if ((await canonicalHash(checkpoint.blockNumber)) === checkpoint.blockHash) {
+      return null;
+    }
+
+    const { deploymentBlock } = this.store.state;
+    const rewoundTo = Math.max(deploymentBlock - 1, checkpoint.blockNumber - this.confirmations);
+    const reorged = [];
+    for (const record of this.store.list({ fromBlock: rewoundTo + 1, status: ["included", "final"] })) {
+      if ((await canonicalHash(record.blockNumber)) === record.blockHash) {
+        continue;
+      }
+      reorged.push(record.commitment);
+      // A reorged transaction usually returns to the mempool: wait for it rather than drop it
+      if (await lookupTransaction(this.provider, "getTransaction", record.txHash)) {
+        this.store.put(pendingRecord(record, { txHash: record.txHash, submitter: record.submitter, nonce: record.nonce }));
+      } else {
+        this._drop(record, "reorged");
+      }
+    }
+    for (const record of this.store.list()) {
+      const { revealed } = record;
+      if (revealed && revealed.blockNumber > rewoundTo && (await canonicalHash(revealed.blockNumber)) !== revealed.blockHash) {
+        this.store.put({ ...record, revealed: null });
+      }
+    }
+
+    this.store.setCheckpoint(
+      rewoundTo >= deploymentBlock ? { blockNumber: rewoundTo, blockHash: await canonicalHash(rewoundTo) } : null
+    );
+    this.store.save();
+    return { blockNumber: checkpoint.blockNumber, rewoundTo, reorged };
+  }
+
+  /**
+   * Drop pending commitments whose transaction reverted or left the node
+   *
+   * Every hash of the submission (the current one and those it replaced) is
+   * checked; only one of them can be mined, as they share a nonce.
+   */
+  async _checkPending() {
+    for (let record of this.store.list({ status: "pending" })) {
+      let mined = false;
+      let reverted = false;
+      let known = false;
+      for (const hash of [record.txHash, ...(record.replacedTxHashes || [])]) {
+        const receipt = await lookupTransaction(this.provider, "getTransactionReceipt", hash);
+        if (receipt) {
+          mined = mined || Number(receipt.status) === 1;
+          reverted = reverted || Number(receipt.status) === 0;
+          continue;
+        }
+        const transaction = await lookupTransaction(this.provider, "getTransaction", hash);
+        if (transaction) {
+          known = true;
+          if (record.nonce === null || record.nonce === undefined) {
+            record = { ...record, nonce: Number(transaction.nonce) };
+            this.store.put(record);
+          }
+        }
+      }
+      if (mined) {
+        // Mined after this sync's last block: indexed by the next sync
+        continue;
+      }
+      if (reverted) {
+        this._drop(record, "reverted");
+      } else if (!known && !(await this._awaitingReplacement(record))) {
+        this._drop(record, "evicted");
+      }
+    }
+  }
+
+  /**
+   * Whether a pending commitment whose known hashes all left the node is still on
+   * its way: in the vault already, or with a transaction waiting under its nonce
+   *
+   * @param {Object} record Pending record
+   * @returns {Promise<boolean>}
+   */
+  async _awaitingReplacement(record) {
+    const [committed] = vaultInterface.decodeFunctionResult(
+      "isCommitted",
+      await this.provider.call({
+        to: this.address,
+        data: vaultInterface.encodeFunctionData("isCommitted", [record.commitment])
+      })
+    );
+    if (committed) {
+      // Mined under a hash the index was never told about: the next sync indexes it
+      return true;
+    }
+    if (record.nonce === null || record.nonce === undefined || !record.submitter) {
+      return false;
+    }
+    const [minedCount, pendingCount] = await Promise.all([
+      this.provider.getTransactionCount(record.submitter, "latest"),
+      this.provider.getTransactionCount(record.submitter, "pending")
+    ]);
+    return minedCount <= record.nonce && pendingCount > record.nonce;
+  }
+
+  /**
+   * Set included or final on every record in a block, from its depth below the checkpoint
+   */
+  _updateStatuses() {
+    const { checkpoint } = this.store;
+    if (!checkpoint) {
+      return;
+    }
+    for (const record of this.store.list()) {
+      if (record.status === "pending" || record.status === "dropped") {
+        continue;
+      }
+      const status = checkpoint.blockNumber - record.blockNumber + 1 >= this.confirmations ? "final" : "included";
+      if (record.status !== status) {
+        this.store.put({ ...record, status });
+      }
+    }
+  }
+
+  /**
+   * Mark a record dropped
+   *
+   * @param {Object} record The record
+   * @param {"reorged"|"evicted"|"reverted"} reason Why it is no longer on its way
+   */
+  _drop(record, reason) {
+    this.store.put({ ...record, status: "dropped", dropReason: reason, droppedAt: new Date().toISOString() });
+    this._dropped.add(record.commitment.toLowerCase());
+  }
+
+  /**
+   * Hand dropped commitments to the resubmit function
+   *
+   * @returns {Promise<{commitment: string, txHash: string}[]>} The resubmissions sent
+   */
+  async _resubmitDropped() {
+    const resubmitted = [];
+    for (const record of this.store.list({ status: "dropped" })) {
+      if (record.dropReason === "reverted" || (record.resubmissions || 0) >= this.maxResubmissions) {
+        continue;
+      }
+      let tx;
+      try {
+        tx = await this.resubmit(record);
+      } catch (error) {
+        // Counted like a sent resubmission, so a commitment that always fails is not retried forever
+        this.store.put({ ...record, resubmissions: (record.resubmissions || 0) + 1, resubmitError: error.message });
+        continue;
+      }
+      if (!tx) {
+        continue;
+      }
+      const pending = pendingRecord(record, {
+        txHash: tx.hash,
+        submitter: tx.from || null,
+        nonce: tx.nonce === undefined ? null : tx.nonce
+      });
+      this.store.put({ ...pending, resubmissions: (record.resubmissions || 0) + 1 });
+      resubmitted.push({ commitment: record.commitment, txHash: tx.hash });
+    }
+    return resubmitted;
+  }
+
+  /**
+   * Turn one page of logs into store records
+   *
+   * @param {Object[]} logs Raw vault logs, in chain order
+   * @returns {Promise<{added: number, revealed: number}>}
+   */
+  async _apply(logs) {
+    // A submission emits LeafInserted, PrivateTransfer and EncryptedNote in that
+    // order, so group the page by commitment before building records
+    const found = new Map();
+    for (const log of logs) {
+      const { name, args } = vaultInterface.parseLog(log);
+      const key = args.commitment.toLowerCase();
+      const entry = found.get(key) || { commitment: args.commitment };
+      found.set(key, entry);
+      if (name === "PrivateTransfer") {
+        entry.transfer = log;
+      } else if (name === "LeafInserted") {
+        entry.leaf = { leafIndex: args.leafIndex, root: args.root };
+      } else if (name === "EncryptedNote") {
+        entry.note = { encryptedNote: args.encryptedNote, logIndex: log.logIndex };
+      } else {
+        entry.revealed = {
+          sender: args.sender,
+          recipient: args.recipient,
+          token: args.token,
+          amount: args.amount.toString(),
+          timestamp: args.timestamp.toString(),
+          txHash: log.transactionHash,
+          blockNumber: log.blockNumber,
+          blockHash: log.blockHash
+        };
+      }
+    }
+
+    const submitters = new Map();
+    const counts = { added: 0, revealed: 0 };
+    for (const entry of found.values()) {
+      if (entry.transfer) {
+        const { transactionHash, blockNumber, blockHash, logIndex } = entry.transfer;
+        if (!submitters.has(transactionHash)) {
+          // Batch submissions share one transaction
+          submitters.set(transactionHash, (await this.provider.getTransaction(transactionHash)).from);
+        }
+        const existing = this.store.get(entry.commitment);
+        this.store.put({
+          commitment: entry.commitment,
+          status: "included",
+          blockNumber,
+          blockHash,
+          txHash: transactionHash,
+          logIndex,
+          submitter: submitters.get(transactionHash),
+          leafIndex: entry.leaf ? entry.leaf.leafIndex : null,
+          root: entry.leaf ? entry.leaf.root : null,
+          note: entry.note || null,
+          revealed: null,
+          dropReason: null,
+          droppedAt: null,
+          resubmissions: existing ? existing.resubmissions || 0 : 0
+        });
+        counts.added++;
+      }
+      const record = this.store.get(entry.commitment);
+      if (entry.revealed && record) {
+        this.store.put({ ...record, revealed: entry.revealed });
+        counts.revealed++;
+      }
+    }
+    return counts;
+  }
+}
+
+/**
+ * Resubmit function for CommitmentIndexer that sends dropped commitments through a
+ * transaction manager (lib/tx-manager.js), keyed by the commitment
+ *
+ * The manager assigns the nonce and replaces the resubmission when it gets stuck,
+ * and a commitment it still has pending or mined is not sent a second time.
+ * Use the wallet of the relayer, which is the account a gated vault accepts.
+ *
+ * @param {TransactionManager} manager Manager of the resubmitting wallet
+ * @param {ethers.Contract} vault Vault (lib/vault-abi.js) on the manager's chain
+ * @returns {Function} `async (record) => {hash, from, nonce}|null`; null when the
+ *   commitment is already back on-chain (the next sync indexes it)
+ */
+function managedResubmitter(manager, vault) {
+  return async (record) => {
+    if (await vault.isCommitted(record.commitment)) {
+      return null;
+    }
+    const request = record.note
+      ? await vault.populateTransaction.submitTransferWithNote(record.commitment, record.note.encryptedNote)
+      : await vault.populateTransaction.submitTransfer(record.commitment);
+    const job = await manager.submit(record.commitment, request);
+    return { hash: job.txHash, from: manager.account, nonce: job.nonce };
+  };
+}
+
+/**
+ * Resubmit function for CommitmentIndexer that sends dropped commitments to the vault again
+ *
+ * Sends directly from the vault's signer, without replacement of stuck transactions;
+ * prefer managedResubmitter() for a relayer.
+ *
+ * @param {ethers.Contract} vault Vault connected to the account that resubmits
+ * @returns {Function} `async (record) => TransactionResponse|null`; null when the
+ *   commitment is already back on-chain (the next sync indexes it)
+ */
+function vaultResubmitter(vault) {
+  return async (record) => {
+    if (await vault.isCommitted(record.commitment)) {
+      return null;
+    }
+    return record.note
+      ? vault.submitTransferWithNote(record.commitment, record.note.encryptedNote)
+      : vault.submitTransfer(record.commitment);
+  };
+}
+
+/**
+ * Trial-decrypt the indexed encrypted notes with a view key, without RPC calls
+ *
+ * @param {CommitmentStore} store Synced store
+ * @param {string} privateViewKey 32-byte hex private view key
+ * @param {Object} [options] See CommitmentStore.list(), plus:
+ * @param {AuditLog} [options.auditLog] Log to record every trial decryption in (default log if none)
+ * @param {string} [options.requester] Who asked for the scan (recorded with each attempt)
+ * @returns {Object[]} Notes as returned by lib/note-scanner.js scanNotes()
+ */
+function scanIndexedNotes(store, privateViewKey, { auditLog, requester, ...filter } = {}) {
+  return store
+    .list({ status: ["included", "final"], ...filter, withNote: true })
+    .map((record) =>
+      openNote(
+        {
+          commitment: record.commitment,
+          encryptedNote: record.note.encryptedNote,
+          txHash: record.txHash,
+          blockNumber: record.blockNumber,
+          logIndex: record.note.logIndex
+        },
+        privateViewKey,
+        { auditLog, requester }
+      )
+    )
+    .filter((note) => note !== null);
+}
+
+module.exports = {
+  INDEX_VERSION,
+  INDEX_DIR,
+  DEFAULT_PAGE_SIZE,
+  DEFAULT_CONFIRMATIONS,
+  DEFAULT_MAX_RESUBMISSIONS,
+  indexFile,
+  isRangeError,
+  CommitmentStore,
+  CommitmentIndexer,
+  managedResubmitter,
+  vaultResubmitter,
+  scanIndexedNotes
+};
@@ -0,0 +1,234 @@
+// File: lib/merkle-tree.js
+/**
+ * PrivateTransferVault - Commitment Merkle Tree
+ * =============================================
+ *
+ * PURPOSE:
+ * Off-chain mirror of the vault's incremental Merkle tree. It rebuilds the
+ * tree from LeafInserted logs and produces membership proofs showing that a
+ * commitment is part of a root the vault has published.
+ *
+ * TREE PARAMETERS (must match PrivateTransferVault.sol):
+ * - Depth 20, leaves filled left to right in submission order
+ * - Empty leaf is bytes32(0); each empty subtree root hashes two empty children
+ * - Parent = keccak256(left || right)
+ *
+ * STORAGE:
+ * Only non-empty nodes are kept (layer i holds ceil(n / 2^i) nodes), so a
+ * sparsely filled depth-20 tree stays small in memory.
+ */
+const { ethers } = require("ethers");
+const { vaultInterface } = require("./vault-abi");
+const { DEFAULT_PAGE_SIZE, isRangeError } = require("./indexer");
+
+/**
+ * Default tree depth used by the vault
+ */
+const TREE_DEPTH = 20;
+
+/**
+ * Hash two child nodes into their parent
+ *
+ * @param {string} left Left child (bytes32)
+ * @param {string} right Right child (bytes32)
+ * @returns {string} Parent node
+ */
+function hashLeftRight(left, right) {
+  return ethers.utils.solidityKeccak256(["bytes32", "bytes32"], [left, right]);
+}
+
+/**
+ * Compute the empty subtree roots for each level
+ *
+ * @param {number} depth Tree depth
+ * @returns {string[]} zeros[level] for level 0..depth
+ */
+function computeZeros(depth) {
+  const zeros = [ethers.constants.HashZero];
+  for (let level = 0; level < depth; level++) {
+    zeros.push(hashLeftRight(zeros[level], zeros[level]));
+  }
+  return zeros;
+}
+
+class MerkleTree {
+  /**
+   * @param {Object} [options]
+   * @param {number} [options.depth] Tree depth (default 20)
+   * @param {string[]} [options.leaves] Leaves to insert, in order
+   */
+  constructor({ depth = TREE_DEPTH, leaves = [] } = {}) {
+    this.depth = depth;
+    this.zeros = computeZeros(depth);
+    this.layers = Array.from({ length: depth + 1 }, () => []);
+    leaves.forEach((leaf) => this.insert(leaf));
+  }
+
+  /**
+   * Number of leaves in the tree
+   */
+  get size() {
+    return this.layers[0].length;
+  }
+
+  /**
+   * Append a leaf and update the path to the root
+   *
+   * @param {string} leaf The leaf (commitment)
+   * @returns {number} Index of the inserted leaf
+   */
+  insert(leaf) {
+    if (this.size >= 2 ** this.depth) {
+      throw new Error("Merkle tree is full");
+    }
+
+    const leafIndex = this.size;
+    let index = leafIndex;
+    let node = ethers.utils.hexlify(leaf);
+    this.layers[0].push(node);
+    for (let level = 0; level < this.depth; level++) {
+      const isRight = index % 2 === 1;
+      node = isRight
+        ? hashLeftRight(this.layers[level][index - 1], node)
+        : hashLeftRight(node, this.zeros[level]);
+      index = Math.floor(index / 2);
+      this.layers[level + 1][index] = node;
+    }
+    return leafIndex;
+  }
+
+  /**
+   * Current root of the tree
+   *
+   * @returns {string} The root
+   */
+  root() {
+    return this.size === 0 ? this.zeros[this.depth] : this.layers[this.depth][0];
+  }
+
+  /**
+   * Position of a leaf in the tree
+   *
+   * @param {string} leaf The leaf to look up
+   * @returns {number} Its index, or -1 if absent
+   */
+  indexOf(leaf) {
+    const target = ethers.utils.hexlify(leaf).toLowerCase();
+    return this.layers[0].findIndex((entry) => entry.toLowerCase() === target);
+  }
+
+  /**
+   * Build a membership proof for a leaf
+   *
+   * @param {number} leafIndex Index of the leaf
+   * @returns {{leaf: string, leafIndex: number, root: string, pathElements: string[], pathIndices: number[]}}
+   *   pathIndices[i] is 1 when the node at level i is a right child
+   */
+  proof(leafIndex) {
+    if (leafIndex < 0 || leafIndex >= this.size) {
+      throw new Error(`Leaf index ${leafIndex} is out of range`);
+    }
+
+    const pathElements = [];
+    const pathIndices = [];
+    let index = leafIndex;
+    for (let level = 0; level < this.depth; level++) {
+      const siblingIndex = index ^ 1;
+      pathElements.push(this.layers[level][siblingIndex] || this.zeros[level]);
+      pathIndices.push(index % 2);
+      index = Math.floor(index / 2);
+    }
+
+    return {
+      leaf: this.layers[0][leafIndex],
+      leafIndex,
+      root: this.root(),
+      pathElements,
+      pathIndices
+    };
+  }
+
+  /**
+   * Check a membership proof
+   *
+   * @param {Object} proof Proof produced by proof()
+   * @returns {boolean} True if the path hashes to the proof's root
+   */
+  static verifyProof({ leaf, root, pathElements, pathIndices }) {
+    let node = leaf;
+    pathElements.forEach((sibling, level) => {
+      node = pathIndices[level] === 1 ? hashLeftRight(sibling, node) : hashLeftRight(node, sibling);
+    });
+    return node.toLowerCase() === root.toLowerCase();
+  }
+
+  /**
+   * Rebuild the tree from the vault's LeafInserted logs
+   *
+   * TECHNICAL DETAILS:
+   * - Logs are fetched in pages of pageSize blocks, like lib/indexer.js does;
+   *   a page the node refuses for its size is halved and retried
+   * - Within a page, logs are sorted by leaf index; leaves must be contiguous from 0
+   * - After each insertion the local root is compared with the root emitted
+   *   on-chain, so a missing or reordered log is detected immediately
+   *
+   * @param {ethers.providers.Provider} provider Provider for the vault's chain
+   * @param {string} vaultAddress Vault contract address
+   * @param {Object} [options]
+   * @param {number} [options.fromBlock] First block to scan (vault deployment block)
+   * @param {number|string} [options.toBlock] Last block to scan (default "latest")
+   * @param {number} [options.depth] Tree depth (default 20)
+   * @param {number} [options.pageSize] Blocks per getLogs request (default 2000)
+   * @returns {Promise<MerkleTree>} The rebuilt tree
+   */
+  static async fromVault(
+    provider,
+    vaultAddress,
+    { fromBlock = 0, toBlock = "latest", depth = TREE_DEPTH, pageSize = DEFAULT_PAGE_SIZE } = {}
+  ) {
+    const last = toBlock === "latest" ? await provider.getBlockNumber() : toBlock;
+    const tree = new MerkleTree({ depth });
+
+    let from = fromBlock;
+    while (from <= last) {
+      const to = Math.min(from + pageSize - 1, last);
+      let logs;
+      try {
+        logs = await provider.getLogs({
+          address: vaultAddress,
+          topics: [vaultInterface.getEventTopic("LeafInserted")],
+          fromBlock: from,
+          toBlock: to
+        });
+      } catch (error) {
+        if (pageSize > 1 && isRangeError(error)) {
+          pageSize = Math.ceil(pageSize / 2);
+          continue;
+        }
+        throw error;
+      }
+
+      const insertions = logs
+        .map((log) => vaultInterface.parseLog(log).args)
+        .sort((a, b) => a.leafIndex - b.leafIndex);
+      for (const { commitment, leafIndex, root } of insertions) {
+        if (leafIndex !== tree.size) {
+          throw new Error(`Missing leaf ${tree.size}; scan from the vault deployment block`);
+        }
+        tree.insert(commitment);
+        if (tree.root() !== root) {
+          throw new Error(`Root mismatch after leaf ${leafIndex}`);
+        }
+      }
+      from = to + 1;
+    }
+    return tree;
+  }
+}
+
+module.exports = {
+  TREE_DEPTH,
+  hashLeftRight,
+  computeZeros,
+  MerkleTree
+};
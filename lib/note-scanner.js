@@ -0,0 +1,155 @@
+// File: lib/note-scanner.js
+/**
+ * PrivateTransferVault - Encrypted Note Scanner
+ * =============================================
+ *
+ * PURPOSE:
+ * Finds a user's incoming transfers by walking the vault's EncryptedNote logs
+ * and trial-decrypting every note with the user's private view key. Notes
+ * that were not encrypted to the key are skipped silently.
+ *
+ * NOTE ENCODING:
+ * The on-chain note is the raw bytes of a sealed (version 2) envelope from
+ * lib/envelope.js. encodeNote()/decodeNote() convert between the base64
+ * envelope and the hex bytes passed to submitTransferWithNote().
+ *
+ * CHECKS ON EVERY DECRYPTED NOTE:
+ * - The envelope only opens for the commitment in the log (associated data)
+ * - When the payload carries an opening, it must hash to that commitment
+ * - When it also carries an intent signature, sender consent is verified
+ *
+ * AUDITING:
+ * Every trial decryption is recorded (lib/audit-log.js), failed ones
+ * included, under the given `requester`: in the `auditLog` option if given,
+ * in the default log otherwise.
+ *
+ * PRIVACY NOTE:
+ * Scanning happens locally; the RPC provider only sees a log query for the
+ * vault, not which notes the user can read.
+ */
+const { ethers } = require("ethers");
+const { hashOpening } = require("./commitment");
+const { openEnvelopeAudited } = require("./audit-log");
+const { SEALED_ENVELOPE_VERSION } = require("./envelope");
+const { EnvelopeError } = require("./errors");
+const { verifyTransferIntent } = require("./intent");
+const { vaultInterface } = require("./vault-abi");
+
+/**
+ * Convert a base64 envelope to the bytes emitted on-chain
+ *
+ * @param {string} envelope Base64 sealed envelope
+ * @returns {string} Hex-encoded note bytes
+ */
+function encodeNote(envelope) {
+  return ethers.utils.hexlify(ethers.utils.base64.decode(envelope));
+}
+
+/**
+ * Convert on-chain note bytes back to a base64 envelope
+ *
+ * @param {string} note Hex-encoded note bytes
+ * @returns {string} Base64 envelope
+ */
+function decodeNote(note) {
+  return ethers.utils.base64.encode(note);
+}
+
+/**
+ * Try to open one encrypted note with a view key
+ *
+ * @param {Object} note Note and where it was emitted
+ * @param {string} note.commitment Commitment of the EncryptedNote log
+ * @param {string} note.encryptedNote Hex-encoded note bytes
+ * @param {string} note.txHash Transaction that emitted it
+ * @param {number} note.blockNumber Block of that transaction
+ * @param {number} note.logIndex Position of the log in the block
+ * @param {string} privateViewKey 32-byte hex private view key
+ * @param {Object} [audit]
+ * @param {AuditLog} [audit.auditLog] Log to record the decryption attempt in (default log if none)
+ * @param {string} [audit.requester] Who asked for the decryption
+ * @returns {Object|null} The decrypted note record, or null if the note is not for this key
+ */
+function openNote({ commitment, encryptedNote, txHash, blockNumber, logIndex }, privateViewKey, audit = {}) {
+  const bytes = ethers.utils.arrayify(encryptedNote);
+  if (bytes.length === 0 || bytes[0] !== SEALED_ENVELOPE_VERSION) {
+    return null;
+  }
+
+  let payload;
+  try {
+    payload = openEnvelopeAudited(decodeNote(encryptedNote), privateViewKey, commitment, audit);
+  } catch (error) {
+    if (error instanceof EnvelopeError) {
+      // Not ours, or garbage posted by someone else: either way, skip it
+      return null;
+    }
+    throw error;
+  }
+
+  const record = { commitment, payload, txHash, blockNumber, logIndex };
+  if (payload && payload.opening) {
+    record.openingMatches = hashOpening(payload.opening) === commitment;
+    if (payload.signature) {
+      record.senderConsent = verifyTransferIntent(payload.opening, payload.signature);
+    }
+  }
+  return record;
+}
+
+/**
+ * Try to open one EncryptedNote log with a view key
+ *
+ * @param {Object} log Raw EncryptedNote log
+ * @param {string} privateViewKey 32-byte hex private view key
+ * @param {Object} [audit] auditLog / requester, see openNote()
+ * @returns {Object|null} The decrypted note record, or null if the note is not for this key
+ */
+function tryDecryptNote(log, privateViewKey, audit = {}) {
+  const { commitment, encryptedNote } = vaultInterface.parseLog(log).args;
+  return openNote(
+    { commitment, encryptedNote, txHash: log.transactionHash, blockNumber: log.blockNumber, logIndex: log.logIndex },
+    privateViewKey,
+    audit
+  );
+}
+
+/**
+ * Scan a vault for notes readable with a view key
+ *
+ * @param {ethers.providers.Provider} provider Provider for the vault's chain
+ * @param {string} vaultAddress Vault contract address
+ * @param {string} privateViewKey 32-byte hex private view key
+ * @param {Object} [options]
+ * @param {number} [options.fromBlock] First block to scan (vault deployment block)
+ * @param {number|string} [options.toBlock] Last block to scan (default "latest")
+ * @param {AuditLog} [options.auditLog] Log to record every trial decryption in (default log if none)
+ * @param {string} [options.requester] Who asked for the scan (recorded with each attempt)
+ * @returns {Promise<Object[]>} Decrypted notes in chain order: commitment, payload,
+ *   txHash, blockNumber, logIndex, and openingMatches / senderConsent when applicable
+ */
+async function scanNotes(
+  provider,
+  vaultAddress,
+  privateViewKey,
+  { fromBlock = 0, toBlock = "latest", auditLog, requester } = {}
+) {
+  const logs = await provider.getLogs({
+    address: vaultAddress,
+    topics: [vaultInterface.getEventTopic("EncryptedNote")],
+    fromBlock,
+    toBlock
+  });
+
+  return logs
+    .map((log) => tryDecryptNote(log, privateViewKey, { auditLog, requester }))
+    .filter((record) => record !== null);
+}
+
+module.exports = {
+  encodeNote,
+  decodeNote,
+  openNote,
+  tryDecryptNote,
+  scanNotes
+};
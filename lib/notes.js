@@ -0,0 +1,249 @@
+// File: lib/notes.js
+/**
+ * ShieldedPool - Note Helpers
+ * ===========================
+ *
+ * PURPOSE:
+ * Create, store and spend the notes that back deposits in the ShieldedPool
+ * contract. A note is the off-chain secret that entitles its holder to
+ * withdraw a deposit to any address.
+ *
+ * NOTE FORMAT:
+ * - token      ERC-20 token address, address(0) for ETH
+ * - amount     Deposited amount in the token's base units
+ * - spendKey   One-time private key; whoever holds it can spend the note
+ * - owner      Address of the spend key (bound into the commitment)
+ * - nullifier  32 random bytes, published on withdrawal to prevent double-spends
+ * - chainId / pool  Domain the note is valid for
+ *
+ *   commitment = keccak256(abi.encode(NOTE_DOMAIN, chainId, pool, token, amount, owner, nullifier))
+ *
+ * SECURITY NOTES:
+ * - Losing the note means losing the deposit; leaking it means anyone can spend it
+ * - Withdrawals are authorised by a spend key signature over (chainId, pool,
+ *   nullifier, recipient), so the spend key itself never goes on-chain
+ * - FileNoteStore writes notes with owner-only file permissions
+ */
+const { ethers } = require("ethers");
+const fs = require("fs");
+const path = require("path");
+const { ERC20_ABI } = require("./tokens");
+
+/**
+ * Domain separation tags (must match ShieldedPool.sol)
+ */
+const NOTE_DOMAIN = ethers.utils.keccak256(ethers.utils.toUtf8Bytes("ShieldedPool.Note.v2"));
+const WITHDRAWAL_DOMAIN = ethers.utils.keccak256(ethers.utils.toUtf8Bytes("ShieldedPool.Withdrawal.v1"));
+
+/**
+ * Version of the note object layout produced by this module
+ */
+const NOTE_VERSION = 2;
+
+/**
+ * Create a fresh note for a deposit
+ *
+ * @param {Object} params Note parameters
+ * @param {number|string} params.chainId Chain the pool lives on
+ * @param {string} params.pool ShieldedPool contract address
+ * @param {string} [params.token] ERC-20 token address (omit for ETH)
+ * @param {ethers.BigNumberish} params.amount Amount to deposit in the token's base units
+ * @returns {{commitment: string, note: Object}} The commitment to deposit and the note to keep secret
+ */
+function createNote({ chainId, pool, token = ethers.constants.AddressZero, amount }) {
+  if (ethers.BigNumber.from(amount).lte(0)) {
+    throw new Error("Note amount must be greater than zero");
+  }
+
+  const spendKey = ethers.Wallet.createRandom();
+  const note = {
+    version: NOTE_VERSION,
+    chainId: ethers.BigNumber.from(chainId).toNumber(),
+    pool: ethers.utils.getAddress(pool),
+    token: ethers.utils.getAddress(token),
+    amount: ethers.BigNumber.from(amount).toString(),
+    spendKey: spendKey.privateKey,
+    owner: spendKey.address,
+    nullifier: ethers.utils.hexlify(ethers.utils.randomBytes(32))
+  };
+
+  return { commitment: hashNote(note), note };
+}
+
+/**
+ * Recompute the commitment of a note
+ *
+ * @param {Object} note Note object (see createNote)
+ * @returns {string} The bytes32 note commitment
+ */
+function hashNote(note) {
+  return ethers.utils.keccak256(
+    ethers.utils.defaultAbiCoder.encode(
+      ["bytes32", "uint256", "address", "address", "uint256", "address", "bytes32"],
+      [NOTE_DOMAIN, note.chainId, note.pool, note.token, note.amount, note.owner, note.nullifier]
+    )
+  );
+}
+
+/**
+ * Sign a withdrawal of a note to a recipient
+ *
+ * @param {Object} note Note to spend
+ * @param {string} recipient Address that will receive the funds
+ * @returns {Promise<string>} EIP-191 signature by the note's spend key
+ */
+async function signWithdrawal(note, recipient) {
+  const digest = ethers.utils.keccak256(
+    ethers.utils.defaultAbiCoder.encode(
+      ["bytes32", "uint256", "address", "bytes32", "address"],
+      [WITHDRAWAL_DOMAIN, note.chainId, note.pool, note.nullifier, recipient]
+    )
+  );
+  return new ethers.Wallet(note.spendKey).signMessage(ethers.utils.arrayify(digest));
+}
+
+/**
+ * Build the argument list for ShieldedPool.withdraw()
+ *
+ * @param {Object} note Note to spend
+ * @param {string} recipient Address that will receive the funds
+ * @returns {Promise<Array>} [token, amount, owner, nullifier, recipient, signature]
+ */
+async function withdrawArgs(note, recipient) {
+  const to = ethers.utils.getAddress(recipient);
+  return [note.token, note.amount, note.owner, note.nullifier, to, await signWithdrawal(note, to)];
+}
+
+/**
+ * Deposit a note into the pool
+ *
+ * ETH notes send the amount as msg.value. Token notes first approve the pool
+ * for the missing allowance and then call depositToken, which pulls the
+ * tokens with transferFrom.
+ *
+ * @param {ethers.Contract} pool ShieldedPool contract connected to a signer
+ * @param {Object} note Note created with createNote
+ * @returns {Promise<ethers.ContractTransaction>} The deposit transaction
+ */
+async function depositNote(pool, note) {
+  const commitment = hashNote(note);
+  if (note.token === ethers.constants.AddressZero) {
+    return pool.deposit(commitment, { value: note.amount });
+  }
+
+  const token = new ethers.Contract(note.token, ERC20_ABI, pool.signer);
+  const owner = await pool.signer.getAddress();
+  const allowance = await token.allowance(owner, pool.address);
+  if (allowance.lt(note.amount)) {
+    await (await token.approve(pool.address, note.amount)).wait();
+  }
+  return pool.depositToken(note.token, note.amount, commitment);
+}
+
+/**
+ * Spend a note to any recipient
+ *
+ * The transaction can be sent by any account (e.g. a relayer); only the
+ * spend key signature decides who may redirect the funds.
+ *
+ * @param {ethers.Contract} pool ShieldedPool contract connected to a signer
+ * @param {Object} note Note to spend
+ * @param {string} recipient Address that will receive the funds
+ * @returns {Promise<ethers.ContractTransaction>} The withdrawal transaction
+ */
+async function spendNote(pool, note, recipient) {
+  return pool.withdraw(...(await withdrawArgs(note, recipient)));
+}
+
+/**
+ * File-backed note store
+ *
+ * STORAGE LAYOUT:
+ * - One JSON file per note, named after its commitment
+ * - Each record holds the note plus bookkeeping (deposit/withdrawal tx hashes)
+ * - Files are created with mode 0600 because they contain spend keys
+ */
+class FileNoteStore {
+  /**
+   * @param {string} directory Directory that holds the note files
+   */
+  constructor(directory) {
+    this.directory = directory;
+  }
+
+  /**
+   * Persist a note record, merging into any existing record
+   *
+   * @param {Object} note The note
+   * @param {Object} [meta] Extra bookkeeping fields (e.g. depositTx)
+   * @returns {Object} The stored record
+   */
+  save(note, meta = {}) {
+    const commitment = hashNote(note);
+    const record = { ...this.get(commitment), commitment, note, ...meta };
+    fs.mkdirSync(this.directory, { recursive: true, mode: 0o700 });
+    fs.writeFileSync(this._file(commitment), JSON.stringify(record, null, 2), { mode: 0o600 });
+    return record;
+  }
+
+  /**
+   * Load a note record by commitment
+   *
+   * @param {string} commitment The note commitment
+   * @returns {Object|null} The record, or null if unknown
+   */
+  get(commitment) {
+    const file = this._file(commitment);
+    return fs.existsSync(file) ? JSON.parse(fs.readFileSync(file, "utf8")) : null;
+  }
+
+  /**
+   * List stored note records
+   *
+   * @param {Object} [filter]
+   * @param {boolean} [filter.unspent] Only return notes without a withdrawal
+   * @returns {Object[]} The matching records
+   */
+  list({ unspent = false } = {}) {
+    if (!fs.existsSync(this.directory)) {
+      return [];
+    }
+    return fs
+      .readdirSync(this.directory)
+      .filter((name) => name.endsWith(".json"))
+      .map((name) => JSON.parse(fs.readFileSync(path.join(this.directory, name), "utf8")))
+      .filter((record) => !unspent || !record.withdrawTx);
+  }
+
+  /**
+   * Record that a note has been spent
+   *
+   * @param {string} commitment The note commitment
+   * @param {string} withdrawTx Hash of the withdrawal transaction
+   * @returns {Object} The updated record
+   */
+  markSpent(commitment, withdrawTx) {
+    const record = this.get(commitment);
+    if (!record) {
+      throw new Error(`Unknown note ${commitment}`);
+    }
+    return this.save(record.note, { withdrawTx });
+  }
+
+  _file(commitment) {
+    return path.join(this.directory, `${commitment.toLowerCase()}.json`);
+  }
+}
+
+module.exports = {
+  NOTE_DOMAIN,
+  WITHDRAWAL_DOMAIN,
+  NOTE_VERSION,
+  createNote,
+  hashNote,
+  signWithdrawal,
+  withdrawArgs,
+  depositNote,
+  spendNote,
+  FileNoteStore
+};
@@ -0,0 +1,94 @@
+// File: lib/opening-verifier.js
+/**
+ * PrivateTransferVault - Commitment Opening Verifier
+ * ==================================================
+ *
+ * PURPOSE:
+ * Proves that a given opening (sender, recipient, token, amount, timestamp,
+ * salt and domain) matches a commitment that the vault actually emitted. This is what
+ * a recipient or auditor runs after receiving an opening out-of-band.
+ *
+ * VERIFICATION STEPS:
+ * 1. Recompute the commitment from the opening (lib/commitment.js)
+ * 2. Check the provider is connected to the chain named in the opening
+ * 3. Fetch the receipt of the claimed submission transaction
+ * 4. Look for a PrivateTransfer log from the opening's vault carrying that commitment
+ *
+ * ON-CHAIN DISCLOSURE:
+ * revealArgs() converts an opening into the arguments for the vault's optional
+ * reveal() entry point, for counterparties who choose public disclosure.
+ */
+const { ethers } = require("ethers");
+const { createOpening, hashOpening } = require("./commitment");
+const { vaultInterface } = require("./vault-abi");
+
+const PRIVATE_TRANSFER_TOPIC = vaultInterface.getEventTopic("PrivateTransfer");
+
+/**
+ * Verify an opening against the PrivateTransfer log of a transaction
+ *
+ * @param {ethers.providers.Provider} provider Provider connected to the opening's chain
+ * @param {Object} opening Commitment opening (see lib/commitment.js)
+ * @param {string} txHash Hash of the transaction that submitted the commitment
+ * @returns {Promise<Object>} Result with `valid`, the recomputed `commitment`
+ *   and either the matching log position or a `reason` for the failure
+ */
+async function verifyOpening(provider, opening, txHash) {
+  const normalised = createOpening(opening);
+  const commitment = hashOpening(normalised);
+  const result = { valid: false, commitment, txHash };
+
+  const { chainId } = await provider.getNetwork();
+  if (chainId !== normalised.chainId) {
+    return { ...result, reason: `Opening is for chain ${normalised.chainId}, provider is on chain ${chainId}` };
+  }
+
+  const receipt = await provider.getTransactionReceipt(txHash);
+  if (!receipt) {
+    return { ...result, reason: "Transaction receipt not found" };
+  }
+  if (receipt.status === 0) {
+    return { ...result, reason: "Transaction reverted" };
+  }
+
+  const log = receipt.logs.find(
+    (entry) =>
+      ethers.utils.getAddress(entry.address) === normalised.vault &&
+      entry.topics[0] === PRIVATE_TRANSFER_TOPIC &&
+      vaultInterface.parseLog(entry).args.commitment === commitment
+  );
+  if (!log) {
+    return { ...result, reason: "No PrivateTransfer log from the vault matches the opening" };
+  }
+
+  return {
+    ...result,
+    valid: true,
+    blockNumber: receipt.blockNumber,
+    logIndex: log.logIndex
+  };
+}
+
+/**
+ * Build the argument list for PrivateTransferVault.reveal()
+ *
+ * @param {Object} opening Commitment opening
+ * @returns {Array} [sender, recipient, token, amount, timestamp, salt]
+ */
+function revealArgs(opening) {
+  const normalised = createOpening(opening);
+  return [
+    normalised.sender,
+    normalised.recipient,
+    normalised.token,
+    normalised.amount,
+    normalised.timestamp,
+    normalised.salt
+  ];
+}
+
+module.exports = {
+  PRIVATE_TRANSFER_TOPIC,
+  verifyOpening,
+  revealArgs
+};
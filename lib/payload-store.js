@@ -0,0 +1,419 @@
+// File: lib/payload-store.js
+/**
+ * PrivateTransferVault - Off-Chain Payload Store
+ * ==============================================
+ *
+ * PURPOSE:
+ * Keeps encrypted transfer payloads (sealed envelopes from lib/envelope.js)
+ * off-chain, keyed by the commitment they belong to. The submitter writes the
+ * envelope after submitTransfer(); view key holders fetch it by commitment
+ * and open it locally.
+ *
+ * BACKENDS (same async interface: put, get, delete, prune):
+ * - FilePayloadStore  One JSON file per commitment in a local directory
+ * - HttpPayloadStore  Client for the payload store service (payload-store/server.js),
+ *                     which itself serves a FilePayloadStore
+ * - createPayloadStore() picks one from { url } or { directory }
+ *
+ * RECORD FORMAT:
+ *   { commitment, envelope, contentHash, storedAt, expiresAt }
+ *   contentHash = sha256(envelope bytes); storedAt / expiresAt are unix
+ *   seconds, expiresAt is 0 when the record never expires
+ *
+ * GUARANTEES:
+ * - Writes are idempotent: storing the same envelope twice is a no-op, while
+ *   a different envelope for an already stored commitment is a CONFLICT
+ * - Reads are integrity-checked: a record whose envelope no longer hashes to
+ *   its contentHash, or that answers for another commitment, is refused with
+ *   INTEGRITY_FAILED; callers may also pin the contentHash they expect
+ * - Retention: with retentionSeconds set, records expire that long after they
+ *   were stored; expired records are never returned and prune() removes them
+ * - Deletion: allowed unless the store is created with allowDelete: false
+ *
+ * PRIVACY NOTES:
+ * - Only ciphertext is stored. The envelope is bound to its commitment
+ *   (associated data), so even a store that swaps records cannot make a
+ *   payload open for another commitment
+ * - The store still learns which commitments have payloads, their sizes, and
+ *   who fetches them; run it on a trusted network or behind TLS
+ */
+const crypto = require("crypto");
+const fs = require("fs");
+const path = require("path");
+const { ethers } = require("ethers");
+const { PayloadStoreError } = require("./errors");
+
+/**
+ * Default size limit for a stored envelope (bytes after base64 decoding)
+ */
+const MAX_PAYLOAD_BYTES = 64 * 1024;
+
+/**
+ * Compute the content hash of an envelope
+ *
+ * @param {string} envelope Base64 envelope
+ * @returns {string} 0x-prefixed sha256 of the envelope bytes
+ */
+function payloadHash(envelope) {
+  return "0x" + crypto.createHash("sha256").update(Buffer.from(envelope, "base64")).digest("hex");
+}
+
+/**
+ * Validate and normalise a commitment used as a store key
+ *
+ * @param {string} commitment The commitment
+ * @returns {string} Lower-case commitment
+ * @throws {PayloadStoreError} INVALID_COMMITMENT
+ */
+function normaliseCommitment(commitment) {
+  if (typeof commitment !== "string" || !ethers.utils.isHexString(commitment, 32)) {
+    throw new PayloadStoreError("INVALID_COMMITMENT", "Commitment must be a 32-byte hex string");
+  }
+  return commitment.toLowerCase();
+}
+
+/**
+ * Validate an envelope before it is stored
+ *
+ * @param {string} envelope Base64 envelope
+ * @param {number} maxPayloadBytes Size limit
+ * @throws {PayloadStoreError} INVALID_PAYLOAD or PAYLOAD_TOO_LARGE
+ */
+function checkEnvelope(envelope, maxPayloadBytes) {
+  if (typeof envelope !== "string" || envelope.length === 0 ||
+      !/^[A-Za-z0-9+/]+={0,2}$/.test(envelope) || envelope.length % 4 !== 0) {
+    throw new PayloadStoreError("INVALID_PAYLOAD", "Payload must be a non-empty base64 envelope");
+  }
+  const size = Buffer.byteLength(envelope, "base64");
+  if (size > maxPayloadBytes) {
+    throw new PayloadStoreError("PAYLOAD_TOO_LARGE", `Payload is ${size} bytes, the limit is ${maxPayloadBytes}`);
+  }
+}
+
+/**
+ * Check a record read from a backend before handing it to the caller
+ *
+ * @param {Object} record The record
+ * @param {string} commitment Commitment it was requested for (normalised)
+ * @param {string} [expectedHash] Content hash the caller expects
+ * @returns {Object} The record
+ * @throws {PayloadStoreError} INTEGRITY_FAILED
+ */
+function verifyRecord(record, commitment, expectedHash) {
+  if (!record || typeof record.envelope !== "string" || typeof record.commitment !== "string") {
+    throw new PayloadStoreError("INTEGRITY_FAILED", `Stored record for ${commitment} is malformed`);
+  }
+  if (record.commitment.toLowerCase() !== commitment) {
+    throw new PayloadStoreError("INTEGRITY_FAILED", `Store answered ${record.commitment} for ${commitment}`);
+  }
+  const actual = payloadHash(record.envelope);
+  if (actual !== record.contentHash) {
+    throw new PayloadStoreError("INTEGRITY_FAILED", `Payload for ${commitment} does not match its content hash`);
+  }
+  if (expectedHash !== undefined && actual !== expectedHash.toLowerCase()) {
+    throw new PayloadStoreError("INTEGRITY_FAILED", `Payload for ${commitment} is not the expected one`);
+  }
+  return record;
+}
+
+function isExpired(record, now) {
+  return record.expiresAt !== 0 && record.expiresAt <= now;
+}
+
+function nowSeconds() {
+  return Math.floor(Date.now() / 1000);
+}
+
+/**
+ * Payload store backed by a local directory
+ */
+class FilePayloadStore {
+  /**
+   * @param {string} directory Directory that holds the payload files
+   * @param {Object} [policy]
+   * @param {number} [policy.retentionSeconds] Lifetime of a record (default 0, keep forever)
+   * @param {boolean} [policy.allowDelete] Whether delete() is permitted (default true)
+   * @param {number} [policy.maxPayloadBytes] Largest accepted envelope (default 64 KiB)
+   */
+  constructor(directory, { retentionSeconds = 0, allowDelete = true, maxPayloadBytes = MAX_PAYLOAD_BYTES } = {}) {
+    this.directory = directory;
+    this.retentionSeconds = retentionSeconds;
+    this.allowDelete = allowDelete;
+    this.maxPayloadBytes = maxPayloadBytes;
+  }
+
+  /**
+   * Store the envelope of a commitment
+   *
+   * @param {string} commitment The commitment the envelope belongs to
+   * @param {string} envelope Base64 envelope
+   * @returns {Promise<{record: Object, created: boolean}>} The stored record;
+   *   created is false when the same envelope was already stored
+   * @throws {PayloadStoreError} INVALID_COMMITMENT, INVALID_PAYLOAD,
+   *   PAYLOAD_TOO_LARGE or CONFLICT
+   */
+  async put(commitment, envelope) {
+    const key = normaliseCommitment(commitment);
+    checkEnvelope(envelope, this.maxPayloadBytes);
+
+    const storedAt = nowSeconds();
+    const record = {
+      commitment: key,
+      envelope,
+      contentHash: payloadHash(envelope),
+      storedAt,
+      expiresAt: this.retentionSeconds > 0 ? storedAt + this.retentionSeconds : 0
+    };
+
+    await fs.promises.mkdir(this.directory, { recursive: true, mode: 0o700 });
+    const file = this._file(key);
+    const temp = `${file}.${process.pid}.${crypto.randomBytes(4).toString("hex")}.tmp`;
+    await fs.promises.writeFile(temp, JSON.stringify(record, null, 2), { mode: 0o600 });
+    try {
+      for (;;) {
+        try {
+          // link() fails if the file exists, so concurrent writers cannot overwrite each other
+          await fs.promises.link(temp, file);
+          return { record, created: true };
+        } catch (error) {
+          if (error.code !== "EEXIST") {
+            throw error;
+          }
+        }
+
+        const existing = await this._read(key);
+        if (existing && !isExpired(existing, storedAt)) {
+          verifyRecord(existing, key);
+          if (existing.contentHash !== record.contentHash) {
+            throw new PayloadStoreError("CONFLICT", `A different payload is already stored for ${key}`);
+          }
+          return { record: existing, created: false };
+        }
+        // Expired (or removed meanwhile): clear the way and retry the exclusive link
+        await this._unlink(file);
+      }
+    } finally {
+      await this._unlink(temp);
+    }
+  }
+
+  /**
+   * Fetch the envelope of a commitment
+   *
+   * @param {string} commitment The commitment
+   * @param {Object} [options]
+   * @param {string} [options.contentHash] Refuse the record unless its content hash matches
+   * @returns {Promise<Object|null>} The record, or null if unknown or expired
+   * @throws {PayloadStoreError} INVALID_COMMITMENT or INTEGRITY_FAILED
+   */
+  async get(commitment, { contentHash } = {}) {
+    const key = normaliseCommitment(commitment);
+    const record = await this._read(key);
+    if (!record || isExpired(record, nowSeconds())) {
+      return null;
+    }
+    return verifyRecord(record, key, contentHash);
+  }
+
+  /**
+   * Delete the envelope of a commitment
+   *
+   * @param {string} commitment The commitment
+   * @returns {Promise<boolean>} Whether a record was deleted
+   * @throws {PayloadStoreError} INVALID_COMMITMENT or DELETION_DISABLED
+   */
+  async delete(commitment) {
+    const key = normaliseCommitment(commitment);
+    if (!this.allowDelete) {
+      throw new PayloadStoreError("DELETION_DISABLED", "This payload store does not allow deletions");
+    }
+    return this._unlink(this._file(key));
+  }
+
+  /**
+   * Remove every expired record
+   *
+   * Runs regardless of allowDelete: expiry is the retention policy itself.
+   *
+   * @returns {Promise<number>} Number of records removed
+   */
+  async prune() {
+    let names;
+    try {
+      names = await fs.promises.readdir(this.directory);
+    } catch (error) {
+      if (error.code === "ENOENT") {
+        return 0;
+      }
+      throw error;
+    }
+
+    const now = nowSeconds();
+    let removed = 0;
+    for (const name of names.filter((entry) => entry.endsWith(".json"))) {
+      const record = await this._read(name.slice(0, -".json".length));
+      if (record && isExpired(record, now) && await this._unlink(path.join(this.directory, name))) {
+        removed += 1;
+      }
+    }
+    return removed;
+  }
+
+  async _read(key) {
+    try {
+      return JSON.parse(await fs.promises.readFile(this._file(key), "utf8"));
+    } catch (error) {
+      if (error.code === "ENOENT") {
+        return null;
+      }
+      if (error instanceof SyntaxError) {
+        throw new PayloadStoreError("INTEGRITY_FAILED", `Stored record for ${key} is not valid JSON`);
+      }
+      throw error;
+    }
+  }
+
+  async _unlink(file) {
+    try {
+      await fs.promises.unlink(file);
+      return true;
+    } catch (error) {
+      if (error.code === "ENOENT") {
+        return false;
+      }
+      throw error;
+    }
+  }
+
+  _file(key) {
+    return path.join(this.directory, `${key}.json`);
+  }
+}
+
+/**
+ * Client for the payload store service (payload-store/server.js)
+ *
+ * Records are verified locally, so a compromised or faulty service cannot
+ * return a payload that does not match its content hash or commitment.
+ */
+class HttpPayloadStore {
+  /**
+   * @param {string} baseUrl Service URL, e.g. http://127.0.0.1:8081
+   * @param {Object} [options]
+   * @param {string} [options.writeToken] Bearer token the service requires for writes
+   * @param {string} [options.deleteToken] Bearer token the service requires for deletions
+   * @param {number} [options.timeoutMs] Per-request timeout (default 10 s)
+   */
+  constructor(baseUrl, { writeToken, deleteToken, timeoutMs = 10000 } = {}) {
+    this.baseUrl = baseUrl.replace(/\/+$/, "");
+    this.writeToken = writeToken;
+    this.deleteToken = deleteToken;
+    this.timeoutMs = timeoutMs;
+  }
+
+  /**
+   * Store the envelope of a commitment (see FilePayloadStore.put)
+   */
+  async put(commitment, envelope) {
+    const key = normaliseCommitment(commitment);
+    const { status, body } = await this._request("PUT", `/v1/payloads/${key}`, { envelope });
+    verifyRecord(body, key, payloadHash(envelope));
+    return { record: body, created: status === 201 };
+  }
+
+  /**
+   * Fetch the envelope of a commitment (see FilePayloadStore.get)
+   */
+  async get(commitment, { contentHash } = {}) {
+    const key = normaliseCommitment(commitment);
+    const { status, body } = await this._request("GET", `/v1/payloads/${key}`, undefined, [404]);
+    return status === 404 ? null : verifyRecord(body, key, contentHash);
+  }
+
+  /**
+   * Delete the envelope of a commitment (see FilePayloadStore.delete)
+   */
+  async delete(commitment) {
+    const key = normaliseCommitment(commitment);
+    const { status } = await this._request("DELETE", `/v1/payloads/${key}`, undefined, [404]);
+    return status === 204;
+  }
+
+  /**
+   * Expired records are pruned by the service itself
+   *
+   * @returns {Promise<number>} Always 0
+   */
+  async prune() {
+    return 0;
+  }
+
+  /**
+   * Send a request and map error responses back to PayloadStoreError
+   */
+  async _request(method, pathname, payload, allowedStatuses = []) {
+    const headers = {};
+    if (payload !== undefined) {
+      headers["Content-Type"] = "application/json";
+    }
+    const token = method === "PUT" ? this.writeToken : method === "DELETE" ? this.deleteToken : undefined;
+    if (token) {
+      headers.Authorization = `Bearer ${token}`;
+    }
+
+    let response;
+    try {
+      response = await fetch(this.baseUrl + pathname, {
+        method,
+        headers,
+        body: payload === undefined ? undefined : JSON.stringify(payload),
+        signal: AbortSignal.timeout(this.timeoutMs)
+      });
+    } catch (error) {
+      throw new PayloadStoreError("BACKEND_ERROR", `Payload store unreachable: ${error.message}`);
+    }
+
+    const text = await response.text();
+    let body = null;
+    if (text) {
+      try {
+        body = JSON.parse(text);
+      } catch (error) {
+        throw new PayloadStoreError("BACKEND_ERROR", `Payload store answered ${response.status} with invalid JSON`);
+      }
+    }
+    if (!response.ok && !allowedStatuses.includes(response.status)) {
+      const code = body && typeof body.code === "string" ? body.code : "BACKEND_ERROR";
+      const message = body && typeof body.error === "string" ? body.error : `Payload store answered ${response.status}`;
+      throw new PayloadStoreError(code, message);
+    }
+    return { status: response.status, body };
+  }
+}
+
+/**
+ * Create a payload store from configuration
+ *
+ * @param {Object} config
+ * @param {string} [config.url] Payload store service URL (HTTP backend)
+ * @param {string} [config.directory] Local directory (filesystem backend)
+ * @param {Object} [config.options] Backend options (retention policy or HTTP settings)
+ * @returns {FilePayloadStore|HttpPayloadStore|null} The store, or null if neither is configured
+ */
+function createPayloadStore({ url, directory, options = {} } = {}) {
+  if (url) {
+    return new HttpPayloadStore(url, options);
+  }
+  if (directory) {
+    return new FilePayloadStore(directory, options);
+  }
+  return null;
+}
+
+module.exports = {
+  MAX_PAYLOAD_BYTES,
+  payloadHash,
+  FilePayloadStore,
+  HttpPayloadStore,
+  createPayloadStore
+};
@@ -0,0 +1,189 @@
+// File: lib/relayer-registry.js
+/**
+ * AttestedRelayerRegistry - Registration Helpers
+ * ==============================================
+ *
+ * PURPOSE:
+ * Put relayers whose enclave attestation checks out into the on-chain
+ * AttestedRelayerRegistry, and check whether a vault will accept a relayer's
+ * submissions. A vault deployed with a registry rejects every other submitter
+ * with RelayerNotAttested.
+ *
+ * TWO WAYS TO REGISTER:
+ * - registerVerifiedRelayer(): a REGISTRAR_ROLE holder verifies the report
+ *   off-chain with lib/attestation.js and registers the relayer directly
+ * - submitAttestation(): anyone sends the signed report to the
+ *   AttestationVerifier contract, which runs the checks on-chain and registers
+ *   the relayer itself
+ * Either way the report's reportData must be relayerReportData(relayer), so a
+ * report can only ever register the key it was produced for.
+ */
+const { ethers } = require("ethers");
+const { verifyAttestation } = require("./attestation");
+
+const RELAYER_REGISTRY_ABI = [
+  // Errors
+  "error InvalidRelayer()",
+  "error MeasurementNotApproved(bytes32 mrEnclave)",
+  "error InvalidExpiry(uint64 expiresAt)",
+
+  // Events
+  "event MeasurementApproved(bytes32 indexed mrEnclave)",
+  "event MeasurementRevoked(bytes32 indexed mrEnclave)",
+  "event RelayerRegistered(address indexed relayer, bytes32 indexed mrEnclave, uint64 expiresAt, address registrar)",
+  "event RelayerDeregistered(address indexed relayer, address registrar)",
+
+  // Administration
+  "function REGISTRAR_ROLE() view returns (bytes32)",
+  "function grantRole(bytes32 role, address account)",
+  "function hasRole(bytes32 role, address account) view returns (bool)",
+  "function approveMeasurement(bytes32 mrEnclave)",
+  "function revokeMeasurement(bytes32 mrEnclave)",
+  "function registerRelayer(address relayer, bytes32 mrEnclave, uint64 expiresAt)",
+  "function deregisterRelayer(address relayer)",
+
+  // Views
+  "function approvedMeasurements(bytes32 mrEnclave) view returns (bool)",
+  "function getRelayer(address relayer) view returns (bytes32 mrEnclave, uint64 expiresAt)",
+  "function isAttested(address relayer) view returns (bool)"
+];
+
+const REPORT_TUPLE = "tuple(string teeType, bytes16 enclaveId, bytes32 mrEnclave, bytes32 mrSigner, uint16 securityVersion, bool debug, uint64 timestamp, bytes32 reportData)";
+
+const ATTESTATION_VERIFIER_ABI = [
+  // Errors
+  "error UntrustedSigner(address signer)",
+  "error MrSignerNotApproved(bytes32 mrSigner)",
+  "error ReportAlreadyUsed(bytes32 digest)",
+  "error DebugEnclave()",
+  "error SecurityVersionTooLow(uint16 securityVersion)",
+  "error StaleReport(uint64 timestamp)",
+  "error InvalidReportData()",
+  "error InvalidConfiguration()",
+
+  // Events
+  "event TrustedSignerUpdated(address indexed signer, bool trusted)",
+  "event MrSignerUpdated(bytes32 indexed mrSigner, bool approved)",
+  "event PolicyUpdated(uint16 minSecurityVersion, uint64 maxReportAge, uint64 attestationValidity)",
+  "event AttestationVerified(address indexed relayer, bytes32 indexed mrEnclave, bytes16 enclaveId)",
+
+  // Administration
+  "function setTrustedSigner(address signer, bool trusted)",
+  "function setApprovedMrSigner(bytes32 mrSigner, bool approved)",
+  "function setPolicy(uint16 minSecurityVersion, uint64 maxReportAge, uint64 attestationValidity)",
+
+  // Submission and views
+  `function submitAttestation(${REPORT_TUPLE} report, bytes signature)`,
+  `function reportDigest(${REPORT_TUPLE} report) view returns (bytes32)`,
+  "function registry() view returns (address)",
+  "function trustedSigners(address signer) view returns (bool)",
+  "function approvedMrSigners(bytes32 mrSigner) view returns (bool)",
+  "function usedReports(bytes32 digest) view returns (bool)",
+  "function minSecurityVersion() view returns (uint16)",
+  "function maxReportAge() view returns (uint64)",
+  "function attestationValidity() view returns (uint64)"
+];
+
+/**
+ * Connect to an AttestedRelayerRegistry
+ *
+ * @param {string} address Registry contract address
+ * @param {ethers.providers.Provider|ethers.Signer} providerOrSigner Signer to register, provider to read
+ * @returns {ethers.Contract} The registry contract
+ */
+function connectRelayerRegistry(address, providerOrSigner) {
+  return new ethers.Contract(address, RELAYER_REGISTRY_ABI, providerOrSigner);
+}
+
+/**
+ * Connect to an AttestationVerifier
+ *
+ * @param {string} address Verifier contract address
+ * @param {ethers.providers.Provider|ethers.Signer} providerOrSigner Signer to submit, provider to read
+ * @returns {ethers.Contract} The verifier contract
+ */
+function connectAttestationVerifier(address, providerOrSigner) {
+  return new ethers.Contract(address, ATTESTATION_VERIFIER_ABI, providerOrSigner);
+}
+
+/**
+ * The reportData a relayer's enclave must attest to
+ *
+ * @param {string} relayer Relayer address
+ * @returns {string} The address left-padded to 32 bytes
+ */
+function relayerReportData(relayer) {
+  return ethers.utils.hexZeroPad(ethers.utils.getAddress(relayer), 32);
+}
+
+/**
+ * Check a report off-chain and register its relayer as a REGISTRAR_ROLE holder
+ *
+ * @param {ethers.Contract} registry Registry connected with a registrar signer
+ * @param {{report: Object, signature: string}} attestation Output of enclave.attest()
+ * @param {string} relayer Relayer address the report must be bound to
+ * @param {Object} policy Attestation policy (see verifyAttestation in lib/attestation.js)
+ * @param {Object} [options]
+ * @param {number} [options.validitySeconds] How long the registration lasts (default 1 day)
+ * @returns {Promise<{receipt: Object, expiresAt: number}>}
+ * @throws {Error} If the report fails the policy, listing every failed check
+ */
+async function registerVerifiedRelayer(registry, attestation, relayer, policy, { validitySeconds = 24 * 60 * 60 } = {}) {
+  const result = verifyAttestation(attestation, { ...policy, expectedReportData: relayerReportData(relayer) });
+  if (!result.valid) {
+    throw new Error(`Attestation rejected: ${result.failures.map(({ code }) => code).join(", ")}`);
+  }
+  const expiresAt = Math.floor(Date.now() / 1000) + validitySeconds;
+  const tx = await registry.registerRelayer(relayer, attestation.report.mrEnclave, expiresAt);
+  return { receipt: await tx.wait(), expiresAt };
+}
+
+/**
+ * Send a signed report to the AttestationVerifier for on-chain checking
+ *
+ * @param {ethers.Contract} verifier Verifier connected with any funded signer
+ * @param {{report: Object, signature: string}} attestation Output of enclave.attest()
+ * @returns {Promise<Object>} The transaction receipt
+ */
+async function submitAttestation(verifier, { report, signature }) {
+  const { version, ...fields } = report;
+  const tx = await verifier.submitAttestation(fields, signature);
+  return tx.wait();
+}
+
+/**
+ * Check whether a vault accepts submissions from a relayer
+ *
+ * @param {ethers.Contract} vault Vault contract (lib/vault-abi.js)
+ * @param {string} relayer Relayer address
+ * @returns {Promise<{gated: boolean, attested: boolean, registry: string|null}>}
+ *   gated is false for open vaults, which accept anyone
+ */
+async function relayerStatus(vault, relayer) {
+  let registryAddress;
+  try {
+    registryAddress = await vault.relayerRegistry();
+  } catch (error) {
+    if (error.code !== ethers.errors.CALL_EXCEPTION) {
+      throw error;
+    }
+    // Vaults deployed before attested relayer mode have no registry and are open
+    registryAddress = ethers.constants.AddressZero;
+  }
+  if (registryAddress === ethers.constants.AddressZero) {
+    return { gated: false, attested: true, registry: null };
+  }
+  const registry = connectRelayerRegistry(registryAddress, vault.provider);
+  return { gated: true, attested: await registry.isAttested(relayer), registry: registryAddress };
+}
+
+module.exports = {
+  RELAYER_REGISTRY_ABI,
+  ATTESTATION_VERIFIER_ABI,
+  connectRelayerRegistry,
+  connectAttestationVerifier,
+  relayerReportData,
+  registerVerifiedRelayer,
+  submitAttestation,
+  relayerStatus
+};
@@ -0,0 +1,100 @@
+// File: lib/tokens.js
+/**
+ * PrivateTransferVault - Token Helpers
+ * ====================================
+ *
+ * PURPOSE:
+ * Transfers can move native ETH or any ERC-20 token. Amounts are always kept
+ * in the token's base units internally (wei for ETH); these helpers look up
+ * token metadata and convert between base units and human-readable strings
+ * using the token's own decimals instead of assuming 18.
+ *
+ * CONVENTION:
+ * address(0) stands for native ETH everywhere in this project (commitments,
+ * notes and contracts).
+ */
+const { ethers } = require("ethers");
+
+/**
+ * Minimal ERC-20 ABI used by the scripts and helpers
+ */
+const ERC20_ABI = [
+  "function name() view returns (string)",
+  "function symbol() view returns (string)",
+  "function decimals() view returns (uint8)",
+  "function balanceOf(address owner) view returns (uint256)",
+  "function allowance(address owner, address spender) view returns (uint256)",
+  "function approve(address spender, uint256 amount) returns (bool)",
+  "function transfer(address to, uint256 amount) returns (bool)"
+];
+
+/**
+ * Metadata used for native ETH
+ */
+const NATIVE_TOKEN = Object.freeze({
+  address: ethers.constants.AddressZero,
+  symbol: "ETH",
+  decimals: 18
+});
+
+/**
+ * Check whether a token address stands for native ETH
+ *
+ * @param {string} [token] Token address
+ * @returns {boolean} True for an empty value or address(0)
+ */
+function isNativeToken(token) {
+  return !token || ethers.utils.getAddress(token) === ethers.constants.AddressZero;
+}
+
+/**
+ * Look up the symbol and decimals of a token
+ *
+ * @param {ethers.providers.Provider|ethers.Signer} providerOrSigner Connection used for the calls
+ * @param {string} [token] Token address (omit or address(0) for ETH)
+ * @returns {Promise<{address: string, symbol: string, decimals: number}>} Token metadata
+ */
+async function getTokenInfo(providerOrSigner, token) {
+  if (isNativeToken(token)) {
+    return NATIVE_TOKEN;
+  }
+
+  const contract = new ethers.Contract(token, ERC20_ABI, providerOrSigner);
+  const [symbol, decimals] = await Promise.all([contract.symbol(), contract.decimals()]);
+  return {
+    address: ethers.utils.getAddress(token),
+    symbol,
+    decimals
+  };
+}
+
+/**
+ * Convert a human-readable amount into base units
+ *
+ * @param {string} amount Decimal amount, e.g. "12.5"
+ * @param {{decimals: number}} tokenInfo Token metadata
+ * @returns {ethers.BigNumber} Amount in base units
+ */
+function parseAmount(amount, tokenInfo) {
+  return ethers.utils.parseUnits(String(amount), tokenInfo.decimals);
+}
+
+/**
+ * Format a base-unit amount for display, e.g. "12.5 USDC"
+ *
+ * @param {ethers.BigNumberish} amount Amount in base units
+ * @param {{decimals: number, symbol: string}} tokenInfo Token metadata
+ * @returns {string} Formatted amount with symbol
+ */
+function formatAmount(amount, tokenInfo) {
+  return `${ethers.utils.formatUnits(amount, tokenInfo.decimals)} ${tokenInfo.symbol}`;
+}
+
+module.exports = {
+  ERC20_ABI,
+  NATIVE_TOKEN,
+  isNativeToken,
+  getTokenInfo,
+  parseAmount,
+  formatAmount
+};
@@ -0,0 +1,728 @@
+// File: lib/tx-manager.js
+/**
+ * PrivateTransferVault - Transaction Lifecycle Manager
+ * ====================================================
+ *
+ * PURPOSE:
+ * Sends transactions from one hot wallet (the relayer's) and sees each of them
+ * through to a receipt: nonces are assigned locally, fees follow EIP-1559, a
+ * transaction that is not mined in time is replaced with higher fees, and
+ * transient RPC failures are retried. Every step is written to a JSON state
+ * file before it touches the network, so a restarted process picks up its
+ * in-flight transactions instead of sending them again.
+ *
+ * STATE FORMAT (one file per chain and account, .relayer/<chainId>-<account>.json):
+ *   {
+ *     "version": 1,
+ *     "chainId": 11155111,
+ *     "account": "0x...",
+ *     "jobs": {
+ *       "<key>": {
+ *         "key", "status",                          see JOB STATUS
+ *         "request": { to, data, value },           what to send
+ *         "nonce", "gasLimit",                      fixed when first signed
+ *         "txHash",                                 latest attempt, or the mined one
+ *         "attempts": [ { hash, raw, maxFeePerGas, maxPriorityFeePerGas,
+ *                         gasPrice, sentAt } ],     one per signed transaction
+ *         "blockNumber", "gasUsed",                 from the receipt
+ *         "error": { code, message } | null,        why the job failed
+ *         "createdAt", "updatedAt"
+ *       }
+ *     }
+ *   }
+ *
+ * JOB STATUS:
+ *   queued ──> pending ──> mined
+ *      │          │
+ *      └──────────┴──> failed
+ * - queued   Accepted, not signed yet (only seen after a crash)
+ * - pending  Signed with a nonce and broadcast; replaced with higher fees every
+ *            replaceAfterSeconds until one of its attempts is mined
+ * - mined    One attempt has a successful receipt
+ * - failed   See TransactionError: REJECTED (estimation or the node refused it),
+ *            REVERTED (mined but reverted) or NONCE_TAKEN (another transaction
+ *            from the account used its nonce). Submitting the key again retries it
+ *
+ * TECHNICAL NOTES:
+ * - Jobs are keyed by the caller (the relayer uses the commitment), so
+ *   submitting a key that is queued, pending or mined returns the existing job
+ *   instead of sending a second transaction
+ * - Transactions are signed locally and the signed bytes are persisted before
+ *   broadcast; a pending attempt the node no longer knows is re-broadcast as is
+ * - The next nonce is the larger of the node's pending count and one past the
+ *   highest pending job, so evicted transactions keep their nonces
+ * - Replacements keep nonce and gas limit and raise both fee fields by
+ *   feeBumpPercent (nodes require at least 10%), never above maxFeePerGas
+ * - All work (submissions and polls) is serialised through a promise chain
+ * - The manager never prints: failures it recovers from by itself (a poll, a
+ *   broadcast retried later) go to the onError option
+ *
+ * PRIVACY NOTE:
+ * The state file holds only what the transactions publish anyway.
+ */
+const fs = require("fs");
+const path = require("path");
+const { ethers } = require("ethers");
+const { TransactionError } = require("./errors");
+
+/**
+ * State format version
+ */
+const TX_STATE_VERSION = 1;
+
+/**
+ * Default directory of state files, anchored to the repository so a restart
+ * from another working directory still finds its in-flight transactions
+ */
+const TX_STATE_DIR = path.join(__dirname, "..", ".relayer");
+
+/**
+ * Seconds a transaction may stay unmined before it is replaced
+ */
+const DEFAULT_REPLACE_AFTER_SECONDS = 120;
+
+/**
+ * Fee increase of a replacement, in percent
+ */
+const DEFAULT_FEE_BUMP_PERCENT = 15;
+
+/**
+ * Retries of an RPC call that failed transiently
+ */
+const DEFAULT_MAX_RETRIES = 4;
+
+/**
+ * Seconds between polls of pending transactions
+ */
+const DEFAULT_POLL_SECONDS = 5;
+
+/**
+ * Headroom added to gas estimates, in percent
+ */
+const GAS_LIMIT_MARGIN_PERCENT = 20;
+
+/**
+ * Node messages of outages and rate limits rather than answers
+ */
+const TRANSIENT_ERROR_PATTERN = new RegExp(
+  "timeout|timed out|ECONNRESET|ECONNREFUSED|ETIMEDOUT|EAI_AGAIN|socket hang up|" +
+    "rate limit|too many requests|header not found|\\b(429|502|503|504)\\b",
+  "i"
+);
+
+/**
+ * Node messages for a transaction it already holds
+ */
+const KNOWN_TRANSACTION_PATTERN = /already known|known transaction|already imported/i;
+
+/**
+ * Path of the state file for an account on a chain
+ *
+ * @param {number} chainId Chain id
+ * @param {string} account Sending account
+ * @param {Object} [options]
+ * @param {string} [options.directory] Directory of state files (default .relayer/)
+ * @returns {string} <directory>/<chainId>-<account lowercase>.json
+ */
+function stateFile(chainId, account, { directory = TX_STATE_DIR } = {}) {
+  return path.join(directory, `${chainId}-${account.toLowerCase()}.json`);
+}
+
+/**
+ * Message of an ethers error: the node's own message, which ethers nests in
+ * `error` properties, when there is one
+ */
+function errorMessage(error) {
+  let inner = error;
+  while (inner.error && typeof inner.error.message === "string") {
+    inner = inner.error;
+  }
+  return inner.message || String(error);
+}
+
+/**
+ * Whether an RPC failure is worth retrying: network failures, timeouts,
+ * rate limits and 5xx responses, but not answers such as reverts or
+ * "nonce too low"
+ *
+ * @param {Error} error Error thrown by an ethers provider
+ * @returns {boolean} true when the same call may succeed later
+ */
+function isTransientError(error) {
+  if (error.code === "TIMEOUT" || error.code === "NETWORK_ERROR") {
+    return true;
+  }
+  if (error.code === "SERVER_ERROR" && !error.error) {
+    return true;
+  }
+  return TRANSIENT_ERROR_PATTERN.test(errorMessage(error));
+}
+
+/**
+ * Larger of two BigNumbers
+ */
+function maxOf(a, b) {
+  return a.gt(b) ? a : b;
+}
+
+/**
+ * Sends and follows the transactions of one wallet
+ */
+class TransactionManager {
+  /**
+   * @param {Object} options
+   * @param {ethers.Wallet} options.wallet Signer that signs locally, connected to a provider
+   * @param {string} options.file State file (created on first save)
+   * @param {number} [options.replaceAfterSeconds] Age at which an unmined transaction is replaced
+   * @param {number} [options.feeBumpPercent] Fee increase of a replacement (at least 10)
+   * @param {ethers.BigNumberish|null} [options.maxFeePerGas] Cap on the fee per gas of any attempt
+   * @param {number} [options.maxRetries] Retries of a transiently failing RPC call
+   * @param {number} [options.retryDelayMs] Delay before the first retry, doubled for each further one
+   * @param {number} [options.pollSeconds] Delay between polls once started
+   * @param {function(Object): void} [options.onUpdate] Called with a job after each status
+   *   change or new attempt
+   * @param {function(Error, string): void} [options.onError] Called with the error and a
+   *   description of what failed when a poll or broadcast fails and is retried later
+   */
+  constructor({
+    wallet,
+    file,
+    replaceAfterSeconds = DEFAULT_REPLACE_AFTER_SECONDS,
+    feeBumpPercent = DEFAULT_FEE_BUMP_PERCENT,
+    maxFeePerGas = null,
+    maxRetries = DEFAULT_MAX_RETRIES,
+    retryDelayMs = 1000,
+    pollSeconds = DEFAULT_POLL_SECONDS,
+    onUpdate = null,
+    onError = null
+  }) {
+    if (feeBumpPercent < 10) {
+      throw new Error("feeBumpPercent must be at least 10: nodes refuse smaller replacements");
+    }
+    this.wallet = wallet;
+    this.provider = wallet.provider;
+    this.file = file;
+    this.replaceAfterSeconds = replaceAfterSeconds;
+    this.feeBumpPercent = feeBumpPercent;
+    this.maxFeePerGas = maxFeePerGas === null ? null : ethers.BigNumber.from(maxFeePerGas);
+    this.maxRetries = maxRetries;
+    this.retryDelayMs = retryDelayMs;
+    this.pollSeconds = pollSeconds;
+    this.onUpdate = onUpdate;
+    this.onError = onError;
+    this.state = null;
+    this.nextNonce = null;
+    this._queue = Promise.resolve();
+    this._timer = null;
+  }
+
+  /**
+   * Open (or create) the state file of a wallet and resume its jobs
+   *
+   * Queued jobs are sent and pending ones checked once before this resolves.
+   *
+   * @param {ethers.Wallet} wallet Signer that signs locally, connected to a provider
+   * @param {Object} [options] Constructor options, plus:
+   * @param {string} [options.file] State file (default .relayer/<chainId>-<account>.json)
+   * @param {string} [options.directory] Directory for the default state file
+   * @returns {Promise<TransactionManager>} The manager
+   * @throws {TransactionError} CORRUPTED_STATE, or STATE_MISMATCH for another chain or account's file
+   */
+  static async open(wallet, { file, directory, ...options } = {}) {
+    const [{ chainId }, account] = await Promise.all([wallet.provider.getNetwork(), wallet.getAddress()]);
+    const manager = new TransactionManager({
+      wallet,
+      file: file || stateFile(chainId, account, { directory }),
+      ...options
+    });
+    manager._load(chainId, account);
+    await manager._syncNonce();
+    await manager.poll();
+    return manager;
+  }
+
+  /**
+   * Sending account
+   */
+  get account() {
+    return this.state.account;
+  }
+
+  /**
+   * Job of a key
+   *
+   * @param {string} key Job key
+   * @returns {Object|null} The job, or null when the key was never submitted
+   */
+  get(key) {
+    return this.state.jobs[key] || null;
+  }
+
+  /**
+   * Jobs, oldest first
+   *
+   * @param {Object} [filter]
+   * @param {string} [filter.status] Only jobs with this status
+   * @returns {Object[]} Matching jobs
+   */
+  list({ status } = {}) {
+    return Object.values(this.state.jobs)
+      .filter((job) => status === undefined || job.status === status)
+      .sort((a, b) => a.createdAt.localeCompare(b.createdAt));
+  }
+
+  /**
+   * Send a transaction, once per key
+   *
+   * Resolves when the first attempt has been broadcast. A key that is already
+   * queued, pending or mined resolves with its existing job; a failed key is
+   * sent again.
+   *
+   * @param {string} key Caller's identifier of the transaction (e.g. the commitment)
+   * @param {Object} request Transaction to send
+   * @param {string} request.to Recipient (the vault)
+   * @param {string} [request.data] Calldata
+   * @param {ethers.BigNumberish} [request.value] Wei to send
+   * @returns {Promise<Object>} The job
+   * @throws {TransactionError} KEY_CONFLICT when the key holds a different request,
+   *   REJECTED when gas estimation or the node refuses the transaction
+   * @throws {Error} The provider's error when the node stays unreachable; the key is
+   *   then not recorded, so it can be submitted again
+   */
+  submit(key, request) {
+    return this._enqueue(async () => {
+      const normalized = {
+        to: ethers.utils.getAddress(request.to),
+        data: ethers.utils.hexlify(request.data || "0x"),
+        value: ethers.BigNumber.from(request.value || 0).toString()
+      };
+      const existing = this.get(key);
+      if (existing && existing.status !== "failed") {
+        const { to, data, value } = existing.request;
+        if (to !== normalized.to || data !== normalized.data || value !== normalized.value) {
+          throw new TransactionError("KEY_CONFLICT", `${key} was already submitted with another transaction`);
+        }
+        return existing;
+      }
+
+      const now = new Date().toISOString();
+      const job = {
+        key,
+        status: "queued",
+        request: normalized,
+        nonce: null,
+        gasLimit: null,
+        txHash: null,
+        attempts: [],
+        blockNumber: null,
+        gasUsed: null,
+        error: null,
+        createdAt: now,
+        updatedAt: now
+      };
+      this.state.jobs[key] = job;
+      this._save();
+
+      try {
+        await this._send(job);
+      } catch (error) {
+        // Only failures before anything reached the node get here (transient estimation,
+        // fee or nonce lookups): forget the job so that submitting the key again sends it
+        delete this.state.jobs[key];
+        this._save();
+        throw error;
+      }
+      if (job.status === "failed") {
+        throw new TransactionError(job.error.code, job.error.message);
+      }
+      return job;
+    });
+  }
+
+  /**
+   * Wait until the job of a key is mined
+   *
+   * Polls by itself when the manager was not started.
+   *
+   * @param {string} key Job key
+   * @returns {Promise<Object>} The mined job
+   * @throws {TransactionError} UNKNOWN_JOB, or the code the job failed with
+   */
+  async wait(key) {
+    for (;;) {
+      if (!this._timer) {
+        await this.poll();
+      }
+      const job = this.get(key);
+      if (!job) {
+        throw new TransactionError("UNKNOWN_JOB", `Nothing was submitted as ${key}`);
+      }
+      if (job.status === "mined") {
+        return job;
+      }
+      if (job.status === "failed") {
+        throw new TransactionError(job.error.code, job.error.message);
+      }
+      await new Promise((resolve) => setTimeout(resolve, this.pollSeconds * 1000));
+    }
+  }
+
+  /**
+   * Check every pending job once: record receipts, replace transactions that
+   * waited too long, re-broadcast ones the node dropped, and send queued jobs
+   *
+   * @returns {Promise<void>}
+   */
+  poll() {
+    return this._enqueue(async () => {
+      const pending = this.list({ status: "pending" }).sort((a, b) => a.nonce - b.nonce);
+      if (pending.length > 0) {
+        // Read before the receipts, so a nonce counted here has its receipt by then
+        const minedNonce = await this._retry(() => this.provider.getTransactionCount(this.account, "latest"));
+        for (const job of pending) {
+          await this._check(job, minedNonce);
+        }
+      }
+      for (const job of this.list({ status: "queued" })) {
+        await this._send(job);
+      }
+    });
+  }
+
+  /**
+   * Poll every pollSeconds until stop(); failed polls are reported to onError and retried
+   */
+  start() {
+    const schedule = () => {
+      this._timer = setTimeout(async () => {
+        await this.poll().catch((error) => this._reportError(error, "Transaction poll failed"));
+        if (this._timer) {
+          schedule();
+        }
+      }, this.pollSeconds * 1000);
+      this._timer.unref();
+    };
+    if (!this._timer) {
+      schedule();
+    }
+  }
+
+  /**
+   * Stop polling
+   */
+  stop() {
+    clearTimeout(this._timer);
+    this._timer = null;
+  }
+
+  /**
+   * Run a task after every earlier one
+   */
+  _enqueue(task) {
+    const result = this._queue.then(task);
+    this._queue = result.catch(() => undefined);
+    return result;
+  }
+
+  /**
+   * Call the provider, retrying transient failures with exponential backoff
+   */
+  async _retry(call) {
+    for (let retry = 0; ; retry++) {
+      try {
+        return await call();
+      } catch (error) {
+        if (retry >= this.maxRetries || !isTransientError(error)) {
+          throw error;
+        }
+        await new Promise((resolve) => setTimeout(resolve, this.retryDelayMs * 2 ** retry));
+      }
+    }
+  }
+
+  /**
+   * Load the state file, or start an empty one
+   */
+  _load(chainId, account) {
+    if (!fs.existsSync(this.file)) {
+      this.state = { version: TX_STATE_VERSION, chainId, account, jobs: {} };
+      return;
+    }
+
+    let state;
+    try {
+      state = JSON.parse(fs.readFileSync(this.file, "utf8"));
+    } catch (error) {
+      throw new TransactionError("CORRUPTED_STATE", `${this.file} is not valid JSON`);
+    }
+    if (state.version !== TX_STATE_VERSION || !state.jobs) {
+      throw new TransactionError(
+        "CORRUPTED_STATE",
+        `${this.file} is not a version ${TX_STATE_VERSION} transaction state`
+      );
+    }
+    if (state.chainId !== chainId || state.account !== account) {
+      throw new TransactionError(
+        "STATE_MISMATCH",
+        `${this.file} holds transactions of ${state.account} on chain ${state.chainId}, ` +
+          `not ${account} on chain ${chainId}`
+      );
+    }
+    this.state = state;
+  }
+
+  /**
+   * Write the state through a temporary file and a rename
+   */
+  _save() {
+    fs.mkdirSync(path.dirname(this.file), { recursive: true });
+    const temp = `${this.file}.${process.pid}.tmp`;
+    fs.writeFileSync(temp, JSON.stringify(this.state, null, 2));
+    fs.renameSync(temp, this.file);
+  }
+
+  /**
+   * Persist a job and report it
+   */
+  _update(job, changes) {
+    Object.assign(job, changes, { updatedAt: new Date().toISOString() });
+    this._save();
+    if (this.onUpdate) {
+      this.onUpdate(job);
+    }
+  }
+
+  /**
+   * Hand a failure the manager recovers from to onError
+   */
+  _reportError(error, description) {
+    if (this.onError) {
+      this.onError(error, description);
+    }
+  }
+
+  /**
+   * Set the next nonce from the node, skipping nonces held by pending jobs
+   */
+  async _syncNonce() {
+    const nodeNonce = await this._retry(() => this.provider.getTransactionCount(this.account, "pending"));
+    const held = this.list({ status: "pending" }).map((job) => job.nonce + 1);
+    this.nextNonce = Math.max(nodeNonce, ...held);
+  }
+
+  /**
+   * Current EIP-1559 fees (or the legacy gas price on chains without a base fee),
+   * capped at maxFeePerGas
+   */
+  async _fees() {
+    const { lastBaseFeePerGas, maxFeePerGas, maxPriorityFeePerGas, gasPrice } = await this._retry(() =>
+      this.provider.getFeeData()
+    );
+    const cap = (value) => (this.maxFeePerGas && value.gt(this.maxFeePerGas) ? this.maxFeePerGas : value);
+    if (!lastBaseFeePerGas) {
+      return { gasPrice: cap(gasPrice) };
+    }
+    const capped = cap(maxFeePerGas);
+    return {
+      maxFeePerGas: capped,
+      maxPriorityFeePerGas: maxPriorityFeePerGas.gt(capped) ? capped : maxPriorityFeePerGas
+    };
+  }
+
+  /**
+   * Fees of a replacement: the previous attempt's raised by feeBumpPercent, or
+   * the current estimate when higher
+   *
+   * @returns {Promise<Object|null>} null when the cap leaves no room for a valid replacement
+   */
+  async _bumpedFees(previous) {
+    const current = await this._fees();
+    const bump = (value) => ethers.BigNumber.from(value).mul(100 + this.feeBumpPercent).div(100);
+    const minimum = (value) => ethers.BigNumber.from(value).mul(110).div(100);
+    const cap = (value) => (this.maxFeePerGas && value.gt(this.maxFeePerGas) ? this.maxFeePerGas : value);
+
+    if (previous.gasPrice) {
+      const gasPrice = cap(maxOf(bump(previous.gasPrice), current.gasPrice || current.maxFeePerGas));
+      return gasPrice.gte(minimum(previous.gasPrice)) ? { gasPrice } : null;
+    }
+    const maxPriorityFeePerGas = maxOf(bump(previous.maxPriorityFeePerGas), current.maxPriorityFeePerGas);
+    const maxFeePerGas = cap(maxOf(maxOf(bump(previous.maxFeePerGas), current.maxFeePerGas), maxPriorityFeePerGas));
+    const priority = maxPriorityFeePerGas.gt(maxFeePerGas) ? maxFeePerGas : maxPriorityFeePerGas;
+    if (maxFeePerGas.lt(minimum(previous.maxFeePerGas)) || priority.lt(minimum(previous.maxPriorityFeePerGas))) {
+      return null;
+    }
+    return { maxFeePerGas, maxPriorityFeePerGas: priority };
+  }
+
+  /**
+   * Sign an attempt of a job with the given fees and add it to the job
+   */
+  async _sign(job, fees) {
+    const raw = await this.wallet.signTransaction({
+      ...job.request,
+      chainId: this.state.chainId,
+      nonce: job.nonce,
+      gasLimit: job.gasLimit,
+      ...(fees.gasPrice ? { type: 0 } : { type: 2 }),
+      ...fees
+    });
+    const attempt = {
+      hash: ethers.utils.keccak256(raw),
+      raw,
+      maxFeePerGas: fees.maxFeePerGas ? fees.maxFeePerGas.toString() : null,
+      maxPriorityFeePerGas: fees.maxPriorityFeePerGas ? fees.maxPriorityFeePerGas.toString() : null,
+      gasPrice: fees.gasPrice ? fees.gasPrice.toString() : null,
+      sentAt: new Date().toISOString()
+    };
+    job.attempts.push(attempt);
+    return attempt;
+  }
+
+  /**
+   * Broadcast a signed transaction; one the node already holds counts as sent
+   */
+  async _broadcast(raw) {
+    try {
+      await this._retry(() => this.provider.sendTransaction(raw));
+    } catch (error) {
+      if (!KNOWN_TRANSACTION_PATTERN.test(errorMessage(error))) {
+        throw error;
+      }
+    }
+  }
+
+  /**
+   * Estimate, sign and broadcast the first attempt of a queued job
+   */
+  async _send(job) {
+    let gasLimit;
+    try {
+      const estimate = await this._retry(() => this.provider.estimateGas({ ...job.request, from: this.account }));
+      gasLimit = estimate.mul(100 + GAS_LIMIT_MARGIN_PERCENT).div(100).toString();
+    } catch (error) {
+      if (isTransientError(error)) {
+        throw error;
+      }
+      return this._update(job, { status: "failed", error: { code: "REJECTED", message: errorMessage(error) } });
+    }
+    const fees = await this._fees();
+
+    // A nonce used elsewhere in the meantime is answered with NONCE_EXPIRED: resync and sign again
+    for (let retry = 0; ; retry++) {
+      job.nonce = this.nextNonce;
+      job.gasLimit = gasLimit;
+      const attempt = await this._sign(job, fees);
+      this.nextNonce += 1;
+      this._update(job, { status: "pending", txHash: attempt.hash });
+
+      try {
+        await this._broadcast(attempt.raw);
+        return;
+      } catch (error) {
+        if (isTransientError(error)) {
+          // Possibly sent; polls re-broadcast it until the node has it
+          this._reportError(error, `Broadcast of ${attempt.hash} failed, retrying on the next poll`);
+          return;
+        }
+        // Refused: the nonce was not used, so hand it back before resyncing
+        job.attempts.pop();
+        this.nextNonce = job.nonce;
+        job.nonce = null;
+        await this._syncNonce();
+        if (error.code !== "NONCE_EXPIRED" || retry >= this.maxRetries) {
+          return this._update(job, {
+            status: "failed",
+            txHash: null,
+            error: { code: "REJECTED", message: errorMessage(error) }
+          });
+        }
+      }
+    }
+  }
+
+  /**
+   * Follow a pending job: receipt, nonce taken elsewhere, replacement or re-broadcast
+   *
+   * @param {Object} job Pending job
+   * @param {number} minedNonce The account's mined transaction count
+   */
+  async _check(job, minedNonce) {
+    for (const attempt of [...job.attempts].reverse()) {
+      const receipt = await this._retry(() => this.provider.getTransactionReceipt(attempt.hash));
+      if (receipt) {
+        job.attempts.forEach((each) => delete each.raw);
+        return this._update(job, {
+          status: receipt.status === 1 ? "mined" : "failed",
+          txHash: attempt.hash,
+          blockNumber: receipt.blockNumber,
+          gasUsed: receipt.gasUsed.toString(),
+          error: receipt.status === 1 ? null : { code: "REVERTED", message: `Transaction ${attempt.hash} reverted` }
+        });
+      }
+    }
+    if (minedNonce > job.nonce) {
+      job.attempts.forEach((each) => delete each.raw);
+      return this._update(job, {
+        status: "failed",
+        error: { code: "NONCE_TAKEN", message: `Nonce ${job.nonce} was used by another transaction` }
+      });
+    }
+
+    const latest = job.attempts[job.attempts.length - 1];
+    if (Date.now() - Date.parse(latest.sentAt) >= this.replaceAfterSeconds * 1000) {
+      return this._replace(job, latest);
+    }
+    if (!(await this._retry(() => this.provider.getTransaction(latest.hash)))) {
+      await this._broadcast(latest.raw).catch((error) =>
+        this._reportError(error, `Re-broadcast of ${latest.hash} failed`)
+      );
+    }
+  }
+
+  /**
+   * Replace the latest attempt of a job with one paying higher fees
+   */
+  async _replace(job, latest) {
+    let basis = latest;
+    for (let retry = 0; ; retry++) {
+      const fees = await this._bumpedFees(basis);
+      if (!fees) {
+        // At the fee cap: keep the transaction in the node's pool and wait
+        latest.sentAt = new Date().toISOString();
+        this._save();
+        return this._broadcast(latest.raw).catch(() => undefined);
+      }
+
+      const attempt = await this._sign(job, fees);
+      this._update(job, { txHash: attempt.hash });
+      try {
+        await this._broadcast(attempt.raw);
+        return;
+      } catch (error) {
+        // NONCE_EXPIRED: an earlier attempt was mined and the next poll finds its receipt
+        if (isTransientError(error) || error.code === "NONCE_EXPIRED") {
+          return;
+        }
+        job.attempts.pop();
+        this._update(job, { txHash: latest.hash });
+        if (error.code !== "REPLACEMENT_UNDERPRICED" || retry >= this.maxRetries) {
+          throw error;
+        }
+        basis = attempt;
+      }
+    }
+  }
+}
+
+module.exports = {
+  TX_STATE_VERSION,
+  TX_STATE_DIR,
+  DEFAULT_REPLACE_AFTER_SECONDS,
+  DEFAULT_FEE_BUMP_PERCENT,
+  DEFAULT_MAX_RETRIES,
+  DEFAULT_POLL_SECONDS,
+  stateFile,
+  errorMessage,
+  isTransientError,
+  TransactionManager
+};
@@ -0,0 +1,32 @@
+// File: lib/vault-abi.js
+/**
+ * PrivateTransferVault - Human-Readable ABI
+ * =========================================
+ *
+ * PURPOSE:
+ * Lets library code talk to the vault without the Hardhat compilation
+ * artifacts (e.g. services that `require` this project).
+ *
+ * TECHNICAL NOTES:
+ * - The ABI is generated, not written by hand: after changing the vault's
+ *   external interface run `npm run abi:export` and commit lib/abi/
+ * - test/vault-abi.test.js fails while the export and the compiled contract
+ *   differ, so a stale ABI cannot slip through
+ */
+const { ethers } = require("ethers");
+
+/**
+ * Full vault ABI as human-readable signatures, exported from the compiled
+ * artifact by scripts/export-abi.js
+ */
+const VAULT_ABI = require("./abi/PrivateTransferVault.json");
+
+/**
+ * Shared Interface instance for encoding calls and parsing logs
+ */
+const vaultInterface = new ethers.utils.Interface(VAULT_ABI);
+
+module.exports = {
+  VAULT_ABI,
+  vaultInterface
+};
@@ -0,0 +1,133 @@
+// File: lib/view-key-registry.js
+/**
+ * ViewKeyRegistry - Lookup and Publication Helpers
+ * ================================================
+ *
+ * PURPOSE:
+ * Resolve the current public view key of an address from the on-chain
+ * ViewKeyRegistry before encrypting to it, and publish or renew one's own key.
+ *
+ * RESOLUTION RULES:
+ * - A key that was never published, was revoked, or has expired is refused
+ *   with a ViewKeyError (see lib/errors.js) instead of being returned
+ * - Expiry is judged against the latest block timestamp, the same clock the
+ *   contract uses, so local clock skew cannot resurrect an expired key
+ *
+ * PRIVACY NOTE:
+ * Lookups are plain eth_calls. An RPC provider can see whose key is being
+ * fetched, which hints at who is about to receive a payload.
+ */
+const { ethers } = require("ethers");
+const { sealEnvelope } = require("./envelope");
+const { ViewKeyError } = require("./errors");
+
+const VIEW_KEY_REGISTRY_ABI = [
+  // Errors
+  "error InvalidViewKey()",
+  "error InvalidExpiry(uint64 expiresAt)",
+  "error ViewKeyAlreadyPublished()",
+  "error NoViewKey()",
+
+  // Events
+  "event ViewKeyPublished(address indexed owner, bytes publicKey, uint64 expiresAt, uint64 version)",
+  "event ViewKeyRotated(address indexed owner, bytes publicKey, uint64 expiresAt, uint64 version)",
+  "event ViewKeyRevoked(address indexed owner, uint64 version)",
+
+  // Key management
+  "function publishViewKey(bytes publicKey, uint64 expiresAt)",
+  "function rotateViewKey(bytes publicKey, uint64 expiresAt)",
+  "function revokeViewKey()",
+
+  // Views
+  "function getViewKey(address owner) view returns (bytes publicKey, uint64 expiresAt, uint64 version, bool revoked)",
+  "function isViewKeyActive(address owner) view returns (bool)"
+];
+
+/**
+ * Connect to a ViewKeyRegistry
+ *
+ * @param {string} address Registry contract address
+ * @param {ethers.providers.Provider|ethers.Signer} providerOrSigner Signer to publish, provider to read
+ * @returns {ethers.Contract} The registry contract
+ */
+function connectViewKeyRegistry(address, providerOrSigner) {
+  return new ethers.Contract(address, VIEW_KEY_REGISTRY_ABI, providerOrSigner);
+}
+
+/**
+ * Look up the usable view key of an address
+ *
+ * @param {ethers.Contract} registry Registry contract
+ * @param {string} owner Address whose key to resolve
+ * @returns {Promise<{owner: string, publicKey: string, expiresAt: number, version: number}>}
+ *   The current key; expiresAt is 0 when the key does not expire
+ * @throws {ViewKeyError} NOT_PUBLISHED, REVOKED or EXPIRED
+ */
+async function resolveViewKey(registry, owner) {
+  const address = ethers.utils.getAddress(owner);
+  const [{ publicKey, expiresAt, version, revoked }, block] = await Promise.all([
+    registry.getViewKey(address),
+    registry.provider.getBlock("latest")
+  ]);
+
+  if (version.isZero()) {
+    throw new ViewKeyError("NOT_PUBLISHED", address, `${address} has not published a view key`);
+  }
+  if (revoked) {
+    throw new ViewKeyError("REVOKED", address, `View key v${version} of ${address} was revoked`);
+  }
+  if (!expiresAt.isZero() && expiresAt.lte(block.timestamp)) {
+    throw new ViewKeyError(
+      "EXPIRED",
+      address,
+      `View key v${version} of ${address} expired at ${new Date(expiresAt.toNumber() * 1000).toISOString()}`
+    );
+  }
+
+  return { owner: address, publicKey, expiresAt: expiresAt.toNumber(), version: version.toNumber() };
+}
+
+/**
+ * Encrypt a payload to the current view keys of several addresses
+ *
+ * Every key is resolved first, so nothing is encrypted if any party's key is
+ * missing, revoked or expired.
+ *
+ * @param {ethers.Contract} registry Registry contract
+ * @param {Object|string} payload Data to encrypt
+ * @param {string[]} owners Addresses to encrypt to (e.g. sender, recipient, auditor)
+ * @param {string} commitment Commitment the payload belongs to
+ * @returns {Promise<{envelope: string, keys: Object[]}>} The sealed envelope and the keys used
+ * @throws {ViewKeyError} If any address has no usable key
+ */
+async function sealForAddresses(registry, payload, owners, commitment) {
+  const keys = await Promise.all(owners.map((owner) => resolveViewKey(registry, owner)));
+  const envelope = sealEnvelope(payload, keys.map((key) => key.publicKey), commitment);
+  return { envelope, keys };
+}
+
+/**
+ * Publish the signer's view key, rotating if one is already published
+ *
+ * @param {ethers.Contract} registry Registry contract connected to the owner's signer
+ * @param {string} publicKey Compressed public view key
+ * @param {Object} [options]
+ * @param {number} [options.expiresAt] Expiry unix timestamp (default 0, no expiry)
+ * @returns {Promise<ethers.ContractTransaction>} The publish or rotate transaction
+ */
+async function publishViewKey(registry, publicKey, { expiresAt = 0 } = {}) {
+  const owner = await registry.signer.getAddress();
+  const current = await registry.getViewKey(owner);
+  if (!current.version.isZero() && !current.revoked) {
+    return registry.rotateViewKey(publicKey, expiresAt);
+  }
+  return registry.publishViewKey(publicKey, expiresAt);
+}
+
+module.exports = {
+  VIEW_KEY_REGISTRY_ABI,
+  connectViewKeyRegistry,
+  resolveViewKey,
+  sealForAddresses,
+  publishViewKey
+};
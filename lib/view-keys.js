@@ -0,0 +1,85 @@
+// File: lib/view-keys.js
+/**
+ * PrivateTransferVault - Asymmetric View Keys
+ * ===========================================
+ *
+ * PURPOSE:
+ * A view key pair lets anyone encrypt a payload to a party using only that
+ * party's public view key; the party decrypts with their private view key.
+ * Nothing has to be shared out-of-band beyond the public key.
+ *
+ * TECHNICAL DETAILS:
+ * - View keys are secp256k1 key pairs, the same curve as Ethereum accounts,
+ *   used for ECDH key agreement in lib/envelope.js (sealEnvelope/openEnvelope)
+ * - Public view keys are handled in compressed form (33 bytes)
+ * - deriveViewKeyPair() derives the pair from an account signature over a
+ *   fixed message, so a user can recover their view key from their wallet
+ *   instead of backing up another secret
+ *
+ * SECURITY NOTES:
+ * - A view key only grants read access; it can never move funds or sign
+ *   transactions, and it is deliberately not the account key itself
+ * - deriveViewKeyPair() relies on deterministic signatures (RFC 6979), which
+ *   ethers wallets and common hardware wallets produce
+ */
+const { ethers } = require("ethers");
+
+/**
+ * Message signed to derive a view key from an Ethereum account
+ */
+const VIEW_KEY_MESSAGE =
+  "PrivateTransferVault view key v1\n\n" +
+  "Sign this message to derive your private view key. " +
+  "Only sign it in applications you trust: the signature grants read access to your transfers.";
+
+/**
+ * Build a view key pair from a private view key
+ *
+ * @param {string} privateKey 32-byte hex private view key
+ * @returns {{privateKey: string, publicKey: string}} The pair (public key compressed)
+ */
+function viewKeyPairFromPrivateKey(privateKey) {
+  const signingKey = new ethers.utils.SigningKey(privateKey);
+  return {
+    privateKey: signingKey.privateKey,
+    publicKey: signingKey.compressedPublicKey
+  };
+}
+
+/**
+ * Generate a random view key pair
+ *
+ * @returns {{privateKey: string, publicKey: string}} The pair (public key compressed)
+ */
+function generateViewKeyPair() {
+  return viewKeyPairFromPrivateKey(ethers.utils.randomBytes(32));
+}
+
+/**
+ * Derive an account's view key pair from its signature over VIEW_KEY_MESSAGE
+ *
+ * @param {ethers.Signer} signer The account
+ * @returns {Promise<{privateKey: string, publicKey: string}>} The same pair on every call
+ */
+async function deriveViewKeyPair(signer) {
+  const signature = await signer.signMessage(VIEW_KEY_MESSAGE);
+  return viewKeyPairFromPrivateKey(ethers.utils.keccak256(signature));
+}
+
+/**
+ * Normalise a public view key to its compressed form
+ *
+ * @param {string} publicKey Compressed or uncompressed secp256k1 public key
+ * @returns {string} The 33-byte compressed public key
+ */
+function compressViewKey(publicKey) {
+  return ethers.utils.computePublicKey(publicKey, true);
+}
+
+module.exports = {
+  VIEW_KEY_MESSAGE,
+  viewKeyPairFromPrivateKey,
+  generateViewKeyPair,
+  deriveViewKeyPair,
+  compressViewKey
+};
@@ -0,0 +1,258 @@
+// File: payload-store/server.js
+/**
+ * Payload Store - HTTP Service
+ * ============================
+ *
+ * PURPOSE:
+ * Serves a FilePayloadStore (lib/payload-store.js) over HTTP, so submitters
+ * and view key holders on different machines share one off-chain store of
+ * encrypted payloads. Use HttpPayloadStore as the client.
+ *
+ * ENDPOINTS:
+ * - GET    /health                     Retention and deletion policy
+ * - PUT    /v1/payloads/<commitment>   Store { envelope } -> 201 new record, 200 already stored
+ *                                      (requires the write token)
+ * - GET    /v1/payloads/<commitment>   -> 200 record, 404 unknown or expired
+ * - DELETE /v1/payloads/<commitment>   -> 204 deleted, 404 unknown
+ *
+ * CONFIGURATION (environment variables):
+ * - PAYLOAD_STORE_DIR             Directory for the records (default ./.payloads)
+ * - PAYLOAD_STORE_HOST            Interface to bind (default 127.0.0.1)
+ * - PAYLOAD_STORE_PORT            Port to listen on (default 8081)
+ * - PAYLOAD_STORE_RETENTION_DAYS  Delete records this many days after storing (default 0, keep forever)
+ * - PAYLOAD_STORE_WRITE_TOKEN     Required. PUT requests must send "Authorization: Bearer <token>";
+ *                                 give it to the submitters (relayers) only
+ * - PAYLOAD_STORE_DELETE_TOKEN    Enables DELETE for clients sending "Authorization: Bearer <token>";
+ *                                 deletions are refused when unset
+ *
+ * WHY WRITES ARE AUTHENTICATED:
+ * The first envelope stored for a commitment wins (later ones are CONFLICTs),
+ * so an open PUT would let anyone who sees a commitment in the mempool claim
+ * it with garbage before the real submitter's payload arrives.
+ *
+ * PRIVACY NOTES:
+ * - The service only ever sees ciphertext, but it learns which commitments
+ *   have payloads and who fetches them; serve it over TLS or on a trusted network
+ * - Request logs contain commitments only, never envelopes
+ */
+const crypto = require("crypto");
+const http = require("http");
+const path = require("path");
+const { FilePayloadStore, MAX_PAYLOAD_BYTES } = require("../lib/payload-store");
+const { PayloadStoreError } = require("../lib/errors");
+require("dotenv").config();
+
+/**
+ * Largest request body the service accepts (a base64 envelope plus JSON framing)
+ */
+const MAX_BODY_BYTES = Math.ceil(MAX_PAYLOAD_BYTES / 3) * 4 + 1024;
+
+/**
+ * How often expired records are pruned
+ */
+const PRUNE_INTERVAL_MS = 60 * 60 * 1000;
+
+/**
+ * HTTP status for each PayloadStoreError code
+ */
+const STATUS_BY_CODE = {
+  INVALID_COMMITMENT: 400,
+  INVALID_PAYLOAD: 400,
+  PAYLOAD_TOO_LARGE: 413,
+  CONFLICT: 409,
+  UNAUTHORIZED: 401,
+  DELETION_DISABLED: 403,
+  INTEGRITY_FAILED: 500
+};
+
+/**
+ * Read and parse a JSON request body, enforcing the size limit
+ *
+ * @param {http.IncomingMessage} req The request
+ * @returns {Promise<*>} The parsed body
+ * @throws {PayloadStoreError} PAYLOAD_TOO_LARGE or INVALID_PAYLOAD
+ */
+function readJsonBody(req) {
+  return new Promise((resolve, reject) => {
+    const chunks = [];
+    let size = 0;
+
+    req.on("data", (chunk) => {
+      size += chunk.length;
+      if (size > MAX_BODY_BYTES) {
+        reject(new PayloadStoreError("PAYLOAD_TOO_LARGE", "Request body too large"));
+        req.destroy();
+        return;
+      }
+      chunks.push(chunk);
+    });
+    req.on("end", () => {
+      try {
+        resolve(JSON.parse(Buffer.concat(chunks).toString("utf8")));
+      } catch (error) {
+        reject(new PayloadStoreError("INVALID_PAYLOAD", "Request body must be valid JSON"));
+      }
+    });
+    req.on("error", reject);
+  });
+}
+
+/**
+ * Write a JSON response
+ */
+function sendJson(res, status, payload) {
+  const body = JSON.stringify(payload);
+  res.writeHead(status, {
+    "Content-Type": "application/json",
+    "Content-Length": Buffer.byteLength(body)
+  });
+  res.end(body);
+}
+
+/**
+ * Check a request's bearer token in constant time
+ */
+function isAuthorized(req, token) {
+  const match = /^Bearer (.+)$/.exec(req.headers.authorization || "");
+  if (!match) {
+    return false;
+  }
+  const given = crypto.createHash("sha256").update(match[1]).digest();
+  const expected = crypto.createHash("sha256").update(token).digest();
+  return crypto.timingSafeEqual(given, expected);
+}
+
+/**
+ * Create the HTTP server for a payload store
+ *
+ * @param {FilePayloadStore} store Store to serve
+ * @param {Object} options
+ * @param {string} options.writeToken Token that authorises PUT requests
+ * @param {string} [options.deleteToken] Token that authorises DELETE requests; deletions are
+ *   refused without one
+ * @returns {http.Server} Server, not yet listening
+ * @throws {Error} If no write token is given
+ */
+function createPayloadStoreServer(store, { writeToken, deleteToken } = {}) {
+  if (!writeToken) {
+    throw new Error("The payload store needs a write token to authenticate PUT requests");
+  }
+
+  async function handle(req, res) {
+    const { pathname } = new URL(req.url, "http://payload-store");
+
+    if (req.method === "GET" && pathname === "/health") {
+      return sendJson(res, 200, {
+        status: "ok",
+        retentionSeconds: store.retentionSeconds,
+        allowDelete: store.allowDelete && Boolean(deleteToken),
+        maxPayloadBytes: store.maxPayloadBytes
+      });
+    }
+
+    const match = /^\/v1\/payloads\/([^/]+)$/.exec(pathname);
+    if (!match) {
+      return sendJson(res, 404, { error: "Not found" });
+    }
+    const commitment = match[1];
+
+    if (req.method === "PUT") {
+      if (!/^application\/json\b/.test(req.headers["content-type"] || "")) {
+        return sendJson(res, 415, { error: "Content-Type must be application/json" });
+      }
+      if (!isAuthorized(req, writeToken)) {
+        throw new PayloadStoreError("UNAUTHORIZED", "A valid write token is required");
+      }
+      const body = await readJsonBody(req);
+      const { record, created } = await store.put(commitment, body && body.envelope);
+      if (created) {
+        console.log(`Stored payload for ${record.commitment}`);
+      }
+      return sendJson(res, created ? 201 : 200, record);
+    }
+
+    if (req.method === "GET") {
+      const record = await store.get(commitment);
+      return record ? sendJson(res, 200, record) : sendJson(res, 404, { error: "No payload for this commitment" });
+    }
+
+    if (req.method === "DELETE") {
+      if (!deleteToken) {
+        throw new PayloadStoreError("DELETION_DISABLED", "This payload store does not allow deletions");
+      }
+      if (!isAuthorized(req, deleteToken)) {
+        throw new PayloadStoreError("UNAUTHORIZED", "A valid delete token is required");
+      }
+      if (!(await store.delete(commitment))) {
+        return sendJson(res, 404, { error: "No payload for this commitment" });
+      }
+      console.log(`Deleted payload for ${commitment.toLowerCase()}`);
+      res.writeHead(204);
+      return res.end();
+    }
+
+    return sendJson(res, 405, { error: "Method not allowed" });
+  }
+
+  return http.createServer((req, res) => {
+    handle(req, res).catch((error) => {
+      if (error instanceof PayloadStoreError) {
+        if (error.code === "INTEGRITY_FAILED") {
+          console.error("Integrity check failed:", error.message);
+        }
+        return sendJson(res, STATUS_BY_CODE[error.code] || 500, { error: error.message, code: error.code });
+      }
+      console.error("Payload store error:", error.message);
+      return sendJson(res, 500, { error: "Payload store failure", code: "BACKEND_ERROR" });
+    });
+  });
+}
+
+/**
+ * Start the payload store from environment configuration
+ */
+async function main() {
+  const directory = path.resolve(process.env.PAYLOAD_STORE_DIR || path.join(__dirname, "../.payloads"));
+  const retentionDays = Number(process.env.PAYLOAD_STORE_RETENTION_DAYS || 0);
+  if (!Number.isFinite(retentionDays) || retentionDays < 0) {
+    throw new Error("PAYLOAD_STORE_RETENTION_DAYS must be a non-negative number");
+  }
+  const writeToken = process.env.PAYLOAD_STORE_WRITE_TOKEN;
+  if (!writeToken) {
+    throw new Error("Set PAYLOAD_STORE_WRITE_TOKEN to the token submitters must send with their writes");
+  }
+  const deleteToken = process.env.PAYLOAD_STORE_DELETE_TOKEN || undefined;
+
+  const store = new FilePayloadStore(directory, {
+    retentionSeconds: Math.round(retentionDays * 24 * 60 * 60),
+    allowDelete: Boolean(deleteToken)
+  });
+
+  if (store.retentionSeconds > 0) {
+    const prune = () => store.prune()
+      .then((removed) => removed > 0 && console.log(`Pruned ${removed} expired payload(s)`))
+      .catch((error) => console.error("Prune failed:", error.message));
+    await prune();
+    setInterval(prune, PRUNE_INTERVAL_MS).unref();
+  }
+
+  const host = process.env.PAYLOAD_STORE_HOST || "127.0.0.1";
+  const port = Number(process.env.PAYLOAD_STORE_PORT || 8081);
+  createPayloadStoreServer(store, { writeToken, deleteToken }).listen(port, host, () => {
+    console.log(`Payload store listening on http://${host}:${port}`);
+    console.log(`Records in ${directory}, retention ${retentionDays ? `${retentionDays} day(s)` : "unlimited"}, ` +
+      `deletions ${deleteToken ? "enabled" : "disabled"}`);
+  });
+}
+
+if (require.main === module) {
+  main().catch((error) => {
+    console.error("Payload store failed to start:", error);
+    process.exit(1);
+  });
+}
+
+module.exports = {
+  MAX_BODY_BYTES,
+  createPayloadStoreServer
+};
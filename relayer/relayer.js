@@ -0,0 +1,190 @@
+// File: relayer/relayer.js
+/**
+ * Relayer - Commitment Submission Service
+ * =======================================
+ *
+ * PURPOSE:
+ * Submits transfer commitments from the relayer's own hot wallet, so the
+ * user's address never appears as the sender of the vault transaction.
+ *
+ * FLOW PER INTENT:
+ * 1. Build the blinded commitment for the (already validated) intent, and
+ *    check that its envelope, if any, is a well-formed sealed envelope
+ * 2. Check the sender's EIP-712 intent signature (required unless disabled)
+ * 3. Refuse commitments the vault already holds
+ * 4. Refuse to send while the vault is paused, or requires attested relayers
+ *    and this one is not (or no longer) attested
+ * 5. Hand vault.submitTransfer(commitment) to the transaction manager, keyed
+ *    by the commitment
+ * 6. Write the intent's encrypted envelope, if any, to the payload store
+ * 7. Return the commitment, the opening and the transaction hash
+ *
+ * TECHNICAL NOTES:
+ * - Nonces, fees, replacement of stuck transactions and RPC retries are left to
+ *   the transaction manager (lib/tx-manager.js), whose state file survives
+ *   restarts. An intent repeated while its commitment is pending gets the same
+ *   job back instead of a second transaction
+ * - Submissions are serialised through a promise chain so concurrent requests
+ *   are checked against the vault one at a time
+ * - The relayer does not wait for the transaction to be mined. A replacement
+ *   changes the hash, so clients poll transactionStatus() (GET /v1/transfers/:commitment)
+ *   or vault.isCommitted rather than the returned hash
+ * - A payload store failure does not undo the submission; the response then
+ *   reports payloadStored: false and the client can store the envelope itself
+ */
+const { ethers } = require("ethers");
+const { buildCommitment } = require("../lib/commitment");
+const { checkSealedEnvelope } = require("../lib/envelope");
+const { EnvelopeError } = require("../lib/errors");
+const { verifyTransferIntent } = require("../lib/intent");
+const { relayerStatus } = require("../lib/relayer-registry");
+const { VAULT_ABI } = require("../lib/vault-abi");
+const { TransactionManager } = require("../lib/tx-manager");
+const { HttpError } = require("./validation");
+
+/**
+ * Create a relayer bound to one vault and hot wallet
+ *
+ * @param {Object} options
+ * @param {ethers.Signer} options.wallet Hot wallet connected to a provider
+ * @param {string} options.vaultAddress PrivateTransferVault address
+ * @param {boolean} [options.requireSignature] Reject intents without a valid sender
+ *   signature (default true); disable only for local testing
+ * @param {Object} [options.payloadStore] Store for intent envelopes (lib/payload-store.js);
+ *   intents carrying an envelope are refused without one
+ * @param {TransactionManager} [options.transactions] Manager sending the wallet's transactions
+ *   (default: TransactionManager.open(wallet), state in .relayer/)
+ * @returns {Promise<Object>} Relayer with `address`, `vault`, `chainId`, `transactions`,
+ *   `attestation()`, `submitIntent()` and `transactionStatus()`
+ */
+async function createRelayer({
+  wallet,
+  vaultAddress,
+  requireSignature = true,
+  payloadStore = null,
+  transactions = null
+}) {
+  const vault = new ethers.Contract(vaultAddress, VAULT_ABI, wallet);
+  const manager = transactions || (await TransactionManager.open(wallet));
+  const { chainId } = await wallet.provider.getNetwork();
+  const address = await wallet.getAddress();
+  let queue = Promise.resolve();
+
+  /**
+   * Submit a validated transfer intent
+   *
+   * @param {Object} intent Output of validateTransferIntent()
+   * @returns {Promise<{commitment: string, txHash: string, opening: Object, payloadStored?: boolean}>}
+   *   payloadStored is present when the intent carried an envelope
+   * @throws {HttpError} 400 for a malformed envelope or one this relayer cannot store,
+   *   401 for a missing or invalid sender signature,
+   *   409 if the commitment was already submitted,
+   *   503 if the vault is paused or only accepts attested relayers and this one is not attested
+   * @throws {TransactionError} REJECTED when the node refuses the transaction
+   */
+  async function submit({ signature, envelope, ...fields }) {
+    const { commitment, opening } = buildCommitment({ ...fields, chainId, vault: vault.address });
+
+    if (envelope !== undefined) {
+      if (!payloadStore) {
+        throw new HttpError(400, "This relayer has no payload store for envelopes");
+      }
+      // The store keeps the first envelope of a commitment, so a bad one would block the real note
+      try {
+        checkSealedEnvelope(envelope, commitment);
+      } catch (error) {
+        if (error instanceof EnvelopeError) {
+          throw new HttpError(400, `Invalid envelope: ${error.message}`);
+        }
+        throw error;
+      }
+    }
+
+    if (signature === undefined && requireSignature) {
+      throw new HttpError(401, "Transfer intent must be signed by the sender");
+    }
+    if (signature !== undefined && !verifyTransferIntent(opening, signature)) {
+      throw new HttpError(401, "Signature does not match the intent sender");
+    }
+
+    if (await vault.isCommitted(commitment)) {
+      throw new HttpError(409, "Commitment already submitted");
+    }
+
+    if (await vault.paused()) {
+      throw new HttpError(503, "Vault is paused");
+    }
+    // Checked per submission: registrations expire and measurements can be revoked
+    const { attested } = await attestation();
+    if (!attested) {
+      throw new HttpError(503, "Relayer is not attested for this vault");
+    }
+
+    const job = await manager.submit(commitment, await vault.populateTransaction.submitTransfer(commitment));
+    const result = { commitment, txHash: job.txHash, opening };
+    if (envelope !== undefined) {
+      try {
+        await payloadStore.put(commitment, envelope);
+        result.payloadStored = true;
+      } catch (error) {
+        console.error(`Could not store the payload of ${commitment}:`, error.message);
+        result.payloadStored = false;
+      }
+    }
+    return result;
+  }
+
+  /**
+   * Whether the vault currently accepts this relayer's submissions
+   *
+   * @returns {Promise<{gated: boolean, attested: boolean, registry: string|null}>}
+   */
+  function attestation() {
+    return relayerStatus(vault, address);
+  }
+
+  function submitIntent(intent) {
+    const result = queue.then(() => submit(intent));
+    queue = result.catch(() => undefined);
+    return result;
+  }
+
+  /**
+   * Where the submission of a commitment stands
+   *
+   * @param {string} commitment Commitment submitted through this relayer
+   * @returns {Object|null} `{ commitment, status, txHash, nonce, attempts, blockNumber, error }`
+   *   with the job status of lib/tx-manager.js, or null when this relayer never sent it
+   */
+  function transactionStatus(commitment) {
+    const job = manager.get(commitment.toLowerCase());
+    if (!job) {
+      return null;
+    }
+    return {
+      commitment,
+      status: job.status,
+      txHash: job.txHash,
+      nonce: job.nonce,
+      attempts: job.attempts.length,
+      blockNumber: job.blockNumber,
+      error: job.error
+    };
+  }
+
+  return {
+    address,
+    chainId,
+    requireSignature,
+    payloadStore,
+    vault,
+    transactions: manager,
+    attestation,
+    submitIntent,
+    transactionStatus
+  };
+}
+
+module.exports = {
+  createRelayer
+};
@@ -0,0 +1,248 @@
+// File: relayer/server.js
+/**
+ * Relayer - HTTP Service
+ * ======================
+ *
+ * PURPOSE:
+ * Accepts transfer intents over HTTP and submits their commitments to the
+ * PrivateTransferVault from the relayer's own hot wallet. The user never
+ * signs a vault transaction, so their address is not linked to the commitment.
+ *
+ * ENDPOINTS:
+ * - GET  /health        Relayer address, vault address, chain id, whether envelopes are accepted
+ *                       and whether the vault accepts submissions (paused) from this relayer (attestation)
+ * - POST /v1/transfers  Submit a transfer intent (see relayer/validation.js)
+ *                       -> 202 { commitment, txHash, opening }
+ * - GET  /v1/transfers/<commitment>  Submission status: queued, pending, mined or failed,
+ *                       with the current transaction hash (it changes when fees are bumped)
+ *
+ * CONFIGURATION (environment variables):
+ * - RELAYER_PRIVATE_KEY   Hot wallet key (required)
+ * - RELAYER_RPC_URL       JSON-RPC endpoint (default http://127.0.0.1:8545, a local Hardhat node)
+ * - RELAYER_VAULT_ADDRESS Vault to submit to (falls back to CONTRACT_ADDRESS, then to the
+ *                       chain's PrivateTransferVault in deployments/)
+ * - RELAYER_HOST          Interface to bind (default 127.0.0.1)
+ * - RELAYER_PORT          Port to listen on (default 8080)
+ * - RELAYER_REQUIRE_SIGNATURE  Set to "false" to accept unsigned intents (local testing only)
+ * - PAYLOAD_STORE_URL / PAYLOAD_STORE_DIR  Payload store for intent envelopes
+ *                       (payload store service, or a local directory); envelopes are refused when unset
+ * - PAYLOAD_STORE_WRITE_TOKEN  Write token of the payload store service (with PAYLOAD_STORE_URL)
+ * - RELAYER_STATE_FILE    Transaction state (default .relayer/<chainId>-<relayer>.json); keep it
+ *                       across restarts so in-flight submissions are resumed, not repeated
+ * - RELAYER_REPLACE_AFTER_SECONDS  Age at which an unmined transaction is replaced with higher fees
+ *                       (default 120)
+ * - RELAYER_FEE_BUMP_PERCENT  Fee increase per replacement (default 15, at least 10)
+ * - RELAYER_MAX_FEE_GWEI  Highest fee per gas the relayer pays, in gwei (default: no cap)
+ * - RELAYER_POLL_SECONDS  Delay between checks of pending transactions (default 5)
+ *
+ * PRIVACY NOTES:
+ * - The response contains the opening (including the salt); serve the relayer
+ *   over TLS or on a trusted network only
+ * - Transfer details are never logged, only commitments and transaction hashes
+ */
+const http = require("http");
+const { ethers } = require("ethers");
+const { createPayloadStore } = require("../lib/payload-store");
+const { resolveDeployment } = require("../lib/deployments");
+const { VAULT_ABI } = require("../lib/vault-abi");
+const {
+  TransactionManager,
+  errorMessage,
+  DEFAULT_REPLACE_AFTER_SECONDS,
+  DEFAULT_FEE_BUMP_PERCENT,
+  DEFAULT_POLL_SECONDS
+} = require("../lib/tx-manager");
+const { createRelayer } = require("./relayer");
+const { HttpError, validateTransferIntent } = require("./validation");
+require("dotenv").config();
+
+/**
+ * Largest request body the relayer accepts
+ */
+const MAX_BODY_BYTES = 16 * 1024;
+
+/**
+ * Read and parse a JSON request body, enforcing the size limit
+ *
+ * @param {http.IncomingMessage} req The request
+ * @returns {Promise<*>} The parsed body
+ * @throws {HttpError} 413 when too large, 400 when not valid JSON
+ */
+function readJsonBody(req) {
+  return new Promise((resolve, reject) => {
+    const chunks = [];
+    let size = 0;
+
+    req.on("data", (chunk) => {
+      size += chunk.length;
+      if (size > MAX_BODY_BYTES) {
+        reject(new HttpError(413, "Request body too large"));
+        req.destroy();
+        return;
+      }
+      chunks.push(chunk);
+    });
+    req.on("end", () => {
+      try {
+        resolve(JSON.parse(Buffer.concat(chunks).toString("utf8")));
+      } catch (error) {
+        reject(new HttpError(400, "Request body must be valid JSON"));
+      }
+    });
+    req.on("error", reject);
+  });
+}
+
+/**
+ * Write a JSON response
+ */
+function sendJson(res, status, payload) {
+  const body = JSON.stringify(payload);
+  res.writeHead(status, {
+    "Content-Type": "application/json",
+    "Content-Length": Buffer.byteLength(body)
+  });
+  res.end(body);
+}
+
+/**
+ * Create the HTTP server for a relayer
+ *
+ * @param {Object} relayer Relayer created with createRelayer()
+ * @returns {http.Server} Server, not yet listening
+ */
+function createRelayerServer(relayer) {
+  async function handle(req, res) {
+    const { pathname } = new URL(req.url, "http://relayer");
+
+    if (req.method === "GET" && pathname === "/health") {
+      const [attestation, paused] = await Promise.all([relayer.attestation(), relayer.vault.paused()]);
+      const status = paused ? "paused" : attestation.attested ? "ok" : "not-attested";
+      return sendJson(res, status === "ok" ? 200 : 503, {
+        status,
+        relayer: relayer.address,
+        vault: relayer.vault.address,
+        chainId: relayer.chainId,
+        requireSignature: relayer.requireSignature,
+        acceptsEnvelopes: Boolean(relayer.payloadStore),
+        paused,
+        attestation
+      });
+    }
+
+    if (pathname === "/v1/transfers") {
+      if (req.method !== "POST") {
+        throw new HttpError(405, "Method not allowed");
+      }
+      if (!/^application\/json\b/.test(req.headers["content-type"] || "")) {
+        throw new HttpError(415, "Content-Type must be application/json");
+      }
+
+      const intent = validateTransferIntent(await readJsonBody(req));
+      const result = await relayer.submitIntent(intent);
+      console.log(`Submitted commitment ${result.commitment} in tx ${result.txHash}`);
+      return sendJson(res, 202, result);
+    }
+
+    const match = /^\/v1\/transfers\/([^/]+)$/.exec(pathname);
+    if (match) {
+      if (req.method !== "GET") {
+        throw new HttpError(405, "Method not allowed");
+      }
+      if (!/^0x[0-9a-fA-F]{64}$/.test(match[1])) {
+        throw new HttpError(400, "Commitment must be 32-byte hex");
+      }
+      const status = relayer.transactionStatus(match[1]);
+      if (!status) {
+        throw new HttpError(404, "This relayer has not submitted the commitment");
+      }
+      return sendJson(res, 200, status);
+    }
+
+    throw new HttpError(404, "Not found");
+  }
+
+  return http.createServer((req, res) => {
+    handle(req, res).catch((error) => {
+      if (error instanceof HttpError) {
+        return sendJson(res, error.status, { error: error.message });
+      }
+      // Chain or provider failures: report without leaking internals
+      console.error("Relayer error:", error.message);
+      return sendJson(res, 502, { error: "Failed to submit commitment" });
+    });
+  });
+}
+
+/**
+ * Start the relayer from environment configuration
+ */
+async function main() {
+  if (!process.env.RELAYER_PRIVATE_KEY) {
+    throw new Error("Set RELAYER_PRIVATE_KEY to the relayer hot wallet key");
+  }
+  const provider = new ethers.providers.JsonRpcProvider(
+    process.env.RELAYER_RPC_URL || "http://127.0.0.1:8545"
+  );
+  const { address: vaultAddress } = await resolveDeployment(provider, "PrivateTransferVault", {
+    address: process.env.RELAYER_VAULT_ADDRESS || process.env.CONTRACT_ADDRESS,
+    abi: VAULT_ABI
+  });
+  const wallet = new ethers.Wallet(process.env.RELAYER_PRIVATE_KEY, provider);
+  const transactions = await TransactionManager.open(wallet, {
+    file: process.env.RELAYER_STATE_FILE,
+    replaceAfterSeconds: Number(process.env.RELAYER_REPLACE_AFTER_SECONDS || DEFAULT_REPLACE_AFTER_SECONDS),
+    feeBumpPercent: Number(process.env.RELAYER_FEE_BUMP_PERCENT || DEFAULT_FEE_BUMP_PERCENT),
+    maxFeePerGas: process.env.RELAYER_MAX_FEE_GWEI
+      ? ethers.utils.parseUnits(process.env.RELAYER_MAX_FEE_GWEI, "gwei")
+      : null,
+    pollSeconds: Number(process.env.RELAYER_POLL_SECONDS || DEFAULT_POLL_SECONDS),
+    onUpdate: (job) => {
+      if (job.status === "failed") {
+        console.error(`Commitment ${job.key} failed (${job.error.code}): ${job.error.message}`);
+      } else {
+        console.log(`Commitment ${job.key} ${job.status} in tx ${job.txHash} (attempt ${job.attempts.length})`);
+      }
+    },
+    onError: (error, description) => console.error(`${description}:`, errorMessage(error))
+  });
+  const relayer = await createRelayer({
+    wallet,
+    vaultAddress,
+    requireSignature: process.env.RELAYER_REQUIRE_SIGNATURE !== "false",
+    payloadStore: createPayloadStore({
+      url: process.env.PAYLOAD_STORE_URL,
+      directory: process.env.PAYLOAD_STORE_DIR,
+      options: { writeToken: process.env.PAYLOAD_STORE_WRITE_TOKEN }
+    }),
+    transactions
+  });
+  transactions.start();
+  const inFlight = transactions.list({ status: "pending" }).length;
+  if (inFlight > 0) {
+    console.log(`Resumed ${inFlight} pending transaction(s) from ${transactions.file}`);
+  }
+
+  const host = process.env.RELAYER_HOST || "127.0.0.1";
+  const port = Number(process.env.RELAYER_PORT || 8080);
+  createRelayerServer(relayer).listen(port, host, () => {
+    console.log(`Relayer ${relayer.address} listening on http://${host}:${port}`);
+    console.log(`Submitting to vault ${vaultAddress} on chain ${relayer.chainId}`);
+  });
+  const { gated, attested } = await relayer.attestation();
+  if (gated && !attested) {
+    console.warn("The vault only accepts attested relayers and this relayer is not attested (npm run relayer:attest)");
+  }
+}
+
+if (require.main === module) {
+  main().catch((error) => {
+    console.error("Relayer failed to start:", error);
+    process.exit(1);
+  });
+}
+
+module.exports = {
+  MAX_BODY_BYTES,
+  createRelayerServer
+};
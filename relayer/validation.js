@@ -0,0 +1,130 @@
+// File: relayer/validation.js
+/**
+ * Relayer - Transfer Intent Validation
+ * ====================================
+ *
+ * PURPOSE:
+ * Every request body that reaches the relayer is untrusted input. This module
+ * turns a raw JSON transfer intent into normalised values, or rejects it with
+ * a precise reason before anything touches the chain.
+ *
+ * ACCEPTED INTENT FIELDS:
+ * - sender     (required) Sender address
+ * - recipient  (required) Recipient address
+ * - amount     (required) Positive integer in the token's base units, as a decimal string
+ * - token      (optional) ERC-20 token address; omitted or address(0) means ETH
+ * - timestamp  (optional) Unix timestamp in seconds; defaults to "now"
+ * - salt       (optional) 32-byte hex salt; generated by the relayer when omitted
+ * - signature  (optional) Sender's EIP-712 TransferIntent signature (lib/intent.js);
+ *              a signed intent must also carry the timestamp and salt it signed
+ * - envelope   (optional) Base64 sealed envelope of the payload (lib/envelope.js),
+ *              sealed for the commitment the intent produces; the relayer writes
+ *              it to its payload store after submission
+ */
+const { ethers } = require("ethers");
+
+/**
+ * Error raised for requests the relayer refuses to process
+ * Carries the HTTP status code the server should answer with
+ */
+class HttpError extends Error {
+  /**
+   * @param {number} status HTTP status code
+   * @param {string} message Human-readable reason, returned to the client
+   */
+  constructor(status, message) {
+    super(message);
+    this.name = "HttpError";
+    this.status = status;
+  }
+}
+
+const ALLOWED_FIELDS = ["sender", "recipient", "amount", "token", "timestamp", "salt", "signature", "envelope"];
+
+/**
+ * Validate and normalise an address field
+ */
+function parseAddress(value, field) {
+  if (typeof value !== "string" || !ethers.utils.isAddress(value)) {
+    throw new HttpError(400, `'${field}' must be an Ethereum address`);
+  }
+  return ethers.utils.getAddress(value);
+}
+
+/**
+ * Validate a non-negative integer given as a decimal string (or safe integer)
+ */
+function parseUint(value, field) {
+  const text = typeof value === "number" && Number.isSafeInteger(value) ? String(value) : value;
+  if (typeof text !== "string" || !/^\d{1,78}$/.test(text)) {
+    throw new HttpError(400, `'${field}' must be a non-negative integer string`);
+  }
+  const parsed = ethers.BigNumber.from(text);
+  if (parsed.gt(ethers.constants.MaxUint256)) {
+    throw new HttpError(400, `'${field}' does not fit in uint256`);
+  }
+  return parsed.toString();
+}
+
+/**
+ * Validate a raw transfer intent
+ *
+ * @param {*} body Parsed JSON request body
+ * @returns {Object} Normalised intent, ready for buildCommitment()
+ * @throws {HttpError} 400 with the first problem found
+ */
+function validateTransferIntent(body) {
+  if (!body || typeof body !== "object" || Array.isArray(body)) {
+    throw new HttpError(400, "Request body must be a JSON object");
+  }
+
+  const unknown = Object.keys(body).filter((key) => !ALLOWED_FIELDS.includes(key));
+  if (unknown.length > 0) {
+    throw new HttpError(400, `Unknown field(s): ${unknown.join(", ")}`);
+  }
+
+  const intent = {
+    sender: parseAddress(body.sender, "sender"),
+    recipient: parseAddress(body.recipient, "recipient"),
+    token: body.token === undefined ? ethers.constants.AddressZero : parseAddress(body.token, "token"),
+    amount: parseUint(body.amount, "amount"),
+    timestamp: body.timestamp === undefined
+      ? String(Math.floor(Date.now() / 1000))
+      : parseUint(body.timestamp, "timestamp")
+  };
+
+  if (ethers.BigNumber.from(intent.amount).isZero()) {
+    throw new HttpError(400, "'amount' must be greater than zero");
+  }
+  if (body.salt !== undefined) {
+    if (typeof body.salt !== "string" || !ethers.utils.isHexString(body.salt, 32)) {
+      throw new HttpError(400, "'salt' must be a 32-byte hex string");
+    }
+    intent.salt = body.salt;
+  }
+  if (body.signature !== undefined) {
+    if (typeof body.signature !== "string" || !ethers.utils.isHexString(body.signature, 65)) {
+      throw new HttpError(400, "'signature' must be a 65-byte hex string");
+    }
+    if (body.timestamp === undefined || body.salt === undefined) {
+      throw new HttpError(400, "A signed intent must include the signed 'timestamp' and 'salt'");
+    }
+    intent.signature = body.signature;
+  }
+  if (body.envelope !== undefined) {
+    if (typeof body.envelope !== "string" || !/^[A-Za-z0-9+/]+={0,2}$/.test(body.envelope)) {
+      throw new HttpError(400, "'envelope' must be a base64 string");
+    }
+    if (body.salt === undefined) {
+      throw new HttpError(400, "An intent with an envelope must include the 'salt' the envelope was sealed for");
+    }
+    intent.envelope = body.envelope;
+  }
+
+  return intent;
+}
+
+module.exports = {
+  HttpError,
+  validateTransferIntent
+};
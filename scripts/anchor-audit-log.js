@@ -0,0 +1,78 @@
+// File: scripts/anchor-audit-log.js
+/**
+ * PrivateTransferVault - Audit Log Anchoring
+ * ==========================================
+ *
+ * PURPOSE:
+ * Publishes the head of the decryption audit log to the AuditAnchor contract,
+ * so entries up to that head can no longer be edited, removed or truncated
+ * without verify-audit-log.js noticing.
+ *
+ * USAGE:
+ *   DEPLOY_CONTRACT=AuditAnchor npm run deploy:sepolia   # once
+ *   npm run audit:anchor                                 # anchor the current head
+ *   ANCHOR_INTERVAL_MINUTES=60 npm run audit:anchor      # keep anchoring every hour
+ *
+ * OPTIONAL ENVIRONMENT:
+ * - AUDIT_LOG                Log file (default .audit/decryptions.log)
+ * - AUDIT_ANCHOR             AuditAnchor contract (defaults to the network's entry in deployments/)
+ * - AUDIT_LOG_NAME           Log name to anchor under (default: lib/audit-log.js DEFAULT_LOG_NAME)
+ * - ANCHOR_INTERVAL_MINUTES  Re-anchor periodically instead of once; a run is
+ *                            skipped when the head has not moved
+ *
+ * PRIVACY NOTE:
+ * Only the head's sequence number and hash go on-chain, never entries.
+ */
+const hre = require("hardhat");
+const path = require("path");
+const { AuditLog, connectAuditAnchor, anchorAuditLog, auditLogId } = require("../lib/audit-log");
+const { resolveDeployment } = require("../lib/deployments");
+require("dotenv").config();
+
+/**
+ * Anchor the log head once and report the outcome
+ */
+async function anchorOnce(log, anchorContract, logId) {
+  const anchored = await anchorAuditLog(log, anchorContract, logId);
+  if (!anchored) {
+    console.log(`${new Date().toISOString()} Nothing new to anchor`);
+    return;
+  }
+  console.log(`${new Date().toISOString()} Anchoring entry #${anchored.seq} (${anchored.head}) in tx ${anchored.tx.hash}`);
+  const receipt = await anchored.tx.wait();
+  console.log(`   ✅ Anchored in block #${receipt.blockNumber}`);
+}
+
+/**
+ * Main anchoring flow
+ */
+async function main() {
+  const logFile = process.env.AUDIT_LOG || path.join(__dirname, "../.audit/decryptions.log");
+  const [signer] = await hre.ethers.getSigners();
+  const { address: anchorAddress } = await resolveDeployment(hre.ethers.provider, "AuditAnchor", {
+    address: process.env.AUDIT_ANCHOR
+  });
+  const anchorContract = connectAuditAnchor(anchorAddress, signer);
+  const logId = auditLogId(process.env.AUDIT_LOG_NAME);
+  console.log(`Anchoring ${logFile} as ${signer.address} in ${anchorContract.address}`);
+
+  // Re-read the file on every run: the log is appended to by another process
+  const anchor = () => anchorOnce(new AuditLog(logFile), anchorContract, logId);
+  await anchor();
+
+  const intervalMinutes = Number(process.env.ANCHOR_INTERVAL_MINUTES || 0);
+  if (intervalMinutes > 0) {
+    console.log(`Re-anchoring every ${intervalMinutes} minute(s); stop with Ctrl+C`);
+    for (;;) {
+      await new Promise((resolve) => setTimeout(resolve, intervalMinutes * 60 * 1000));
+      await anchor().catch((error) => console.error("Anchoring failed, retrying next interval:", error.message));
+    }
+  }
+}
+
+main()
+  .then(() => process.exit(0))
+  .catch((error) => {
+    console.error("Audit log anchoring failed:", error);
+    process.exit(1);
+  });
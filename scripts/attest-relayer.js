@@ -0,0 +1,150 @@
+// File: scripts/attest-relayer.js
+/**
+ * PrivateTransferVault - Relayer Attestation
+ * ==========================================
+ *
+ * PURPOSE:
+ * Registers a relayer key in the AttestedRelayerRegistry, so a vault deployed
+ * in attested relayer mode accepts its submissions. The relayer's enclave
+ * attests to the relayer address; the report is then either checked on-chain
+ * by the AttestationVerifier (when one is deployed) or checked here and
+ * registered directly by the signer, who must hold REGISTRAR_ROLE.
+ *
+ * USAGE:
+ *   DEPLOY_CONTRACT=AttestedRelayerRegistry npm run deploy:sepolia   # once
+ *   DEPLOY_CONTRACT=AttestationVerifier npm run deploy:sepolia       # optional, once
+ *   RELAYER_REGISTRY=0x... npm run deploy:sepolia                    # gated vault
+ *   RELAYER_ADDRESS=0x... npm run relayer:attest                     # per relayer, before expiry
+ *
+ * ENVIRONMENT:
+ * - RELAYER_ADDRESS          Relayer to attest (defaults to the address of RELAYER_PRIVATE_KEY)
+ * - RELAYER_REGISTRY         Registry (defaults to the network's entry in deployments/)
+ * - ATTESTATION_VERIFIER     Verifier (defaults to the network's entry in deployments/;
+ *                            without one the report is checked off-chain)
+ * - ENCLAVE_ATTESTATION_KEY  Attestation key of the simulated enclave
+ * - ENCLAVE_MR_ENCLAVE       Measurement of the simulated enclave build
+ * - ENCLAVE_MR_SIGNER        Signer measurement of the simulated enclave build
+ * - ATTESTATION_VALIDITY_HOURS  Registration lifetime for off-chain checked reports (default 24)
+ *
+ * When the signer is the registry or verifier admin, the enclave measurement
+ * is approved, the attestation key trusted and the build signer (mrSigner)
+ * approved on the way, if they are not yet.
+ *
+ * SECURITY NOTE:
+ * The enclave is simulated (lib/attestation.js createMockEnclave). With real
+ * TEE hardware the report comes from the relayer's enclave and the trusted
+ * key is the vendor's quoting key; the registration flow is the same.
+ */
+const hre = require("hardhat");
+const { ethers } = require("ethers");
+const { createMockEnclave } = require("../lib/attestation");
+const { resolveDeployment } = require("../lib/deployments");
+const {
+  connectRelayerRegistry,
+  connectAttestationVerifier,
+  relayerReportData,
+  registerVerifiedRelayer,
+  submitAttestation
+} = require("../lib/relayer-registry");
+require("dotenv").config();
+
+/**
+ * Helper function to find the optional AttestationVerifier
+ *
+ * @returns {Promise<string|null>} The verifier address, or null if none is deployed
+ */
+async function getVerifierAddress() {
+  try {
+    const { address } = await resolveDeployment(hre.ethers.provider, "AttestationVerifier", {
+      address: process.env.ATTESTATION_VERIFIER
+    });
+    return address;
+  } catch (error) {
+    if (error.code === "NOT_DEPLOYED") {
+      return null;
+    }
+    throw error;
+  }
+}
+
+/**
+ * Resolve the relayer to attest from the environment
+ *
+ * @returns {string} Relayer address
+ */
+function relayerAddress() {
+  if (process.env.RELAYER_ADDRESS) {
+    return ethers.utils.getAddress(process.env.RELAYER_ADDRESS);
+  }
+  if (process.env.RELAYER_PRIVATE_KEY) {
+    return new ethers.Wallet(process.env.RELAYER_PRIVATE_KEY).address;
+  }
+  throw new Error("Set RELAYER_ADDRESS (or RELAYER_PRIVATE_KEY) to the relayer to attest");
+}
+
+/**
+ * Main attestation flow
+ */
+async function main() {
+  const [signer] = await hre.ethers.getSigners();
+  const relayer = relayerAddress();
+
+  const { address: registryAddress } = await resolveDeployment(hre.ethers.provider, "AttestedRelayerRegistry", {
+    address: process.env.RELAYER_REGISTRY
+  });
+  const registry = connectRelayerRegistry(registryAddress, signer);
+  const verifierAddress = await getVerifierAddress();
+  const verifier = verifierAddress && connectAttestationVerifier(verifierAddress, signer);
+
+  const enclave = createMockEnclave({
+    mrEnclave: process.env.ENCLAVE_MR_ENCLAVE,
+    mrSigner: process.env.ENCLAVE_MR_SIGNER,
+    attestationKey: process.env.ENCLAVE_ATTESTATION_KEY
+  });
+  console.log(`Attesting relayer ${relayer} in registry ${registryAddress}`);
+  console.log(`   Enclave mrEnclave ${enclave.identity.mrEnclave}, attestation key ${enclave.attestationAddress}`);
+
+  const adminRole = ethers.constants.HashZero;
+  if (!(await registry.approvedMeasurements(enclave.identity.mrEnclave))) {
+    if (!(await registry.hasRole(adminRole, signer.address))) {
+      throw new Error("The enclave measurement is not approved and the signer is not the registry admin");
+    }
+    await (await registry.approveMeasurement(enclave.identity.mrEnclave)).wait();
+    console.log("   Approved the enclave measurement");
+  }
+
+  const { chainId } = await hre.ethers.provider.getNetwork();
+  const audience = verifier ? { chainId, verifier: verifierAddress } : undefined;
+  const attestation = enclave.attest(relayerReportData(relayer), audience);
+
+  if (verifier) {
+    if (!(await verifier.trustedSigners(enclave.attestationAddress))) {
+      await (await verifier.setTrustedSigner(enclave.attestationAddress, true)).wait();
+      console.log("   Trusted the attestation key in the verifier");
+    }
+    if (!(await verifier.approvedMrSigners(enclave.identity.mrSigner))) {
+      await (await verifier.setApprovedMrSigner(enclave.identity.mrSigner, true)).wait();
+      console.log("   Approved the enclave build signer in the verifier");
+    }
+    const receipt = await submitAttestation(verifier, attestation);
+    console.log(`   Report verified on-chain by ${verifierAddress} in tx ${receipt.transactionHash}`);
+  } else {
+    const policy = {
+      trustedSigners: [enclave.attestationAddress],
+      allowedMeasurements: [{ mrEnclave: enclave.identity.mrEnclave, mrSigner: enclave.identity.mrSigner }]
+    };
+    const validitySeconds = Number(process.env.ATTESTATION_VALIDITY_HOURS || 24) * 60 * 60;
+    const { receipt } = await registerVerifiedRelayer(registry, attestation, relayer, policy, { validitySeconds });
+    console.log(`   Report verified off-chain and registered in tx ${receipt.transactionHash}`);
+  }
+
+  const { expiresAt } = await registry.getRelayer(relayer);
+  console.log(`✅ Relayer attested: ${await registry.isAttested(relayer)}, until ${new Date(Number(expiresAt) * 1000).toISOString()}`);
+}
+
+main()
+  .then(() => process.exit(0))
+  .catch((error) => {
+    console.error("Relayer attestation failed:", error.message);
+    process.exit(1);
+  });
@@ -0,0 +1,170 @@
+// File: scripts/batch-submit.js
+/**
+ * PrivateTransferVault - Batch Commitment Submission
+ * ==================================================
+ *
+ * PURPOSE:
+ * Commits a whole list of transfers (e.g. a payroll run) with as few
+ * transactions as possible. Every row gets its own salted commitment and
+ * opening; the commitments are sent through submitTransfers() in chunks
+ * sized to stay under a gas budget.
+ *
+ * USAGE:
+ *   BATCH_FILE=payroll.csv npm run batch:sepolia
+ *
+ *   payroll.csv:
+ *     recipient,amount,token
+ *     0x3C44CdDdB6a900fa2b585dd299e03d12FA4293BC,1250.50,0x<usdc>
+ *     0x90F79bf6EB2c4f870365E785982E1f101E93b906,0.25,
+ *
+ * JSON files hold an array of objects with the same keys. See lib/batch.js
+ * for the row format; the sender defaults to the connected signer.
+ *
+ * OPTIONAL ENVIRONMENT:
+ * - CONTRACT_ADDRESS   Vault to use (defaults to the network's entry in deployments/)
+ * - BATCH_FORMAT       csv or json (default: from the file extension)
+ * - BATCH_RESULTS      Results file (default: <BATCH_FILE>.results.json)
+ * - BATCH_GAS_LIMIT    Gas budget per transaction (default 8000000)
+ * - BATCH_MAX_SIZE     Most commitments per transaction (default 200)
+ *
+ * RESULTS FILE:
+ * Maps every input row to its commitment, opening, transaction hash and block.
+ * Rows sent by the signer also carry the sender's EIP-712 intent signature.
+ * Every opening is written before the first transaction is sent; a chunk's
+ * txHash is recorded when it is sent and its blockNumber once it confirms.
+ * After a failed run, rows with a txHash but no blockNumber may still be
+ * mined (check vault.isCommitted), and rows without a txHash were never sent.
+ *
+ * PRIVACY NOTE:
+ * The results file contains every opening (including salts) and is written
+ * with owner-only permissions. Store it like any other opening.
+ */
+const hre = require("hardhat");
+const fs = require("fs");
+const path = require("path");
+const { buildCommitment } = require("../lib/commitment");
+const { signTransferIntent } = require("../lib/intent");
+const { getTokenInfo, parseAmount } = require("../lib/tokens");
+const { parseTransferRows, chunkByGas } = require("../lib/batch");
+const { resolveDeployment } = require("../lib/deployments");
+require("dotenv").config();
+
+/**
+ * Write the results file with owner-only permissions
+ *
+ * @param {string} file Results file path
+ * @param {Object} results Results document
+ */
+function writeResults(file, results) {
+  fs.writeFileSync(file, JSON.stringify(results, null, 2), { mode: 0o600 });
+}
+
+/**
+ * Main batch flow
+ *
+ * EXECUTION FLOW:
+ * 1. Load and validate the transfer rows
+ * 2. Build a commitment and opening per row (and sign the signer's intents)
+ * 3. Size chunks from gas estimates of submitTransfers()
+ * 4. Write every opening to the results file, then submit chunk by chunk,
+ *    recording each chunk's transaction when sent and its block when confirmed
+ */
+async function main() {
+  const batchFile = process.env.BATCH_FILE;
+  if (!batchFile) {
+    throw new Error("Set BATCH_FILE to a CSV or JSON file of transfers");
+  }
+  const format = (process.env.BATCH_FORMAT || path.extname(batchFile).slice(1)).toLowerCase();
+  const resultsFile = process.env.BATCH_RESULTS || `${batchFile}.results.json`;
+  const gasLimit = Number(process.env.BATCH_GAS_LIMIT || 8000000);
+  const maxChunkSize = Number(process.env.BATCH_MAX_SIZE || 200);
+
+  const { address: contractAddress } = await resolveDeployment(hre.ethers.provider, "PrivateTransferVault", {
+    address: process.env.CONTRACT_ADDRESS,
+    abi: (await hre.artifacts.readArtifact("PrivateTransferVault")).abi
+  });
+  const [signer] = await hre.ethers.getSigners();
+  const vault = (await hre.ethers.getContractFactory("PrivateTransferVault")).attach(contractAddress);
+  const { chainId } = await hre.ethers.provider.getNetwork();
+  console.log(`Using contract at: ${contractAddress}`);
+  console.log(`Connected with address: ${signer.address}\n`);
+
+  // ========== STEP 1: LOAD ROWS ==========
+  const rows = parseTransferRows(fs.readFileSync(batchFile, "utf8"), format);
+  if (rows.length === 0) {
+    throw new Error(`${batchFile} contains no transfers`);
+  }
+  console.log(`1️⃣ Loaded ${rows.length} transfers from ${batchFile}`);
+
+  // ========== STEP 2: BUILD COMMITMENTS ==========
+  const tokenInfos = new Map();
+  const entries = [];
+  for (const row of rows) {
+    const token = row.token || hre.ethers.constants.AddressZero;
+    if (!tokenInfos.has(token)) {
+      tokenInfos.set(token, await getTokenInfo(hre.ethers.provider, token));
+    }
+    let amount;
+    try {
+      amount = parseAmount(row.amount, tokenInfos.get(token));
+    } catch (error) {
+      throw new Error(`Row ${row.row} has an amount '${row.amount}' that ${tokenInfos.get(token).symbol} cannot hold`);
+    }
+    const { commitment, opening } = buildCommitment({
+      chainId,
+      vault: contractAddress,
+      sender: row.sender || signer.address,
+      recipient: row.recipient,
+      token,
+      amount,
+      timestamp: Math.floor(Date.now() / 1000)
+    });
+    const entry = { row: row.row, commitment, opening, txHash: null, blockNumber: null };
+    if (opening.sender === signer.address) {
+      entry.signature = await signTransferIntent(signer, opening);
+    }
+    entries.push(entry);
+  }
+  console.log(`2️⃣ Built ${entries.length} commitments`);
+
+  // ========== STEP 3: SIZE CHUNKS ==========
+  const chunks = await chunkByGas(
+    entries.map((entry) => entry.commitment),
+    (commitments) => vault.estimateGas.submitTransfers(commitments),
+    { gasLimit, maxChunkSize }
+  );
+  console.log(`3️⃣ Split into ${chunks.length} transaction(s) under ${gasLimit} gas each`);
+
+  // ========== STEP 4: SUBMIT ==========
+  // The openings go to disk before anything is sent: a commitment mined
+  // without its opening could never be revealed
+  const results = { chainId, vault: contractAddress, source: path.basename(batchFile), transfers: entries };
+  writeResults(resultsFile, results);
+  let offset = 0;
+  for (const [i, chunk] of chunks.entries()) {
+    const chunkEntries = entries.slice(offset, offset + chunk.commitments.length);
+    offset += chunk.commitments.length;
+
+    const tx = await vault.submitTransfers(chunk.commitments, {
+      gasLimit: chunk.gasEstimate.mul(120).div(100)
+    });
+    chunkEntries.forEach((entry) => (entry.txHash = tx.hash));
+    writeResults(resultsFile, results);
+    console.log(`\n   Chunk ${i + 1}/${chunks.length}: ${chunk.commitments.length} commitments, tx ${tx.hash}`);
+    const receipt = await tx.wait();
+    console.log(`   ✅ Confirmed in block #${receipt.blockNumber} (gas used: ${receipt.gasUsed})`);
+
+    chunkEntries.forEach((entry) => (entry.blockNumber = receipt.blockNumber));
+    writeResults(resultsFile, results);
+  }
+
+  console.log(`\n4️⃣ Results for ${results.transfers.length} transfers written to ${resultsFile}`);
+  console.log("   Keep this file private: it holds every opening and salt");
+}
+
+main()
+  .then(() => process.exit(0))
+  .catch((error) => {
+    console.error("Batch submission failed:", error);
+    process.exit(1);
+  });
@@ -0,0 +1,246 @@
+// File: scripts/demo-complete-flow.js
+/**
+ * PrivateTransferVault - Complete Flow Demo (offline)
+ * ===================================================
+ *
+ * PURPOSE:
+ * Runs the whole private transfer flow end to end on a local chain, with no
+ * RPC provider, API key or testnet ETH: the sender commits to a transfer and
+ * signs it, a relayer submits the commitment with an encrypted note, the
+ * recipient finds the transfer by scanning, anyone holding the opening can
+ * check it against the chain, and an auditor reads it with a view key.
+ *
+ * USAGE:
+ *   npm run demo                            # in-process hardhat network, throwaway chain
+ *   npm run start:node                      # or: terminal 1
+ *   npm run demo:local                      # terminal 2, against the node
+ *
+ * PARTIES (Hardhat test accounts):
+ * - Sender: account #0, signs the transfer intent and deploys the vault if needed
+ * - Relayer: account #1, submits the commitment from its own address
+ * - Recipient: account #2, holds a fresh view key
+ * - Auditor: a fresh view key, no account
+ *
+ * DEPLOYMENT:
+ * On localhost the vault recorded in deployments/31337.json is reused when it
+ * accepts submissions from the relayer (open and not paused). Otherwise a new
+ * open vault is deployed; it is recorded only when no vault was recorded yet,
+ * so a vault set up by deploy-sepolia.js is never replaced by the demo's.
+ *
+ * PRIVACY NOTE:
+ * The demo prints the transfer details to show what each party can read;
+ * the last step checks that none of them appears in the chain data.
+ */
+const hre = require("hardhat");
+const { ethers } = require("ethers");
+const { buildCommitment } = require("../lib/commitment");
+const { signTransferIntent, verifyTransferIntent } = require("../lib/intent");
+const { sealEnvelope, openEnvelope } = require("../lib/envelope");
+const { generateViewKeyPair } = require("../lib/view-keys");
+const { encodeNote, decodeNote, scanNotes } = require("../lib/note-scanner");
+const { vaultInterface } = require("../lib/vault-abi");
+const { EnvelopeError } = require("../lib/errors");
+const { verifyOpening } = require("../lib/opening-verifier");
+const { MerkleTree } = require("../lib/merkle-tree");
+const { relayerStatus } = require("../lib/relayer-registry");
+const { LOCAL_CHAIN_IDS, resolveDeployment, recordDeployment, deploymentsFile } = require("../lib/deployments");
+const { getTokenInfo, formatAmount } = require("../lib/tokens");
+require("dotenv").config();
+
+/**
+ * Find a recorded vault the relayer can submit to
+ *
+ * @param {string} relayer Relayer address
+ * @returns {Promise<{vault: ethers.Contract|null, recorded: boolean}>} The usable
+ *   vault, if any, and whether a vault is recorded for the chain at all
+ */
+async function findRecordedVault(relayer) {
+  const { abi } = await hre.artifacts.readArtifact("PrivateTransferVault");
+  let deployment;
+  try {
+    deployment = await resolveDeployment(hre.ethers.provider, "PrivateTransferVault", { abi });
+  } catch (error) {
+    if (error.code === "NOT_DEPLOYED" || error.code === "NO_CODE") {
+      return { vault: null, recorded: error.code === "NO_CODE" };
+    }
+    throw error;
+  }
+  const vault = (await hre.ethers.getContractFactory("PrivateTransferVault")).attach(deployment.address);
+  const { gated, attested } = await relayerStatus(vault, relayer);
+  if ((gated && !attested) || (await vault.paused())) {
+    console.log(`   Recorded vault ${deployment.address} does not accept the demo relayer (attested relayers only, or paused)`);
+    return { vault: null, recorded: true };
+  }
+  return { vault, recorded: true };
+}
+
+/**
+ * Deploy an open vault administered by the deployer
+ *
+ * @param {ethers.Signer} deployer Deploying account
+ * @param {boolean} record Whether to record the vault in the deployments registry
+ * @returns {Promise<ethers.Contract>} The deployed vault
+ */
+async function deployVault(deployer, record) {
+  const args = [ethers.constants.AddressZero, deployer.address, 0];
+  const vault = await (await hre.ethers.getContractFactory("PrivateTransferVault", deployer)).deploy(...args);
+  const receipt = await vault.deployTransaction.wait();
+  console.log(`   Deployed an open vault at ${vault.address} (block ${receipt.blockNumber})`);
+
+  if (record) {
+    const { chainId } = await hre.ethers.provider.getNetwork();
+    recordDeployment(chainId, "PrivateTransferVault", {
+      network: hre.network.name,
+      address: vault.address,
+      transactionHash: vault.deployTransaction.hash,
+      blockNumber: receipt.blockNumber,
+      abi: (await hre.artifacts.readArtifact("PrivateTransferVault")).abi,
+      constructorArgs: args
+    });
+    console.log(`   Recorded in ${deploymentsFile(chainId)}`);
+  }
+  return vault;
+}
+
+/**
+ * Main demo flow
+ *
+ * EXECUTION FLOW:
+ * 1. Find or deploy the vault
+ * 2. Sender builds the commitment and signs the transfer intent
+ * 3. Sender seals the opening to the recipient's and auditor's view keys
+ * 4. Relayer submits the commitment with the encrypted note
+ * 5. Recipient scans the vault and finds the transfer
+ * 6. The opening is checked against the transaction and the commitment tree
+ * 7. Auditor opens the on-chain note and checks sender consent
+ * 8. Chain data is checked for leaked transfer details
+ */
+async function main() {
+  console.log("==== PRIVATE TRANSFER VAULT: COMPLETE FLOW ====\n");
+  const { chainId } = await hre.ethers.provider.getNetwork();
+  if (!LOCAL_CHAIN_IDS.includes(chainId)) {
+    throw new Error(`The complete flow demo uses local test accounts; run it on hardhat or localhost, not chain ${chainId}`);
+  }
+  const [sender, relayer, recipient] = await hre.ethers.getSigners();
+
+  // ========== STEP 1: VAULT ==========
+  console.log(`1️⃣ VAULT (${hre.network.name}, chain ${chainId})`);
+  let vault = null;
+  let recorded = false;
+  if (hre.network.name !== "hardhat") {
+    ({ vault, recorded } = await findRecordedVault(relayer.address));
+  }
+  if (vault) {
+    console.log(`   Using the recorded vault at ${vault.address}`);
+  } else {
+    vault = await deployVault(sender, hre.network.name !== "hardhat" && !recorded);
+  }
+  const startBlock = await hre.ethers.provider.getBlockNumber();
+
+  // ========== STEP 2: COMMIT AND SIGN ==========
+  console.log("\n2️⃣ SENDER COMMITS TO THE TRANSFER");
+  const tokenInfo = await getTokenInfo(hre.ethers.provider, ethers.constants.AddressZero);
+  const { commitment, opening } = buildCommitment({
+    chainId,
+    vault: vault.address,
+    sender: sender.address,
+    recipient: recipient.address,
+    token: tokenInfo.address,
+    amount: ethers.utils.parseEther("1.25").toString(),
+    timestamp: Math.floor(Date.now() / 1000)
+  });
+  const signature = await signTransferIntent(sender, opening);
+  console.log(`   ${sender.address} -> ${recipient.address}: ${formatAmount(opening.amount, tokenInfo)}`);
+  console.log(`   Commitment: ${commitment}`);
+  console.log(`   Intent signature: ${signature.substring(0, 30)}...`);
+
+  // ========== STEP 3: ENCRYPT ==========
+  console.log("\n3️⃣ SENDER SEALS THE OPENING TO THE RECIPIENT AND THE AUDITOR");
+  const recipientViewKey = generateViewKeyPair();
+  const auditorViewKey = generateViewKeyPair();
+  const sealed = sealEnvelope({ opening, signature }, [recipientViewKey.publicKey, auditorViewKey.publicKey], commitment);
+  console.log(`   Envelope: ${sealed.substring(0, 40)}... (${sealed.length} characters)`);
+
+  // ========== STEP 4: RELAY ==========
+  console.log("\n4️⃣ RELAYER SUBMITS THE COMMITMENT");
+  const tx = await vault.connect(relayer).submitTransferWithNote(commitment, encodeNote(sealed));
+  const receipt = await tx.wait();
+  console.log(`   Submitted by ${relayer.address} in tx ${tx.hash} (block ${receipt.blockNumber})`);
+
+  // ========== STEP 5: SCAN ==========
+  console.log("\n5️⃣ RECIPIENT SCANS THE VAULT");
+  const notes = await scanNotes(hre.ethers.provider, vault.address, recipientViewKey.privateKey, { fromBlock: startBlock });
+  const found = notes.find((note) => note.commitment === commitment);
+  if (!found || !found.openingMatches) {
+    throw new Error("The recipient did not find the transfer");
+  }
+  console.log(`   ✅ Found the transfer in block ${found.blockNumber}; its opening matches the commitment`);
+
+  // ========== STEP 6: VERIFY ==========
+  console.log("\n6️⃣ CHECKING THE OPENING AGAINST THE CHAIN");
+  const verification = await verifyOpening(hre.ethers.provider, found.payload.opening, found.txHash);
+  if (!verification.valid) {
+    throw new Error(`Opening does not match the transaction: ${verification.reason}`);
+  }
+  console.log(`   ✅ Opening matches PrivateTransfer log #${verification.logIndex} of ${found.txHash}`);
+  const tree = await MerkleTree.fromVault(hre.ethers.provider, vault.address);
+  const proof = tree.proof(tree.indexOf(commitment));
+  const knownRoot = await vault.isKnownRoot(proof.root);
+  if (!MerkleTree.verifyProof(proof) || !knownRoot) {
+    throw new Error("Membership proof of the commitment did not verify");
+  }
+  console.log(`   ✅ Commitment is leaf ${proof.leafIndex} of ${tree.size} under on-chain root ${proof.root}`);
+
+  // ========== STEP 7: AUDIT ==========
+  console.log("\n7️⃣ AUDITOR READS THE TRANSFER");
+  const noteLog = receipt.logs
+    .filter((log) => log.address === vault.address)
+    .map((log) => vaultInterface.parseLog(log))
+    .find((log) => log.name === "EncryptedNote");
+  const onChainEnvelope = decodeNote(noteLog.args.encryptedNote);
+  const disclosed = openEnvelope(onChainEnvelope, auditorViewKey.privateKey, commitment);
+  const consented = verifyTransferIntent(disclosed.opening, disclosed.signature);
+  console.log(`   ${disclosed.opening.sender} -> ${disclosed.opening.recipient}: ${formatAmount(disclosed.opening.amount, tokenInfo)}`);
+  console.log(`   ${consented ? "✅" : "❌"} Sender consent ${consented ? "verified" : "NOT verified"}`);
+  try {
+    openEnvelope(onChainEnvelope, generateViewKeyPair().privateKey, commitment);
+    throw new Error("An unrelated view key opened the envelope");
+  } catch (error) {
+    if (!(error instanceof EnvelopeError)) {
+      throw error;
+    }
+    console.log(`   ✅ An unrelated view key is refused (${error.code})`);
+  }
+
+  // ========== STEP 8: PRIVACY CHECK ==========
+  console.log("\n8️⃣ PRIVACY CHECK OF THE CHAIN DATA");
+  const submitted = await hre.ethers.provider.getTransaction(tx.hash);
+  const chainData = [submitted.data, ...receipt.logs.flatMap((log) => [log.data, ...log.topics])]
+    .join("")
+    .toLowerCase();
+  const secrets = {
+    "sender address": sender.address.slice(2),
+    "recipient address": recipient.address.slice(2),
+    amount: ethers.utils.hexZeroPad(ethers.BigNumber.from(opening.amount).toHexString(), 32).slice(2),
+    salt: opening.salt.slice(2)
+  };
+  let leaked = false;
+  for (const [label, value] of Object.entries(secrets)) {
+    const visible = chainData.includes(value.toLowerCase());
+    leaked = leaked || visible;
+    console.log(`   ${visible ? "❌" : "✅"} ${label} ${visible ? "is visible" : "does not appear"} in the transaction or its logs`);
+  }
+  if (leaked) {
+    throw new Error("Transfer details leaked on-chain");
+  }
+  console.log(`   The only on-chain account is the relayer's (${relayer.address})`);
+
+  console.log("\n🎉 Complete flow finished");
+}
+
+main()
+  .then(() => process.exit(0))
+  .catch((error) => {
+    console.error("Demo failed:", error);
+    process.exit(1);
+  });
@@ -8,8 +8,37 @@
  * This script handles the complete deployment process, including:
  * 1. Contract deployment
  * 2. Etherscan verification
- * 3. Saving the contract address for future script use
+ * 3. Recording the deployment in deployments/<chainId>.json (lib/deployments.js)
  * 
+ * CONTRACT SELECTION:
+ * - Deploys PrivateTransferVault by default
+ * - Set DEPLOY_CONTRACT=ShieldedPool to deploy the value-carrying pool instead
+ * - Set DEPLOY_CONTRACT=ViewKeyRegistry to deploy the public view key directory
+ * - Set DEPLOY_CONTRACT=AuditAnchor to deploy the audit log anchor
+ * - Set DEPLOY_CONTRACT=AttestedRelayerRegistry to deploy the attested relayer registry
+ *   (the deployer becomes its admin and a registrar)
+ * - Set DEPLOY_CONTRACT=AttestationVerifier to deploy the on-chain attestation checker
+ *   for the registry; it is granted REGISTRAR_ROLE when the deployer is the registry admin
+ *
+ * ATTESTED RELAYER MODE:
+ * - Set RELAYER_REGISTRY when deploying PrivateTransferVault to accept submissions only
+ *   from relayers attested in that registry; without it the vault is open to anyone
+ * - AttestationVerifier settings: ATTESTATION_MIN_SVN (default 0),
+ *   ATTESTATION_MAX_AGE_SECONDS (default 300), ATTESTATION_VALIDITY_HOURS (default 24)
+ *
+ * VAULT ROLES (PrivateTransferVault and ShieldedPool):
+ * - The deployer starts as admin and grants the initial roles:
+ *   VAULT_PAUSERS and VAULT_RELAYER_MANAGERS (comma-separated addresses, default: the deployer)
+ * - VAULT_ADMIN hands the admin role to another account (e.g. a multisig) in two
+ *   steps: the transfer is scheduled here and that account accepts it once
+ *   VAULT_ADMIN_DELAY_SECONDS (default 86400) have passed
+ * 
+ * NETWORKS:
+ * - Any network from hardhat.config.js; the chain id decides the registry file
+ *   and the block explorer links
+ * - On the in-process hardhat network nothing is recorded, since the chain ends
+ *   with the script; use a node (npm run start:node) and --network localhost
+ *
  * PRIVACY ARCHITECTURE NOTES:
  * - This minimal contract stores NO user data
  * - It only accepts commitment hashes and emits events
@@ -17,8 +46,65 @@
  * - Full source code verification on Etherscan lets users audit the privacy guarantees
  */
 const hre = require("hardhat");
+const { loadDeployments, recordDeployment, deploymentsFile, explorerUrl, explorerName } = require("../lib/deployments");
 require("dotenv").config(); // Load environment variables from .env file
 
+/**
+ * Contracts this script can deploy
+ * Other scripts find them through the deployments registry by contract name
+ */
+const DEPLOYABLE_CONTRACTS = [
+  "PrivateTransferVault",
+  "ShieldedPool",
+  "ViewKeyRegistry",
+  "AuditAnchor",
+  "AttestedRelayerRegistry",
+  "AttestationVerifier"
+];
+
+/**
+ * Constructor arguments of each deployable contract
+ *
+ * @param {string} contractName Contract being deployed
+ * @param {string} deployer Deployer address
+ * @param {Object} recorded Registry of the target chain (loadDeployments())
+ * @returns {Array} Arguments for deploy() and Etherscan verification
+ */
+function constructorArguments(contractName, deployer, recorded) {
+  const adminDelay = Number(process.env.VAULT_ADMIN_DELAY_SECONDS || 24 * 60 * 60);
+  switch (contractName) {
+    case "PrivateTransferVault":
+      // address(0) deploys an open vault
+      return [process.env.RELAYER_REGISTRY || hre.ethers.constants.AddressZero, deployer, adminDelay];
+    case "ShieldedPool":
+      return [deployer, adminDelay];
+    case "AttestedRelayerRegistry":
+      return [deployer];
+    case "AttestationVerifier": {
+      const registryDeployment = recorded.contracts.AttestedRelayerRegistry;
+      const registry = process.env.RELAYER_REGISTRY || (registryDeployment && registryDeployment.address);
+      if (!registry) {
+        throw new Error("Set RELAYER_REGISTRY or deploy AttestedRelayerRegistry first");
+      }
+      return [
+        registry,
+        deployer,
+        Number(process.env.ATTESTATION_MIN_SVN || 0),
+        Number(process.env.ATTESTATION_MAX_AGE_SECONDS || 300),
+        Number(process.env.ATTESTATION_VALIDITY_HOURS || 24) * 60 * 60
+      ];
+    }
+    default:
+      return [];
+  }
+}
+
+/**
+ * Networks without a block explorer - Etherscan verification is skipped
+ * This lets the relayer and scripts be exercised against a local Hardhat node
+ */
+const LOCAL_NETWORKS = ["hardhat", "localhost"];
+
 /**
  * Main deployment function
  * 
@@ -26,10 +112,16 @@ require("dotenv").config(); // Load environment variables from .env file
  * 1. Deploy the PrivateTransferVault contract
  * 2. Wait for deployment confirmation
  * 3. Verify the contract on Etherscan
- * 4. Save the contract address to a file
+ * 4. Record the deployment in the registry
  */
 async function main() {
-  console.log("Deploying PrivateTransferVault to Sepolia testnet...");
+  const contractName = process.env.DEPLOY_CONTRACT || "PrivateTransferVault";
+  if (!DEPLOYABLE_CONTRACTS.includes(contractName)) {
+    throw new Error(`Unknown DEPLOY_CONTRACT '${contractName}'. Expected one of: ${DEPLOYABLE_CONTRACTS.join(", ")}`);
+  }
+  const networkName = hre.network.name;
+  const { chainId } = await hre.ethers.provider.getNetwork();
+  console.log(`Deploying ${contractName} to ${networkName} (chain ${chainId})...`);
 
   /**
    * Get the contract factory for deployment
@@ -37,11 +129,11 @@ async function main() {
    * TECHNICAL NOTES:
    * - The contract factory is created from the compiled contract artifacts
    * - Hardhat automatically loads the ABI and bytecode from compilation output
-   * - No constructor arguments are needed for this contract
+   * - Constructor arguments come from constructorArguments() above
    */
-  const PrivateTransferVault = await hre.ethers.getContractFactory(
-    "PrivateTransferVault"
-  );
+  const PrivateTransferVault = await hre.ethers.getContractFactory(contractName);
+  const [deployer] = await hre.ethers.getSigners();
+  const args = constructorArguments(contractName, deployer.address, loadDeployments(chainId));
 
   /**
    * Deploy the contract to Sepolia testnet
@@ -49,30 +141,84 @@ async function main() {
    * DEPLOYMENT DETAILS:
    * - The deployment transaction is signed by the wallet configured in hardhat.config.js
    * - Gas price is automatically determined (with optional multiplier from config)
-   * - No constructor arguments are needed for this contract
    */
   console.log("Deploying contract...");
-  const vault = await PrivateTransferVault.deploy();
+  const vault = await PrivateTransferVault.deploy(...args);
 
   /**
    * Wait for the deployment transaction to be mined and confirmed
    * This ensures the contract is actually deployed before proceeding
    */
   await vault.deployed();
+  const receipt = await vault.deployTransaction.wait();
 
   /**
    * Log the deployment details
    * These details are crucial for contract interaction and verification
    */
-  console.log(`PrivateTransferVault deployed to: ${vault.address}`);
-  console.log(`Transaction hash: ${vault.deployTransaction.hash}`);
-  console.log(
-    `View on Etherscan: https://sepolia.etherscan.io/address/${vault.address}`
-  );
-  console.log(
-    `View transaction: https://sepolia.etherscan.io/tx/${vault.deployTransaction.hash}`
-  );
+  console.log(`${contractName} deployed to: ${vault.address}`);
+  console.log(`Transaction hash: ${vault.deployTransaction.hash} (block ${receipt.blockNumber})`);
+  if (explorerName(chainId)) {
+    console.log(`View on ${explorerName(chainId)}: ${explorerUrl(chainId, "address", vault.address)}`);
+    console.log(`View transaction: ${explorerUrl(chainId, "tx", vault.deployTransaction.hash)}`);
+  }
+
+  if (contractName === "PrivateTransferVault") {
+    console.log(args[0] === hre.ethers.constants.AddressZero
+      ? "Open vault: anyone may submit commitments"
+      : `Attested relayer mode: only relayers attested in ${args[0]} may submit`);
+  }
+  if (contractName === "PrivateTransferVault" || contractName === "ShieldedPool") {
+    await setUpVaultRoles(vault, deployer);
+  }
+  if (contractName === "AttestationVerifier") {
+    await grantRegistrarRole(args[0], vault.address, deployer);
+  }
+
+  if (LOCAL_NETWORKS.includes(networkName)) {
+    console.log("Local network: skipping Etherscan verification");
+  } else {
+    await verifyOnEtherscan(vault.address, args);
+  }
+
+  /**
+   * Record the deployment in the registry for future script use
+   * 
+   * TECHNICAL NOTE:
+   * - Writes the entry to deployments/<chainId>.json, replacing the previous
+   *   deployment of the same contract on that chain
+   * - The entry holds the address, deployment transaction and block, constructor
+   *   arguments and the ABI hash (see lib/deployments.js)
+   * - Other scripts resolve their contracts from it by name for the network they run on,
+   *   and start log scans at the recorded block
+   */
+  if (networkName === "hardhat") {
+    console.log("In-process hardhat network: deployment not recorded (use --network localhost to keep it)");
+  } else {
+    const { abi } = await hre.artifacts.readArtifact(contractName);
+    recordDeployment(chainId, contractName, {
+      network: networkName,
+      address: vault.address,
+      transactionHash: vault.deployTransaction.hash,
+      blockNumber: receipt.blockNumber,
+      abi,
+      constructorArgs: args
+    });
+    console.log(`Deployment recorded in ${deploymentsFile(chainId)}`);
+  }
+  console.log("\n🔒 PRIVACY CHECK: The deployed contract:");
+  console.log("1. Stores NO user data on-chain");
+  console.log("2. Only records commitment hashes, not actual transaction details");
+  console.log("3. Has been verified on Etherscan for transparency and auditability");
+}
 
+/**
+ * Verify the deployed contract source code on Etherscan
+ * 
+ * @param {string} address Address of the deployed contract
+ * @param {Array} args Constructor arguments the contract was deployed with
+ */
+async function verifyOnEtherscan(address, args) {
   /**
    * Wait for Etherscan indexing
    * 
@@ -96,35 +242,73 @@ async function main() {
   console.log("Attempting to verify contract on Etherscan...");
   try {
     await hre.run("verify:verify", {
-      address: vault.address,
-      constructorArguments: [], // No constructor arguments for this contract
+      address,
+      constructorArguments: args,
     });
     console.log("Contract verified successfully");
   } catch (error) {
     console.log("Verification error:", error.message);
   }
+}
 
-  /**
-   * Save the contract address to a file for future script use
-   * 
-   * TECHNICAL NOTE:
-   * - This creates a .sepolia-contract-address file in the project root
-   * - Other scripts (test-sepolia.js, bonus-features-sepolia.js) read this file
-   * - This automation prevents the need to manually update addresses in multiple scripts
-   * - The file contains only the plain contract address without any formatting
-   */
-  const fs = require("fs");
-  const path = require("path");
-  fs.writeFileSync(
-    path.join(__dirname, "../.sepolia-contract-address"),
-    vault.address,
-    "utf8"
-  );
-  console.log("Contract address saved to .sepolia-contract-address file");
-  console.log("\n🔒 PRIVACY CHECK: The deployed contract:");
-  console.log("1. Stores NO user data on-chain");
-  console.log("2. Only records commitment hashes, not actual transaction details");
-  console.log("3. Has been verified on Etherscan for transparency and auditability");
+/**
+ * Parse a comma-separated address list from the environment
+ *
+ * @param {string} name Environment variable
+ * @param {string} fallback Address used when the variable is unset
+ * @returns {string[]} Checksummed addresses
+ */
+function addressList(name, fallback) {
+  const value = process.env[name];
+  const entries = value ? value.split(",").map((entry) => entry.trim()).filter(Boolean) : [fallback];
+  return entries.map((entry) => hre.ethers.utils.getAddress(entry));
+}
+
+/**
+ * Grant the initial vault roles and schedule the admin handover
+ *
+ * @param {ethers.Contract} vault Newly deployed vault or pool (deployer is admin)
+ * @param {ethers.Signer} deployer Deployer
+ */
+async function setUpVaultRoles(vault, deployer) {
+  const roles = {
+    PAUSER_ROLE: addressList("VAULT_PAUSERS", deployer.address),
+    RELAYER_MANAGER_ROLE: addressList("VAULT_RELAYER_MANAGERS", deployer.address)
+  };
+  for (const [roleName, accounts] of Object.entries(roles)) {
+    const role = await vault[roleName]();
+    for (const account of accounts) {
+      await (await vault.grantRole(role, account)).wait();
+      console.log(`Granted ${roleName} to ${account}`);
+    }
+  }
+
+  const admin = process.env.VAULT_ADMIN && hre.ethers.utils.getAddress(process.env.VAULT_ADMIN);
+  if (admin && admin !== deployer.address) {
+    await (await vault.beginDefaultAdminTransfer(admin)).wait();
+    const [, acceptSchedule] = await vault.pendingDefaultAdmin();
+    console.log(`Admin transfer to ${admin} scheduled; it can call acceptDefaultAdminTransfer() after ${new Date(acceptSchedule * 1000).toISOString()}`);
+  } else {
+    console.log(`Admin: ${deployer.address}`);
+  }
+}
+
+/**
+ * Let an AttestationVerifier register relayers in its registry
+ *
+ * @param {string} registryAddress AttestedRelayerRegistry address
+ * @param {string} verifierAddress Newly deployed AttestationVerifier
+ * @param {ethers.Signer} deployer Deployer, expected to be the registry admin
+ */
+async function grantRegistrarRole(registryAddress, verifierAddress, deployer) {
+  const registry = await hre.ethers.getContractAt("AttestedRelayerRegistry", registryAddress, deployer);
+  const role = await registry.REGISTRAR_ROLE();
+  if (!(await registry.hasRole(await registry.DEFAULT_ADMIN_ROLE(), deployer.address))) {
+    console.log(`Deployer is not the registry admin: grant REGISTRAR_ROLE (${role}) to ${verifierAddress} manually`);
+    return;
+  }
+  await (await registry.grantRole(role, verifierAddress)).wait();
+  console.log(`Granted REGISTRAR_ROLE in ${registryAddress} to the verifier`);
 }
 
 /**
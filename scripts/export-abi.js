@@ -0,0 +1,49 @@
+// File: scripts/export-abi.js
+/**
+ * PrivateTransferVault - ABI Export
+ * =================================
+ *
+ * PURPOSE:
+ * Writes the vault's ABI from the compiled artifact to lib/abi/, where
+ * lib/vault-abi.js loads it. Library code and services then use the exact
+ * interface of the contract without needing Hardhat or its artifacts.
+ *
+ * USAGE:
+ *   npm run abi:export
+ *
+ * Run it after every change to the vault's external interface and commit the
+ * result; test/vault-abi.test.js fails while the exported ABI is out of date.
+ */
+const hre = require("hardhat");
+const fs = require("fs");
+const path = require("path");
+const { abiHash } = require("../lib/deployments");
+
+/**
+ * Contracts whose ABI the library ships
+ */
+const EXPORTED_CONTRACTS = ["PrivateTransferVault"];
+
+/**
+ * Export the ABIs as human-readable signatures, one file per contract
+ */
+async function main() {
+  await hre.run("compile");
+  const directory = path.join(__dirname, "..", "lib", "abi");
+  fs.mkdirSync(directory, { recursive: true });
+
+  for (const name of EXPORTED_CONTRACTS) {
+    const { abi } = await hre.artifacts.readArtifact(name);
+    const signatures = new hre.ethers.utils.Interface(abi).format(hre.ethers.utils.FormatTypes.full);
+    const file = path.join(directory, `${name}.json`);
+    fs.writeFileSync(file, `${JSON.stringify(signatures, null, 2)}\n`);
+    console.log(`${name}: ${signatures.length} fragments, ABI hash ${abiHash(abi)} -> ${path.relative(process.cwd(), file)}`);
+  }
+}
+
+main()
+  .then(() => process.exit(0))
+  .catch((error) => {
+    console.error("ABI export failed:", error);
+    process.exit(1);
+  });
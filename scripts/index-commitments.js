@@ -0,0 +1,165 @@
+// File: scripts/index-commitments.js
+/**
+ * PrivateTransferVault - Commitment Indexer
+ * =========================================
+ *
+ * PURPOSE:
+ * Brings the local commitment index (lib/indexer.js) up to date with the
+ * vault, then prints a summary; with INDEX_FOLLOW it keeps following new
+ * blocks, promoting commitments from included to final and reporting reorgs
+ * and dropped commitments. Tools that read the index (vault:commitments,
+ * vault:scan --index, USE_INDEX=true npm run scan:sepolia) then need no log
+ * queries of their own.
+ *
+ * USAGE:
+ *   npm run index:sepolia                               # backfill from the deployment block, or resume
+ *   INDEX_FOLLOW=true npm run index:sepolia             # keep following; stop with Ctrl+C
+ *   npm run index:local                                 # the local node
+ *
+ * OPTIONAL ENVIRONMENT:
+ * - CONTRACT_ADDRESS      Vault to index (defaults to the network's entry in deployments/)
+ * - INDEX_FILE            Index file (default .index/<chainId>-<vault>.json)
+ * - INDEX_PAGE_SIZE       Blocks per eth_getLogs request (default 2000; halved
+ *                         automatically when the provider refuses a range)
+ * - INDEX_FOLLOW          Keep syncing after the backfill
+ * - INDEX_POLL_SECONDS    Delay between syncs when following (default 15)
+ * - INDEX_CONFIRMATIONS   Depth at which a commitment is final, and the deepest
+ *                         reorg detected (default 12)
+ * - INDEX_RESUBMIT        "true" to resubmit dropped commitments (with their
+ *                         encrypted notes) from the relayer's wallet,
+ *                         RELAYER_PRIVATE_KEY, through a transaction manager
+ * - INDEX_RESUBMIT_STATE_FILE  Transaction manager state of the resubmissions
+ *                         (default .index/resubmissions/<chainId>-<relayer>.json;
+ *                         not the relayer's own file, which its process owns)
+ *
+ * PRIVACY NOTE:
+ * The index contains only public chain data; encrypted notes are stored as
+ * emitted.
+ */
+const hre = require("hardhat");
+const path = require("path");
+const {
+  CommitmentIndexer,
+  managedResubmitter,
+  INDEX_DIR,
+  DEFAULT_PAGE_SIZE,
+  DEFAULT_CONFIRMATIONS
+} = require("../lib/indexer");
+const { TransactionManager, errorMessage } = require("../lib/tx-manager");
+const { relayerStatus } = require("../lib/relayer-registry");
+const { VAULT_ABI } = require("../lib/vault-abi");
+require("dotenv").config();
+
+/**
+ * Resubmit dropped commitments from the relayer's wallet
+ *
+ * A gated vault only accepts attested relayers, so the resubmitting account is
+ * the relayer's, not Hardhat's first signer. The transaction manager replaces
+ * stuck resubmissions, and each replacement hash is reported to the index so
+ * the record is not taken for evicted while the replacement waits.
+ *
+ * @param {CommitmentIndexer} indexer Opened indexer
+ * @returns {Promise<TransactionManager>} The manager sending the resubmissions
+ */
+async function enableResubmission(indexer) {
+  if (!process.env.RELAYER_PRIVATE_KEY) {
+    throw new Error("INDEX_RESUBMIT needs RELAYER_PRIVATE_KEY: resubmissions are sent from the relayer's wallet");
+  }
+  const wallet = new hre.ethers.Wallet(process.env.RELAYER_PRIVATE_KEY, hre.ethers.provider);
+  const vault = new hre.ethers.Contract(indexer.address, VAULT_ABI, wallet);
+  const { gated, attested } = await relayerStatus(vault, wallet.address);
+  if (!attested) {
+    throw new Error(`The vault only accepts attested relayers and ${wallet.address} is not attested`);
+  }
+
+  const transactions = await TransactionManager.open(wallet, {
+    file: process.env.INDEX_RESUBMIT_STATE_FILE,
+    directory: path.join(INDEX_DIR, "resubmissions"),
+    onUpdate: (job) => {
+      // Replacements of a resubmission the index already follows as pending
+      const record = indexer.store.get(job.key);
+      if (job.status === "pending" && record && record.status === "pending") {
+        indexer.track(job.key, { txHash: job.txHash, submitter: wallet.address, nonce: job.nonce });
+      }
+    },
+    onError: (error, description) => console.error(`${description}:`, errorMessage(error))
+  });
+  indexer.resubmit = managedResubmitter(transactions, vault);
+  console.log(`Dropped commitments will be resubmitted from the relayer ${wallet.address}${gated ? " (attested)" : ""}`);
+  return transactions;
+}
+
+/**
+ * Sync once and report what was added
+ */
+async function syncOnce(indexer) {
+  const result = await indexer.sync({
+    onReorg: ({ blockNumber, rewoundTo, reorged }) => {
+      console.log(`⚠️  Block ${blockNumber} is no longer canonical: re-indexing from block ${rewoundTo + 1}`);
+      reorged.forEach((commitment) => console.log(`   Reorged out: ${commitment}`));
+    },
+    onPage: ({ fromBlock, toBlock, logs, added }) => {
+      if (logs > 0) {
+        console.log(`   Blocks ${fromBlock}-${toBlock}: ${logs} log(s), ${added} new commitment(s)`);
+      }
+    }
+  });
+  for (const commitment of result.dropped) {
+    console.log(`   ❌ Dropped (${indexer.store.get(commitment).dropReason}): ${commitment}`);
+  }
+  for (const { commitment, txHash } of result.resubmitted) {
+    console.log(`   🔁 Resubmitted ${commitment} in tx ${txHash}`);
+  }
+  if (result.fromBlock <= result.toBlock) {
+    console.log(
+      `${new Date().toISOString()} Indexed blocks ${result.fromBlock}-${result.toBlock}: ` +
+      `${result.added} new commitment(s), ${result.revealed} reveal(s), ${indexer.store.size} in total ` +
+      `(${indexer.store.list({ status: "final" }).length} final)`
+    );
+  }
+}
+
+/**
+ * Main indexing flow
+ *
+ * EXECUTION FLOW:
+ * 1. Open the index of the vault (resuming from its checkpoint if it exists)
+ * 2. Check for reorgs, then fetch the vault's logs page by page up to the latest block
+ * 3. Optionally keep polling for new blocks
+ */
+async function main() {
+  const indexer = await CommitmentIndexer.open(hre.ethers.provider, {
+    vaultAddress: process.env.CONTRACT_ADDRESS,
+    file: process.env.INDEX_FILE,
+    pageSize: Number(process.env.INDEX_PAGE_SIZE || DEFAULT_PAGE_SIZE),
+    confirmations: Number(process.env.INDEX_CONFIRMATIONS || DEFAULT_CONFIRMATIONS)
+  });
+  const transactions = process.env.INDEX_RESUBMIT === "true" ? await enableResubmission(indexer) : null;
+  const { checkpoint } = indexer.store;
+  console.log(`Indexing vault ${indexer.address} into ${indexer.store.file}`);
+  console.log(
+    checkpoint
+      ? `   Resuming after block ${checkpoint.blockNumber} (${indexer.store.size} commitment(s) indexed)`
+      : `   Starting at the deployment block ${indexer.store.state.deploymentBlock}`
+  );
+  await syncOnce(indexer);
+
+  if (process.env.INDEX_FOLLOW === "true") {
+    const pollSeconds = Number(process.env.INDEX_POLL_SECONDS || 15);
+    console.log(`Following new blocks every ${pollSeconds} second(s); stop with Ctrl+C`);
+    if (transactions) {
+      transactions.start();
+    }
+    for (;;) {
+      await new Promise((resolve) => setTimeout(resolve, pollSeconds * 1000));
+      await syncOnce(indexer).catch((error) => console.error("Sync failed, retrying next poll:", error.message));
+    }
+  }
+}
+
+main()
+  .then(() => process.exit(0))
+  .catch((error) => {
+    console.error("Indexing failed:", error);
+    process.exit(1);
+  });
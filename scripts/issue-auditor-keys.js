@@ -0,0 +1,79 @@
+// File: scripts/issue-auditor-keys.js
+/**
+ * PrivateTransferVault - Auditor Key Issuance
+ * ===========================================
+ *
+ * PURPOSE:
+ * Gives an auditor read access to the transfers of a bounded period. From the
+ * master view key, derives the fewest epoch keys (lib/epoch-keys.js) that
+ * cover the requested days and writes them to a bundle file for the auditor.
+ * The bundle opens payloads sealed to those days' keys and nothing else.
+ *
+ * USAGE:
+ *   MASTER_VIEW_KEY=0x... AUDIT_EPOCH=2026-Q3 npm run auditor:keys
+ *   MASTER_VIEW_KEY=0x... AUDIT_FROM=2026-07-15 AUDIT_TO=2026-08-31 npm run auditor:keys
+ *
+ * ENVIRONMENT:
+ * - MASTER_VIEW_KEY      Master view key (required); create one with generateMasterViewKey()
+ * - AUDIT_EPOCH          A year, quarter, month or day label (2026, 2026-Q3, 2026-08, 2026-08-14)
+ * - AUDIT_FROM/AUDIT_TO  Inclusive day range (YYYY-MM-DD), instead of AUDIT_EPOCH
+ * - AUDITOR_KEYS_FILE    Bundle file (default auditor-keys-<from>-<to>.json)
+ * - EPOCH_SCHEDULE_FILE  Optional: also write the public day keys of the range,
+ *                        for senders who seal payloads to the auditor
+ *
+ * SECURITY NOTE:
+ * The bundle contains private keys and is written with owner-only
+ * permissions. Deliver it to the auditor over a secure channel.
+ */
+const fs = require("fs");
+const { issueAuditorKeys, epochPublicKeys, parseEpoch } = require("../lib/epoch-keys");
+require("dotenv").config();
+
+/**
+ * Resolve the requested day range from the environment
+ *
+ * @returns {{from: string, to: string}} Inclusive range as YYYY-MM-DD
+ */
+function requestedRange() {
+  if (process.env.AUDIT_EPOCH) {
+    const epoch = parseEpoch(process.env.AUDIT_EPOCH);
+    const lastDay = new Date(epoch.end.getTime() - 24 * 60 * 60 * 1000);
+    return { from: epoch.start.toISOString().slice(0, 10), to: lastDay.toISOString().slice(0, 10) };
+  }
+  if (process.env.AUDIT_FROM && process.env.AUDIT_TO) {
+    return { from: process.env.AUDIT_FROM, to: process.env.AUDIT_TO };
+  }
+  throw new Error("Set AUDIT_EPOCH (e.g. 2026-Q3), or AUDIT_FROM and AUDIT_TO (YYYY-MM-DD)");
+}
+
+/**
+ * Main issuance flow
+ */
+async function main() {
+  const masterKey = process.env.MASTER_VIEW_KEY;
+  if (!masterKey) {
+    throw new Error("Set MASTER_VIEW_KEY to the master view key the auditor keys derive from");
+  }
+
+  const { from, to } = requestedRange();
+  const bundle = issueAuditorKeys(masterKey, from, to);
+  const file = process.env.AUDITOR_KEYS_FILE || `auditor-keys-${bundle.from}-${bundle.to}.json`;
+  fs.writeFileSync(file, JSON.stringify(bundle, null, 2), { mode: 0o600 });
+
+  console.log(`Issued auditor keys for ${bundle.from} to ${bundle.to} (master ${bundle.master})`);
+  console.log(`   Epoch keys: ${bundle.keys.map(({ epoch }) => epoch).join(", ")}`);
+  console.log(`   Written to ${file} (owner-only permissions)`);
+
+  if (process.env.EPOCH_SCHEDULE_FILE) {
+    const schedule = epochPublicKeys(masterKey, from, to);
+    fs.writeFileSync(process.env.EPOCH_SCHEDULE_FILE, JSON.stringify(schedule, null, 2));
+    console.log(`   Public day keys for senders written to ${process.env.EPOCH_SCHEDULE_FILE}`);
+  }
+}
+
+main()
+  .then(() => process.exit(0))
+  .catch((error) => {
+    console.error("Auditor key issuance failed:", error.message);
+    process.exit(1);
+  });
@@ -0,0 +1,71 @@
+// File: scripts/merkle-proof.js
+/**
+ * PrivateTransferVault - Merkle Membership Proof Script
+ * ====================================================
+ *
+ * PURPOSE:
+ * Rebuilds the vault's commitment Merkle tree from its LeafInserted logs and
+ * prints a membership proof for one commitment, checked against the roots the
+ * vault currently accepts.
+ *
+ * USAGE:
+ *   COMMITMENT=0x... npm run proof:sepolia
+ *
+ * OPTIONAL ENVIRONMENT:
+ * - CONTRACT_ADDRESS   Vault to use (defaults to the network's entry in deployments/)
+ * - FROM_BLOCK         First block to scan (default: the vault's recorded
+ *                      deployment block, else 0)
+ *
+ * PRIVACY NOTE:
+ * The proof only contains commitment hashes and tree nodes, all of which are
+ * already public on-chain.
+ */
+const hre = require("hardhat");
+const { MerkleTree } = require("../lib/merkle-tree");
+const { resolveDeployment } = require("../lib/deployments");
+require("dotenv").config();
+
+/**
+ * Main proof flow
+ *
+ * EXECUTION FLOW:
+ * 1. Rebuild the tree from LeafInserted logs (each root is cross-checked)
+ * 2. Locate the commitment and build its proof
+ * 3. Verify the proof locally and check its root is known on-chain
+ */
+async function main() {
+  const commitment = process.env.COMMITMENT;
+  if (!commitment) {
+    throw new Error("Set COMMITMENT to the commitment to prove");
+  }
+  const deployment = await resolveDeployment(hre.ethers.provider, "PrivateTransferVault", {
+    address: process.env.CONTRACT_ADDRESS,
+    abi: (await hre.artifacts.readArtifact("PrivateTransferVault")).abi
+  });
+  const contractAddress = deployment.address;
+  const vault = (await hre.ethers.getContractFactory("PrivateTransferVault")).attach(contractAddress);
+
+  console.log(`Rebuilding commitment tree for vault ${contractAddress}...`);
+  const tree = await MerkleTree.fromVault(hre.ethers.provider, contractAddress, {
+    fromBlock: Number(process.env.FROM_BLOCK || deployment.blockNumber || 0)
+  });
+  console.log(`Leaves: ${tree.size}, root: ${tree.root()}`);
+
+  const leafIndex = tree.indexOf(commitment);
+  if (leafIndex === -1) {
+    throw new Error("Commitment not found in the vault's tree");
+  }
+  const proof = tree.proof(leafIndex);
+
+  console.log(`\nMembership proof for leaf #${leafIndex}:`);
+  console.log(JSON.stringify(proof, null, 2));
+  console.log(`\nProof verifies locally: ${MerkleTree.verifyProof(proof)}`);
+  console.log(`Root known on-chain: ${await vault.isKnownRoot(proof.root)}`);
+}
+
+main()
+  .then(() => process.exit(0))
+  .catch((error) => {
+    console.error("Proof generation failed:", error);
+    process.exit(1);
+  });
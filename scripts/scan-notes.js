@@ -0,0 +1,97 @@
+// File: scripts/scan-notes.js
+/**
+ * PrivateTransferVault - Incoming Note Scanner
+ * ============================================
+ *
+ * PURPOSE:
+ * Lists the transfers addressed to you by trial-decrypting every encrypted
+ * note the vault has emitted with your private view key.
+ *
+ * USAGE:
+ *   npm run scan:sepolia
+ *
+ * OPTIONAL ENVIRONMENT:
+ * - VIEW_PRIVATE_KEY   Private view key to scan with (default: derived from
+ *                      the connected account, see lib/view-keys.js)
+ * - CONTRACT_ADDRESS   Vault to scan (defaults to the network's entry in deployments/)
+ * - FROM_BLOCK         First block to scan (default: the vault's recorded
+ *                      deployment block, else 0)
+ * - USE_INDEX          "true" to read the notes from the local commitment index
+ *                      (synced first, see scripts/index-commitments.js) instead
+ *                      of querying the node's logs
+ * - AUDIT_LOG          Audit log every trial decryption is recorded in
+ *                      (see lib/audit-log.js; default .audit/decryptions.log)
+ *
+ * PRIVACY NOTE:
+ * Decryption happens locally. The decrypted openings are printed to the
+ * console, so do not run this where the output is logged or shared.
+ */
+const hre = require("hardhat");
+const { scanNotes } = require("../lib/note-scanner");
+const { deriveViewKeyPair } = require("../lib/view-keys");
+const { getTokenInfo, formatAmount } = require("../lib/tokens");
+const { resolveDeployment } = require("../lib/deployments");
+const { CommitmentIndexer, scanIndexedNotes } = require("../lib/indexer");
+const { getDefaultAuditLog } = require("../lib/audit-log");
+require("dotenv").config();
+
+/**
+ * Main scan flow
+ *
+ * EXECUTION FLOW:
+ * 1. Pick the view key (explicit or derived from the connected account)
+ * 2. Trial-decrypt every EncryptedNote log of the vault (or of the index)
+ * 3. Print the transfers that opened, with their integrity checks
+ */
+async function main() {
+  const deployment = await resolveDeployment(hre.ethers.provider, "PrivateTransferVault", {
+    address: process.env.CONTRACT_ADDRESS,
+    abi: (await hre.artifacts.readArtifact("PrivateTransferVault")).abi
+  });
+  const contractAddress = deployment.address;
+  const [signer] = await hre.ethers.getSigners();
+  let privateViewKey = process.env.VIEW_PRIVATE_KEY;
+  if (!privateViewKey) {
+    privateViewKey = (await deriveViewKeyPair(signer)).privateKey;
+    console.log(`Using the view key derived from ${signer.address}`);
+  }
+  const audit = { auditLog: getDefaultAuditLog(), requester: signer.address };
+  console.log(`Recording decryption attempts in ${audit.auditLog.file}`);
+
+  const fromBlock = Number(process.env.FROM_BLOCK || deployment.blockNumber || 0);
+  let notes;
+  if (process.env.USE_INDEX === "true") {
+    const indexer = await CommitmentIndexer.open(hre.ethers.provider, { vaultAddress: contractAddress });
+    await indexer.sync();
+    console.log(`Scanning encrypted notes of vault ${contractAddress} in ${indexer.store.file}...`);
+    notes = scanIndexedNotes(indexer.store, privateViewKey, { fromBlock, ...audit });
+  } else {
+    console.log(`Scanning encrypted notes of vault ${contractAddress}...`);
+    notes = await scanNotes(hre.ethers.provider, contractAddress, privateViewKey, { fromBlock, ...audit });
+  }
+  console.log(`Found ${notes.length} note(s) for this view key\n`);
+
+  for (const note of notes) {
+    console.log(`Commitment ${note.commitment} (block ${note.blockNumber}, tx ${note.txHash})`);
+    const opening = note.payload && note.payload.opening;
+    if (!opening) {
+      console.log("   Payload without an opening:", JSON.stringify(note.payload));
+      continue;
+    }
+    const tokenInfo = await getTokenInfo(hre.ethers.provider, opening.token);
+    console.log(`   From: ${opening.sender}`);
+    console.log(`   To: ${opening.recipient}`);
+    console.log(`   Amount: ${formatAmount(opening.amount, tokenInfo)}`);
+    console.log(`   Opening matches commitment: ${note.openingMatches ? "✅" : "❌"}`);
+    if (note.senderConsent !== undefined) {
+      console.log(`   Sender signature: ${note.senderConsent ? "✅ valid" : "❌ invalid"}`);
+    }
+  }
+}
+
+main()
+  .then(() => process.exit(0))
+  .catch((error) => {
+    console.error("Note scan failed:", error);
+    process.exit(1);
+  });
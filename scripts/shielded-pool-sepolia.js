@@ -0,0 +1,105 @@
+// File: scripts/shielded-pool-sepolia.js
+/**
+ * ShieldedPool - Deposit and Withdrawal Demo on Sepolia
+ * =====================================================
+ *
+ * PURPOSE:
+ * Moves real value (ETH or an ERC-20 token) through the ShieldedPool: a deposit
+ * goes in under a note commitment, and the note is then spent to an arbitrary
+ * recipient. Token deposits approve the pool before it pulls the tokens.
+ *
+ * USAGE:
+ *   DEPLOY_CONTRACT=ShieldedPool npm run deploy:sepolia   # once
+ *   npm run pool:sepolia
+ *
+ * OPTIONAL ENVIRONMENT:
+ * - POOL_ADDRESS       Pool to use (defaults to the network's entry in deployments/)
+ * - POOL_TOKEN         ERC-20 token to deposit (default: native ETH)
+ * - POOL_AMOUNT        Amount to deposit in whole-token units (default 0.001)
+ * - WITHDRAW_TO        Withdrawal recipient (default: a fresh random address)
+ * - NOTES_DIR          Where notes are stored (default: .notes)
+ *
+ * PRIVACY NOTE:
+ * The note file written to NOTES_DIR contains the spend key. Anyone who
+ * obtains it can withdraw the deposit.
+ */
+const hre = require("hardhat");
+const path = require("path");
+const { createNote, depositNote, spendNote, FileNoteStore } = require("../lib/notes");
+const { ERC20_ABI, isNativeToken, getTokenInfo, parseAmount, formatAmount } = require("../lib/tokens");
+const { resolveDeployment } = require("../lib/deployments");
+require("dotenv").config();
+
+/**
+ * Main demo flow
+ *
+ * EXECUTION FLOW:
+ * 1. Create a note and store it locally
+ * 2. Deposit ETH or tokens under the note commitment
+ * 3. Spend the note to the withdrawal recipient
+ * 4. Show that the nullifier now blocks a second spend
+ */
+async function main() {
+  const { address: poolAddress } = await resolveDeployment(hre.ethers.provider, "ShieldedPool", {
+    address: process.env.POOL_ADDRESS,
+    abi: (await hre.artifacts.readArtifact("ShieldedPool")).abi
+  });
+  const [signer] = await hre.ethers.getSigners();
+  const pool = (await hre.ethers.getContractFactory("ShieldedPool")).attach(poolAddress);
+  const store = new FileNoteStore(process.env.NOTES_DIR || path.join(__dirname, "../.notes"));
+  console.log(`Using pool at: ${poolAddress}`);
+  console.log(`Connected with address: ${signer.address}\n`);
+
+  // ========== STEP 1: CREATE NOTE ==========
+  const { chainId } = await hre.ethers.provider.getNetwork();
+  const tokenInfo = await getTokenInfo(hre.ethers.provider, process.env.POOL_TOKEN);
+  const amount = parseAmount(process.env.POOL_AMOUNT || "0.001", tokenInfo);
+  const { commitment, note } = createNote({ chainId, pool: poolAddress, token: tokenInfo.address, amount });
+  store.save(note);
+  console.log("1️⃣ NOTE CREATED");
+  console.log(`   Commitment: ${commitment}`);
+  console.log(`   Amount: ${formatAmount(amount, tokenInfo)}`);
+  console.log(`   Stored in: ${store.directory}`);
+
+  // ========== STEP 2: DEPOSIT ==========
+  console.log("\n2️⃣ DEPOSITING INTO THE POOL");
+  const depositTx = await depositNote(pool, note);
+  await depositTx.wait();
+  store.save(note, { depositTx: depositTx.hash });
+  console.log(`   Deposit transaction: ${depositTx.hash}`);
+
+  // ========== STEP 3: WITHDRAW ==========
+  /**
+   * Spend the note to any address
+   * The transaction is sent by the connected signer, but only the note's
+   * spend key signature decides where the funds go
+   */
+  const recipient = process.env.WITHDRAW_TO || hre.ethers.Wallet.createRandom().address;
+  console.log("\n3️⃣ WITHDRAWING TO RECIPIENT");
+  console.log(`   Recipient: ${recipient}`);
+  const withdrawTx = await spendNote(pool, note, recipient);
+  await withdrawTx.wait();
+  store.markSpent(commitment, withdrawTx.hash);
+  console.log(`   Withdrawal transaction: ${withdrawTx.hash}`);
+  const balance = isNativeToken(tokenInfo.address)
+    ? await hre.ethers.provider.getBalance(recipient)
+    : await new hre.ethers.Contract(tokenInfo.address, ERC20_ABI, hre.ethers.provider).balanceOf(recipient);
+  console.log(`   Recipient balance: ${formatAmount(balance, tokenInfo)}`);
+
+  // ========== STEP 4: DOUBLE-SPEND CHECK ==========
+  console.log("\n4️⃣ ATTEMPTING TO SPEND THE SAME NOTE AGAIN");
+  console.log(`   Nullifier spent: ${await pool.spentNullifiers(note.nullifier)}`);
+  try {
+    await spendNote(pool, note, recipient);
+    console.log("   Unexpected success - should have failed");
+  } catch (error) {
+    console.log("   ❌ Second withdrawal rejected (as expected)");
+  }
+}
+
+main()
+  .then(() => process.exit(0))
+  .catch((error) => {
+    console.error("Pool demo failed:", error);
+    process.exit(1);
+  });
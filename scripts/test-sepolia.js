@@ -14,38 +14,20 @@
  * 3. Only the commitment is submitted to the blockchain
  * 4. Etherscan shows only "PrivateTransfer" events with the commitment hash
  * 5. Original transaction details remain private and off-chain
+ *
+ * FINALITY:
+ * The first receipt only means the commitment is included in a block that may
+ * still be reorged out. The script then tracks it in the commitment index
+ * (lib/indexer.js) until it is FINALITY_CONFIRMATIONS blocks deep (default 12,
+ * 1 on local chains), and reports it if a reorg drops it on the way.
  */
 const hre = require("hardhat");
-const fs = require("fs");
-const path = require("path");
+const { buildCommitment } = require("../lib/commitment");
+const { getTokenInfo, parseAmount, formatAmount } = require("../lib/tokens");
+const { resolveDeployment, explorerUrl, LOCAL_CHAIN_IDS } = require("../lib/deployments");
+const { CommitmentIndexer, DEFAULT_CONFIRMATIONS } = require("../lib/indexer");
 require("dotenv").config();
 
-/**
- * Helper function to get the deployed contract address from file
- * 
- * TECHNICAL DETAILS:
- * - Reads the contract address from a file created during deployment
- * - This avoids hardcoding the contract address in the script
- * - Ensures the script works with the latest deployment
- * - Provides clear error handling with deployment instructions
- * 
- * @returns {string} The contract address from the file
- * @throws {Error} If the contract address file doesn't exist
- */
-function getDeployedContractAddress() {
-  try {
-    // Try to read from the file created during deployment
-    // The file contains only the contract address as plain text
-    return fs.readFileSync(
-      path.join(__dirname, "../.sepolia-contract-address"),
-      "utf8"
-    ).trim();
-  } catch (error) {
-    // Provide clear instructions if the file is missing
-    throw new Error("Contract address file not found. Please deploy the contract first using 'npx hardhat run scripts/deploy-sepolia.js --network sepolia'");
-  }
-}
-
 /**
  * Main function that executes the privacy-preserving transaction process
  * 
@@ -55,17 +37,22 @@ function getDeployedContractAddress() {
  * 3. Generate a commitment hash from the transaction details
  * 4. Submit only the commitment to the blockchain
  * 5. Verify the transaction was successful and private
+ * 6. Wait until the commitment is final
  */
 async function main() {
   // ========== STEP 1: CONTRACT CONNECTION ==========
   
   /**
-   * Get the contract address from environment variables or deployment file
+   * Get the contract address from environment variables or the deployments registry
    * - First checks if CONTRACT_ADDRESS is defined in the .env file
-   * - Falls back to reading from the .sepolia-contract-address file
+   * - Falls back to the deployment recorded for the connected chain (deployments/<chainId>.json)
    * - This flexibility supports both custom and standard deployments
    */
-  const contractAddress = process.env.CONTRACT_ADDRESS || getDeployedContractAddress();
+  const { abi } = await hre.artifacts.readArtifact("PrivateTransferVault");
+  const { address: contractAddress, chainId } = await resolveDeployment(hre.ethers.provider, "PrivateTransferVault", {
+    address: process.env.CONTRACT_ADDRESS,
+    abi
+  });
   console.log("Using contract at address:", contractAddress);
   
   /**
@@ -95,50 +82,58 @@ async function main() {
    * 
    * - sender: The address sending the funds (kept private)
    * - recipient: The address receiving the funds (kept private)
-   * - amount: The transfer amount in wei (kept private)
+   * - token: ETH by default, or the ERC-20 token in TRANSFER_TOKEN (kept private)
+   * - amount: The transfer amount in the token's base units (kept private)
    * - timestamp: Unix timestamp to ensure commitment uniqueness
+   * 
+   * The amount is parsed with the token's own decimals (e.g. 6 for most
+   * stablecoins), so TRANSFER_AMOUNT is always given in whole-token units
    */
   const sender = "0x24776C87d7DF39D3Bb2f4ACcAbE8640B650910DB"; // Example sender
   const recipient = "0xe827D360eFC5277673e0efF7A8cFC69504a89Bc2"; // Example recipient
-  const amount = hre.ethers.utils.parseEther("0.015"); // Convert 0.015 ETH to wei
+  const tokenInfo = await getTokenInfo(hre.ethers.provider, process.env.TRANSFER_TOKEN);
+  const amount = parseAmount(process.env.TRANSFER_AMOUNT || "0.015", tokenInfo); // e.g. 0.015 ETH in wei
   const timestamp = Math.floor(Date.now() / 1000); // Current Unix timestamp
   
   // Log the private details (in a production system, these would be securely handled)
   console.log("\nCreating private transfer:");
   console.log(`From: ${sender}`);
   console.log(`To: ${recipient}`);
-  console.log(`Amount: ${hre.ethers.utils.formatEther(amount)} ETH`);
+  console.log(`Amount: ${formatAmount(amount, tokenInfo)}`);
   console.log(`Timestamp: ${timestamp}`);
   
   // ========== STEP 3: GENERATE COMMITMENT HASH ==========
   
   /**
-   * Generate a cryptographic commitment from the transaction details
+   * Generate a blinded cryptographic commitment from the transaction details
    * This is the CORE PRIVACY MECHANISM of the entire system
    * 
    * TECHNICAL IMPLEMENTATION:
-   * 1. Use ABI encoder to pack the transaction data in a standardized format
-   * 2. Apply keccak256 hash function to create a deterministic, non-reversible commitment
+   * - The shared commitment module (lib/commitment.js) adds a random 32-byte salt
+   *   and binds the commitment to this chain and vault (domain separation)
+   * - It returns the commitment together with the "opening" needed to recompute it
    * 
    * PRIVACY GUARANTEES:
    * - One-way function: Cannot derive original values from the hash
-   * - Collision resistant: Unique transaction details produce unique commitments
-   * - Deterministic: Same inputs always produce the same commitment (important for verification)
+   * - Salted: The commitment cannot be brute-forced from guessable details
+   * - Verifiable: Holders of the opening can prove what the commitment contains
    */
-  const abiCoder = hre.ethers.utils.defaultAbiCoder;
-  
-  // Encode the transaction details in a standardized format
-  // The order and types are crucial and must match how verification will happen
-  const encoded = abiCoder.encode(
-    ["address", "address", "uint256", "uint256"], // Types: sender address, recipient address, amount (uint256), timestamp (uint256)
-    [sender, recipient, amount, timestamp]        // Values: the actual private transaction data
-  );
-  
-  // Create the commitment by hashing the encoded data with keccak256
-  // This commitment will be the ONLY data stored on the blockchain
-  const commitment = hre.ethers.utils.keccak256(encoded);
+  const { commitment, opening } = buildCommitment({
+    chainId,
+    vault: contractAddress,
+    sender,
+    recipient,
+    token: tokenInfo.address,
+    amount,
+    timestamp
+  });
   
   console.log(`\nGenerated commitment: ${commitment}`);
+  
+  // The opening (including the secret salt) is the only way to later prove
+  // what this commitment contains - keep it private and store it safely
+  console.log("Commitment opening (store privately):");
+  console.log(JSON.stringify(opening, null, 2));
   console.log("Submitting commitment to contract...");
   
   // ========== STEP 4: SUBMIT COMMITMENT TO BLOCKCHAIN ==========
@@ -154,7 +149,15 @@ async function main() {
    */
   const tx = await vault.submitTransfer(commitment);
   console.log(`Transaction hash: ${tx.hash}`);
-  console.log(`View on Etherscan: https://sepolia.etherscan.io/tx/${tx.hash}`);
+  const confirmations = Number(
+    process.env.FINALITY_CONFIRMATIONS || (LOCAL_CHAIN_IDS.includes(chainId) ? 1 : DEFAULT_CONFIRMATIONS)
+  );
+  const indexer = await CommitmentIndexer.open(hre.ethers.provider, { vaultAddress: contractAddress, confirmations });
+  indexer.track(commitment, { txHash: tx.hash, submitter: tx.from });
+  const txUrl = explorerUrl(chainId, "tx", tx.hash);
+  if (txUrl) {
+    console.log(`View on block explorer: ${txUrl}`);
+  }
   
   /**
    * Wait for the transaction to be mined on Sepolia
@@ -199,6 +202,41 @@ async function main() {
     console.log("❌ Error: Commitment mismatch");
   }
   
+  /**
+   * Confirm the commitment is now tracked by the vault's on-chain registry
+   * - isCommitted lets any contract or indexer check for the commitment
+   * - getCommitment returns its submission index and block number
+   * - Submitting the same commitment again would revert (replay protection)
+   */
+  const committed = await vault.isCommitted(commitment);
+  const [submissionIndex, submissionBlock] = await vault.getCommitment(commitment);
+  console.log(`Registered on-chain: ${committed} (index ${submissionIndex}, block ${submissionBlock})`);
+
+  // ========== STEP 6: WAIT FOR FINALITY ==========
+
+  /**
+   * Follow the commitment until it is deep enough not to be reorged out
+   * - pending: sent, not in a block yet
+   * - included: in a block with fewer than `confirmations` blocks on top
+   * - final: at least `confirmations` blocks deep
+   * A reorg that removes the transaction marks the commitment dropped
+   */
+  console.log(`\nWaiting for ${confirmations} confirmation(s)...`);
+  let lastReported = null;
+  const tracked = await indexer.waitFor(commitment, {
+    onSync: (record) => {
+      const progress = `${record.status} (${indexer.store.confirmations(record)}/${confirmations} confirmations)`;
+      if (progress !== lastReported) {
+        console.log(`   ${progress}`);
+        lastReported = progress;
+      }
+    }
+  });
+  if (tracked.status === "dropped") {
+    throw new Error(`Commitment was dropped (${tracked.dropReason}); submit it again`);
+  }
+  console.log(`✅ Final in block ${tracked.blockNumber}`);
+  
   /**
    * Test completion summary
    * 
@@ -211,8 +249,10 @@ async function main() {
    *    authorized parties could verify the actual transaction details
    */
   console.log("\n🎉 Test completed successfully");
-  console.log(`You can view this transaction on Etherscan: https://sepolia.etherscan.io/tx/${tx.hash}`);
-  console.log(`To see all transactions for this contract: https://sepolia.etherscan.io/address/${contractAddress}`);
+  if (txUrl) {
+    console.log(`You can view this transaction on the block explorer: ${txUrl}`);
+    console.log(`To see all transactions for this contract: ${explorerUrl(chainId, "address", contractAddress)}`);
+  }
   console.log("\n🔒 PRIVACY VERIFICATION: Go to the Etherscan link above and confirm:");
   console.log("1. Only a 'PrivateTransfer' event is visible");
   console.log("2. Only a commitment hash is stored, not any addresses or amounts");
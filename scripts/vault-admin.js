@@ -0,0 +1,147 @@
+// File: scripts/vault-admin.js
+/**
+ * PrivateTransferVault - Administration
+ * =====================================
+ *
+ * PURPOSE:
+ * Runs the vault's admin actions from the command line: stopping and resuming
+ * submissions, granting and revoking roles, switching the relayer registry and
+ * handing over the admin role. Works for ShieldedPool too (VAULT_ADDRESS).
+ *
+ * USAGE:
+ *   npm run admin:sepolia                                         # status
+ *   ADMIN_ACTION=pause npm run admin:sepolia                      # PAUSER_ROLE
+ *   ADMIN_ACTION=unpause npm run admin:sepolia                    # PAUSER_ROLE
+ *   ADMIN_ACTION=grant ROLE=PAUSER ACCOUNT=0x... npm run admin:sepolia
+ *   ADMIN_ACTION=revoke ROLE=RELAYER_MANAGER ACCOUNT=0x... npm run admin:sepolia
+ *   ADMIN_ACTION=set-registry RELAYER_REGISTRY=0x... npm run admin:sepolia   # 0x0 opens the vault
+ *   ADMIN_ACTION=transfer-admin ACCOUNT=0x... npm run admin:sepolia          # step 1, current admin
+ *   ADMIN_ACTION=accept-admin npm run admin:sepolia                          # step 2, new admin
+ *   ADMIN_ACTION=cancel-admin-transfer npm run admin:sepolia
+ *
+ * ENVIRONMENT:
+ * - VAULT_ADDRESS  Vault or pool to administer (defaults to CONTRACT_ADDRESS,
+ *                  then the network's PrivateTransferVault in deployments/)
+ * - ROLE           PAUSER or RELAYER_MANAGER, for grant and revoke
+ * - ACCOUNT        Account to grant, revoke or hand the admin role to
+ *
+ * Every action emits an event on the vault, so the admin history can be
+ * reconstructed from the chain.
+ */
+const hre = require("hardhat");
+const { ethers } = require("ethers");
+const { VAULT_ABI } = require("../lib/vault-abi");
+const { resolveDeployment } = require("../lib/deployments");
+require("dotenv").config();
+
+/**
+ * Roles that can be granted with ADMIN_ACTION=grant
+ * DEFAULT_ADMIN_ROLE is excluded: it changes hands through transfer-admin only
+ */
+const GRANTABLE_ROLES = ["PAUSER", "RELAYER_MANAGER"];
+
+/**
+ * Read a required environment variable
+ */
+function required(name) {
+  if (!process.env[name]) {
+    throw new Error(`Set ${name} for ADMIN_ACTION=${process.env.ADMIN_ACTION}`);
+  }
+  return process.env[name];
+}
+
+/**
+ * Resolve the role id named by ROLE
+ *
+ * @param {ethers.Contract} vault Vault contract
+ * @returns {Promise<{name: string, id: string}>}
+ */
+async function requestedRole(vault) {
+  const name = required("ROLE").toUpperCase().replace(/_ROLE$/, "");
+  if (!GRANTABLE_ROLES.includes(name)) {
+    throw new Error(`ROLE must be one of: ${GRANTABLE_ROLES.join(", ")}`);
+  }
+  return { name: `${name}_ROLE`, id: await vault[`${name}_ROLE`]() };
+}
+
+/**
+ * Print who holds what and whether submissions are open
+ */
+async function printStatus(vault) {
+  const [admin, paused, registry, delay, pending] = await Promise.all([
+    vault.defaultAdmin(),
+    vault.paused(),
+    vault.relayerRegistry(),
+    vault.defaultAdminDelay(),
+    vault.pendingDefaultAdmin()
+  ]);
+  console.log(`Vault ${vault.address}`);
+  console.log(`   Admin: ${admin} (transfer delay ${delay}s)`);
+  if (pending.newAdmin !== ethers.constants.AddressZero) {
+    console.log(`   Pending admin: ${pending.newAdmin}, acceptable from ${new Date(pending.schedule * 1000).toISOString()}`);
+  }
+  console.log(`   Submissions: ${paused ? "PAUSED" : "open"}`);
+  console.log(`   Relayers: ${registry === ethers.constants.AddressZero ? "anyone" : `attested in ${registry}`}`);
+}
+
+/**
+ * Main administration flow
+ */
+async function main() {
+  const [signer] = await hre.ethers.getSigners();
+  const { address } = await resolveDeployment(hre.ethers.provider, "PrivateTransferVault", {
+    address: process.env.VAULT_ADDRESS || process.env.CONTRACT_ADDRESS,
+    abi: VAULT_ABI
+  });
+  const vault = new ethers.Contract(address, VAULT_ABI, signer);
+  const action = process.env.ADMIN_ACTION || "status";
+
+  let tx;
+  switch (action) {
+    case "status":
+      break;
+    case "pause":
+      tx = await vault.pause();
+      break;
+    case "unpause":
+      tx = await vault.unpause();
+      break;
+    case "grant":
+    case "revoke": {
+      const role = await requestedRole(vault);
+      const account = ethers.utils.getAddress(required("ACCOUNT"));
+      tx = action === "grant" ? await vault.grantRole(role.id, account) : await vault.revokeRole(role.id, account);
+      console.log(`${action === "grant" ? "Granting" : "Revoking"} ${role.name} ${action === "grant" ? "to" : "from"} ${account}`);
+      break;
+    }
+    case "set-registry":
+      tx = await vault.setRelayerRegistry(ethers.utils.getAddress(required("RELAYER_REGISTRY")));
+      break;
+    case "transfer-admin":
+      tx = await vault.beginDefaultAdminTransfer(ethers.utils.getAddress(required("ACCOUNT")));
+      break;
+    case "accept-admin":
+      tx = await vault.acceptDefaultAdminTransfer();
+      break;
+    case "cancel-admin-transfer":
+      tx = await vault.cancelDefaultAdminTransfer();
+      break;
+    default:
+      throw new Error(`Unknown ADMIN_ACTION '${action}'`);
+  }
+
+  if (tx) {
+    console.log(`${action} as ${signer.address} in tx ${tx.hash}`);
+    await tx.wait();
+    console.log("   ✅ Confirmed\n");
+  }
+  await printStatus(vault);
+}
+
+main()
+  .then(() => process.exit(0))
+  .catch((error) => {
+    const reason = error.errorName ? `${error.errorName}(${(error.errorArgs || []).join(", ")})` : error.message;
+    console.error("Vault administration failed:", reason);
+    process.exit(1);
+  });
@@ -0,0 +1,104 @@
+// File: scripts/verify-audit-log.js
+/**
+ * PrivateTransferVault - Audit Log Verification
+ * =============================================
+ *
+ * PURPOSE:
+ * Checks that the decryption audit log (lib/audit-log.js) has not been edited,
+ * reordered or cut short: every entry must hash correctly and chain onto the
+ * previous one, and every head anchored on-chain must still be in the log.
+ *
+ * USAGE:
+ *   AUDIT_LOG=.audit/decryptions.log npm run audit:verify
+ *
+ * OPTIONAL ENVIRONMENT:
+ * - AUDIT_LOG        Log file (default .audit/decryptions.log)
+ * - AUDIT_ANCHOR     AuditAnchor contract (defaults to the network's entry in deployments/;
+ *                    without either, only the hash chain is checked)
+ * - AUDIT_ANCHORER   Address that anchors the log (default: the connected account)
+ * - AUDIT_LOG_NAME   Log name the anchors were made under (default: lib/audit-log.js DEFAULT_LOG_NAME)
+ * - FROM_BLOCK       First block to search for anchors (default: the anchor's
+ *                    recorded deployment block, else 0)
+ *
+ * EXIT CODE:
+ * 0 when the log verifies, 1 when any problem is found.
+ */
+const hre = require("hardhat");
+const fs = require("fs");
+const path = require("path");
+const { verifyAuditLog, connectAuditAnchor, fetchAnchors, auditLogId } = require("../lib/audit-log");
+const { resolveDeployment } = require("../lib/deployments");
+require("dotenv").config();
+
+/**
+ * Helper function to find the AuditAnchor contract, if one is deployed
+ *
+ * @returns {Promise<Object|null>} The deployment (see lib/deployments.js), or null
+ */
+async function getAuditAnchor() {
+  try {
+    return await resolveDeployment(hre.ethers.provider, "AuditAnchor", { address: process.env.AUDIT_ANCHOR });
+  } catch (error) {
+    if (error.code === "NOT_DEPLOYED") {
+      return null;
+    }
+    throw error;
+  }
+}
+
+/**
+ * Main verification flow
+ *
+ * EXECUTION FLOW:
+ * 1. Collect the on-chain anchors of the log, if an anchor contract is configured
+ * 2. Recompute the hash chain and compare it with the anchors
+ * 3. Print every problem found
+ */
+async function main() {
+  const logFile = process.env.AUDIT_LOG || path.join(__dirname, "../.audit/decryptions.log");
+  if (!fs.existsSync(logFile)) {
+    throw new Error(`Audit log ${logFile} not found`);
+  }
+
+  let anchors = [];
+  const deployment = await getAuditAnchor();
+  if (deployment) {
+    const anchorAddress = deployment.address;
+    const anchorer = process.env.AUDIT_ANCHORER || (await hre.ethers.getSigners())[0].address;
+    const anchorContract = connectAuditAnchor(anchorAddress, hre.ethers.provider);
+    anchors = await fetchAnchors(anchorContract, anchorer, {
+      logId: auditLogId(process.env.AUDIT_LOG_NAME),
+      fromBlock: Number(process.env.FROM_BLOCK || deployment.blockNumber || 0)
+    });
+    console.log(`Found ${anchors.length} on-chain anchor(s) by ${anchorer} in ${anchorAddress}`);
+  } else {
+    console.log("No AuditAnchor configured: checking the hash chain only (truncation cannot be detected)");
+  }
+
+  const result = verifyAuditLog(logFile, { anchors });
+  console.log(`Checked ${result.entries} entries of ${logFile}`);
+  if (result.head) {
+    console.log(`Head: entry #${result.head.seq}, hash ${result.head.hash}`);
+  }
+  if (anchors.length > 0) {
+    const latest = anchors[anchors.length - 1];
+    console.log(`Latest anchor: entry #${latest.seq} in block ${latest.blockNumber} (tx ${latest.txHash})`);
+  }
+
+  if (result.valid) {
+    console.log("✅ Audit log is intact");
+    return;
+  }
+  console.log(`❌ ${result.problems.length} problem(s) found:`);
+  for (const problem of result.problems) {
+    console.log(`   Entry #${problem.seq}: ${problem.reason}`);
+  }
+  process.exitCode = 1;
+}
+
+main()
+  .then(() => process.exit(process.exitCode || 0))
+  .catch((error) => {
+    console.error("Audit log verification failed:", error);
+    process.exit(1);
+  });
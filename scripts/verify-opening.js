@@ -0,0 +1,102 @@
+// File: scripts/verify-opening.js
+/**
+ * PrivateTransferVault - Commitment Opening Verification Script
+ * ============================================================
+ *
+ * PURPOSE:
+ * Proves that a commitment opening (the private transfer details plus salt)
+ * matches a commitment emitted by the vault in a given transaction, and
+ * optionally discloses it publicly through the vault's reveal() entry point.
+ *
+ * USAGE:
+ *   OPENING_FILE=opening.json TX_HASH=0x... npm run verify:opening
+ *   OPENING_FILE=opening.json TX_HASH=0x... REVEAL=true npm run verify:opening
+ *
+ * The opening file holds the JSON printed by test-sepolia.js (or a
+ * `{ "opening": { ... }, "signature": "0x..." }` wrapper around it). When the
+ * wrapper carries the sender's EIP-712 intent signature, sender consent is
+ * checked as well.
+ *
+ * PRIVACY NOTE:
+ * Verification happens entirely off-chain and discloses nothing. Setting
+ * REVEAL=true publishes the sender, recipient and amount on-chain for good.
+ */
+const hre = require("hardhat");
+const fs = require("fs");
+const { verifyOpening, revealArgs } = require("../lib/opening-verifier");
+const { verifyTransferIntent } = require("../lib/intent");
+require("dotenv").config();
+
+/**
+ * Load the opening object from the file named in OPENING_FILE
+ *
+ * @returns {{opening: Object, signature: (string|undefined)}} The commitment
+ *   opening and the sender's intent signature, if the file has one
+ * @throws {Error} If OPENING_FILE is not set or unreadable
+ */
+function loadOpening() {
+  if (!process.env.OPENING_FILE) {
+    throw new Error("Set OPENING_FILE to the path of the commitment opening JSON");
+  }
+  const parsed = JSON.parse(fs.readFileSync(process.env.OPENING_FILE, "utf8"));
+  return parsed.opening
+    ? { opening: parsed.opening, signature: parsed.signature }
+    : { opening: parsed, signature: undefined };
+}
+
+/**
+ * Main verification flow
+ *
+ * EXECUTION FLOW:
+ * 1. Load the opening and the submission transaction hash
+ * 2. Recompute the commitment and check it against the transaction's logs
+ * 3. Check the sender's intent signature, if present
+ * 4. Optionally reveal the opening on-chain
+ */
+async function main() {
+  const { opening, signature } = loadOpening();
+  const txHash = process.env.TX_HASH;
+  if (!txHash) {
+    throw new Error("Set TX_HASH to the transaction that submitted the commitment");
+  }
+
+  console.log(`Verifying opening against transaction ${txHash}...`);
+  const result = await verifyOpening(hre.ethers.provider, opening, txHash);
+  console.log(`Recomputed commitment: ${result.commitment}`);
+
+  if (!result.valid) {
+    throw new Error(`Opening does not match: ${result.reason}`);
+  }
+  console.log(`✅ Opening matches PrivateTransfer log #${result.logIndex} in block ${result.blockNumber}`);
+
+  if (signature) {
+    if (!verifyTransferIntent(opening, signature)) {
+      throw new Error(`Intent signature was not made by the sender ${opening.sender}`);
+    }
+    console.log(`✅ Sender ${opening.sender} signed this transfer intent`);
+  } else {
+    console.log("ℹ️  No intent signature in the opening file; sender consent not checked");
+  }
+
+  if (process.env.REVEAL !== "true") {
+    return;
+  }
+
+  /**
+   * Public disclosure through the vault
+   * The vault recomputes the commitment on-chain and emits TransferRevealed
+   */
+  console.log("\nRevealing opening on-chain (this makes the transfer public)...");
+  const vault = (await hre.ethers.getContractFactory("PrivateTransferVault")).attach(opening.vault);
+  const tx = await vault.reveal(...revealArgs(opening));
+  console.log(`Reveal transaction hash: ${tx.hash}`);
+  const receipt = await tx.wait();
+  console.log(`✅ TransferRevealed emitted in block ${receipt.blockNumber}`);
+}
+
+main()
+  .then(() => process.exit(0))
+  .catch((error) => {
+    console.error("Verification failed:", error);
+    process.exit(1);
+  });
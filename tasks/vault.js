@@ -0,0 +1,302 @@
+// File: tasks/vault.js
+/**
+ * PrivateTransferVault - Hardhat Tasks
+ * ====================================
+ *
+ * PURPOSE:
+ * Command-line access to the vault with real arguments instead of values
+ * edited into scripts. Every task prints a single JSON document on stdout,
+ * so runs can be piped into jq or other tooling, and returns the same object
+ * to callers of hre.run().
+ *
+ * TASKS:
+ *   npx hardhat vault:commit --to 0x... --amount 1.5 [--token 0x...] [--recipient-view-key 0x...] [--out opening.json]
+ *   npx hardhat vault:reveal --commitment 0x... --opening opening.json
+ *   npx hardhat vault:status --commitment 0x... [--offline]
+ *   npx hardhat vault:scan [--from-block 123] [--view-key 0x...] [--index] [--audit-log .audit/decryptions.log]
+ *   npx hardhat vault:commitments [--submitter 0x...] [--from-block 123] [--status final] [--offline]
+ * Add --network sepolia (or localhost) and, to skip the deployments registry, --vault 0x...
+ *
+ * TECHNICAL NOTES:
+ * - The connected account is the sender of vault:commit and signs the
+ *   EIP-712 transfer intent; amounts are in whole-token units
+ * - With --recipient-view-key, vault:commit seals the opening to the
+ *   recipient's and the sender's view keys and posts it as an encrypted note,
+ *   which vault:scan finds again
+ * - Numbers that may exceed 2^53 (amounts) are printed as decimal strings
+ * - vault:commit --out writes the opening file before sending, so a failed or
+ *   interrupted submission never loses the salt; the transaction hash and
+ *   block are added once known
+ * - vault:status, vault:commitments and vault:scan --index read the local
+ *   commitment index (lib/indexer.js), syncing it first unless --offline is
+ *   given. Its statuses are reorg-aware: "final" once DEFAULT_CONFIRMATIONS
+ *   blocks deep, "dropped" when a reorg removed the transaction
+ *
+ * PRIVACY NOTE:
+ * vault:commit and vault:scan print openings, salts included. Redirect their
+ * output to private files only; vault:reveal publishes the transfer for good.
+ */
+const fs = require("fs");
+const { task, types } = require("hardhat/config");
+const { buildCommitment, hashOpening } = require("../lib/commitment");
+const { signTransferIntent, verifyTransferIntent } = require("../lib/intent");
+const { sealEnvelope } = require("../lib/envelope");
+const { deriveViewKeyPair } = require("../lib/view-keys");
+const { encodeNote, scanNotes } = require("../lib/note-scanner");
+const { revealArgs } = require("../lib/opening-verifier");
+const { getTokenInfo, parseAmount } = require("../lib/tokens");
+const { resolveDeployment } = require("../lib/deployments");
+const { CommitmentIndexer, scanIndexedNotes, DEFAULT_CONFIRMATIONS } = require("../lib/indexer");
+const { AuditLog } = require("../lib/audit-log");
+
+/**
+ * Connect to the vault of the selected network
+ *
+ * @param {Object} hre Hardhat runtime environment
+ * @param {string} [address] Explicit vault address (--vault)
+ * @returns {Promise<{vault: ethers.Contract, deployment: Object}>} Vault connected to
+ *   the first signer, and its deployment (see lib/deployments.js)
+ */
+async function connectVault(hre, address) {
+  const { abi } = await hre.artifacts.readArtifact("PrivateTransferVault");
+  const deployment = await resolveDeployment(hre.ethers.provider, "PrivateTransferVault", { address, abi });
+  const [signer] = await hre.ethers.getSigners();
+  return { vault: new hre.ethers.Contract(deployment.address, abi, signer), deployment };
+}
+
+/**
+ * Print a task result as JSON and hand it back to the caller
+ *
+ * @param {Object} result Task result
+ * @returns {Object} The same result
+ */
+function output(result) {
+  console.log(JSON.stringify(result, null, 2));
+  return result;
+}
+
+/**
+ * Read an opening file: a bare opening or an `{ opening, signature }` wrapper,
+ * as written by vault:commit --out and read by scripts/verify-opening.js
+ *
+ * @param {string} file Path of the opening file
+ * @returns {{opening: Object, signature: (string|undefined)}}
+ */
+function readOpeningFile(file) {
+  const parsed = JSON.parse(fs.readFileSync(file, "utf8"));
+  return parsed.opening
+    ? { opening: parsed.opening, signature: parsed.signature }
+    : { opening: parsed, signature: undefined };
+}
+
+/**
+ * Open the commitment index of the selected network's vault
+ *
+ * @param {Object} hre Hardhat runtime environment
+ * @param {Object} args Task arguments
+ * @param {string} [args.vault] Explicit vault address (--vault)
+ * @param {boolean} [args.offline] Use the index as it is instead of syncing it
+ * @returns {Promise<CommitmentIndexer>} The indexer, its store up to date unless offline
+ */
+async function openIndex(hre, { vault, offline }) {
+  const indexer = await CommitmentIndexer.open(hre.ethers.provider, { vaultAddress: vault });
+  if (!offline) {
+    await indexer.sync();
+  }
+  return indexer;
+}
+
+task("vault:commit", "Commit to a private transfer from the connected account")
+  .addParam("to", "Recipient address")
+  .addParam("amount", "Amount in whole-token units, e.g. 1.5")
+  .addOptionalParam("token", "ERC-20 token address (default: native ETH)")
+  .addOptionalParam("recipientViewKey", "Recipient's public view key; posts the opening as an encrypted note")
+  .addOptionalParam("out", "File to write the opening and intent signature to (owner-only permissions)")
+  .addOptionalParam("vault", "Vault address (default: the network's entry in deployments/)")
+  .setAction(async (args, hre) => {
+    const { vault, deployment } = await connectVault(hre, args.vault);
+    const [sender] = await hre.ethers.getSigners();
+    const tokenInfo = await getTokenInfo(hre.ethers.provider, args.token);
+
+    const { commitment, opening } = buildCommitment({
+      chainId: deployment.chainId,
+      vault: vault.address,
+      sender: sender.address,
+      recipient: args.to,
+      token: tokenInfo.address,
+      amount: parseAmount(args.amount, tokenInfo),
+      timestamp: Math.floor(Date.now() / 1000)
+    });
+    const signature = await signTransferIntent(sender, opening);
+    const saveOpening = (details) => {
+      if (args.out) {
+        fs.writeFileSync(args.out, JSON.stringify({ opening, signature, ...details }, null, 2), { mode: 0o600 });
+      }
+    };
+    saveOpening({ txHash: null, blockNumber: null });
+
+    let tx;
+    if (args.recipientViewKey) {
+      const senderViewKey = await deriveViewKeyPair(sender);
+      const sealed = sealEnvelope({ opening, signature }, [args.recipientViewKey, senderViewKey.publicKey], commitment);
+      tx = await vault.submitTransferWithNote(commitment, encodeNote(sealed));
+    } else {
+      tx = await vault.submitTransfer(commitment);
+    }
+    saveOpening({ txHash: tx.hash, blockNumber: null });
+    const receipt = await tx.wait();
+    saveOpening({ txHash: tx.hash, blockNumber: receipt.blockNumber });
+
+    return output({
+      chainId: deployment.chainId,
+      vault: vault.address,
+      commitment,
+      txHash: tx.hash,
+      blockNumber: receipt.blockNumber,
+      encryptedNote: Boolean(args.recipientViewKey),
+      openingFile: args.out || null,
+      opening,
+      signature
+    });
+  });
+
+task("vault:reveal", "Publicly disclose a transfer by revealing its opening on-chain")
+  .addParam("commitment", "Commitment to reveal")
+  .addParam("opening", "Opening file (from vault:commit --out)")
+  .setAction(async (args, hre) => {
+    const { opening, signature } = readOpeningFile(args.opening);
+    if (hashOpening(opening).toLowerCase() !== args.commitment.toLowerCase()) {
+      throw new Error(`The opening in ${args.opening} does not belong to commitment ${args.commitment}`);
+    }
+    if (signature && !verifyTransferIntent(opening, signature)) {
+      throw new Error(`The intent signature in ${args.opening} was not made by the sender ${opening.sender}`);
+    }
+
+    // The opening is bound to its vault, so reveal there rather than at --vault
+    const { vault } = await connectVault(hre, opening.vault);
+    if (!(await vault.isCommitted(args.commitment))) {
+      throw new Error(`Commitment ${args.commitment} was never submitted to ${vault.address}`);
+    }
+    if (await vault.isRevealed(args.commitment)) {
+      throw new Error(`Commitment ${args.commitment} is already revealed`);
+    }
+    const tx = await vault.reveal(...revealArgs(opening));
+    const receipt = await tx.wait();
+    return output({
+      chainId: opening.chainId,
+      vault: vault.address,
+      commitment: args.commitment,
+      txHash: tx.hash,
+      blockNumber: receipt.blockNumber,
+      revealed: {
+        sender: opening.sender,
+        recipient: opening.recipient,
+        token: opening.token,
+        amount: opening.amount,
+        timestamp: opening.timestamp
+      }
+    });
+  });
+
+task("vault:status", "Look up a commitment in the vault and the local commitment index")
+  .addParam("commitment", "Commitment to look up")
+  .addOptionalParam("vault", "Vault address (default: the network's entry in deployments/)")
+  .addFlag("offline", "Answer from the index as it is, without syncing it first")
+  .setAction(async (args, hre) => {
+    const { vault, deployment } = await connectVault(hre, args.vault);
+    const { store } = await openIndex(hre, { vault: vault.address, offline: args.offline });
+    const [committed, paused] = await Promise.all([vault.isCommitted(args.commitment), vault.paused()]);
+    const record = store.get(args.commitment);
+
+    const result = {
+      chainId: deployment.chainId,
+      vault: vault.address,
+      commitment: args.commitment,
+      committed,
+      // pending, included, final or dropped (see lib/indexer.js); null when not indexed
+      status: record ? record.status : null,
+      dropReason: record ? record.dropReason : null,
+      revealed: false,
+      index: null,
+      blockNumber: record ? record.blockNumber : null,
+      txHash: record ? record.txHash : null,
+      confirmations: record ? store.confirmations(record) : 0,
+      indexedToBlock: store.checkpoint ? store.checkpoint.blockNumber : null,
+      vaultPaused: paused
+    };
+    if (committed) {
+      const [[index], revealed] = await Promise.all([
+        vault.getCommitment(args.commitment),
+        vault.isRevealed(args.commitment)
+      ]);
+      Object.assign(result, { revealed, index: index.toNumber() });
+    }
+    return output(result);
+  });
+
+task("vault:scan", "Find the transfers addressed to a view key")
+  .addOptionalParam("fromBlock", "First block to scan (default: the vault's recorded deployment block, else 0)", undefined, types.int)
+  .addOptionalParam("viewKey", "Private view key (default: derived from the connected account)")
+  .addOptionalParam("vault", "Vault address (default: the network's entry in deployments/)")
+  .addFlag("index", "Read the notes from the synced commitment index instead of the node's logs")
+  .addOptionalParam("auditLog", "Audit log to record every trial decryption in (default .audit/decryptions.log, see lib/audit-log.js)")
+  .setAction(async (args, hre) => {
+    const { vault, deployment } = await connectVault(hre, args.vault);
+    const [signer] = await hre.ethers.getSigners();
+    let privateViewKey = args.viewKey;
+    if (!privateViewKey) {
+      privateViewKey = (await deriveViewKeyPair(signer)).privateKey;
+    }
+    const audit = { auditLog: args.auditLog ? new AuditLog(args.auditLog) : null, requester: signer.address };
+
+    const fromBlock = args.fromBlock !== undefined ? args.fromBlock : deployment.blockNumber || 0;
+    let toBlock;
+    let notes;
+    if (args.index) {
+      const { store } = await openIndex(hre, { vault: vault.address });
+      toBlock = store.checkpoint ? store.checkpoint.blockNumber : fromBlock - 1;
+      notes = scanIndexedNotes(store, privateViewKey, { fromBlock, ...audit });
+    } else {
+      toBlock = await hre.ethers.provider.getBlockNumber();
+      notes = await scanNotes(hre.ethers.provider, vault.address, privateViewKey, { fromBlock, toBlock, ...audit });
+    }
+    return output({
+      chainId: deployment.chainId,
+      vault: vault.address,
+      fromBlock,
+      toBlock,
+      notes: notes.map((note) => ({
+        commitment: note.commitment,
+        txHash: note.txHash,
+        blockNumber: note.blockNumber,
+        logIndex: note.logIndex,
+        openingMatches: note.openingMatches === undefined ? null : note.openingMatches,
+        senderConsent: note.senderConsent === undefined ? null : note.senderConsent,
+        opening: note.payload && note.payload.opening ? note.payload.opening : null,
+        signature: note.payload && note.payload.signature ? note.payload.signature : null
+      }))
+    });
+  });
+
+task("vault:commitments", "List the vault's commitments from the local index")
+  .addOptionalParam("submitter", "Only commitments submitted by this account (e.g. a relayer)")
+  .addOptionalParam("fromBlock", "Only commitments from this block on", undefined, types.int)
+  .addOptionalParam("status", "Only commitments with this status: pending, included, final or dropped")
+  .addOptionalParam("vault", "Vault address (default: the network's entry in deployments/)")
+  .addFlag("offline", "Answer from the index as it is, without syncing it first")
+  .setAction(async (args, hre) => {
+    const { store } = await openIndex(hre, args);
+    const records = store.list({ submitter: args.submitter, fromBlock: args.fromBlock, status: args.status });
+    return output({
+      chainId: store.state.chainId,
+      vault: store.state.vault,
+      indexFile: store.file,
+      indexedToBlock: store.checkpoint ? store.checkpoint.blockNumber : null,
+      total: store.size,
+      commitments: records.map(({ note, ...record }) => ({
+        ...record,
+        confirmations: store.confirmations(record),
+        encryptedNote: note !== null
+      }))
+    });
+  });
@@ -0,0 +1,97 @@
+// File: test/AttestationVerifier.test.js
+/**
+ * AttestationVerifier - on-chain report checks and replay protection
+ *
+ * Runs on the in-process Hardhat network: npm test
+ */
+const assert = require("assert");
+const { ethers } = require("hardhat");
+const { createMockEnclave } = require("../lib/attestation");
+const { relayerReportData } = require("../lib/relayer-registry");
+
+/**
+ * Assert that a transaction reverts with a custom error
+ */
+async function assertRevert(promise, errorName) {
+  await assert.rejects(promise, (error) => {
+    assert.match(error.message, new RegExp(`custom error '${errorName}\\(|errorName="${errorName}"`));
+    return true;
+  });
+}
+
+/**
+ * Submit a signed report the way lib/relayer-registry.js does
+ */
+async function submit(verifier, { report, signature }) {
+  const { version, ...fields } = report;
+  return (await verifier.submitAttestation(fields, signature)).wait();
+}
+
+describe("AttestationVerifier", function () {
+  let admin;
+  let registry;
+  let verifier;
+  let enclave;
+  let relayer;
+  let chainId;
+
+  beforeEach(async function () {
+    let relayerSigner;
+    [admin, relayerSigner] = await ethers.getSigners();
+    relayer = relayerSigner.address;
+    ({ chainId } = await ethers.provider.getNetwork());
+
+    const Registry = await ethers.getContractFactory("AttestedRelayerRegistry");
+    registry = await Registry.deploy(admin.address);
+    await registry.deployed();
+    enclave = createMockEnclave();
+    await (await registry.approveMeasurement(enclave.identity.mrEnclave)).wait();
+    verifier = await deployVerifier();
+  });
+
+  async function deployVerifier() {
+    const Verifier = await ethers.getContractFactory("AttestationVerifier");
+    const deployed = await Verifier.deploy(registry.address, admin.address, 0, 300, 24 * 60 * 60);
+    await deployed.deployed();
+    await (await registry.grantRole(await registry.REGISTRAR_ROLE(), deployed.address)).wait();
+    await (await deployed.setTrustedSigner(enclave.attestationAddress, true)).wait();
+    await (await deployed.setApprovedMrSigner(enclave.identity.mrSigner, true)).wait();
+    return deployed;
+  }
+
+  function attestFor(target, attestingEnclave = enclave) {
+    return attestingEnclave.attest(relayerReportData(relayer), { chainId, verifier: target.address });
+  }
+
+  it("registers the relayer named in a valid report", async function () {
+    await submit(verifier, attestFor(verifier));
+    assert.strictEqual(await registry.isAttested(relayer), true);
+  });
+
+  it("rejects enclaves built by a signer that is not approved", async function () {
+    const other = createMockEnclave({ mrEnclave: enclave.identity.mrEnclave });
+    await (await verifier.setTrustedSigner(other.attestationAddress, true)).wait();
+
+    await assertRevert(submit(verifier, attestFor(verifier, other)), "MrSignerNotApproved");
+    assert.strictEqual(await registry.isAttested(relayer), false);
+  });
+
+  it("does not let a deregistered relayer back in with its old report", async function () {
+    const attestation = attestFor(verifier);
+    await submit(verifier, attestation);
+    await (await registry.deregisterRelayer(relayer)).wait();
+
+    await assertRevert(submit(verifier, attestation), "ReportAlreadyUsed");
+    assert.strictEqual(await registry.isAttested(relayer), false);
+  });
+
+  it("rejects a report signed for another verifier", async function () {
+    const other = await deployVerifier();
+    await assertRevert(submit(other, attestFor(verifier)), "UntrustedSigner");
+    await assertRevert(submit(verifier, enclave.attest(relayerReportData(relayer))), "UntrustedSigner");
+    assert.strictEqual(await registry.isAttested(relayer), false);
+
+    await submit(other, attestFor(other));
+    assert.strictEqual(await registry.isAttested(relayer), true);
+  });
+});
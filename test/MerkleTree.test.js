@@ -0,0 +1,69 @@
+// File: test/MerkleTree.test.js
+/**
+ * lib/merkle-tree.js - the JS tree against the vault's on-chain tree
+ *
+ * Runs on the in-process Hardhat network: npm test
+ */
+const assert = require("assert");
+const { ethers } = require("hardhat");
+const { MerkleTree, computeZeros } = require("../lib/merkle-tree");
+
+/**
+ * Assert that a call reverts with a custom error
+ */
+async function assertRevert(promise, errorName) {
+  await assert.rejects(promise, (error) => {
+    assert.match(error.message, new RegExp(`custom error '${errorName}\\(|errorName="${errorName}"`));
+    return true;
+  });
+}
+
+describe("lib/merkle-tree.js", function () {
+  let vault;
+  let deployBlock;
+
+  beforeEach(async function () {
+    const [admin] = await ethers.getSigners();
+    const Vault = await ethers.getContractFactory("PrivateTransferVault");
+    vault = await Vault.deploy(ethers.constants.AddressZero, admin.address, 0);
+    await vault.deployed();
+    deployBlock = (await vault.deployTransaction.wait()).blockNumber;
+  });
+
+  function randomCommitment() {
+    return ethers.utils.hexlify(ethers.utils.randomBytes(32));
+  }
+
+  it("uses the same empty subtree roots as the vault", async function () {
+    const zeros = computeZeros(20);
+    for (let level = 0; level <= 20; level++) {
+      assert.strictEqual(await vault.zeros(level), zeros[level]);
+    }
+    assert.strictEqual(await vault.getLastRoot(), new MerkleTree().root());
+    await assertRevert(vault.zeros(21), "InvalidTreeLevel");
+  });
+
+  it("computes the root of every insertion like the vault", async function () {
+    const tree = new MerkleTree();
+    for (let i = 0; i < 5; i++) {
+      const commitment = randomCommitment();
+      const receipt = await (await vault.submitTransfer(commitment)).wait();
+      const inserted = receipt.events.find((event) => event.event === "LeafInserted");
+
+      tree.insert(commitment);
+      assert.strictEqual(inserted.args.leafIndex, i);
+      assert.strictEqual(inserted.args.root, tree.root());
+      assert.strictEqual(await vault.getLastRoot(), tree.root());
+    }
+  });
+
+  it("rebuilds the tree from the vault's logs one page at a time", async function () {
+    const commitments = [randomCommitment(), randomCommitment(), randomCommitment()];
+    await (await vault.submitTransfer(commitments[0])).wait();
+    await (await vault.submitTransfers(commitments.slice(1))).wait();
+
+    const tree = await MerkleTree.fromVault(ethers.provider, vault.address, { fromBlock: deployBlock, pageSize: 1 });
+    assert.strictEqual(tree.size, 3);
+    assert.strictEqual(tree.root(), await vault.getLastRoot());
+  });
+});
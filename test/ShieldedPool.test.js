@@ -0,0 +1,219 @@
+// File: test/ShieldedPool.test.js
+/**
+ * ShieldedPool - deposits, withdrawals and double-spend protection
+ *
+ * Runs on the in-process Hardhat network: npm test
+ */
+const assert = require("assert");
+const { ethers } = require("hardhat");
+const { createNote, hashNote, depositNote, spendNote, withdrawArgs } = require("../lib/notes");
+
+/**
+ * Assert that a transaction (or, for pure functions, a call) reverts with a custom error
+ */
+async function assertRevert(promise, errorName) {
+  await assert.rejects(promise, (error) => {
+    assert.match(error.message, new RegExp(`custom error '${errorName}\\(|errorName="${errorName}"`));
+    return true;
+  });
+}
+
+describe("ShieldedPool", function () {
+  let pool;
+  let admin;
+  let depositor;
+  let relayer;
+  let recipient;
+  let chainId;
+
+  beforeEach(async function () {
+    [admin, depositor, relayer, recipient] = await ethers.getSigners();
+    const Pool = await ethers.getContractFactory("ShieldedPool");
+    pool = await Pool.deploy(admin.address, 0);
+    await pool.deployed();
+    ({ chainId } = await ethers.provider.getNetwork());
+  });
+
+  function ethNote(amount = ethers.utils.parseEther("1")) {
+    return createNote({ chainId, pool: pool.address, amount });
+  }
+
+  describe("deposit", function () {
+    it("records the note and holds the ETH", async function () {
+      const { commitment, note } = ethNote();
+      await (await depositNote(pool.connect(depositor), note)).wait();
+
+      assert.strictEqual(await pool.isDeposited(commitment), true);
+      assert.strictEqual(await pool.isCommitted(commitment), true);
+      assert.strictEqual((await ethers.provider.getBalance(pool.address)).toString(), note.amount);
+    });
+
+    it("matches the on-chain note commitment", async function () {
+      const { commitment, note } = ethNote();
+      assert.strictEqual(
+        await pool.computeNoteCommitment(note.token, note.amount, note.owner, note.nullifier),
+        commitment
+      );
+    });
+
+    it("rejects deposits without value", async function () {
+      await assertRevert(pool.connect(depositor).deposit(ethNote().commitment), "ZeroDeposit");
+    });
+
+    it("rejects a commitment deposited twice", async function () {
+      const { note } = ethNote();
+      await (await depositNote(pool.connect(depositor), note)).wait();
+      await assertRevert(depositNote(pool.connect(depositor), note), "CommitmentAlreadySubmitted");
+    });
+  });
+
+  describe("direct submissions", function () {
+    it("are disabled so a deposit cannot be front-run", async function () {
+      const { commitment, note } = ethNote();
+      await assertRevert(pool.connect(relayer).submitTransfer(commitment), "DirectSubmissionDisabled");
+      await assertRevert(
+        pool.connect(relayer).submitTransferWithNote(commitment, "0x01"),
+        "DirectSubmissionDisabled"
+      );
+      await assertRevert(pool.connect(relayer).submitTransfers([commitment]), "DirectSubmissionDisabled");
+
+      await (await depositNote(pool.connect(depositor), note)).wait();
+      assert.strictEqual(await pool.isDeposited(commitment), true);
+    });
+  });
+
+  describe("withdraw", function () {
+    it("pays the recipient and marks the nullifier spent", async function () {
+      const { note } = ethNote();
+      await (await depositNote(pool.connect(depositor), note)).wait();
+
+      const before = await ethers.provider.getBalance(recipient.address);
+      await (await spendNote(pool.connect(relayer), note, recipient.address)).wait();
+
+      const after = await ethers.provider.getBalance(recipient.address);
+      assert.strictEqual(after.sub(before).toString(), note.amount);
+      assert.strictEqual(await pool.spentNullifiers(note.nullifier), true);
+      assert.strictEqual((await ethers.provider.getBalance(pool.address)).toString(), "0");
+    });
+
+    it("rejects spending a note twice", async function () {
+      const { note } = ethNote();
+      await (await depositNote(pool.connect(depositor), note)).wait();
+      await (await spendNote(pool.connect(relayer), note, recipient.address)).wait();
+
+      await assertRevert(spendNote(pool.connect(relayer), note, recipient.address), "NullifierAlreadySpent");
+      await assertRevert(spendNote(pool.connect(relayer), note, relayer.address), "NullifierAlreadySpent");
+    });
+
+    it("rejects notes that were never deposited", async function () {
+      const { note } = ethNote();
+      await assertRevert(spendNote(pool.connect(relayer), note, recipient.address), "UnknownNote");
+    });
+
+    it("rejects a withdrawal redirected to another recipient", async function () {
+      const { note } = ethNote();
+      await (await depositNote(pool.connect(depositor), note)).wait();
+
+      const args = await withdrawArgs(note, recipient.address);
+      args[4] = relayer.address;
+      await assertRevert(pool.connect(relayer).withdraw(...args), "InvalidWithdrawalSignature");
+    });
+
+    it("rejects a note with a changed amount", async function () {
+      const { note } = ethNote();
+      await (await depositNote(pool.connect(depositor), note)).wait();
+
+      const inflated = { ...note, amount: ethers.utils.parseEther("2").toString() };
+      await assertRevert(spendNote(pool.connect(relayer), inflated, recipient.address), "UnknownNote");
+    });
+
+    it("rejects a note worth more than was deposited under it", async function () {
+      const victim = ethNote(ethers.utils.parseEther("10"));
+      await (await depositNote(pool.connect(depositor), victim.note)).wait();
+
+      const { commitment, note } = ethNote(ethers.utils.parseEther("10"));
+      await (await pool.connect(relayer).deposit(commitment, { value: 1 })).wait();
+      assert.strictEqual(await pool.isDeposited(commitment), true);
+
+      await assertRevert(spendNote(pool.connect(relayer), note, recipient.address), "DepositMismatch");
+      const balance = await ethers.provider.getBalance(pool.address);
+      assert.strictEqual(balance.toString(), ethers.utils.parseEther("10").add(1).toString());
+    });
+
+    it("stays available while the pool is paused", async function () {
+      const { note } = ethNote();
+      await (await depositNote(pool.connect(depositor), note)).wait();
+      await (await pool.grantRole(await pool.PAUSER_ROLE(), admin.address)).wait();
+      await (await pool.pause()).wait();
+
+      await assertRevert(depositNote(pool.connect(depositor), ethNote().note), "EnforcedPause");
+      await (await spendNote(pool.connect(relayer), note, recipient.address)).wait();
+      assert.strictEqual(await pool.spentNullifiers(note.nullifier), true);
+    });
+  });
+
+  describe("ERC-20 notes", function () {
+    it("deposits and withdraws a token", async function () {
+      const Token = await ethers.getContractFactory("MockERC20");
+      const token = await Token.deploy("Mock USD", "MUSD", 6);
+      await token.deployed();
+      await (await token.mint(depositor.address, 5000000)).wait();
+
+      const { commitment, note } = createNote({ chainId, pool: pool.address, token: token.address, amount: 5000000 });
+      await (await depositNote(pool.connect(depositor), note)).wait();
+      assert.strictEqual(await pool.isDeposited(commitment), true);
+      assert.strictEqual((await token.balanceOf(pool.address)).toString(), "5000000");
+
+      await (await spendNote(pool.connect(relayer), note, recipient.address)).wait();
+      assert.strictEqual((await token.balanceOf(recipient.address)).toString(), "5000000");
+      assert.strictEqual((await token.balanceOf(pool.address)).toString(), "0");
+    });
+
+    it("rejects a note naming another token or a larger amount than was deposited", async function () {
+      const Token = await ethers.getContractFactory("MockERC20");
+      const token = await Token.deploy("Mock USD", "MUSD", 6);
+      await token.deployed();
+      const worthless = await Token.deploy("Worthless", "NONE", 6);
+      await worthless.deployed();
+      await (await token.mint(depositor.address, 5000000)).wait();
+      await (await worthless.mint(relayer.address, 5000000)).wait();
+      await (await depositNote(pool.connect(depositor), createNote({
+        chainId, pool: pool.address, token: token.address, amount: 5000000
+      }).note)).wait();
+
+      const viaEth = createNote({ chainId, pool: pool.address, token: token.address, amount: 5000000 });
+      await (await pool.connect(relayer).deposit(viaEth.commitment, { value: 1 })).wait();
+      await assertRevert(spendNote(pool.connect(relayer), viaEth.note, recipient.address), "DepositMismatch");
+
+      const viaWorthless = createNote({ chainId, pool: pool.address, token: token.address, amount: 5000000 });
+      await (await worthless.connect(relayer).approve(pool.address, 5000000)).wait();
+      await (await pool.connect(relayer).depositToken(worthless.address, 5000000, viaWorthless.commitment)).wait();
+      await assertRevert(
+        spendNote(pool.connect(relayer), viaWorthless.note, recipient.address),
+        "DepositMismatch"
+      );
+
+      await (await token.mint(relayer.address, 1)).wait();
+      const inflated = createNote({ chainId, pool: pool.address, token: token.address, amount: 5000000 });
+      await (await token.connect(relayer).approve(pool.address, 1)).wait();
+      await (await pool.connect(relayer).depositToken(token.address, 1, inflated.commitment)).wait();
+      await assertRevert(spendNote(pool.connect(relayer), inflated.note, recipient.address), "DepositMismatch");
+
+      assert.strictEqual((await token.balanceOf(pool.address)).toString(), "5000001");
+      assert.strictEqual((await token.balanceOf(recipient.address)).toString(), "0");
+    });
+
+    it("rejects fee-on-transfer tokens", async function () {
+      const Token = await ethers.getContractFactory("FeeOnTransferERC20");
+      const token = await Token.deploy(2);
+      await token.deployed();
+      await (await token.mint(depositor.address, 1000)).wait();
+
+      const { commitment, note } = createNote({ chainId, pool: pool.address, token: token.address, amount: 1000 });
+      assert.strictEqual(hashNote(note), commitment);
+      await assertRevert(depositNote(pool.connect(depositor), note), "DepositAmountMismatch");
+      assert.strictEqual(await pool.isDeposited(commitment), false);
+      assert.strictEqual((await token.balanceOf(pool.address)).toString(), "0");
+    });
+  });
+});
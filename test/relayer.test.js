@@ -0,0 +1,110 @@
+// File: test/relayer.test.js
+/**
+ * relayer/relayer.js - submissions and the envelopes stored with them
+ *
+ * Runs on the in-process Hardhat network: npm test
+ */
+const assert = require("assert");
+const fs = require("fs");
+const os = require("os");
+const path = require("path");
+const { ethers } = require("hardhat");
+const { createRelayer } = require("../relayer/relayer");
+const { validateTransferIntent } = require("../relayer/validation");
+const { buildCommitment } = require("../lib/commitment");
+const { sealEnvelope, encryptPayload, generateViewKey } = require("../lib/envelope");
+const { generateViewKeyPair } = require("../lib/view-keys");
+const { FilePayloadStore } = require("../lib/payload-store");
+const { TransactionManager } = require("../lib/tx-manager");
+
+describe("relayer", function () {
+  let directory;
+  let vault;
+  let relayer;
+  let payloadStore;
+  let sender;
+  let recipient;
+  let chainId;
+
+  beforeEach(async function () {
+    let admin;
+    [admin, sender, recipient] = await ethers.getSigners();
+    const Vault = await ethers.getContractFactory("PrivateTransferVault");
+    vault = await Vault.deploy(ethers.constants.AddressZero, admin.address, 0);
+    await vault.deployed();
+    ({ chainId } = await ethers.provider.getNetwork());
+
+    // The transaction manager signs locally, so the hot wallet is a plain Wallet
+    const wallet = ethers.Wallet.createRandom().connect(ethers.provider);
+    await (await admin.sendTransaction({ to: wallet.address, value: ethers.utils.parseEther("1") })).wait();
+
+    directory = fs.mkdtempSync(path.join(os.tmpdir(), "relayer-test-"));
+    payloadStore = new FilePayloadStore(path.join(directory, "payloads"));
+    relayer = await createRelayer({
+      wallet,
+      vaultAddress: vault.address,
+      requireSignature: false,
+      payloadStore,
+      transactions: await TransactionManager.open(wallet, { directory: path.join(directory, "transactions") })
+    });
+  });
+
+  afterEach(function () {
+    fs.rmSync(directory, { recursive: true, force: true });
+  });
+
+  /**
+   * A transfer intent and the commitment the relayer will build for it
+   */
+  function newIntent() {
+    const fields = {
+      sender: sender.address,
+      recipient: recipient.address,
+      amount: "1000",
+      timestamp: "1760000000",
+      salt: ethers.utils.hexlify(ethers.utils.randomBytes(32))
+    };
+    const { commitment } = buildCommitment({ ...validateTransferIntent(fields), chainId, vault: vault.address });
+    return { fields, commitment };
+  }
+
+  it("stores the sealed envelope of a submitted commitment", async function () {
+    const { fields, commitment } = newIntent();
+    const envelope = sealEnvelope({ memo: "invoice 42" }, [generateViewKeyPair().publicKey], commitment);
+
+    const result = await relayer.submitIntent(validateTransferIntent({ ...fields, envelope }));
+    assert.strictEqual(result.commitment, commitment);
+    assert.strictEqual(result.payloadStored, true);
+    assert.strictEqual((await payloadStore.get(commitment)).envelope, envelope);
+  });
+
+  it("rejects a malformed envelope before submitting, leaving its slot free", async function () {
+    const { fields, commitment } = newIntent();
+    const envelope = sealEnvelope({ memo: "invoice 42" }, [generateViewKeyPair().publicKey], commitment);
+    const raw = Buffer.from(envelope, "base64");
+    const innerVersion = Buffer.from(raw);
+    innerVersion[1 + 33 + 1 + 60] = 3;
+
+    const malformed = [
+      Buffer.from("not an envelope").toString("base64"),
+      encryptPayload({ memo: "invoice 42" }, generateViewKey(), commitment),
+      raw.subarray(0, raw.length - 40).toString("base64"),
+      Buffer.concat([raw.subarray(0, 1), Buffer.alloc(33, 7), raw.subarray(34)]).toString("base64"),
+      innerVersion.toString("base64")
+    ];
+    for (const bad of malformed) {
+      await assert.rejects(relayer.submitIntent(validateTransferIntent({ ...fields, envelope: bad })), (error) => {
+        assert.strictEqual(error.status, 400);
+        assert.match(error.message, /^Invalid envelope: /);
+        return true;
+      });
+    }
+    assert.strictEqual(relayer.transactionStatus(commitment), null);
+    assert.strictEqual(await vault.isCommitted(commitment), false);
+    assert.strictEqual(await payloadStore.get(commitment), null);
+
+    const result = await relayer.submitIntent(validateTransferIntent({ ...fields, envelope }));
+    assert.strictEqual(result.payloadStored, true);
+    assert.strictEqual((await payloadStore.get(commitment)).envelope, envelope);
+  });
+});
@@ -0,0 +1,33 @@
+// File: test/vault-abi.test.js
+/**
+ * PrivateTransferVault - library ABI against the compiled contract
+ *
+ * Runs on the in-process Hardhat network: npm test
+ */
+const assert = require("assert");
+const { ethers, artifacts } = require("hardhat");
+const { VAULT_ABI } = require("../lib/vault-abi");
+const { abiHash } = require("../lib/deployments");
+const { PrivateTransferClient } = require("../lib/client");
+
+describe("lib/vault-abi.js", function () {
+  it("matches the compiled vault (run npm run abi:export if not)", async function () {
+    const { abi } = await artifacts.readArtifact("PrivateTransferVault");
+    assert.strictEqual(abiHash(VAULT_ABI), abiHash(abi));
+  });
+
+  it("lets the client skip vault logs it cannot decode", async function () {
+    const [admin] = await ethers.getSigners();
+    const Vault = await ethers.getContractFactory("PrivateTransferVault");
+    const vault = await Vault.deploy(ethers.constants.AddressZero, admin.address, 0);
+    await vault.deployed();
+    const commitment = ethers.utils.hexlify(ethers.utils.randomBytes(32));
+    const receipt = await (await vault.submitTransfer(commitment)).wait();
+
+    const { chainId } = await ethers.provider.getNetwork();
+    const client = new PrivateTransferClient({ vaultAddress: vault.address, signerOrProvider: admin, chainId });
+    const unknown = { ...receipt.logs[0], topics: [ethers.utils.id("Unknown(bytes32)"), commitment] };
+    const events = client.parseEvents({ ...receipt, logs: [unknown, ...receipt.logs] });
+    assert.deepStrictEqual(events.map((event) => event.name), ["LeafInserted", "PrivateTransfer"]);
+  });
+});